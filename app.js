@@ -3,11 +3,13 @@ const cors = require('cors');
 const compression = require('compression');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const { connectDB, logger } = require('./config/db');
 const { metricsMiddleware, metricsEndpoint, healthCheckWithMetrics } = require('./middleware/metrics');
+const { apiLimiter } = require('./middleware/rateLimit');
+const { closeRedis } = require('./config/redis');
+const { registerChatSocket } = require('./sockets/chat');
 const dotenv = require('dotenv');
 const path = require('path');
 
@@ -64,35 +66,13 @@ app.use(cors({
     : ['http://127.0.0.1:5500', 'http://localhost:5500', 'http://localhost:3000'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
   credentials: true,
   maxAge: 86400
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: NODE_ENV === 'production' ? 100 : 1000, // limit each IP to 100 requests per windowMs in production
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-    retryAfter: '15 minutes'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    logger.warn(`Rate limit exceeded for IP: ${req.ip}`, {
-      ip: req.ip,
-      userAgent: req.get('User-Agent'),
-      path: req.path
-    });
-    res.status(429).json({
-      error: 'Too many requests from this IP, please try again later.',
-      retryAfter: '15 minutes'
-    });
-  }
-});
-
-// Apply rate limiting to all routes
-app.use('/api/', limiter);
+// Rate limiting per user (per IP when signed out); chat routes add stricter limits
+app.use('/api/', apiLimiter);
 
 // Logging middleware
 app.use(morgan('combined', { 
@@ -164,14 +144,24 @@ io.on('connection', (socket) => {
   });
 });
 
+// Streaming chat lives on its own authenticated namespace
+registerChatSocket(io);
+
 // API Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/chat', require('./routes/chat'));
+app.use('/api/goals', require('./routes/goals'));
+app.use('/api/exercises', require('./routes/exercises'));
+app.use('/api/roleplay', require('./routes/roleplay'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/usage', require('./routes/usage'));
+app.use('/api/profile/memory', require('./routes/memory'));
 app.use('/api/profile', require('./routes/profile'));
 app.use('/api/meditation', require('./routes/meditation'));
 app.use('/api/analytics', require('./routes/analytics'));
 app.use('/api/settings', require('./routes/settings'));
 app.use('/api/community', require('./routes/community'));
+app.use('/api/shared', require('./routes/shared'));
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -233,7 +223,8 @@ server.listen(PORT, () => {
 // Handle graceful shutdown
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received, shutting down gracefully`);
-  server.close(() => {
+  server.close(async () => {
+    await closeRedis().catch(() => {});
     logger.info('Process terminated');
     process.exit(0);
   });
@@ -0,0 +1,51 @@
+const { logger } = require('./db');
+
+// Shared Redis client, created on first use when REDIS_URL is set. Callers
+// get null while Redis is not configured or not connected and fall back to
+// in-process state, so a Redis outage never takes the API down.
+let client = null;
+
+const getRedisClient = () => {
+  if (!process.env.REDIS_URL) {
+    return null;
+  }
+  if (!client) {
+    const { createClient } = require('redis');
+    client = createClient({
+      url: process.env.REDIS_URL,
+      socket: {
+        // Keep retrying in the background, at most every 10 seconds
+        reconnectStrategy: retries => Math.min(retries * 500, 10000)
+      }
+    });
+    // Errors repeat on every reconnect attempt, so only changes are logged
+    let connected = false;
+    client.on('ready', () => {
+      connected = true;
+      logger.info('Redis connected');
+    });
+    client.on('error', error => {
+      if (connected) {
+        logger.warn('Redis connection lost', { error: error.message });
+      }
+      connected = false;
+    });
+    client.connect().catch(error => {
+      logger.warn('Redis unavailable, using in-memory fallbacks', { error: error.message });
+    });
+  }
+  return client.isReady ? client : null;
+};
+
+const closeRedis = async () => {
+  if (client) {
+    const current = client;
+    client = null;
+    await current.disconnect();
+  }
+};
+
+module.exports = {
+  getRedisClient,
+  closeRedis
+};
@@ -0,0 +1,67 @@
+// Offline evaluation runner. Replays the golden transcripts in
+// eval/transcripts and scores the replies (see services/eval).
+//
+//   npm run eval                                   latest prompt templates
+//   npm run eval -- --versions companion:1,practice:1
+//   npm run eval -- --baseline companion:1,practice:1 --candidate companion:2,practice:2
+//   npm run eval -- --versions companion:2 --record openai    record live replies
+//
+// --goal limits the run to some goals (comma separated) and --json writes the
+// full result to a file. Exits with 1 on failures (single run) or on
+// regressions (comparison), so it can gate CI.
+const fs = require('fs').promises;
+const { logger } = require('../config/db');
+const {
+  loadTranscripts, runEvaluation, saveRecordings, compareRuns, formatRun, formatComparison
+} = require('../services/eval');
+
+const parseArgs = (argv) => argv.reduce((args, arg, i) => {
+  if (arg.startsWith('--')) {
+    const next = argv[i + 1];
+    args[arg.slice(2)] = next && !next.startsWith('--') ? next : true;
+  }
+  return args;
+}, {});
+
+// Flags given without a value mean the latest templates
+const versionsArg = value => (typeof value === 'string' ? value : '');
+
+const writeJson = (file, result) => (file
+  ? fs.writeFile(file, `${JSON.stringify(result, null, 2)}\n`)
+  : Promise.resolve());
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const goals = typeof args.goal === 'string' ? args.goal.split(',') : [];
+  const transcripts = await loadTranscripts(undefined, goals);
+  // Provider call logs would drown the report
+  logger.level = 'warn';
+
+  if (args.baseline || args.candidate) {
+    const baseline = await runEvaluation({ transcripts, templateVersions: versionsArg(args.baseline) });
+    const candidate = await runEvaluation({ transcripts, templateVersions: versionsArg(args.candidate) });
+    const diff = compareRuns(baseline, candidate);
+    console.log(formatComparison(diff));
+    await writeJson(args.json, { baseline, candidate, diff });
+    process.exitCode = diff.regressions.length ? 1 : 0;
+    return;
+  }
+
+  const run = await runEvaluation({
+    transcripts,
+    templateVersions: versionsArg(args.versions),
+    provider: typeof args.record === 'string' ? args.record : undefined
+  });
+  console.log(formatRun(run));
+  await writeJson(args.json, run);
+  if (run.provider === args.record) {
+    await saveRecordings(transcripts, run);
+    console.log(`Recorded ${run.turns.filter(turn => turn.source === 'live').length} replies`);
+  }
+  process.exitCode = run.summary.passed === run.summary.total ? 0 : 1;
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
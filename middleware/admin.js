@@ -0,0 +1,33 @@
+const User = require('../models/User');
+const { logger } = require('../config/db');
+
+// Use after auth. The role is read from the database rather than the token so
+// revoking admin access takes effect immediately.
+module.exports = async function(req, res, next) {
+  try {
+    const user = await User.findById(req.user.id).select('role isActive').lean();
+
+    if (!user || !user.isActive || user.role !== 'admin') {
+      logger.warn('Admin access denied', {
+        userId: req.user.id,
+        path: req.path,
+        ip: req.ip
+      });
+      return res.status(403).json({
+        error: 'Admin access required',
+        code: 'ADMIN_REQUIRED'
+      });
+    }
+
+    next();
+  } catch (err) {
+    logger.error('Admin check error', {
+      error: err.message,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      error: 'Server error checking permissions',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
@@ -8,6 +8,19 @@ if (!JWT_SECRET) {
   process.exit(1);
 }
 
+// Decode a bearer token for transports without express (e.g. Socket.IO).
+// Throws when the token is missing, invalid or expired.
+const verifyToken = (token) => {
+  if (!token) {
+    throw new Error('No token provided');
+  }
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (!decoded.user || !decoded.user.id) {
+    throw new Error('Token has no user');
+  }
+  return decoded.user;
+};
+
 module.exports = function(req, res, next) {
   // Get token from header
   const authHeader = req.header('Authorization');
@@ -108,3 +121,5 @@ module.exports = function(req, res, next) {
     });
   }
 };
+
+module.exports.verifyToken = verifyToken;
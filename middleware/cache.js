@@ -16,8 +16,10 @@ const cacheMiddleware = (duration = 300) => {
       return next();
     }
 
-    // Create cache key from URL and query parameters
-    const key = `__express__${req.originalUrl || req.url}`;
+    // Create cache key from URL and query parameters. Responses for a signed-in
+    // user are keyed by their id so they are never served to anyone else.
+    const owner = req.user ? `${req.user.id}:` : '';
+    const key = `__express__${owner}${req.originalUrl || req.url}`;
     
     // Check if response is cached
     const cachedResponse = cache.get(key);
@@ -31,9 +33,11 @@ const cacheMiddleware = (duration = 300) => {
 
     // Override send function to cache response
     res.json = function(body) {
-      // Cache the response
-      cache.set(key, body, duration);
-      logger.info('Cache miss - storing response', { key, path: req.path, ttl: duration });
+      // Cache successful responses only; hits are replayed with status 200
+      if (res.statusCode < 400) {
+        cache.set(key, body, duration);
+        logger.info('Cache miss - storing response', { key, path: req.path, ttl: duration });
+      }
       
       // Call original send function
       return originalSend.call(this, body);
@@ -43,17 +47,21 @@ const cacheMiddleware = (duration = 300) => {
   };
 };
 
+// Remove cached responses whose key contains pattern
+const deleteCacheKeys = (pattern) => {
+  const keys = cache.keys();
+  const matchingKeys = keys.filter(key => key.includes(pattern));
+
+  if (matchingKeys.length > 0) {
+    cache.del(matchingKeys);
+    logger.info('Cache invalidated', { pattern, keys: matchingKeys });
+  }
+};
+
 // Cache invalidation middleware
 const invalidateCache = (pattern) => {
   return (req, res, next) => {
-    const keys = cache.keys();
-    const matchingKeys = keys.filter(key => key.includes(pattern));
-    
-    if (matchingKeys.length > 0) {
-      cache.del(matchingKeys);
-      logger.info('Cache invalidated', { pattern, keys: matchingKeys });
-    }
-    
+    deleteCacheKeys(pattern);
     next();
   };
 };
@@ -96,6 +104,7 @@ module.exports = {
   cache,
   cacheMiddleware,
   invalidateCache,
+  deleteCacheKeys,
   getCacheStats,
   clearCache,
   cacheHealth
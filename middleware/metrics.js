@@ -50,6 +50,80 @@ const memoryUsage = new promClient.Gauge({
   labelNames: ['type']
 });
 
+const safetyEventsTotal = new promClient.Counter({
+  name: 'safety_events_total',
+  help: 'Chat messages flagged by the safety classifier',
+  labelNames: ['risk_level', 'classifier']
+});
+
+// Custom goals are reported as goal="custom" to keep label cardinality bounded
+const chatFeedbackTotal = new promClient.Counter({
+  name: 'chat_feedback_total',
+  help: 'Ratings submitted for assistant messages',
+  labelNames: ['rating', 'goal', 'provider']
+});
+
+const aiTokensTotal = new promClient.Counter({
+  name: 'ai_tokens_total',
+  help: 'Tokens used by AI provider calls (reported by the provider or estimated)',
+  labelNames: ['provider', 'model', 'type']
+});
+
+const aiCostUsdTotal = new promClient.Counter({
+  name: 'ai_cost_usd_total',
+  help: 'Estimated AI provider cost in US dollars',
+  labelNames: ['provider', 'model']
+});
+
+const usageQuotaExceededTotal = new promClient.Counter({
+  name: 'usage_quota_exceeded_total',
+  help: 'Chat requests rejected because a usage quota was reached',
+  labelNames: ['period']
+});
+
+// source is message or goal: flagged messages are still answered (with a
+// reminder to stay in role), flagged custom goals are rejected
+const promptInjectionDetectedTotal = new promClient.Counter({
+  name: 'prompt_injection_detected_total',
+  help: 'User text flagged as a possible prompt-injection attempt',
+  labelNames: ['source']
+});
+
+// outcome is success, failure or timeout
+const aiProviderRequestDuration = new promClient.Histogram({
+  name: 'ai_provider_request_duration_seconds',
+  help: 'Duration of AI provider calls in seconds',
+  labelNames: ['provider', 'outcome'],
+  buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30]
+});
+
+const aiProviderCircuitState = new promClient.Gauge({
+  name: 'ai_provider_circuit_state',
+  help: 'AI provider circuit breaker state (0 closed, 1 half-open, 2 open)',
+  labelNames: ['provider']
+});
+
+// goal is the built-in slug or 'custom'; incognito turns carry no user
+const chatIncognitoTurnsTotal = new promClient.Counter({
+  name: 'chat_incognito_turns_total',
+  help: 'Chat turns answered in incognito mode (never stored)',
+  labelNames: ['goal', 'provider']
+});
+
+// limiter is the rate limit name (api, chat, chat-hourly), store is redis or memory
+const rateLimitExceededTotal = new promClient.Counter({
+  name: 'rate_limit_exceeded_total',
+  help: 'Requests rejected by a per-user rate limit',
+  labelNames: ['limiter', 'store']
+});
+
+// intent is what the offline responder matched (crisis, breathing, default, ...)
+const aiOfflineRepliesTotal = new promClient.Counter({
+  name: 'ai_offline_replies_total',
+  help: 'Chat replies from the offline responder because no AI provider could answer',
+  labelNames: ['intent']
+});
+
 // Register all metrics
 register.registerMetric(httpRequestDurationMicroseconds);
 register.registerMetric(httpRequestTotal);
@@ -58,6 +132,17 @@ register.registerMetric(databaseQueryDuration);
 register.registerMetric(cacheHitRatio);
 register.registerMetric(activeConnections);
 register.registerMetric(memoryUsage);
+register.registerMetric(safetyEventsTotal);
+register.registerMetric(chatFeedbackTotal);
+register.registerMetric(aiTokensTotal);
+register.registerMetric(aiCostUsdTotal);
+register.registerMetric(usageQuotaExceededTotal);
+register.registerMetric(promptInjectionDetectedTotal);
+register.registerMetric(aiProviderRequestDuration);
+register.registerMetric(aiProviderCircuitState);
+register.registerMetric(rateLimitExceededTotal);
+register.registerMetric(chatIncognitoTurnsTotal);
+register.registerMetric(aiOfflineRepliesTotal);
 
 // Metrics middleware
 const metricsMiddleware = (req, res, next) => {
@@ -158,14 +243,22 @@ const metricsEndpoint = async (req, res) => {
 // Health check endpoint with metrics
 const healthCheckWithMetrics = async (req, res) => {
   try {
+    // Required here: services/ai itself records into the metrics above
+    const { getProviderHealth, getProviderOrder } = require('../services/ai');
+    const aiProviders = getProviderHealth();
+    // Degraded when no provider in the configured order can be tried; replies
+    // then come from the offline responder
+    const usable = getProviderOrder().length > 0;
+
     const healthData = {
-      status: 'healthy',
+      status: usable ? 'healthy' : 'degraded',
       timestamp: new Date().toISOString(),
       version: '2.0.0',
       environment: process.env.NODE_ENV || 'development',
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       database: 'connected',
+      aiProviders,
       metrics: {
         cacheHitRatio: cacheHitRatio.get(),
         activeConnections: activeConnections.get(),
@@ -202,5 +295,16 @@ module.exports = {
   databaseQueryDuration,
   cacheHitRatio,
   activeConnections,
-  memoryUsage
+  memoryUsage,
+  safetyEventsTotal,
+  chatFeedbackTotal,
+  aiTokensTotal,
+  aiCostUsdTotal,
+  usageQuotaExceededTotal,
+  promptInjectionDetectedTotal,
+  aiProviderRequestDuration,
+  aiProviderCircuitState,
+  rateLimitExceededTotal,
+  chatIncognitoTurnsTotal,
+  aiOfflineRepliesTotal
 };
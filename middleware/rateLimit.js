@@ -0,0 +1,175 @@
+// Per-user rate limits. Requests are counted per signed-in user (per IP when
+// signed out), separately for each limit. Counts live in Redis when REDIS_URL
+// is set, so every instance shares them, and in memory otherwise or while
+// Redis is unreachable.
+const rateLimit = require('express-rate-limit');
+const { verifyToken } = require('./auth');
+const { rateLimitExceededTotal } = require('./metrics');
+const { getRedisClient } = require('../config/redis');
+const { logger } = require('../config/db');
+
+const { MemoryStore } = rateLimit;
+
+// max can be overridden per limit through its env variable
+const LIMITS = {
+  api: {
+    windowMs: 15 * 60 * 1000,
+    max: process.env.NODE_ENV === 'production' ? 100 : 1000,
+    env: 'RATE_LIMIT_API_MAX',
+    message: 'Too many requests, please try again later.'
+  },
+  // Each chat message, regenerate and edit is an AI call
+  chat: {
+    windowMs: 60 * 1000,
+    max: 10,
+    env: 'RATE_LIMIT_CHAT_MAX',
+    message: 'You are sending messages too quickly. Please wait a moment.'
+  },
+  'chat-hourly': {
+    windowMs: 60 * 60 * 1000,
+    max: 120,
+    env: 'RATE_LIMIT_CHAT_HOURLY_MAX',
+    message: 'You have sent a lot of messages this hour. Please take a break and try again later.'
+  }
+};
+
+const CHAT_LIMITS = ['chat', 'chat-hourly'];
+
+const getLimit = (name) => {
+  const configured = parseInt(process.env[LIMITS[name].env], 10);
+  return configured > 0 ? configured : LIMITS[name].max;
+};
+
+const storeName = () => (getRedisClient() ? 'redis' : 'memory');
+
+// express-rate-limit store: a fixed window per key in Redis, or in the
+// library's MemoryStore when Redis is missing or a command fails
+class RateLimitStore {
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.prefix = 'ratelimit:';
+    // Counts are shared between instances through Redis
+    this.localKeys = false;
+    this.memory = new MemoryStore();
+    this.memory.init({ windowMs });
+  }
+
+  async increment(key) {
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const redisKey = `${this.prefix}${key}`;
+        const [totalHits, ttl] = await redis.multi().incr(redisKey).pTTL(redisKey).exec();
+        // The first hit of a window starts its expiry
+        if (ttl < 0) {
+          await redis.pExpire(redisKey, this.windowMs);
+        }
+        return { totalHits, resetTime: new Date(Date.now() + (ttl > 0 ? ttl : this.windowMs)) };
+      } catch (error) {
+        logger.warn('Rate limit store error, counting in memory', { error: error.message });
+      }
+    }
+    return this.memory.increment(key);
+  }
+
+  async decrement(key) {
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        await redis.decr(`${this.prefix}${key}`);
+        return;
+      } catch (error) {
+        logger.warn('Rate limit store error, counting in memory', { error: error.message });
+      }
+    }
+    await this.memory.decrement(key);
+  }
+
+  async resetKey(key) {
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        await redis.del(`${this.prefix}${key}`);
+      } catch (error) {
+        logger.warn('Rate limit store error', { error: error.message });
+      }
+    }
+    await this.memory.resetKey(key);
+  }
+}
+
+// One store per limit, shared by the express middleware and consumeRateLimit
+const stores = Object.fromEntries(Object.entries(LIMITS)
+  .map(([name, { windowMs }]) => [name, new RateLimitStore(windowMs)]));
+
+// Signed-in users are counted by id even where auth has not run yet, so
+// people behind one shared address do not use up each other's allowance
+const clientKey = (req) => {
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    try {
+      return `user:${verifyToken(header.slice(7)).id}`;
+    } catch (error) {
+      // Invalid tokens are counted by address; auth rejects them later
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+const retryAfterSeconds = (resetTime) => Math.max(1, Math.ceil((new Date(resetTime).getTime() - Date.now()) / 1000));
+
+const createRateLimiter = (name) => rateLimit({
+  windowMs: LIMITS[name].windowMs,
+  limit: () => getLimit(name),
+  // Sets RateLimit-* on every response and Retry-After on 429s
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: stores[name],
+  keyGenerator: req => `${name}:${clientKey(req)}`,
+  handler: (req, res) => {
+    const retryAfter = retryAfterSeconds(req.rateLimit.resetTime);
+    rateLimitExceededTotal.inc({ limiter: name, store: storeName() });
+    logger.warn('Rate limit exceeded', {
+      limiter: name,
+      client: clientKey(req),
+      path: req.originalUrl,
+      retryAfter
+    });
+    res.status(429).json({ error: LIMITS[name].message, code: 'RATE_LIMITED', retryAfter });
+  }
+});
+
+// Counts a request made outside express (a Socket.IO chat message) against
+// the same limits. Resolves to null, or { error, retryAfter } once one is hit.
+// Limits are checked in order; a rejected request is not counted further.
+const consumeRateLimit = (names, userId) => names.reduce((previous, name) => previous.then(async (limited) => {
+  if (limited) {
+    return limited;
+  }
+  const { totalHits, resetTime } = await stores[name].increment(`${name}:user:${userId}`);
+  if (totalHits > getLimit(name)) {
+    rateLimitExceededTotal.inc({ limiter: name, store: storeName() });
+    logger.warn('Rate limit exceeded', { limiter: name, client: `user:${userId}`, transport: 'socket' });
+    return { error: LIMITS[name].message, retryAfter: retryAfterSeconds(resetTime) };
+  }
+  return null;
+}), Promise.resolve(null));
+
+// Every /api route, and the stricter AI reply routes
+const apiLimiter = createRateLimiter('api');
+const chatLimiter = CHAT_LIMITS.map(createRateLimiter);
+
+module.exports = {
+  LIMITS,
+  CHAT_LIMITS,
+  RateLimitStore,
+  getLimit,
+  clientKey,
+  createRateLimiter,
+  consumeRateLimit,
+  apiLimiter,
+  chatLimiter
+};
@@ -1,5 +1,71 @@
 const mongoose = require('mongoose');
 
+// A tool the companion called in an assistant message (see services/tools).
+// Client tools are 'delivered' with the reply; the rest stay 'pending' until
+// the user confirms (then 'completed' or 'failed') or declines them.
+const ToolCallSchema = new mongoose.Schema({
+    name: String,
+    arguments: mongoose.Schema.Types.Mixed,
+    status: {
+        type: String,
+        enum: ['delivered', 'pending', 'confirmed', 'declined', 'completed', 'failed']
+    },
+    result: mongoose.Schema.Types.Mixed, // What the app needs to carry it out, or what it produced
+    error: String,
+    resolvedAt: Date
+});
+
+const MessageSchema = new mongoose.Schema({
+    role: String, // 'user' or 'assistant'
+    content: String,
+    provider: String, // AI provider that produced an assistant message
+    model: String,
+    promptVersion: String, // Prompt template id@version behind an assistant message
+    tone: String, // Detected for user messages
+    language: String, // ISO 639-1 code, detected for user messages
+    exercise: { // Set on messages that belong to a guided exercise
+        sessionId: mongoose.Schema.Types.ObjectId,
+        exerciseId: String,
+        stepId: String
+    },
+    roleplay: { // Set on messages that belong to a role-play
+        sessionId: mongoose.Schema.Types.ObjectId,
+        scenarioId: String,
+        turn: Number // Index of the reply in the session; null on a pause
+    },
+    safety: { // Classifier result for user messages
+        riskLevel: String,
+        categories: [String]
+    },
+    toolCalls: {
+        type: [ToolCallSchema],
+        default: undefined
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// An earlier version of the conversation after parentMessageId. Only branches
+// whose parent is on the active path (messages) can be switched to; the rest
+// come back into reach when the branch holding their parent is restored.
+const BranchSchema = new mongoose.Schema({
+    parentMessageId: { // null when the branch starts at the first message
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    messages: [MessageSchema],
+    reason: {
+        type: String,
+        enum: ['regenerate', 'edit', 'switch']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 const ConversationSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -10,20 +76,89 @@ const ConversationSchema = new mongoose.Schema({
         type: String,
         required: true
     },
-    messages: [
-        {
-            role: String, // 'user' or 'ai'
-            content: String,
-            timestamp: {
-                type: Date,
-                default: Date.now
-            }
+    title: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    titleSource: { // 'generated' titles are never written over one the user set
+        type: String,
+        enum: ['generated', 'user']
+    },
+    tags: [{
+        type: String,
+        lowercase: true,
+        trim: true,
+        maxlength: 30
+    }],
+    pinned: {
+        type: Boolean,
+        default: false
+    },
+    pinnedAt: Date,
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    archivedAt: Date,
+    lastMessageAt: Date, // Set on every saved turn; drives the "recent" sort
+    activeExercise: { // ExerciseSession that answers chat turns until it completes or is paused
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ExerciseSession',
+        default: null
+    },
+    activeRoleplay: { // RoleplaySession whose character answers chat turns until it completes or is paused
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoleplaySession',
+        default: null
+    },
+    messages: [MessageSchema], // Active path
+    branches: [BranchSchema],
+    summary: { // Rolling summary of messages[0, messageCount)
+        content: String,
+        messageCount: {
+            type: Number,
+            default: 0
+        },
+        provider: String,
+        updatedAt: Date
+    },
+    memoryExtraction: { // Facts about the user were last looked for in messages[0, messageCount)
+        messageCount: {
+            type: Number,
+            default: 0
+        },
+        updatedAt: Date
+    },
+    safety: {
+        flagged: {
+            type: Boolean,
+            default: false
+        },
+        flaggedAt: Date,
+        highestRisk: String,
+        reviewStatus: {
+            type: String,
+            enum: ['pending', 'reviewed'],
+            default: undefined
         }
-    ],
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+ConversationSchema.index({ 'safety.flagged': 1, 'safety.flaggedAt': -1 });
+// Conversation list: pinned first, then by activity, within archived/active
+ConversationSchema.index({ userId: 1, archived: 1, pinned: -1, lastMessageAt: -1 });
+ConversationSchema.index({ userId: 1, tags: 1 });
+// Full-text search over message content. Messages carry an ISO 'language'
+// field that MongoDB would otherwise read as the text index language and
+// reject for unsupported codes, so the override points at an unused field.
+ConversationSchema.index(
+    { 'messages.content': 'text' },
+    { name: 'messages_text', language_override: 'textLanguage' }
+);
+
 module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const AnswerSchema = new mongoose.Schema({
+    stepId: {
+        type: String,
+        required: true
+    },
+    value: mongoose.Schema.Types.Mixed, // String, Number or [String] depending on the step
+    messageId: mongoose.Schema.Types.ObjectId, // The user message that answered the step
+    answeredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// One run through a guided exercise (services/exercises). Unfinished sessions
+// can be resumed later, in the same or another conversation.
+const ExerciseSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    conversationId: { // Where the session was last active
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    exerciseId: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in-progress', 'completed'],
+        default: 'in-progress'
+    },
+    stepIndex: { // Index of the step awaiting an answer
+        type: Number,
+        default: 0
+    },
+    answers: [AnswerSchema],
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+ExerciseSessionSchema.index({ userId: 1, status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('ExerciseSession', ExerciseSessionSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A user's rating of one assistant message. The provider, model and prompt
+// version are copied from the message so quality can be compared across them.
+const FeedbackSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    rating: {
+        type: String,
+        enum: ['up', 'down'],
+        required: true
+    },
+    reasons: [String], // Tags from services/feedback.js REASON_TAGS
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+        default: ''
+    },
+    goal: String,
+    provider: String,
+    model: String,
+    promptVersion: String
+}, {
+    timestamps: true
+});
+
+// Rating a message again replaces the earlier rating
+FeedbackSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+FeedbackSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Feedback', FeedbackSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// User-defined conversation goal. Built-in goals live in services/goals.js.
+const GoalSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    slug: { // Stored on conversations as their goal
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    title: {
+        type: String,
+        required: [true, 'Title is required'],
+        trim: true,
+        maxlength: [80, 'Title cannot exceed 80 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description cannot exceed 300 characters'],
+        default: ''
+    },
+    tone: { // e.g. 'gentle', 'encouraging', 'playful'
+        type: String,
+        trim: true,
+        maxlength: [50, 'Tone cannot exceed 50 characters'],
+        default: ''
+    },
+    instructions: { // Added to the system prompt for this goal
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Instructions cannot exceed 1000 characters'],
+        default: ''
+    },
+    icon: {
+        type: String,
+        default: '✨'
+    }
+}, {
+    timestamps: true
+});
+
+GoalSchema.index({ userId: 1, slug: 1 }, { unique: true });
+
+module.exports = mongoose.model('Goal', GoalSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Anonymous daily count of incognito chat turns. There is deliberately no
+// userId: incognito turns can be counted but never traced back to anyone.
+const IncognitoStatSchema = new mongoose.Schema({
+    day: { // YYYY-MM-DD (UTC)
+        type: String,
+        required: true
+    },
+    goal: { // Built-in goal slug, or 'custom' for any user-defined goal
+        type: String,
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    turns: {
+        type: Number,
+        default: 0
+    },
+    crisisTurns: { // Turns answered with crisis resources
+        type: Number,
+        default: 0
+    }
+});
+
+IncognitoStatSchema.index({ day: 1, goal: 1, provider: 1 }, { unique: true });
+
+module.exports = mongoose.model('IncognitoStat', IncognitoStatSchema);
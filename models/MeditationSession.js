@@ -20,6 +20,15 @@ const MeditationSessionSchema = new mongoose.Schema({
     },
     notes: {
         type: String
+    },
+    source: { // 'chat' when the companion logged it after the user confirmed
+        type: String,
+        enum: ['manual', 'chat'],
+        default: 'manual'
+    },
+    conversationId: { // Conversation a chat-logged session came from
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation'
     }
 });
 
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Something the companion remembers about the user across conversations.
+// Facts found in conversations start out 'proposed' and are only used in
+// prompts once the user confirms them; facts the user adds are confirmed.
+const MemoryFactSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    category: {
+        type: String,
+        enum: ['preference', 'trigger', 'person', 'other'],
+        default: 'other'
+    },
+    content: { // Third person, e.g. "The user's sister is called Anna"
+        type: String,
+        required: [true, 'Content is required'],
+        trim: true,
+        maxlength: [200, 'Content cannot exceed 200 characters']
+    },
+    status: {
+        type: String,
+        enum: ['proposed', 'confirmed'],
+        default: 'proposed'
+    },
+    source: { // 'conversation' (extracted) or 'user' (added in the profile)
+        type: String,
+        enum: ['conversation', 'user'],
+        default: 'conversation'
+    },
+    conversationId: { // Where an extracted fact came from
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation'
+    },
+    confirmedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: Date
+});
+
+MemoryFactSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MemoryFact', MemoryFactSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const SkillScoresSchema = new mongoose.Schema({
+    politeness: Number, // 0-100
+    clarity: Number,
+    empathy: Number
+}, { _id: false });
+
+const TurnSchema = new mongoose.Schema({
+    reply: String, // What the user said
+    line: String, // What the character said back
+    messageId: mongoose.Schema.Types.ObjectId, // The user message holding the reply
+    scores: SkillScoresSchema,
+    feedback: [String], // What worked and what to try, as shown to the user
+    answeredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// One run through a role-play scenario (services/roleplay). The scene is kept
+// here so the character can carry on after a pause, in the same or another
+// conversation; scores feed the user's per-skill progress.
+const RoleplaySessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    conversationId: { // Where the session was last active
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    scenarioId: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in-progress', 'completed'],
+        default: 'in-progress'
+    },
+    turns: [TurnSchema],
+    scores: SkillScoresSchema, // Averages over the turns, set on completion
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+RoleplaySessionSchema.index({ userId: 1, status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('RoleplaySession', RoleplaySessionSchema);
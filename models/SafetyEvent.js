@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One record per risky chat turn. Message content is deliberately not copied
+// here; reviewers follow conversationId/messageId back to the source.
+const SafetyEventSchema = new mongoose.Schema({
+    userId: { // Left out for incognito turns
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required() {
+            return !this.incognito;
+        }
+    },
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation'
+    },
+    messageId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    riskLevel: {
+        type: String,
+        enum: ['moderate', 'high'],
+        required: true
+    },
+    categories: [String],
+    classifier: { // 'keyword', 'provider' or 'keyword+provider'
+        type: String,
+        required: true
+    },
+    region: {
+        type: String,
+        default: null
+    },
+    incognito: { // Anonymous: no user, conversation or message to follow
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+SafetyEventSchema.index({ createdAt: -1 });
+SafetyEventSchema.index({ riskLevel: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SafetyEvent', SafetyEventSchema);
@@ -13,6 +13,25 @@ const SettingsSchema = new mongoose.Schema({
     notifications: {
         type: Boolean,
         default: true
+    },
+    aiProvider: { // 'auto' follows the server's configured provider order
+        type: String,
+        enum: ['auto', 'openai', 'anthropic', 'gemini', 'local'],
+        default: 'auto'
+    },
+    piiRedaction: { // Replace personal details with placeholders before messages reach an AI provider
+        type: Boolean,
+        default: true
+    },
+    memory: { // Remember confirmed facts about the user across conversations and propose new ones
+        type: Boolean,
+        default: true
+    },
+    region: { // ISO country code used to pick crisis resources
+        type: String,
+        uppercase: true,
+        match: /^[A-Z]{2}$/,
+        default: null
     }
 });
 
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One access attempt through a share link. The viewer is anonymous, so only
+// the outcome and a truncated user agent are kept.
+const AccessSchema = new mongoose.Schema({
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    outcome: {
+        type: String,
+        enum: ['viewed', 'passcode-required', 'invalid-passcode', 'locked', 'expired', 'revoked']
+    },
+    userAgent: String
+}, { _id: false });
+
+// Read-only link to one conversation (or some of its messages) for someone
+// without an account, such as a therapist. Only a hash of the token is stored;
+// the token itself is shown to the owner once, when the link is created.
+const ShareLinkSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Label cannot exceed 100 characters'],
+        default: ''
+    },
+    passcodeHash: String, // bcrypt; unset when the link has no passcode
+    messageIds: [mongoose.Schema.Types.ObjectId], // Empty shares the whole active path
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    failedAttempts: { // Wrong passcodes; the link locks at MAX_PASSCODE_ATTEMPTS
+        type: Number,
+        default: 0
+    },
+    lastAccessedAt: Date,
+    accessLog: [AccessSchema] // Newest last, capped at ACCESS_LOG_LIMIT
+}, {
+    timestamps: true
+});
+
+ShareLinkSchema.index({ userId: 1, conversationId: 1, createdAt: -1 });
+// Expired links (and their access logs) are removed 30 days after expiry
+ShareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ShareLink', ShareLinkSchema);
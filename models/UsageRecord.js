@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// AI usage per user, provider, model and UTC day. Each reply increments the
+// matching record, so quota checks read at most one month of small documents.
+const UsageRecordSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    model: {
+        type: String,
+        default: 'unknown'
+    },
+    day: { // YYYY-MM-DD (UTC)
+        type: String,
+        required: true
+    },
+    month: { // YYYY-MM (UTC)
+        type: String,
+        required: true
+    },
+    requests: {
+        type: Number,
+        default: 0
+    },
+    inputTokens: {
+        type: Number,
+        default: 0
+    },
+    outputTokens: {
+        type: Number,
+        default: 0
+    },
+    estimatedRequests: { // Requests whose tokens were estimated locally
+        type: Number,
+        default: 0
+    },
+    costUsd: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+UsageRecordSchema.index({ userId: 1, day: 1, provider: 1, model: 1 }, { unique: true });
+UsageRecordSchema.index({ userId: 1, month: 1 });
+
+module.exports = mongoose.model('UsageRecord', UsageRecordSchema);
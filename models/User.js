@@ -29,6 +29,11 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  role: { // Admins can read cross-user reports
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
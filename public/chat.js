@@ -3,18 +3,26 @@
 class CalmCompanionChat {
     constructor() {
         this.currentGoal = null;
+        this.goals = {};
         this.conversationHistory = [];
         this.currentConversationId = null;
         this.isLoading = false;
+        this.streamController = null;
         this.userProfile = null;
         this.apiBaseUrl = 'http://localhost:5000/api';
         this.retryAttempts = 0;
         this.maxRetries = 3;
+        this.maxRetryAfterSeconds = 30;
         this.isRecording = false;
         this.speechRecognition = null;
         this.speechSynthesis = window.speechSynthesis;
         this.voiceEnabled = false;
         this.voices = [];
+        this.meditationTimer = null;
+        this.incognito = false;
+        this.incognitoHistory = [];
+        this.maxIncognitoHistory = 20;
+        this.maxIncognitoContent = 4000;
         this.init();
     }
 
@@ -171,8 +179,10 @@ class CalmCompanionChat {
         }
 
         document.getElementById('send-btn').addEventListener('click', () => this.sendMessage());
+        document.getElementById('stop-btn').addEventListener('click', () => this.cancelStream());
         document.getElementById('voice-btn').addEventListener('click', () => this.toggleRecording());
         document.getElementById('voice-toggle').addEventListener('change', (e) => this.toggleVoiceOutput(e.target.checked));
+        document.getElementById('incognito-toggle').addEventListener('change', (e) => this.toggleIncognito(e.target.checked));
         
         // Custom goal modal listeners
         document.getElementById('create-goal-btn').addEventListener('click', () => this.showCustomGoalModal());
@@ -184,6 +194,7 @@ class CalmCompanionChat {
         this.currentGoal = goal;
         this.currentConversationId = null;
         this.conversationHistory = [];
+        this.incognitoHistory = [];
 
         document.getElementById('welcome-section').style.display = 'none';
         document.getElementById('chat-container').style.display = 'flex';
@@ -194,8 +205,9 @@ class CalmCompanionChat {
             document.getElementById('current-goal-text').textContent = goalButton.querySelector('h4').textContent;
         } else {
             // Handle custom goal
-            document.getElementById('current-goal-icon').textContent = '✨';
-            document.getElementById('current-goal-text').textContent = goal;
+            const customGoal = this.goals[goal];
+            document.getElementById('current-goal-icon').textContent = customGoal ? customGoal.icon : '✨';
+            document.getElementById('current-goal-text').textContent = customGoal ? customGoal.title : goal;
         }
         
         const messagesArea = document.getElementById('messages-area');
@@ -212,7 +224,8 @@ class CalmCompanionChat {
             'emotional-support': "I'm here to provide emotional support and understanding. Share what's on your mind, and I'll listen with care.",
             'stress-relief': "Let's work on stress relief techniques together. I'll help you learn calming strategies and mindfulness practices."
         };
-        const message = welcomeMessages[goal] || `I'm here to help you with your goal: "${goal}". Let's begin.`;
+        const title = this.goals[goal] ? this.goals[goal].title : goal;
+        const message = welcomeMessages[goal] || `I'm here to help you with your goal: "${title}". Let's begin.`;
         this.addAIMessage(message);
     }
 
@@ -236,50 +249,225 @@ class CalmCompanionChat {
         input.value = '';
         this.updateCharCount(0);
         
-        this.setLoading(true);
+        this.setStreaming(true);
         
         try {
-            const response = await this.getAIResponseWithRetry(message);
-            this.addAIMessage(response.response);
-            this.currentConversationId = response.conversationId;
+            let response;
+            if (this.supportsStreaming()) {
+                response = await this.streamAIResponse(message);
+            } else {
+                response = await this.getAIResponseWithRetry(message);
+                this.addAIMessage(response.response);
+            }
+            this.updateToneIndicator(response.tone);
+            if (this.incognito) {
+                this.rememberIncognitoTurn(message, response);
+            } else {
+                this.currentConversationId = response.conversationId;
+                await this.refreshConversation();
+            }
+            this.runClientTools(response.toolCalls || []);
             this.loadUserProfile();
             this.retryAttempts = 0;
         } catch (error) {
-            console.error('Error getting AI response:', error);
-            this.showError('I\'m sorry, I\'m having trouble responding right now. Please try again.');
+            if (error.status === 429) {
+                this.showError(error.message);
+            } else if (error.name !== 'AbortError') {
+                console.error('Error getting AI response:', error);
+                this.showError('I\'m sorry, I\'m having trouble responding right now. Please try again.');
+            }
         } finally {
-            this.setLoading(false);
+            this.setStreaming(false);
+        }
+    }
+
+    supportsStreaming() {
+        return typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+    }
+
+    // Streams the reply from the SSE endpoint. The server only saves the turn
+    // once the stream completes, so a cancelled reply is never persisted.
+    async streamAIResponse(message) {
+        const token = localStorage.getItem('token');
+        this.streamController = new AbortController();
+
+        const response = await fetch(`${this.apiBaseUrl}/chat/stream`, {
+            method: 'POST',
+            signal: this.streamController.signal,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify(this.chatRequestBody(message))
+        });
+
+        if (!response.ok) {
+            throw await this.responseError(response);
+        }
+
+        const messageDiv = this.createMessageElement('', 'ai');
+        const textElement = messageDiv.querySelector('.message-content p');
+        document.getElementById('messages-area').appendChild(messageDiv);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let result = null;
+
+        try {
+            while (!result) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split('\n\n');
+                buffer = events.pop();
+
+                for (const rawEvent of events) {
+                    const { event, data } = this.parseServerEvent(rawEvent);
+                    if (event === 'token') {
+                        text += data.token;
+                        textElement.textContent = text;
+                        this.scrollToBottom();
+                    } else if (event === 'done') {
+                        result = data;
+                    } else if (event === 'error') {
+                        throw new Error(data.error || 'Failed to get response');
+                    }
+                }
+            }
+        } catch (error) {
+            if (error.name === 'AbortError' && text) {
+                messageDiv.classList.add('stopped');
+            } else {
+                messageDiv.remove();
+            }
+            throw error;
+        } finally {
+            this.streamController = null;
+        }
+
+        if (!result) {
+            messageDiv.remove();
+            throw new Error('Response stream ended unexpectedly');
+        }
+
+        textElement.textContent = result.response;
+        if (result.safety) {
+            messageDiv.classList.add('crisis-message');
+        }
+        if (result.offline) {
+            messageDiv.classList.add('offline-message');
+        }
+        this.conversationHistory.push({ role: 'ai', content: result.response, timestamp: result.timestamp });
+        if (this.voiceEnabled) {
+            this.speak(result.response);
+        }
+        return result;
+    }
+
+    parseServerEvent(rawEvent) {
+        let event = 'message';
+        let data = '';
+        rawEvent.split('\n').forEach(line => {
+            if (line.startsWith('event: ')) {
+                event = line.slice(7);
+            } else if (line.startsWith('data: ')) {
+                data += line.slice(6);
+            }
+        });
+        return { event, data: data ? JSON.parse(data) : {} };
+    }
+
+    cancelStream() {
+        if (this.streamController) {
+            this.streamController.abort();
         }
     }
 
+    // Rate-limited requests wait as long as the server's Retry-After asks,
+    // unless that is longer than maxRetryAfterSeconds
     async getAIResponseWithRetry(message) {
-        while (this.retryAttempts < this.maxRetries) {
+        this.retryAttempts = 0;
+        while (true) {
             try {
                 return await this.getAIResponseFromServer(message);
             } catch (error) {
                 this.retryAttempts++;
-                if (this.retryAttempts >= this.maxRetries) throw error;
-                await new Promise(resolve => setTimeout(resolve, 1000 * this.retryAttempts));
+                if (this.retryAttempts >= this.maxRetries || error.status === 401 || error.status === 403) throw error;
+                if (error.status === 429) {
+                    if (!error.retryAfter || error.retryAfter > this.maxRetryAfterSeconds) throw error;
+                    this.showError(`${error.message} Retrying in ${error.retryAfter} seconds...`);
+                    await new Promise(resolve => setTimeout(resolve, error.retryAfter * 1000));
+                    this.hideError();
+                } else {
+                    await new Promise(resolve => setTimeout(resolve, 1000 * this.retryAttempts));
+                }
             }
         }
     }
 
+    // Error carrying the HTTP status and, for 429s, the Retry-After seconds
+    async responseError(response) {
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 401 || response.status === 403) this.logout();
+        const error = new Error(data.error || 'Failed to get response');
+        error.status = response.status;
+        error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || data.retryAfter || null;
+        return error;
+    }
+
     async getAIResponseFromServer(message) {
         const token = localStorage.getItem('token');
         const response = await this.makeRequest(`${this.apiBaseUrl}/chat`, {
             method: 'POST',
             headers: { 'Authorization': `Bearer ${token}` },
-            body: JSON.stringify({ message, goal: this.currentGoal, conversationId: this.currentConversationId })
+            body: JSON.stringify(this.chatRequestBody(message))
         });
 
         if (!response.ok) {
-            const error = await response.json();
-            if (response.status === 401 || response.status === 403) this.logout();
-            throw new Error(error.error || 'Failed to get response');
+            throw await this.responseError(response);
         }
         return response.json();
     }
 
+    // Incognito messages carry the earlier turns instead of a conversation id
+    chatRequestBody(message) {
+        if (this.incognito) {
+            return { message, goal: this.currentGoal, incognito: true, history: this.incognitoHistory };
+        }
+        return { message, goal: this.currentGoal, conversationId: this.currentConversationId };
+    }
+
+    // Incognito turns only live here, so there is nothing to re-render from the
+    // server; tool cards go straight onto the reply
+    rememberIncognitoTurn(message, response) {
+        // The server only reads this much of each message, so long replies are cut here too
+        const content = text => text.slice(0, this.maxIncognitoContent);
+        this.incognitoHistory.push({ role: 'user', content: content(message) }, { role: 'assistant', content: content(response.response) });
+        this.incognitoHistory = this.incognitoHistory.slice(-this.maxIncognitoHistory);
+        const replies = document.querySelectorAll('#messages-area .ai-message');
+        const reply = replies[replies.length - 1];
+        if (reply) {
+            (response.toolCalls || []).forEach(call => reply.appendChild(this.createToolCallCard(call)));
+        }
+    }
+
+    // Switching either way starts a fresh chat, so saved and incognito
+    // messages never mix
+    toggleIncognito(enabled) {
+        this.incognito = enabled;
+        this.currentConversationId = null;
+        this.conversationHistory = [];
+        this.incognitoHistory = [];
+        document.getElementById('chat-container').classList.toggle('incognito', enabled);
+        if (this.currentGoal) {
+            document.getElementById('messages-area').innerHTML = '';
+            this.showGoalWelcome(this.currentGoal);
+        }
+    }
+
     addUserMessage(text) {
         this.addMessage(text, 'user');
     }
@@ -299,10 +487,10 @@ class CalmCompanionChat {
         this.conversationHistory.push({ role: type, content: text, timestamp: new Date().toISOString() });
     }
 
-    createMessageElement(text, type) {
+    createMessageElement(text, type, timestamp) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${type}-message`;
-        const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const time = (timestamp ? new Date(timestamp) : new Date()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
         const avatar = type === 'ai' ? '🌿' : '👤';
         messageDiv.innerHTML = `
             <div class="message-avatar">${avatar}</div>
@@ -312,6 +500,292 @@ class CalmCompanionChat {
         return messageDiv;
     }
 
+    // Re-renders from the server so every message has its id, edit and
+    // regenerate actions, and a switcher where earlier versions exist
+    async refreshConversation() {
+        if (!this.currentConversationId) return;
+        try {
+            const token = localStorage.getItem('token');
+            const response = await this.makeRequest(`${this.apiBaseUrl}/chat/${this.currentConversationId}`, {
+                method: 'GET',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (response.ok) {
+                const data = await response.json();
+                this.renderConversation(data.conversation);
+            }
+        } catch (error) {
+            console.error('Error refreshing conversation:', error);
+        }
+    }
+
+    renderConversation(conversation) {
+        const messagesArea = document.getElementById('messages-area');
+        messagesArea.innerHTML = '';
+        this.conversationHistory = [];
+        const lastIndex = conversation.messages.length - 1;
+
+        conversation.messages.forEach((msg, index) => {
+            const type = msg.role === 'user' ? 'user' : 'ai';
+            const messageDiv = this.createMessageElement(msg.content, type, msg.timestamp);
+            messageDiv.dataset.messageId = msg._id;
+            if (msg.provider === 'safety') {
+                messageDiv.classList.add('crisis-message');
+            }
+            if (msg.provider === 'offline') {
+                messageDiv.classList.add('offline-message');
+            }
+
+            const branches = (conversation.branches || []).filter(branch => branch.forkIndex === index);
+            if (branches.length > 0) {
+                messageDiv.appendChild(this.createBranchSwitcher(branches));
+            }
+
+            if (type === 'user') {
+                messageDiv.appendChild(this.createMessageAction('Edit', () => this.startEdit(messageDiv, msg)));
+            } else {
+                (msg.toolCalls || []).forEach(call => messageDiv.appendChild(this.createToolCallCard(call)));
+                if (msg.provider !== 'safety') {
+                    messageDiv.appendChild(this.createFeedbackButtons(msg));
+                }
+                if (index === lastIndex) {
+                    messageDiv.appendChild(this.createMessageAction('Regenerate', () => this.regenerateReply()));
+                }
+            }
+
+            messagesArea.appendChild(messageDiv);
+            this.conversationHistory.push({ role: type, content: msg.content, timestamp: msg.timestamp });
+        });
+        this.scrollToBottom();
+    }
+
+    createMessageAction(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'message-action-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    createFeedbackButtons(msg) {
+        const container = document.createElement('span');
+        container.className = 'message-feedback';
+        [['up', '👍', 'Helpful'], ['down', '👎', 'Not helpful']].forEach(([rating, label, title]) => {
+            const button = this.createMessageAction(label, () => this.rateMessage(msg._id, rating, container));
+            button.dataset.rating = rating;
+            button.title = title;
+            container.appendChild(button);
+        });
+        return container;
+    }
+
+    async rateMessage(messageId, rating, container) {
+        try {
+            const token = localStorage.getItem('token');
+            const response = await this.makeRequest(
+                `${this.apiBaseUrl}/chat/${this.currentConversationId}/messages/${messageId}/feedback`,
+                {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${token}` },
+                    body: JSON.stringify({ rating })
+                }
+            );
+            if (!response.ok) {
+                throw new Error(`Feedback failed with status ${response.status}`);
+            }
+            container.querySelectorAll('[data-rating]').forEach(button => {
+                button.classList.toggle('selected', button.dataset.rating === rating);
+            });
+        } catch (error) {
+            console.error('Error sending feedback:', error);
+            this.showError('Could not save your feedback. Please try again.');
+        }
+    }
+
+    // Earlier versions that start at this message
+    createBranchSwitcher(branches) {
+        const switcher = document.createElement('div');
+        switcher.className = 'branch-switcher';
+        switcher.textContent = branches.length === 1 ? '1 earlier version: ' : `${branches.length} earlier versions: `;
+        branches.forEach((branch, index) => {
+            const button = this.createMessageAction(`${index + 1}`, () => this.activateBranch(branch.id));
+            button.title = branch.preview;
+            switcher.appendChild(button);
+        });
+        return switcher;
+    }
+
+    // Tools the companion called in a reply: a breathing exercise or timer to
+    // start, or a meditation log waiting for the user's answer
+    createToolCallCard(call) {
+        const card = document.createElement('div');
+        card.className = `tool-call tool-call-${call.status}`;
+        const text = document.createElement('span');
+        card.appendChild(text);
+        const { result } = call;
+
+        if (call.name === 'suggest_breathing_exercise') {
+            text.textContent = `🌬️ ${result.label}, ${result.rounds} rounds `;
+            card.appendChild(this.createMessageAction('Start', () => this.runBreathingExercise(card, result)));
+        } else if (call.name === 'start_meditation_timer') {
+            text.textContent = `⏱️ ${result.minutes}-minute timer `;
+            card.appendChild(this.createMessageAction('Start timer', () => this.startMeditationTimer(result.minutes)));
+        } else if (call.name === 'log_meditation_session') {
+            const { type, duration } = call.arguments;
+            const labels = {
+                pending: `Log a ${duration}-minute ${type} meditation? `,
+                confirmed: 'Logging your meditation...',
+                completed: `✓ ${duration}-minute ${type} meditation logged`,
+                declined: 'Meditation not logged',
+                failed: `Could not log the meditation${call.error ? `: ${call.error}` : ''}`
+            };
+            text.textContent = labels[call.status] || '';
+            if (call.status === 'pending') {
+                card.appendChild(this.createMessageAction('Log it', () => this.answerToolCall(call._id, 'confirm')));
+                card.appendChild(this.createMessageAction('Not now', () => this.answerToolCall(call._id, 'decline')));
+            }
+        }
+        return card;
+    }
+
+    // Client tools run as soon as the reply arrives; re-renders only show them
+    runClientTools(toolCalls) {
+        const timer = toolCalls.find(call => call.name === 'start_meditation_timer' && call.status === 'delivered');
+        if (timer) {
+            this.startMeditationTimer(timer.result.minutes);
+        }
+    }
+
+    async answerToolCall(toolCallId, answer) {
+        try {
+            const token = localStorage.getItem('token');
+            const response = await this.makeRequest(
+                `${this.apiBaseUrl}/chat/${this.currentConversationId}/tool-calls/${toolCallId}/${answer}`,
+                { method: 'POST', headers: { 'Authorization': `Bearer ${token}` } }
+            );
+            const data = await response.json();
+            if (!response.ok) {
+                if (response.status === 401) this.logout();
+                throw new Error(data.error || 'Request failed');
+            }
+        } catch (error) {
+            console.error('Error answering tool call:', error);
+            this.showError('I couldn\'t log that meditation. Please try again.');
+        }
+        await this.refreshConversation();
+    }
+
+    startMeditationTimer(minutes) {
+        this.stopMeditationTimer();
+        const banner = document.createElement('div');
+        banner.id = 'meditation-timer';
+        banner.className = 'meditation-timer';
+        banner.innerHTML = '<span class="meditation-timer-time"></span>';
+        banner.appendChild(this.createMessageAction('Stop', () => this.stopMeditationTimer()));
+        document.getElementById('messages-area').before(banner);
+
+        const display = banner.querySelector('.meditation-timer-time');
+        const endsAt = Date.now() + minutes * 60 * 1000;
+        const tick = () => {
+            const remaining = Math.max(0, Math.round((endsAt - Date.now()) / 1000));
+            const mins = Math.floor(remaining / 60);
+            const secs = String(remaining % 60).padStart(2, '0');
+            display.textContent = `🧘 ${mins}:${secs} `;
+            if (remaining === 0) {
+                clearInterval(this.meditationTimer);
+                this.meditationTimer = null;
+                display.textContent = '🔔 Time\'s up - take a moment before you carry on ';
+            }
+        };
+        tick();
+        this.meditationTimer = setInterval(tick, 1000);
+    }
+
+    stopMeditationTimer() {
+        clearInterval(this.meditationTimer);
+        this.meditationTimer = null;
+        const banner = document.getElementById('meditation-timer');
+        if (banner) banner.remove();
+    }
+
+    // Walks through the phases of each round, one line at a time
+    async runBreathingExercise(card, exercise) {
+        if (card.dataset.running) return;
+        card.dataset.running = 'true';
+        const guide = document.createElement('div');
+        guide.className = 'breathing-guide';
+        card.appendChild(guide);
+
+        for (let round = 1; round <= exercise.rounds; round++) {
+            for (const phase of exercise.phases) {
+                guide.textContent = `${phase.label} (${phase.seconds}s) - round ${round} of ${exercise.rounds}`;
+                await new Promise(resolve => setTimeout(resolve, phase.seconds * 1000));
+            }
+        }
+        guide.textContent = 'Well done. Notice how you feel now.';
+        delete card.dataset.running;
+    }
+
+    startEdit(messageDiv, msg) {
+        if (this.isLoading || messageDiv.querySelector('.message-edit')) return;
+        const content = messageDiv.querySelector('.message-content');
+        const editor = document.createElement('div');
+        editor.className = 'message-edit';
+        editor.innerHTML = `
+            <textarea class="chat-input" maxlength="1000">${this.escapeHtml(msg.content)}</textarea>
+            <button class="message-action-btn" data-action="save">Save and resend</button>
+            <button class="message-action-btn" data-action="cancel">Cancel</button>
+        `;
+        content.style.display = 'none';
+        content.after(editor);
+
+        editor.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+            editor.remove();
+            content.style.display = '';
+        });
+        editor.querySelector('[data-action="save"]').addEventListener('click', () => {
+            const text = editor.querySelector('textarea').value.trim();
+            if (text && text !== msg.content) {
+                this.runBranchAction(`messages/${msg._id}`, { method: 'PUT', body: JSON.stringify({ message: text }) });
+            }
+        });
+    }
+
+    regenerateReply() {
+        this.runBranchAction('regenerate', { method: 'POST' });
+    }
+
+    activateBranch(branchId) {
+        this.runBranchAction(`branches/${branchId}/activate`, { method: 'POST' });
+    }
+
+    // Regenerate, edit and branch switches all answer with the updated conversation
+    async runBranchAction(path, options) {
+        if (this.isLoading || !this.currentConversationId) return;
+        this.setLoading(true);
+        try {
+            const token = localStorage.getItem('token');
+            const response = await this.makeRequest(`${this.apiBaseUrl}/chat/${this.currentConversationId}/${path}`, {
+                ...options,
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                if (response.status === 401) this.logout();
+                throw new Error(data.error || 'Request failed');
+            }
+            this.renderConversation(data.conversation);
+            if (data.tone) {
+                this.updateToneIndicator(data.tone);
+            }
+        } catch (error) {
+            console.error('Error updating conversation:', error);
+            this.showError('I\'m sorry, I couldn\'t update the conversation. Please try again.');
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -331,6 +805,30 @@ class CalmCompanionChat {
         document.getElementById('loading-overlay').style.display = loading ? 'flex' : 'none';
     }
 
+    updateToneIndicator(tone) {
+        const tones = {
+            neutral: { emoji: '😐', text: 'Neutral' },
+            friendly: { emoji: '😊', text: 'Friendly' },
+            joyful: { emoji: '😄', text: 'Joyful' },
+            sad: { emoji: '😢', text: 'Feeling down' },
+            angry: { emoji: '😠', text: 'Frustrated' },
+            stressed: { emoji: '😟', text: 'Stressed' },
+            excited: { emoji: '🤩', text: 'Excited' }
+        };
+        const display = tones[tone];
+        if (!display) return;
+        document.getElementById('tone-emoji').textContent = display.emoji;
+        document.getElementById('tone-text').textContent = display.text;
+    }
+
+    setStreaming(streaming) {
+        this.isLoading = streaming;
+        document.getElementById('send-btn').style.display = streaming ? 'none' : '';
+        document.getElementById('stop-btn').style.display = streaming ? '' : 'none';
+        document.getElementById('voice-btn').disabled = streaming;
+        document.getElementById('message-input').disabled = streaming;
+    }
+
     showError(message) {
         const errorText = document.getElementById('error-text');
         errorText.textContent = message;
@@ -469,31 +967,88 @@ class CalmCompanionChat {
         document.getElementById('custom-goal-modal').style.display = 'none';
     }
 
-    saveCustomGoal() {
+    async saveCustomGoal() {
         const input = document.getElementById('custom-goal-input');
+        const instructionsInput = document.getElementById('custom-goal-instructions');
         const goalText = input.value.trim();
-        if (goalText) {
-            let customGoals = JSON.parse(localStorage.getItem('customGoals') || '[]');
-            if (!customGoals.includes(goalText)) {
-                customGoals.push(goalText);
-                localStorage.setItem('customGoals', JSON.stringify(customGoals));
-                this.addGoalButton(goalText, true);
-            }
-            this.selectGoal(goalText);
+        if (!goalText) {
+            return;
+        }
+
+        try {
+            const goal = await this.createCustomGoal({
+                title: goalText,
+                instructions: instructionsInput.value.trim()
+            });
+            this.goals[goal.slug] = goal;
+            this.addGoalButton(goal, true);
+            this.selectGoal(goal.slug);
             this.hideCustomGoalModal();
             input.value = '';
+            instructionsInput.value = '';
+        } catch (error) {
+            console.error('Error saving custom goal:', error);
+            this.showError('Could not save your goal. Please try again.');
         }
     }
 
-    loadGoals() {
+    async createCustomGoal(goal) {
+        const token = localStorage.getItem('token');
+        const response = await this.makeRequest(`${this.apiBaseUrl}/goals`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify(goal)
+        });
+        if (!response.ok) {
+            throw new Error(`Goal creation failed with status ${response.status}`);
+        }
+        const data = await response.json();
+        return data.goal;
+    }
+
+    // Goals created before they were stored on the server
+    async migrateLocalGoals() {
+        const legacyGoals = JSON.parse(localStorage.getItem('customGoals') || '[]');
+        if (legacyGoals.length === 0) {
+            return;
+        }
+        for (const title of legacyGoals) {
+            await this.createCustomGoal({ title });
+        }
+        localStorage.removeItem('customGoals');
+    }
+
+    async loadGoals() {
         const goalOptions = document.getElementById('goal-options');
-        // Clear existing custom goals
-        goalOptions.querySelectorAll('.custom-goal').forEach(btn => btn.remove());
 
-        const customGoals = JSON.parse(localStorage.getItem('customGoals') || '[]');
-        customGoals.forEach(goal => {
-            this.addGoalButton(goal, true);
-        });
+        try {
+            await this.migrateLocalGoals();
+
+            const token = localStorage.getItem('token');
+            const response = await this.makeRequest(`${this.apiBaseUrl}/goals`, {
+                method: 'GET',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!response.ok) {
+                return;
+            }
+
+            const data = await response.json();
+            // Clear existing custom goals
+            goalOptions.querySelectorAll('.custom-goal').forEach(btn => btn.remove());
+            this.goals = {};
+            data.goals.forEach(goal => {
+                this.goals[goal.slug] = goal;
+                if (!goal.builtIn) {
+                    this.addGoalButton(goal, true);
+                }
+            });
+        } catch (error) {
+            console.error('Error loading goals:', error);
+        }
     }
 
     addGoalButton(goal, isCustom) {
@@ -509,15 +1064,15 @@ class CalmCompanionChat {
         if (isCustom) {
             button.classList.add('custom-goal');
         }
-        button.dataset.goal = goal;
+        button.dataset.goal = goal.slug;
         button.innerHTML = `
-            <span class="goal-icon">✨</span>
+            <span class="goal-icon">${this.escapeHtml(goal.icon || '✨')}</span>
             <div class="goal-content">
-                <h4>${this.escapeHtml(goal)}</h4>
-                <p>Custom goal</p>
+                <h4>${this.escapeHtml(goal.title)}</h4>
+                <p>${this.escapeHtml(goal.description || 'Custom goal')}</p>
             </div>
         `;
-        button.addEventListener('click', () => this.selectGoal(goal));
+        button.addEventListener('click', () => this.selectGoal(goal.slug));
         return button;
     }
 }
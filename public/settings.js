@@ -8,7 +8,7 @@ class Settings {
     init() {
         this.checkAuth();
         this.displayUserEmail();
-        this.loadSettings();
+        this.loadProviders().then(() => this.loadSettings());
         this.setupEventListeners();
     }
 
@@ -39,6 +39,32 @@ class Settings {
         window.location.href = 'login.html';
     }
 
+    async loadProviders() {
+        try {
+            const token = localStorage.getItem('token');
+            const response = await fetch(`${this.apiBaseUrl}/settings/providers`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (response.ok) {
+                const { providers } = await response.json();
+                const select = document.getElementById('ai-provider');
+                providers.forEach(provider => {
+                    const option = document.createElement('option');
+                    option.value = provider.name;
+                    option.textContent = provider.available ? provider.label : `${provider.label} (unavailable)`;
+                    option.disabled = !provider.available;
+                    select.appendChild(option);
+                });
+            }
+        } catch (error) {
+            console.error('Error loading AI providers:', error);
+        }
+    }
+
     async loadSettings() {
         try {
             const token = localStorage.getItem('token');
@@ -53,6 +79,9 @@ class Settings {
                 const settings = await response.json();
                 document.getElementById('notifications').value = settings.notifications;
                 document.getElementById('theme').value = settings.theme;
+                document.getElementById('ai-provider').value = settings.aiProvider || 'auto';
+                document.getElementById('pii-redaction').value = settings.piiRedaction === false ? 'off' : 'on';
+                document.getElementById('memory').value = settings.memory === false ? 'off' : 'on';
                 // Apply the theme
                 document.body.className = `${settings.theme}-theme`;
 
@@ -67,6 +96,9 @@ class Settings {
     async saveSettings() {
         const notifications = document.getElementById('notifications').value;
         const theme = document.getElementById('theme').value;
+        const aiProvider = document.getElementById('ai-provider').value;
+        const piiRedaction = document.getElementById('pii-redaction').value === 'on';
+        const memory = document.getElementById('memory').value === 'on';
 
         try {
             const token = localStorage.getItem('token');
@@ -76,7 +108,7 @@ class Settings {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${token}`
                 },
-                body: JSON.stringify({ notifications, theme })
+                body: JSON.stringify({ notifications, theme, aiProvider, piiRedaction, memory })
             });
 
             if (response.ok) {
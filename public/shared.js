@@ -0,0 +1,84 @@
+// Read-only viewer for share links. The token comes from the URL fragment,
+// so it is never sent to the server in a request line or Referer header.
+class SharedConversation {
+    constructor() {
+        this.apiBaseUrl = 'http://localhost:5000/api';
+        this.token = window.location.hash.slice(1);
+        this.init();
+    }
+
+    init() {
+        document.getElementById('passcode-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.load(document.getElementById('share-passcode').value);
+        });
+
+        if (!this.token) {
+            this.showError('This link is incomplete. Please ask for the full link again.');
+            return;
+        }
+        this.load();
+    }
+
+    async load(passcode) {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/shared`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: this.token, passcode })
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                this.render(data.conversation);
+            } else if (data.code === 'PASSCODE_REQUIRED' || data.code === 'INVALID_PASSCODE') {
+                document.getElementById('passcode-form').style.display = 'block';
+                if (data.code === 'INVALID_PASSCODE') {
+                    this.showError(data.error);
+                }
+            } else {
+                document.getElementById('passcode-form').style.display = 'none';
+                this.showError(data.error || 'This conversation could not be opened.');
+            }
+        } catch (error) {
+            console.error('Error loading shared conversation:', error);
+            this.showError('Unable to reach Calm Companion. Please try again later.');
+        }
+    }
+
+    render(conversation) {
+        document.getElementById('passcode-form').style.display = 'none';
+        document.getElementById('shared-error').style.display = 'none';
+        document.getElementById('shared-title').textContent = `🌿 ${conversation.title}`;
+        document.getElementById('shared-subtitle').textContent = conversation.scope === 'messages'
+            ? `Selected messages · ${conversation.goal}`
+            : conversation.goal;
+        document.getElementById('shared-expiry').textContent =
+            `This link expires ${new Date(conversation.expiresAt).toLocaleString()}.`;
+
+        const container = document.getElementById('shared-messages');
+        container.replaceChildren(...conversation.messages.map(message => {
+            const element = document.createElement('div');
+            element.className = `message ${message.role === 'user' ? 'user' : 'assistant'}`;
+
+            const content = document.createElement('div');
+            content.className = 'message-content';
+            content.textContent = message.content;
+
+            const timestamp = document.createElement('div');
+            timestamp.className = 'message-timestamp';
+            timestamp.textContent = new Date(message.timestamp).toLocaleString();
+
+            element.append(content, timestamp);
+            return element;
+        }));
+    }
+
+    showError(message) {
+        const element = document.getElementById('shared-error');
+        element.textContent = message;
+        element.style.display = 'block';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => new SharedConversation());
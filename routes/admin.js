@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { qualityReport } = require('../services/feedback');
+const { listTemplates } = require('../services/ai/templates');
+const { incognitoReport } = require('../services/incognito');
+const { logger } = require('../config/db');
+
+const validateDateRange = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+];
+
+// @route   GET api/admin/quality
+// @desc    Reply quality from user feedback, overall and per goal, provider and prompt version
+// @access  Admin
+router.get('/quality', auth, admin, validateDateRange, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const report = await qualityReport({
+      from: req.query.from ? new Date(req.query.from) : undefined,
+      to: req.query.to ? new Date(req.query.to) : undefined
+    });
+
+    logger.info('Quality report generated', { userId: req.user.id, total: report.overall.total });
+
+    res.json({ report });
+  } catch (err) {
+    logger.error('Quality report error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      error: 'Server error generating quality report',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// @route   GET api/admin/incognito
+// @desc    Anonymous incognito chat counts per day, goal and provider
+// @access  Admin
+router.get('/incognito', auth, admin, validateDateRange, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const report = await incognitoReport({
+      from: req.query.from ? new Date(req.query.from) : undefined,
+      to: req.query.to ? new Date(req.query.to) : undefined
+    });
+
+    res.json({ report });
+  } catch (err) {
+    logger.error('Incognito report error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      error: 'Server error generating incognito report',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// @route   GET api/admin/prompts
+// @desc    Every registered prompt template version and which one is active
+// @access  Admin
+router.get('/prompts', auth, admin, (req, res) => {
+  res.json({ templates: listTemplates() });
+});
+
+module.exports = router;
@@ -1,9 +1,44 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const { chatLimiter } = require('../middleware/rateLimit');
 const { cacheMiddleware, invalidateCache } = require('../middleware/cache');
 const Conversation = require('../models/Conversation');
+const {
+  ChatError,
+  runChatTurn,
+  runIncognitoTurn,
+  regenerateReply,
+  editMessage,
+  switchConversationBranch,
+  startExercise,
+  pauseConversationExercise,
+  startRoleplay,
+  pauseConversationRoleplay,
+  toChatResponse,
+  toIncognitoResponse,
+  toConversationResponse
+} = require('../services/chat');
+const { validateIncognitoHistory } = require('../services/incognito');
+const { SLUG_PATTERN, listGoals } = require('../services/goals');
+const {
+  EXPORT_FORMATS, CONTENT_TYPES, toExportData, renderExport, exportFilename, writeZip
+} = require('../services/export');
+const { searchConversations } = require('../services/search');
+const {
+  MAX_TAGS, MAX_TAG_LENGTH, ARCHIVE_FILTERS, LIST_SORTS,
+  invalidateConversationCache, toConversationSummary, listConversations, updateConversation
+} = require('../services/conversations');
+const { RATINGS, REASON_TAGS, rateMessage } = require('../services/feedback');
+const { toSessionResponse } = require('../services/exercises');
+const { toRoleplayResponse } = require('../services/roleplay');
+const { regionFromAcceptLanguage } = require('../services/safety/resources');
+const {
+  MAX_EXPIRY_HOURS, MAX_SHARED_MESSAGES, ShareError,
+  toShareResponse, createShare, listShares, revokeShare, deleteSharesForConversation
+} = require('../services/shares');
+const { ToolError, resolveToolCall, toToolCallResponse } = require('../services/tools');
 const { logger } = require('../config/db');
 
 // Validation middleware
@@ -14,25 +49,275 @@ const validateChatMessage = [
     .withMessage('Message must be between 1 and 1000 characters'),
   body('goal')
     .trim()
-    .isIn(['emotional-support', 'stress-relief', 'polite-greetings', 'kind-disagreement', 'respectful-questions'])
+    .matches(SLUG_PATTERN)
     .withMessage('Invalid goal specified'),
   body('conversationId')
     .optional()
     .isMongoId()
-    .withMessage('Invalid conversation ID format')
+    .withMessage('Invalid conversation ID format'),
+  body('incognito')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('incognito must be true or false')
+    .bail()
+    .custom((incognito, { req }) => !(incognito && req.body.conversationId))
+    .withMessage('Incognito messages cannot be added to a saved conversation'),
+  body('history')
+    .optional()
+    .custom(history => {
+      const error = validateIncognitoHistory(history);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    })
+];
+
+const validateExport = [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of ${EXPORT_FORMATS.join(', ')}`)
+];
+
+const validateSearch = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+  query('goal')
+    .optional()
+    .matches(SLUG_PATTERN)
+    .withMessage('Invalid goal specified'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50')
+];
+
+const validateEdit = [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Message must be between 1 and 1000 characters')
+];
+
+const validateFeedback = [
+  body('rating')
+    .isIn(RATINGS)
+    .withMessage(`Rating must be one of ${RATINGS.join(', ')}`),
+  body('reasons')
+    .optional()
+    .isArray({ max: REASON_TAGS.length })
+    .withMessage('Reasons must be a list'),
+  body('reasons.*')
+    .isIn(REASON_TAGS)
+    .withMessage(`Reasons must be from ${REASON_TAGS.join(', ')}`),
+  body('comment')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters')
+];
+
+const validateList = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50'),
+  query('archived')
+    .optional()
+    .isIn(ARCHIVE_FILTERS)
+    .withMessage(`archived must be one of ${ARCHIVE_FILTERS.join(', ')}`),
+  query('pinned')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('pinned must be true or false'),
+  query('tag')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`tag must be between 1 and ${MAX_TAG_LENGTH} characters`),
+  query('goal')
+    .optional()
+    .matches(SLUG_PATTERN)
+    .withMessage('Invalid goal specified'),
+  query('sort')
+    .optional()
+    .isIn(Object.keys(LIST_SORTS))
+    .withMessage(`sort must be one of ${Object.keys(LIST_SORTS).join(', ')}`)
+];
+
+const validateExerciseStart = [
+  body('exerciseId')
+    .if(body('sessionId').not().exists())
+    .isString()
+    .withMessage('exerciseId or sessionId is required'),
+  body('sessionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid exercise session ID format'),
+  body('conversationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid conversation ID format'),
+  body('goal')
+    .if(body('conversationId').not().exists())
+    .matches(SLUG_PATTERN)
+    .withMessage('A goal is required to start a new conversation')
+];
+
+const validateRoleplayStart = [
+  body('scenarioId')
+    .if(body('sessionId').not().exists())
+    .isString()
+    .withMessage('scenarioId or sessionId is required'),
+  body('sessionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid role-play session ID format'),
+  body('conversationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid conversation ID format'),
+  body('goal')
+    .if(body('conversationId').not().exists())
+    .matches(SLUG_PATTERN)
+    .withMessage('A goal is required to start a new conversation')
+];
+
+const validateShare = [
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: MAX_EXPIRY_HOURS })
+    .withMessage(`expiresInHours must be between 1 and ${MAX_EXPIRY_HOURS}`)
+    .toInt(),
+  body('passcode')
+    .optional()
+    .isString()
+    .isLength({ min: 4, max: 64 })
+    .withMessage('Passcode must be between 4 and 64 characters'),
+  body('messageIds')
+    .optional()
+    .isArray({ min: 1, max: MAX_SHARED_MESSAGES })
+    .withMessage(`messageIds must list between 1 and ${MAX_SHARED_MESSAGES} messages`),
+  body('messageIds.*')
+    .isMongoId()
+    .withMessage('Invalid message ID format'),
+  body('label')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label cannot exceed 100 characters')
+];
+
+const UPDATABLE_FIELDS = ['title', 'tags', 'pinned', 'archived'];
+
+const validateConversationUpdate = [
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('tags')
+    .optional()
+    .isArray({ max: MAX_TAGS })
+    .withMessage(`Tags must be a list of at most ${MAX_TAGS}`),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Each tag must be between 1 and ${MAX_TAG_LENGTH} characters`),
+  body('pinned')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('pinned must be true or false'),
+  body('archived')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('archived must be true or false')
 ];
 
+// Validation errors for the log: submitted values can hold message text
+const withoutValues = (errors) => errors.array().map(({ path, msg }) => ({ path, msg }));
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// Shared error response for routes that act on an existing conversation
+const sendConversationError = (req, res, err, action) => {
+  if (err instanceof ChatError || err instanceof ShareError || err instanceof ToolError) {
+    logger.warn(`Chat ${action} rejected`, {
+      userId: req.user.id,
+      conversationId: req.params.conversationId,
+      code: err.code
+    });
+    return res.status(err.status).json({ error: err.message, details: err.details, code: err.code });
+  }
+  logger.error(`Chat ${action} error`, {
+    error: err.message,
+    stack: err.stack,
+    userId: req.user.id,
+    conversationId: req.params.conversationId
+  });
+  res.status(500).json({
+    error: `Server error during chat ${action}`,
+    code: 'SERVER_ERROR'
+  });
+};
+
+// Incognito turns are answered from the history the client sends and never saved
+const runTurn = ({ incognito, history, conversationId, ...turn }) => (incognito
+  ? runIncognitoTurn({ ...turn, history })
+  : runChatTurn({ ...turn, conversationId }));
+
+const toTurnResponse = (turn) => (turn.conversation ? toChatResponse(turn) : toIncognitoResponse(turn));
+
+// Log metadata only; incognito turns have no conversation to name
+const turnLogFields = (turn) => (turn.conversation
+  ? { conversationId: turn.conversation._id }
+  : { incognito: true });
+
+// The token travels in the URL fragment, which browsers never send to servers
+const shareUrl = (req, token) => `${process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`}/shared.html#${token}`;
+
+// Slug -> title for built-in and the user's custom goals
+const goalTitlesFor = async (userId) => {
+  const goals = await listGoals(userId);
+  return goals.reduce((titles, goal) => ({ ...titles, [goal.slug]: goal.title }), {});
+};
+
 // @route   POST api/chat
 // @desc    Send a message and get AI response
 // @access  Private
-router.post('/', auth, validateChatMessage, async (req, res) => {
+router.post('/', auth, chatLimiter, validateChatMessage, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logger.warn('Chat message validation failed', {
         userId: req.user.id,
-        errors: errors.array()
+        errors: withoutValues(errors)
       });
       return res.status(400).json({ 
         error: 'Validation failed',
@@ -41,94 +326,667 @@ router.post('/', auth, validateChatMessage, async (req, res) => {
       });
     }
 
-    const { message, goal, conversationId } = req.body;
+    const { message, goal, conversationId, incognito, history } = req.body;
     const userId = req.user.id;
 
-    let conversation;
-    
-    // Find or create conversation
-    if (conversationId) {
-      conversation = await Conversation.findOne({ 
-        _id: conversationId, 
-        userId: userId 
+    const turn = await runTurn({
+      userId,
+      message,
+      goal,
+      conversationId,
+      incognito,
+      history,
+      region: regionFromAcceptLanguage(req.get('Accept-Language'))
+    });
+
+    logger.info('Chat message processed successfully', {
+      userId,
+      ...turnLogFields(turn),
+      messageLength: message.length,
+      goal,
+      provider: turn.aiResult.provider
+    });
+
+    res.json(toTurnResponse(turn));
+
+  } catch (err) {
+    if (err instanceof ChatError) {
+      logger.warn('Chat request rejected', {
+        userId: req.user.id,
+        conversationId: req.body.conversationId,
+        code: err.code,
+        ip: req.ip
       });
-      
-      if (!conversation) {
-        logger.warn('Conversation not found or access denied', {
-          userId,
-          conversationId,
-          ip: req.ip
-        });
-        return res.status(404).json({ 
-          error: 'Conversation not found',
-          code: 'CONVERSATION_NOT_FOUND'
-        });
-      }
-    } else {
-      // Create new conversation
-      conversation = new Conversation({ 
-        userId, 
-        goal, 
-        messages: [],
-        createdAt: new Date()
+      return res.status(err.status).json({
+        error: err.message,
+        code: err.code
       });
     }
 
-    // Add user message
-    const userMessage = {
-      role: 'user',
-      content: message,
-      timestamp: new Date()
-    };
-    
-    conversation.messages.push(userMessage);
-
-    // Generate AI response (placeholder - integrate with actual AI service)
-    const aiResponse = await generateAIResponse(message, goal, conversation.messages);
-    
-    // Add AI response
-    const aiMessage = {
-      role: 'assistant',
-      content: aiResponse,
-      timestamp: new Date()
-    };
-    
-    conversation.messages.push(aiMessage);
-
-    // Save conversation
-    await conversation.save();
+    logger.error('Chat error', { 
+      error: err.message, 
+      stack: err.stack,
+      userId: req.user.id,
+      ip: req.ip
+    });
+    res.status(500).json({ 
+      error: 'Server error during chat processing',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
 
-    // Invalidate user's conversation cache
-    invalidateCache(`conversations_${userId}`);
+// @route   POST api/chat/stream
+// @desc    Send a message and stream the AI response as Server-Sent Events
+// @access  Private
+router.post('/stream', auth, chatLimiter, validateChatMessage, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Chat stream validation failed', {
+      userId: req.user.id,
+      errors: withoutValues(errors)
+    });
+    return res.status(400).json({ 
+      error: 'Validation failed',
+      details: errors.array(),
+      code: 'VALIDATION_ERROR'
+    });
+  }
 
-    logger.info('Chat message processed successfully', {
+  const { message, goal, conversationId, incognito, history } = req.body;
+  const userId = req.user.id;
+
+  // no-transform keeps the compression middleware from buffering events
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Closing the connection before the reply is complete cancels the turn
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const turn = await runTurn({
       userId,
-      conversationId: conversation._id,
+      message,
+      goal,
+      conversationId,
+      incognito,
+      history,
+      region: regionFromAcceptLanguage(req.get('Accept-Language')),
+      signal: controller.signal,
+      onToken: token => sendEvent('token', { token })
+    });
+
+    logger.info('Chat stream completed successfully', {
+      userId,
+      ...turnLogFields(turn),
       messageLength: message.length,
-      goal
+      goal,
+      provider: turn.aiResult.provider
     });
 
-    res.json({
-      response: aiResponse,
+    sendEvent('done', toTurnResponse(turn));
+  } catch (err) {
+    if (controller.signal.aborted) {
+      logger.info('Chat stream cancelled by client', { userId, conversationId });
+      return;
+    }
+
+    if (err instanceof ChatError) {
+      sendEvent('error', { error: err.message, code: err.code });
+    } else {
+      logger.error('Chat stream error', {
+        error: err.message,
+        stack: err.stack,
+        userId,
+        ip: req.ip
+      });
+      sendEvent('error', {
+        error: 'Server error during chat processing',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  res.end();
+});
+
+// @route   POST api/chat/exercises
+// @desc    Start (exerciseId) or resume (sessionId) a guided exercise; chat messages answer its steps until it ends or is paused
+// @access  Private
+router.post('/exercises', auth, validateExerciseStart, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { exerciseId, sessionId, conversationId, goal } = req.body;
+    const { conversation, session } = await startExercise({
+      userId: req.user.id,
+      conversationId,
+      goal,
+      exerciseId,
+      sessionId
+    });
+
+    logger.info('Exercise started', {
+      userId: req.user.id,
       conversationId: conversation._id,
-      messageId: aiMessage._id,
-      timestamp: aiMessage.timestamp
+      exerciseId: session.exerciseId,
+      resumed: Boolean(sessionId)
     });
 
+    res.status(sessionId ? 200 : 201).json({
+      conversation: toConversationResponse(conversation),
+      exercise: toSessionResponse(session)
+    });
   } catch (err) {
-    logger.error('Chat error', { 
-      error: err.message, 
+    sendConversationError(req, res, err, 'exercise start');
+  }
+});
+
+// @route   POST api/chat/:conversationId/exercises/pause
+// @desc    Set the active exercise aside (it can be resumed later)
+// @access  Private
+router.post('/:conversationId/exercises/pause', auth, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.conversationId)) {
+      return res.status(400).json({ error: 'Invalid conversation ID format', code: 'INVALID_ID' });
+    }
+
+    const conversation = await pauseConversationExercise({
+      userId: req.user.id,
+      conversationId: req.params.conversationId
+    });
+
+    res.json({ conversation: toConversationResponse(conversation) });
+  } catch (err) {
+    sendConversationError(req, res, err, 'exercise pause');
+  }
+});
+
+// @route   POST api/chat/roleplay
+// @desc    Start (scenarioId) or resume (sessionId) a role-play; chat messages are scored lines in the scene until it ends or is paused
+// @access  Private
+router.post('/roleplay', auth, validateRoleplayStart, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { scenarioId, sessionId, conversationId, goal } = req.body;
+    const { conversation, session } = await startRoleplay({
+      userId: req.user.id,
+      conversationId,
+      goal,
+      scenarioId,
+      sessionId
+    });
+
+    logger.info('Role-play started', {
+      userId: req.user.id,
+      conversationId: conversation._id,
+      scenarioId: session.scenarioId,
+      resumed: Boolean(sessionId)
+    });
+
+    res.status(sessionId ? 200 : 201).json({
+      conversation: toConversationResponse(conversation),
+      roleplay: toRoleplayResponse(session)
+    });
+  } catch (err) {
+    sendConversationError(req, res, err, 'role-play start');
+  }
+});
+
+// @route   POST api/chat/:conversationId/roleplay/pause
+// @desc    Set the active role-play aside (it can be resumed later)
+// @access  Private
+router.post('/:conversationId/roleplay/pause', auth, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.conversationId)) {
+      return res.status(400).json({ error: 'Invalid conversation ID format', code: 'INVALID_ID' });
+    }
+
+    const conversation = await pauseConversationRoleplay({
+      userId: req.user.id,
+      conversationId: req.params.conversationId
+    });
+
+    res.json({ conversation: toConversationResponse(conversation) });
+  } catch (err) {
+    sendConversationError(req, res, err, 'role-play pause');
+  }
+});
+
+// @route   GET api/chat/search
+// @desc    Full-text search across the user's conversations
+//          (q, optional goal, from/to ISO dates, page, limit)
+// @access  Private
+router.get('/search', auth, validateSearch, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const userId = req.user.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { results, total } = await searchConversations({
+      userId,
+      q: req.query.q,
+      goal: req.query.goal,
+      from: req.query.from ? new Date(req.query.from) : undefined,
+      to: req.query.to ? new Date(req.query.to) : undefined,
+      page,
+      limit
+    });
+
+    logger.info('Conversation search', { userId, total, returned: results.length });
+
+    res.json({
+      results,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    logger.error('Conversation search error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      error: 'Server error searching conversations',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// @route   GET api/chat/export
+// @desc    Export all conversations as a zip (format=md|json|pdf, default md)
+// @access  Private
+router.get('/export', auth, validateExport, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const userId = req.user.id;
+    const format = req.query.format || 'md';
+    const exportedAt = new Date();
+    const goalTitles = await goalTitlesFor(userId);
+    // Streamed from a cursor so only one conversation is in memory at a time
+    const conversations = Conversation.find({ userId }).sort({ createdAt: 1 }).lean().cursor();
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="calm-companion-export-${exportedAt.toISOString().slice(0, 10)}.zip"`
+    });
+    const count = await writeZip(conversations, format, res, { exportedAt, goalTitles });
+
+    logger.info('Bulk conversation export', { userId, format, count });
+  } catch (err) {
+    logger.error('Bulk export error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id
+    });
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.status(500).json({
+      error: 'Server error exporting conversations',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// @route   GET api/chat/:conversationId/export
+// @desc    Export one conversation (format=md|json|pdf, default md)
+// @access  Private
+router.get('/:conversationId/export', auth, validateExport, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user.id;
+
+    if (!conversationId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid conversation ID format',
+        code: 'INVALID_ID'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const conversation = await Conversation.findOne({ _id: conversationId, userId }).lean();
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        code: 'CONVERSATION_NOT_FOUND'
+      });
+    }
+
+    const format = req.query.format || 'md';
+    const data = toExportData(conversation, { goalTitles: await goalTitlesFor(userId) });
+    const file = await renderExport(data, format);
+
+    logger.info('Conversation exported', { userId, conversationId, format });
+
+    res.set({
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${exportFilename(data, format)}"`
+    });
+    res.send(file);
+  } catch (err) {
+    logger.error('Export conversation error', {
+      error: err.message,
       stack: err.stack,
       userId: req.user.id,
-      ip: req.ip
+      conversationId: req.params.conversationId
     });
-    res.status(500).json({ 
-      error: 'Server error during chat processing',
+    res.status(500).json({
+      error: 'Server error exporting conversation',
       code: 'SERVER_ERROR'
     });
   }
 });
 
+// @route   POST api/chat/:conversationId/regenerate
+// @desc    Replace the last reply with a new one, keeping the old reply as a branch
+// @access  Private
+router.post('/:conversationId/regenerate', auth, chatLimiter, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    if (!isObjectId(conversationId)) {
+      return res.status(400).json({ error: 'Invalid conversation ID format', code: 'INVALID_ID' });
+    }
+
+    const turn = await regenerateReply({
+      userId: req.user.id,
+      conversationId,
+      region: regionFromAcceptLanguage(req.get('Accept-Language'))
+    });
+
+    logger.info('Chat reply regenerated', {
+      userId: req.user.id,
+      conversationId,
+      provider: turn.aiResult.provider
+    });
+
+    res.json({ ...toChatResponse(turn), conversation: toConversationResponse(turn.conversation) });
+  } catch (err) {
+    sendConversationError(req, res, err, 'regenerate');
+  }
+});
+
+// @route   PUT api/chat/:conversationId/messages/:messageId
+// @desc    Edit a user message and get a new reply; the replaced messages are kept as a branch
+// @access  Private
+router.put('/:conversationId/messages/:messageId', auth, chatLimiter, validateEdit, async (req, res) => {
+  try {
+    const { conversationId, messageId } = req.params;
+    if (!isObjectId(conversationId) || !isObjectId(messageId)) {
+      return res.status(400).json({ error: 'Invalid conversation or message ID format', code: 'INVALID_ID' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const turn = await editMessage({
+      userId: req.user.id,
+      conversationId,
+      messageId,
+      message: req.body.message,
+      region: regionFromAcceptLanguage(req.get('Accept-Language'))
+    });
+
+    logger.info('Chat message edited', {
+      userId: req.user.id,
+      conversationId,
+      provider: turn.aiResult.provider
+    });
+
+    res.json({ ...toChatResponse(turn), conversation: toConversationResponse(turn.conversation) });
+  } catch (err) {
+    sendConversationError(req, res, err, 'edit');
+  }
+});
+
+// @route   POST api/chat/:conversationId/messages/:messageId/feedback
+// @desc    Rate an assistant message (rating up|down, optional reasons and comment)
+// @access  Private
+router.post('/:conversationId/messages/:messageId/feedback', auth, validateFeedback, async (req, res) => {
+  try {
+    const { conversationId, messageId } = req.params;
+    if (!isObjectId(conversationId) || !isObjectId(messageId)) {
+      return res.status(400).json({ error: 'Invalid conversation or message ID format', code: 'INVALID_ID' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const feedback = await rateMessage({
+      userId: req.user.id,
+      conversationId,
+      messageId,
+      rating: req.body.rating,
+      reasons: req.body.reasons,
+      comment: req.body.comment
+    });
+
+    logger.info('Chat feedback recorded', {
+      userId: req.user.id,
+      conversationId,
+      rating: feedback.rating,
+      provider: feedback.provider
+    });
+
+    res.json({
+      feedback: {
+        id: feedback._id,
+        messageId: feedback.messageId,
+        rating: feedback.rating,
+        reasons: feedback.reasons,
+        comment: feedback.comment,
+        updatedAt: feedback.updatedAt
+      }
+    });
+  } catch (err) {
+    sendConversationError(req, res, err, 'feedback');
+  }
+});
+
+// @route   POST api/chat/:conversationId/branches/:branchId/activate
+// @desc    Switch the conversation to an earlier branch
+// @access  Private
+router.post('/:conversationId/branches/:branchId/activate', auth, async (req, res) => {
+  try {
+    const { conversationId, branchId } = req.params;
+    if (!isObjectId(conversationId) || !isObjectId(branchId)) {
+      return res.status(400).json({ error: 'Invalid conversation or branch ID format', code: 'INVALID_ID' });
+    }
+
+    const conversation = await switchConversationBranch({ userId: req.user.id, conversationId, branchId });
+
+    logger.info('Chat branch activated', { userId: req.user.id, conversationId, branchId });
+
+    res.json({ conversation: toConversationResponse(conversation) });
+  } catch (err) {
+    sendConversationError(req, res, err, 'branch switch');
+  }
+});
+
+// Confirming runs the tool (e.g. logs the meditation); declining just records the answer
+const answerToolCall = (confirm) => async (req, res) => {
+  try {
+    const { conversationId, toolCallId } = req.params;
+    if (!isObjectId(conversationId) || !isObjectId(toolCallId)) {
+      return res.status(400).json({ error: 'Invalid conversation or tool call ID format', code: 'INVALID_ID' });
+    }
+
+    const toolCall = await resolveToolCall({ userId: req.user.id, conversationId, toolCallId, confirm });
+
+    logger.info(`Chat tool call ${toolCall.status}`, { userId: req.user.id, conversationId, tool: toolCall.name });
+
+    res.json({ toolCall: toToolCallResponse(toolCall) });
+  } catch (err) {
+    sendConversationError(req, res, err, 'tool call');
+  }
+};
+
+// @route   POST api/chat/:conversationId/tool-calls/:toolCallId/confirm
+// @desc    Carry out an action the companion proposed, such as logging a meditation
+// @access  Private
+router.post('/:conversationId/tool-calls/:toolCallId/confirm', auth, answerToolCall(true));
+
+// @route   POST api/chat/:conversationId/tool-calls/:toolCallId/decline
+// @desc    Turn down an action the companion proposed
+// @access  Private
+router.post('/:conversationId/tool-calls/:toolCallId/decline', auth, answerToolCall(false));
+
+// @route   POST api/chat/:conversationId/shares
+// @desc    Create an expiring read-only link to the conversation or some of its messages
+// @access  Private
+router.post('/:conversationId/shares', auth, validateShare, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    if (!isObjectId(conversationId)) {
+      return res.status(400).json({ error: 'Invalid conversation ID format', code: 'INVALID_ID' });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Share validation failed', { userId: req.user.id, errors: withoutValues(errors) });
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: withoutValues(errors),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { expiresInHours, passcode, messageIds, label } = req.body;
+    const { share, token } = await createShare({
+      userId: req.user.id, conversationId, expiresInHours, passcode, messageIds, label
+    });
+
+    logger.info('Conversation share created', {
+      userId: req.user.id,
+      conversationId,
+      shareId: share._id,
+      scope: messageIds ? 'messages' : 'conversation',
+      passcode: Boolean(passcode)
+    });
+
+    // The token is only ever returned here
+    res.status(201).json({
+      share: toShareResponse(share),
+      token,
+      url: shareUrl(req, token)
+    });
+  } catch (err) {
+    sendConversationError(req, res, err, 'share');
+  }
+});
+
+// @route   GET api/chat/:conversationId/shares
+// @desc    List the conversation's share links with their access logs
+// @access  Private
+router.get('/:conversationId/shares', auth, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    if (!isObjectId(conversationId)) {
+      return res.status(400).json({ error: 'Invalid conversation ID format', code: 'INVALID_ID' });
+    }
+
+    const shares = await listShares({ userId: req.user.id, conversationId });
+
+    res.json({ shares: shares.map(toShareResponse) });
+  } catch (err) {
+    sendConversationError(req, res, err, 'share list');
+  }
+});
+
+// @route   DELETE api/chat/:conversationId/shares/:shareId
+// @desc    Revoke a share link
+// @access  Private
+router.delete('/:conversationId/shares/:shareId', auth, async (req, res) => {
+  try {
+    const { conversationId, shareId } = req.params;
+    if (!isObjectId(conversationId) || !isObjectId(shareId)) {
+      return res.status(400).json({ error: 'Invalid conversation or share ID format', code: 'INVALID_ID' });
+    }
+
+    const share = await revokeShare({ userId: req.user.id, conversationId, shareId });
+    if (!share) {
+      return res.status(404).json({ error: 'Share link not found', code: 'SHARE_NOT_FOUND' });
+    }
+
+    logger.info('Conversation share revoked', { userId: req.user.id, conversationId, shareId });
+
+    res.json({ share: toShareResponse(share) });
+  } catch (err) {
+    sendConversationError(req, res, err, 'share revoke');
+  }
+});
+
 // @route   GET api/chat/:conversationId
 // @desc    Get conversation history
 // @access  Private
@@ -168,15 +1026,7 @@ router.get('/:conversationId', auth, cacheMiddleware(300), async (req, res) => {
       messageCount: conversation.messages.length
     });
 
-    res.json({
-      conversation: {
-        id: conversation._id,
-        goal: conversation.goal,
-        messages: conversation.messages,
-        createdAt: conversation.createdAt,
-        updatedAt: conversation.updatedAt
-      }
-    });
+    res.json({ conversation: toConversationResponse(conversation) });
 
   } catch (err) {
     logger.error('Get conversation error', { 
@@ -193,41 +1043,33 @@ router.get('/:conversationId', auth, cacheMiddleware(300), async (req, res) => {
 });
 
 // @route   GET api/chat
-// @desc    Get user's conversations list
+// @desc    Get user's conversations list (filter by archived, pinned, tag, goal; sort by recent, created or title)
 // @access  Private
-router.get('/', auth, cacheMiddleware(600), async (req, res) => {
+router.get('/', auth, validateList, cacheMiddleware(600), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    // Validate pagination parameters
-    if (page < 1 || limit < 1 || limit > 50) {
-      return res.status(400).json({ 
-        error: 'Invalid pagination parameters',
-        code: 'INVALID_PAGINATION'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
       });
     }
 
-    const conversations = await Conversation.find({ userId })
-      .select('goal createdAt updatedAt messages')
-      .sort({ updatedAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean();
-
-    const total = await Conversation.countDocuments({ userId });
+    const userId = req.user.id;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
 
-    // Transform conversations to include message count and last message
-    const transformedConversations = conversations.map(conv => ({
-      id: conv._id,
-      goal: conv.goal,
-      messageCount: conv.messages.length,
-      lastMessage: conv.messages.length > 0 ? conv.messages[conv.messages.length - 1] : null,
-      createdAt: conv.createdAt,
-      updatedAt: conv.updatedAt
-    }));
+    const { conversations, total } = await listConversations({
+      userId,
+      archived: req.query.archived,
+      pinned: req.query.pinned === undefined ? undefined : req.query.pinned === 'true',
+      tag: req.query.tag,
+      goal: req.query.goal,
+      sort: req.query.sort,
+      page,
+      limit
+    });
 
     logger.info('Conversations list retrieved successfully', {
       userId,
@@ -238,7 +1080,7 @@ router.get('/', auth, cacheMiddleware(600), async (req, res) => {
     });
 
     res.json({
-      conversations: transformedConversations,
+      conversations,
       pagination: {
         page,
         limit,
@@ -262,6 +1104,62 @@ router.get('/', auth, cacheMiddleware(600), async (req, res) => {
   }
 });
 
+// @route   PUT api/chat/:conversationId
+// @desc    Rename, tag, pin or archive a conversation
+// @access  Private
+router.put('/:conversationId', auth, validateConversationUpdate, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    if (!isObjectId(conversationId)) {
+      return res.status(400).json({ error: 'Invalid conversation ID format', code: 'INVALID_ID' });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const changes = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    });
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: `Provide at least one of ${UPDATABLE_FIELDS.join(', ')}`,
+        code: 'NOTHING_TO_UPDATE'
+      });
+    }
+
+    const conversation = await updateConversation({ userId: req.user.id, conversationId, changes });
+    if (!conversation) {
+      return res.status(404).json({ 
+        error: 'Conversation not found',
+        code: 'CONVERSATION_NOT_FOUND'
+      });
+    }
+
+    logger.info('Conversation updated', { userId: req.user.id, conversationId, fields: Object.keys(changes) });
+
+    res.json({ conversation: toConversationSummary(conversation) });
+  } catch (err) {
+    logger.error('Update conversation error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id,
+      conversationId: req.params.conversationId
+    });
+    res.status(500).json({
+      error: 'Server error updating conversation',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
 // @route   DELETE api/chat/:conversationId
 // @desc    Delete a conversation
 // @access  Private
@@ -295,8 +1193,12 @@ router.delete('/:conversationId', auth, async (req, res) => {
       });
     }
 
+    // Links to a deleted conversation are deleted with it
+    await deleteSharesForConversation({ userId, conversationId });
+
     // Invalidate user's conversation cache
     invalidateCache(`conversations_${userId}`);
+    invalidateConversationCache(userId);
 
     logger.info('Conversation deleted successfully', {
       userId,
@@ -322,23 +1224,4 @@ router.delete('/:conversationId', auth, async (req, res) => {
   }
 });
 
-// AI Response Generation (placeholder - integrate with actual AI service)
-async function generateAIResponse(message, goal, conversationHistory) {
-  // This is a placeholder implementation
-  // In a real application, you would integrate with OpenAI, Gemini, or other AI services
-  
-  const responses = {
-    'emotional-support': 'I understand how you\'re feeling. It\'s completely normal to experience these emotions. Remember that you\'re not alone, and it\'s okay to feel this way.',
-    'stress-relief': 'Let\'s take a moment to breathe together. Try taking a deep breath in for 4 counts, hold for 4, and exhale for 4. This simple technique can help reduce stress.',
-    'polite-greetings': 'Hello! It\'s wonderful to meet you. I hope you\'re having a great day. How can I assist you today?',
-    'kind-disagreement': 'I appreciate your perspective, and I can see where you\'re coming from. I have a slightly different view on this, but I respect your opinion.',
-    'respectful-questions': 'That\'s an interesting point. Could you help me understand more about your perspective on this? I\'d love to learn from your experience.'
-  };
-
-  // Simulate processing time
-  await new Promise(resolve => setTimeout(resolve, 100));
-  
-  return responses[goal] || 'I\'m here to help you. How can I assist you today?';
-}
-
 module.exports = router;
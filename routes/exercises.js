@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const ExerciseSession = require('../models/ExerciseSession');
+const { SLUG_PATTERN } = require('../services/goals');
+const { listExercises, toSessionResponse } = require('../services/exercises');
+const { logger } = require('../config/db');
+
+// @route   GET api/exercises
+// @desc    Guided exercises, optionally only those suggested for a goal
+// @access  Private
+router.get('/', auth, [
+  query('goal')
+    .optional()
+    .matches(SLUG_PATTERN)
+    .withMessage('Invalid goal specified')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array(),
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  res.json({ exercises: listExercises(req.query.goal) });
+});
+
+// @route   GET api/exercises/sessions
+// @desc    The user's exercise sessions with their answers, newest first (status=in-progress to find ones to resume)
+// @access  Private
+router.get('/sessions', auth, [
+  query('status')
+    .optional()
+    .isIn(['in-progress', 'completed'])
+    .withMessage('status must be in-progress or completed')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const filter = { userId: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    const sessions = await ExerciseSession.find(filter).sort({ updatedAt: -1 }).limit(50).lean();
+
+    res.json({ sessions: sessions.map(toSessionResponse) });
+  } catch (err) {
+    logger.error('Get exercise sessions error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      error: 'Server error fetching exercise sessions',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const Goal = require('../models/Goal');
+const { BUILT_IN_SLUGS, toGoalResponse, generateSlug, listGoals } = require('../services/goals');
+const { detectInjection } = require('../services/ai/injection');
+const { promptInjectionDetectedTotal } = require('../middleware/metrics');
+const { logger } = require('../config/db');
+
+// Goal text is quoted into the system prompt, so override attempts are refused
+const notInjection = (value) => {
+  if (detectInjection(value).detected) {
+    promptInjectionDetectedTotal.inc({ source: 'goal' });
+    throw new Error('Goals cannot contain instructions to override the assistant');
+  }
+  return true;
+};
+
+// Validation middleware
+const validateGoal = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 80 })
+      .withMessage('Title must be between 1 and 80 characters')
+      .custom(notInjection),
+    body('description')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Description cannot exceed 300 characters')
+      .custom(notInjection),
+    body('tone')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Tone cannot exceed 50 characters')
+      .custom(notInjection),
+    body('instructions')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Instructions cannot exceed 1000 characters')
+      .custom(notInjection),
+    body('icon')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 8 })
+      .withMessage('Icon must be a short emoji')
+  ];
+};
+
+const EDITABLE_FIELDS = ['title', 'description', 'tone', 'instructions', 'icon'];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  logger.warn('Goal validation failed', {
+    userId: req.user.id,
+    errors: errors.array()
+  });
+  res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array(),
+    code: 'VALIDATION_ERROR'
+  });
+  return true;
+};
+
+// Built-in goals are addressed by slug and cannot be changed
+const rejectBuiltIn = (req, res) => {
+  if (!BUILT_IN_SLUGS.includes(req.params.goalId)) {
+    return false;
+  }
+  res.status(403).json({
+    error: 'Built-in goals cannot be modified',
+    code: 'GOAL_READ_ONLY'
+  });
+  return true;
+};
+
+const rejectInvalidId = (req, res) => {
+  if (req.params.goalId.match(/^[0-9a-fA-F]{24}$/)) {
+    return false;
+  }
+  res.status(400).json({
+    error: 'Invalid goal ID format',
+    code: 'INVALID_ID'
+  });
+  return true;
+};
+
+// @route   GET api/goals
+// @desc    List built-in goals followed by the user's custom goals
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const goals = await listGoals(req.user.id);
+    res.json({ goals: goals.map(toGoalResponse) });
+  } catch (err) {
+    logger.error('Get goals error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      error: 'Server error fetching goals',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// @route   POST api/goals
+// @desc    Create a custom goal
+// @access  Private
+router.post('/', auth, validateGoal(), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) {
+      return;
+    }
+
+    const userId = req.user.id;
+    const fields = {};
+    EDITABLE_FIELDS.forEach(name => {
+      if (req.body[name] !== undefined) {
+        fields[name] = req.body[name];
+      }
+    });
+
+    const goal = await Goal.create({
+      ...fields,
+      userId,
+      slug: await generateSlug(userId, fields.title)
+    });
+
+    logger.info('Custom goal created', { userId, goalId: goal._id, slug: goal.slug });
+
+    res.status(201).json({ goal: toGoalResponse(goal) });
+  } catch (err) {
+    logger.error('Create goal error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      error: 'Server error creating goal',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// @route   PUT api/goals/:goalId
+// @desc    Update a custom goal (the slug never changes, so conversations keep their goal)
+// @access  Private
+router.put('/:goalId', auth, validateGoal(true), async (req, res) => {
+  try {
+    if (rejectBuiltIn(req, res) || rejectInvalidId(req, res) || rejectInvalid(req, res)) {
+      return;
+    }
+
+    const updates = {};
+    EDITABLE_FIELDS.forEach(name => {
+      if (req.body[name] !== undefined) {
+        updates[name] = req.body[name];
+      }
+    });
+
+    const goal = await Goal.findOneAndUpdate(
+      { _id: req.params.goalId, userId: req.user.id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!goal) {
+      return res.status(404).json({
+        error: 'Goal not found',
+        code: 'GOAL_NOT_FOUND'
+      });
+    }
+
+    logger.info('Custom goal updated', { userId: req.user.id, goalId: goal._id });
+
+    res.json({ goal: toGoalResponse(goal) });
+  } catch (err) {
+    logger.error('Update goal error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id,
+      goalId: req.params.goalId
+    });
+    res.status(500).json({
+      error: 'Server error updating goal',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// @route   DELETE api/goals/:goalId
+// @desc    Delete a custom goal
+// @access  Private
+router.delete('/:goalId', auth, async (req, res) => {
+  try {
+    if (rejectBuiltIn(req, res) || rejectInvalidId(req, res)) {
+      return;
+    }
+
+    const goal = await Goal.findOneAndDelete({ _id: req.params.goalId, userId: req.user.id });
+
+    if (!goal) {
+      return res.status(404).json({
+        error: 'Goal not found',
+        code: 'GOAL_NOT_FOUND'
+      });
+    }
+
+    logger.info('Custom goal deleted', { userId: req.user.id, goalId: goal._id });
+
+    res.json({
+      message: 'Goal deleted successfully',
+      goalId: goal._id
+    });
+  } catch (err) {
+    logger.error('Delete goal error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id,
+      goalId: req.params.goalId
+    });
+    res.status(500).json({
+      error: 'Server error deleting goal',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+module.exports = router;
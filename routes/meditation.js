@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const MeditationSession = require('../models/MeditationSession');
+const { MeditationError, logSession } = require('../services/meditation');
 
 // @route   GET api/meditation
 // @desc    Get all meditation sessions for a user
@@ -17,24 +18,20 @@ router.get('/', auth, async (req, res) => {
 });
 
 // @route   POST api/meditation
-// @desc    Log a new meditation session
+// @desc    Log a new meditation session. The chat companion's
+//          log_meditation_session tool goes through the same validation.
 // @access  Private
 router.post('/', auth, async (req, res) => {
     const { type, duration, notes } = req.body;
-    const userId = req.user.id;
 
     try {
-        const newSession = new MeditationSession({
-            userId,
-            type,
-            duration,
-            notes
-        });
-
-        const session = await newSession.save();
+        const session = await logSession(req.user.id, { type, duration, notes });
         res.json(session);
 
     } catch (err) {
+        if (err instanceof MeditationError) {
+            return res.status(err.status).json({ error: err.message, details: err.details, code: err.code });
+        }
         console.error(err.message);
         res.status(500).send('Server Error');
     }
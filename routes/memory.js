@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const {
+  MEMORY_CATEGORIES, MEMORY_STATUSES, MAX_FACT_LENGTH, MemoryError,
+  toFactResponse, listFacts, addFact, updateFact, confirmFact, deleteFact, clearMemory
+} = require('../services/memory');
+const { detectInjection } = require('../services/ai/injection');
+const { promptInjectionDetectedTotal } = require('../middleware/metrics');
+const { logger } = require('../config/db');
+
+// Confirmed facts are quoted into the system prompt, so override attempts are refused
+const notInjection = (value) => {
+  if (detectInjection(value).detected) {
+    promptInjectionDetectedTotal.inc({ source: 'memory' });
+    throw new Error('Memories cannot contain instructions to override the assistant');
+  }
+  return true;
+};
+
+// Validation middleware
+const validateFact = (optional = false) => [
+  (optional ? body('content').optional() : body('content'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_FACT_LENGTH })
+    .withMessage(`Content must be between 1 and ${MAX_FACT_LENGTH} characters`)
+    .custom(notInjection),
+  body('category')
+    .optional()
+    .isIn(MEMORY_CATEGORIES)
+    .withMessage(`Category must be one of ${MEMORY_CATEGORIES.join(', ')}`)
+];
+
+const validateFactId = [
+  param('factId')
+    .isMongoId()
+    .withMessage('Invalid memory ID format')
+];
+
+const validateStatus = [
+  query('status')
+    .optional()
+    .isIn(MEMORY_STATUSES)
+    .withMessage(`status must be one of ${MEMORY_STATUSES.join(', ')}`)
+];
+
+// Logged without values: they are facts about the user
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  logger.warn('Memory validation failed', {
+    userId: req.user.id,
+    errors: errors.array().map(({ path, msg }) => ({ path, msg }))
+  });
+  res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array(),
+    code: 'VALIDATION_ERROR'
+  });
+  return true;
+};
+
+const sendMemoryError = (req, res, err, action) => {
+  if (err instanceof MemoryError) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  logger.error(`Memory ${action} error`, {
+    error: err.message,
+    stack: err.stack,
+    userId: req.user.id,
+    factId: req.params.factId
+  });
+  res.status(500).json({
+    error: `Server error during memory ${action}`,
+    code: 'SERVER_ERROR'
+  });
+};
+
+// @route   GET api/profile/memory
+// @desc    What the companion remembers about the user; proposals waiting for confirmation come first
+// @access  Private
+router.get('/', auth, validateStatus, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) {
+      return;
+    }
+    const facts = await listFacts(req.user.id, { status: req.query.status });
+    res.json({ facts: facts.map(toFactResponse), categories: MEMORY_CATEGORIES });
+  } catch (err) {
+    sendMemoryError(req, res, err, 'listing');
+  }
+});
+
+// @route   POST api/profile/memory
+// @desc    Add a fact for the companion to remember (confirmed straight away)
+// @access  Private
+router.post('/', auth, validateFact(), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) {
+      return;
+    }
+    const fact = await addFact(req.user.id, { category: req.body.category, content: req.body.content });
+    logger.info('Memory fact added', { userId: req.user.id, factId: fact._id, category: fact.category });
+    res.status(201).json({ fact: toFactResponse(fact) });
+  } catch (err) {
+    sendMemoryError(req, res, err, 'creation');
+  }
+});
+
+// @route   PUT api/profile/memory/:factId
+// @desc    Edit a fact's content or category
+// @access  Private
+router.put('/:factId', auth, validateFactId, validateFact(true), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) {
+      return;
+    }
+    const fact = await updateFact(req.user.id, req.params.factId, {
+      category: req.body.category,
+      content: req.body.content
+    });
+    logger.info('Memory fact updated', { userId: req.user.id, factId: fact._id });
+    res.json({ fact: toFactResponse(fact) });
+  } catch (err) {
+    sendMemoryError(req, res, err, 'update');
+  }
+});
+
+// @route   POST api/profile/memory/:factId/confirm
+// @desc    Confirm a proposed fact so the companion can use it
+// @access  Private
+router.post('/:factId/confirm', auth, validateFactId, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) {
+      return;
+    }
+    const fact = await confirmFact(req.user.id, req.params.factId);
+    logger.info('Memory fact confirmed', { userId: req.user.id, factId: fact._id });
+    res.json({ fact: toFactResponse(fact) });
+  } catch (err) {
+    sendMemoryError(req, res, err, 'confirmation');
+  }
+});
+
+// @route   DELETE api/profile/memory/:factId
+// @desc    Delete a fact, or turn down a proposal
+// @access  Private
+router.delete('/:factId', auth, validateFactId, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) {
+      return;
+    }
+    await deleteFact(req.user.id, req.params.factId);
+    logger.info('Memory fact deleted', { userId: req.user.id, factId: req.params.factId });
+    res.json({ message: 'Memory deleted successfully', factId: req.params.factId });
+  } catch (err) {
+    sendMemoryError(req, res, err, 'deletion');
+  }
+});
+
+// @route   DELETE api/profile/memory
+// @desc    Forget everything, or only the facts with ?status=
+// @access  Private
+router.delete('/', auth, validateStatus, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) {
+      return;
+    }
+    const deleted = await clearMemory(req.user.id, { status: req.query.status });
+    logger.info('Memory cleared', { userId: req.user.id, status: req.query.status, deleted });
+    res.json({ message: 'Memory cleared', deleted });
+  } catch (err) {
+    sendMemoryError(req, res, err, 'deletion');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const RoleplaySession = require('../models/RoleplaySession');
+const { SLUG_PATTERN } = require('../services/goals');
+const { SKILLS } = require('../services/roleplay/definitions');
+const { listScenarios, toRoleplayResponse, skillProgress } = require('../services/roleplay');
+const { logger } = require('../config/db');
+
+// @route   GET api/roleplay
+// @desc    Role-play scenarios, optionally only those suggested for a goal
+// @access  Private
+router.get('/', auth, [
+  query('goal')
+    .optional()
+    .matches(SLUG_PATTERN)
+    .withMessage('Invalid goal specified')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array(),
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  res.json({ scenarios: listScenarios(req.query.goal), skills: SKILLS });
+});
+
+// @route   GET api/roleplay/sessions
+// @desc    The user's role-play sessions with their scored turns, newest first (status=in-progress to find ones to resume)
+// @access  Private
+router.get('/sessions', auth, [
+  query('status')
+    .optional()
+    .isIn(['in-progress', 'completed'])
+    .withMessage('status must be in-progress or completed')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const filter = { userId: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    const sessions = await RoleplaySession.find(filter).sort({ updatedAt: -1 }).limit(50).lean();
+
+    res.json({ sessions: sessions.map(toRoleplayResponse) });
+  } catch (err) {
+    logger.error('Get role-play sessions error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      error: 'Server error fetching role-play sessions',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// @route   GET api/roleplay/progress
+// @desc    Per-skill scores over time across the user's role-plays
+// @access  Private
+router.get('/progress', auth, async (req, res) => {
+  try {
+    res.json(await skillProgress(req.user.id));
+  } catch (err) {
+    logger.error('Get role-play progress error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      error: 'Server error fetching role-play progress',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const Settings = require('../models/Settings');
+const { listProviders } = require('../services/ai');
 
 // @route   GET api/settings
 // @desc    Get user settings
@@ -23,15 +24,63 @@ router.get('/', auth, async (req, res) => {
     }
 });
 
+// @route   GET api/settings/providers
+// @desc    List AI providers the user can choose as their default
+// @access  Private
+router.get('/providers', auth, (req, res) => {
+    res.json({ providers: listProviders() });
+});
+
 // @route   POST api/settings
 // @desc    Update user settings
 // @access  Private
 router.post('/', auth, async (req, res) => {
-    const { theme, notifications } = req.body;
+    const { theme, notifications, aiProvider, region, piiRedaction, memory } = req.body;
     const userId = req.user.id;
 
     const settingsFields = { userId, theme, notifications };
 
+    if (aiProvider !== undefined) {
+        const validProviders = ['auto', ...listProviders().map(provider => provider.name)];
+        if (!validProviders.includes(aiProvider)) {
+            return res.status(400).json({
+                error: 'Invalid AI provider',
+                code: 'INVALID_AI_PROVIDER'
+            });
+        }
+        settingsFields.aiProvider = aiProvider;
+    }
+
+    if (piiRedaction !== undefined) {
+        if (typeof piiRedaction !== 'boolean') {
+            return res.status(400).json({
+                error: 'piiRedaction must be true or false',
+                code: 'INVALID_PII_REDACTION'
+            });
+        }
+        settingsFields.piiRedaction = piiRedaction;
+    }
+
+    if (memory !== undefined) {
+        if (typeof memory !== 'boolean') {
+            return res.status(400).json({
+                error: 'memory must be true or false',
+                code: 'INVALID_MEMORY'
+            });
+        }
+        settingsFields.memory = memory;
+    }
+
+    if (region !== undefined) {
+        if (region !== null && !/^[A-Za-z]{2}$/.test(region)) {
+            return res.status(400).json({
+                error: 'Region must be a two-letter country code',
+                code: 'INVALID_REGION'
+            });
+        }
+        settingsFields.region = region;
+    }
+
     try {
         let settings = await Settings.findOneAndUpdate(
             { userId }, 
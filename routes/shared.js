@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { ShareError, openShare } = require('../services/shares');
+const { logger } = require('../config/db');
+
+const validateOpen = [
+  body('token')
+    .isString()
+    .isLength({ min: 16, max: 128 })
+    .withMessage('A share token is required'),
+  body('passcode')
+    .optional()
+    .isString()
+    .isLength({ max: 64 })
+    .withMessage('Passcode cannot exceed 64 characters')
+];
+
+// @route   POST api/shared
+// @desc    Read a shared conversation through its link token (and passcode).
+//          POST keeps the token and passcode out of URLs and access logs.
+// @access  Public
+router.post('/', validateOpen, async (req, res) => {
+  // Shared conversations must never be cached or indexed
+  res.set({
+    'Cache-Control': 'no-store',
+    'X-Robots-Tag': 'noindex',
+    'Referrer-Policy': 'no-referrer'
+  });
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(({ path, msg }) => ({ path, msg })),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const conversation = await openShare({
+      token: req.body.token,
+      passcode: req.body.passcode,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({ conversation });
+  } catch (err) {
+    if (err instanceof ShareError) {
+      logger.warn('Shared conversation access rejected', { code: err.code, ip: req.ip });
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    logger.error('Shared conversation error', { error: err.message, stack: err.stack });
+    res.status(500).json({
+      error: 'Server error opening shared conversation',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { getUsageSummary } = require('../services/usage');
+const { logger } = require('../config/db');
+
+const remaining = (limit, used) => (limit ? Math.max(limit - used, 0) : null);
+
+// @route   GET api/usage
+// @desc    AI token usage and estimated cost for today and this month, with quota limits
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const usage = await getUsageSummary(req.user.id);
+
+    res.json({
+      ...usage,
+      remaining: {
+        dailyTokens: remaining(usage.limits.dailyTokens, usage.today.totalTokens),
+        monthlyTokens: remaining(usage.limits.monthlyTokens, usage.month.totalTokens)
+      }
+    });
+  } catch (err) {
+    logger.error('Usage summary error', {
+      error: err.message,
+      stack: err.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      error: 'Server error while loading usage',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+module.exports = router;
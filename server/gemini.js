@@ -1,6 +1,8 @@
 
 const { configureGenkit } = require('genkit');
 const { googleAI } = require('@genkit-ai/googleai');
+const { quoteBlock } = require('../services/ai/injection');
+const { renderCompanionPrompt } = require('./prompt');
 
 configureGenkit({
   plugins: [
@@ -30,20 +32,20 @@ const calmCompanionFlow = defineFlow(
     },
   },
   async ({ message, goal, tone, conversationHistory, language }) => {
-    const prompt = `
-      You are Calm Companion, a friendly and supportive AI assistant.
-      Your goal is to help the user with ${goal}.
-      The user's current tone is ${tone}.
-      Please respond in a way that is consistent with this goal and tone.
-      The user is communicating in ${language}, so please respond in ${language}.
-
-      Conversation History:
-      ${conversationHistory.map((msg) => `${msg.role}: ${msg.content}`).join('\n')}
-
-      User's message: "${message}"
-
-      Your response:
-    `;
+    // The flow takes a single prompt, so the template renders without a system role
+    const rendered = renderCompanionPrompt({ message, goal, tone, language, systemRole: false });
+    // History and message are quoted so they cannot pose as instructions
+    const history = conversationHistory
+      .map((msg) => `${msg.role === 'user' ? 'user' : 'assistant'}: ${msg.content}`)
+      .join('\n');
+    const prompt = [
+      rendered.instructions[0].content,
+      'Conversation history:',
+      quoteBlock('history', history),
+      'User\'s message:',
+      quoteBlock('message', message),
+      'Your response:'
+    ].join('\n\n');
 
     const llmResponse = await genkit.llm.generate({
       prompt: prompt,
@@ -56,6 +58,7 @@ const calmCompanionFlow = defineFlow(
     return {
       response: llmResponse.text(),
       tone: 'generated_tone', // Placeholder for now
+      promptVersion: rendered.promptVersion,
     };
   }
 );
@@ -0,0 +1,21 @@
+// The legacy adapters render the same versioned templates as services/ai,
+// so a template change or rollback applies to both servers.
+const { getTemplateForGoal, renderTemplate } = require('../services/ai/templates');
+const { injectionGuard } = require('../services/ai/injection');
+
+// language is a language name here (the legacy detection flow returns names).
+// goal comes straight from the request body; the template quotes it.
+const renderCompanionPrompt = ({ message, goal, tone, language, systemRole = true }) => {
+  const template = getTemplateForGoal(goal);
+  return renderTemplate(
+    template,
+    { goal, tone: tone || 'neutral', language: language || 'English', ...injectionGuard(template, message) },
+    { systemRole }
+  );
+};
+
+const toChatHistory = (conversationHistory = []) => conversationHistory
+  .filter(msg => msg && msg.content)
+  .map(msg => ({ role: msg.role === 'user' ? 'user' : 'assistant', content: msg.content }));
+
+module.exports = { renderCompanionPrompt, toChatHistory };
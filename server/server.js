@@ -15,6 +15,8 @@ const { admin, db } = require('./firebase'); // Import Firebase config
 const { calmCompanionFlow, toneAnalysisFlow, languageDetectionFlow } = require('./gemini');
 const { generateOpenAIResponse } = require('./openai');
 const { generateAnthropicResponse } = require('./anthropic');
+const { CircuitBreaker } = require('../services/ai/breaker');
+const offline = require('../services/ai/offline');
 
 // Configure logging (same as before)
 const logger = winston.createLogger({
@@ -242,7 +244,7 @@ app.post('/api/chat', authenticateToken, async (req, res) => {
         await conversationRef.set(conversationData);
     }
 
-    res.json({ response: aiResponse.response, conversationId: conversationRef.id });
+    res.json({ response: aiResponse.response, conversationId: conversationRef.id, offline: aiResponse.offline || undefined });
   } catch (err) {
     logger.error('Chat error', { error: err.message, stack: err.stack });
     res.status(500).json({ error: 'Server error during chat', code: 'SERVER_ERROR' });
@@ -345,8 +347,10 @@ app.get('/api/conversations', authenticateToken, async (req, res) => {
 
 // Health check and other routes (same as before)
 app.get('/api/health', (req, res) => {
+  const aiProviders = Object.keys(breakers).map(name => ({ name, circuit: breakers[name].toJSON() }));
   res.json({
-    status: 'healthy',
+    status: aiProviders.some(provider => provider.circuit.state !== 'open') ? 'healthy' : 'degraded',
+    aiProviders,
     timestamp: new Date().toISOString(),
     version: '3.1.0',
     environment: NODE_ENV,
@@ -387,22 +391,31 @@ app.use((err, req, res, next) => {
 });
 
 
-// AI Response Generation (same as before)
-async function generateAIResponse(message, goal, tone, conversationHistory, language, preferredProvider) {
-  const providers = {
-    openai: generateOpenAIResponse,
-    gemini: async (message, goal, tone, conversationHistory, language) => calmCompanionFlow.run({ message, goal, tone, conversationHistory, language }),
-    anthropic: generateAnthropicResponse,
-  };
+// AI Response Generation
+const providers = {
+  openai: generateOpenAIResponse,
+  gemini: async (message, goal, tone, conversationHistory, language) => calmCompanionFlow.run({ message, goal, tone, conversationHistory, language }),
+  anthropic: generateAnthropicResponse,
+};
 
-  const providerOrder = preferredProvider 
+// Same breakers as the main app: providers that keep failing are skipped until their cooldown passes
+const breakers = Object.fromEntries(Object.keys(providers).map(name => [name, new CircuitBreaker(name, {
+  onStateChange: state => logger.warn(`AI provider ${name} circuit is ${state}`)
+})]));
+
+async function generateAIResponse(message, goal, tone, conversationHistory, language, preferredProvider) {
+  const providerOrder = preferredProvider && providers[preferredProvider]
     ? [preferredProvider, ...Object.keys(providers).filter(p => p !== preferredProvider)]
     : Object.keys(providers);
 
   for (const provider of providerOrder) {
+    if (!breakers[provider].tryAcquire()) {
+      logger.info(`Skipping ${provider}: circuit is ${breakers[provider].getState()}`);
+      continue;
+    }
     try {
       logger.info(`Attempting to generate response with ${provider} in ${language}`);
-      const result = await providers[provider](message, goal, tone, conversationHistory, language);
+      const result = await breakers[provider].exec(() => providers[provider](message, goal, tone, conversationHistory, language));
       logger.info(`Successfully generated response with ${provider} in ${language}`);
       return { ...result, aiProvider: provider };
     } catch (error) {
@@ -413,10 +426,14 @@ async function generateAIResponse(message, goal, tone, conversationHistory, lang
     }
   }
   
+  // Same offline responder as the main app once every provider has failed
+  const { text, intent } = offline.respondOffline({ message, goal });
+  logger.warn('No AI provider could answer, replying offline', { goal, intent });
   return {
-    response: 'I am having trouble understanding you right now. Please try again later.',
-    tone: 'error',
-    aiProvider: 'none'
+    response: text,
+    tone,
+    aiProvider: offline.PROVIDER,
+    offline: true
   };
 }
 
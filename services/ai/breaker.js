@@ -0,0 +1,153 @@
+// Per-provider circuit breaker. After FAILURE_THRESHOLD consecutive failures
+// the circuit opens and the provider is skipped until the cooldown passes;
+// then a single half-open probe decides whether it closes or opens again.
+const STATES = ['closed', 'half-open', 'open'];
+
+const DEFAULT_OPTIONS = {
+  failureThreshold: 3,
+  cooldownMs: 30000,
+  timeoutMs: 20000
+};
+
+const parsePositive = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+// AI_BREAKER_FAILURE_THRESHOLD, AI_BREAKER_COOLDOWN_MS and AI_PROVIDER_TIMEOUT_MS
+// override the defaults for every provider
+const getBreakerOptions = () => ({
+  failureThreshold: parsePositive(process.env.AI_BREAKER_FAILURE_THRESHOLD) || DEFAULT_OPTIONS.failureThreshold,
+  cooldownMs: parsePositive(process.env.AI_BREAKER_COOLDOWN_MS) || DEFAULT_OPTIONS.cooldownMs,
+  timeoutMs: parsePositive(process.env.AI_PROVIDER_TIMEOUT_MS) || DEFAULT_OPTIONS.timeoutMs
+});
+
+class ProviderTimeoutError extends Error {
+  constructor(name, timeoutMs) {
+    super(`${name} did not respond within ${timeoutMs}ms`);
+    this.name = 'ProviderTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// onStateChange(state) and onResult({ outcome, durationMs }) let callers export
+// metrics without this module depending on them (the legacy server uses it too).
+class CircuitBreaker {
+  constructor(name, { onStateChange = () => {}, onResult = () => {}, now = Date.now, ...options } = {}) {
+    this.name = name;
+    this.options = { ...getBreakerOptions(), ...options };
+    this.onStateChange = onStateChange;
+    this.onResult = onResult;
+    this.now = now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  setState(state) {
+    if (state !== this.state) {
+      this.state = state;
+      this.onStateChange(state);
+    }
+  }
+
+  // Open circuits turn half-open once the cooldown has passed
+  getState() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.options.cooldownMs) {
+      this.setState('half-open');
+    }
+    return this.state;
+  }
+
+  // Whether the provider may be tried now; does not reserve the probe
+  isAllowed() {
+    const state = this.getState();
+    return state === 'closed' || (state === 'half-open' && !this.probing);
+  }
+
+  // Call before each attempt. In half-open state only one caller gets through.
+  tryAcquire() {
+    if (!this.isAllowed()) {
+      return false;
+    }
+    if (this.state === 'half-open') {
+      this.probing = true;
+    }
+    return true;
+  }
+
+  recordSuccess(durationMs) {
+    this.failures = 0;
+    this.probing = false;
+    this.openedAt = null;
+    this.lastSuccessAt = new Date(this.now());
+    this.setState('closed');
+    this.onResult({ outcome: 'success', durationMs });
+  }
+
+  recordFailure(error, durationMs) {
+    this.failures += 1;
+    this.lastError = error ? error.message : null;
+    this.lastFailureAt = new Date(this.now());
+    const wasProbe = this.probing;
+    this.probing = false;
+    if (wasProbe || this.failures >= this.options.failureThreshold) {
+      this.openedAt = this.now();
+      this.setState('open');
+    }
+    this.onResult({ outcome: error instanceof ProviderTimeoutError ? 'timeout' : 'failure', durationMs });
+  }
+
+  // For attempts the caller abandoned (e.g. the user cancelled): no verdict
+  release() {
+    this.probing = false;
+  }
+
+  // Runs fn(signal) under the timeout. The signal is aborted on timeout so
+  // adapters that accept one can stop the request.
+  async exec(fn) {
+    const controller = new AbortController();
+    const started = this.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new ProviderTimeoutError(this.name, this.options.timeoutMs));
+      }, this.options.timeoutMs);
+    });
+
+    try {
+      const result = await Promise.race([fn(controller.signal), timeout]);
+      this.recordSuccess(this.now() - started);
+      return result;
+    } catch (error) {
+      this.recordFailure(error, this.now() - started);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  toJSON() {
+    return {
+      state: this.getState(),
+      consecutiveFailures: this.failures,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.options.cooldownMs) : null
+    };
+  }
+}
+
+module.exports = {
+  STATES,
+  DEFAULT_OPTIONS,
+  getBreakerOptions,
+  ProviderTimeoutError,
+  CircuitBreaker
+};
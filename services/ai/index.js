@@ -0,0 +1,370 @@
+// AI provider registry with ordered fallback
+const { logger } = require('../../config/db');
+const { buildPrompt } = require('./prompt');
+const { getPromptTokenBudget, estimateUsage } = require('./tokens');
+const { STATES, CircuitBreaker, ProviderTimeoutError } = require('./breaker');
+const { aiProviderRequestDuration, aiProviderCircuitState, aiOfflineRepliesTotal } = require('../../middleware/metrics');
+const offline = require('./offline');
+const { checkQuota, recordUsage } = require('../usage');
+
+const providers = new Map();
+const breakers = new Map();
+
+// Register (or replace) a provider adapter.
+// Adapters expose { name, label, isAvailable(), getModel(), generate({ system, messages, goal }) }
+// and optionally an async generator stream({ system, messages, goal, signal }) yielding text.
+// Both receive a signal that aborts when the call times out or the user cancels
+// and a promptTokenBudget used to trim history. generate may return
+// usage { inputTokens, outputTokens }, and stream may report it through onUsage;
+// otherwise usage is estimated locally. Set supportsSystemRole: false
+// to receive the prompt instructions as a user turn instead of a system prompt.
+// Chat replies also pass tools [{ name, description, parameters }]; adapters
+// that support them return toolCalls [{ name, arguments }] from generate, or
+// report them through onToolCalls when streaming, and may then leave text empty.
+const createBreaker = (name) => {
+  aiProviderCircuitState.set({ provider: name }, 0);
+  return new CircuitBreaker(name, {
+    onStateChange: state => {
+      aiProviderCircuitState.set({ provider: name }, STATES.indexOf(state));
+      logger.warn(`AI provider ${name} circuit is ${state}`);
+    },
+    onResult: ({ outcome, durationMs }) => {
+      aiProviderRequestDuration.observe({ provider: name, outcome }, durationMs / 1000);
+    }
+  });
+};
+
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.generate !== 'function') {
+    throw new Error('AI provider must have a name and a generate function');
+  }
+  providers.set(provider.name, provider);
+  breakers.set(provider.name, createBreaker(provider.name));
+  return provider;
+};
+
+const unregisterProvider = (name) => {
+  breakers.delete(name);
+  return providers.delete(name);
+};
+
+const getProvider = (name) => providers.get(name) || null;
+
+const isAvailable = (provider) => {
+  try {
+    return Boolean(provider.isAvailable ? provider.isAvailable() : true);
+  } catch (error) {
+    return false;
+  }
+};
+
+const listProviders = () => Array.from(providers.values()).map(provider => ({
+  name: provider.name,
+  label: provider.label || provider.name,
+  available: isAvailable(provider)
+}));
+
+// listProviders plus each circuit breaker, for /api/health
+const getProviderHealth = () => listProviders().map(provider => ({
+  ...provider,
+  circuit: breakers.get(provider.name).toJSON()
+}));
+
+// Reply from the offline responder once every provider has failed or none
+// is reachable; marked offline so clients can tell it apart
+const offlineResponse = ({ message, goal, region }) => {
+  const { text, intent } = offline.respondOffline({ message, goal, region });
+  aiOfflineRepliesTotal.inc({ intent });
+  logger.warn('No AI provider could answer, replying offline', { goal, intent });
+  return { response: text, provider: offline.PROVIDER, model: null, offline: true, intent };
+};
+
+// Configured order, e.g. AI_PROVIDER_ORDER=anthropic,openai,gemini
+// Tests run against the deterministic local provider only.
+const getConfiguredOrder = () => {
+  if (process.env.AI_PROVIDER_ORDER) {
+    return process.env.AI_PROVIDER_ORDER.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  if (process.env.NODE_ENV === 'test') {
+    return ['local'];
+  }
+  return ['openai', 'anthropic', 'gemini'];
+};
+
+// Preferred provider first, then the configured order, skipping anything
+// unavailable or whose circuit is open
+const getProviderOrder = (preferredProvider) => {
+  const order = getConfiguredOrder();
+  const names = preferredProvider && preferredProvider !== 'auto'
+    ? [preferredProvider, ...order.filter(name => name !== preferredProvider)]
+    : order;
+
+  return names
+    .map(getProvider)
+    .filter(provider => provider && isAvailable(provider) && breakers.get(provider.name).isAllowed());
+};
+
+// Settles with promise, or rejects once signal aborts for adapters that ignore it
+const untilAborted = (promise, signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new Error('Aborted')), { once: true });
+  promise.then(resolve, reject);
+});
+
+// Calls attempt with each provider in turn until one resolves to a result;
+// resolves to null when none does. Each attempt waits for the one before.
+const firstResult = (candidates, attempt) => candidates.reduce(
+  (previous, provider) => previous.then(result => result || attempt(provider)),
+  Promise.resolve(null)
+);
+
+// Generates under the provider's breaker; an empty reply counts as a failure
+const generateWithBreaker = (provider, request) => breakers.get(provider.name).exec(async signal => {
+  const result = await provider.generate({ ...request, signal });
+  if (!result || (!result.text && !(result.toolCalls && result.toolCalls.length))) {
+    throw new Error('Empty response from provider');
+  }
+  return result;
+});
+
+const generateResponse = async ({
+  message,
+  goal,
+  goalDefinition,
+  tone = 'neutral',
+  language = 'en',
+  history = [],
+  summary,
+  memory,
+  tools,
+  preferredProvider,
+  region
+}) => {
+  // Each provider gets history trimmed to its own budget
+  const promptFor = provider => buildPrompt({
+    message, goal, goalDefinition, tone, language, history, summary, memory,
+    tokenBudget: getPromptTokenBudget(provider),
+    systemRole: provider.supportsSystemRole !== false
+  });
+
+  // Providers are tried strictly in order
+  const reply = await firstResult(getProviderOrder(preferredProvider), async provider => {
+    // Another request may have taken the half-open probe meanwhile
+    if (!breakers.get(provider.name).tryAcquire()) {
+      return null;
+    }
+    try {
+      logger.info(`Attempting to generate response with ${provider.name}`, { goal, language });
+      const { promptVersion, ...prompt } = promptFor(provider);
+      const result = await generateWithBreaker(provider, { ...prompt, goal, tools });
+      logger.info(`Successfully generated response with ${provider.name}`, { goal, language });
+      return {
+        response: result.text || '',
+        provider: provider.name,
+        model: result.model || null,
+        promptVersion,
+        toolCalls: result.toolCalls || [],
+        usage: result.usage ? { ...result.usage, estimated: false } : estimateUsage(prompt, result.text)
+      };
+    } catch (error) {
+      logger.error(`Error generating AI response with ${provider.name}`, {
+        error: error.message,
+        stack: error.stack
+      });
+      return null;
+    }
+  });
+
+  return reply || offlineResponse({ message, goal, region });
+};
+
+// Free-form completion for internal tasks (classification, analysis) that
+// need their own instructions instead of the companion prompt.
+// Resolves to { text, provider, model, usage }, or null when no provider
+// could answer. exclude skips providers (typically 'local') whose output is
+// meaningless for the task. A user whose preferredProvider is 'local' only
+// ever gets the local provider, so their text never reaches a third party.
+// With userId the call counts against that user's quota like a chat reply:
+// it is skipped (null) once the quota is used up and its usage is recorded.
+const generateText = async ({ system, prompt, preferredProvider, temperature = 0, exclude = [], userId }) => {
+  const candidates = getProviderOrder(preferredProvider)
+    .filter(provider => preferredProvider !== 'local' || provider.name === 'local')
+    .filter(provider => !exclude.includes(provider.name));
+  if (!candidates.length || (userId && (await checkQuota(userId)).exceeded)) {
+    return null;
+  }
+  const result = await firstResult(candidates, async provider => {
+    if (!breakers.get(provider.name).tryAcquire()) {
+      return null;
+    }
+    try {
+      const request = { system, messages: [{ role: 'user', content: prompt }], temperature };
+      const result = await generateWithBreaker(provider, request);
+      return {
+        text: result.text,
+        provider: provider.name,
+        model: result.model || null,
+        usage: result.usage ? { ...result.usage, estimated: false } : estimateUsage(request, result.text)
+      };
+    } catch (error) {
+      logger.error(`Error generating text with ${provider.name}`, { error: error.message });
+      return null;
+    }
+  });
+  if (result && userId) {
+    await recordUsage({ userId, provider: result.provider, model: result.model, usage: result.usage });
+  }
+  return result;
+};
+
+// Streams the reply through onToken. Falls back to the next provider only
+// while nothing has been emitted yet - a half-sent reply cannot be swapped.
+const streamResponse = async ({
+  message,
+  goal,
+  goalDefinition,
+  tone = 'neutral',
+  language = 'en',
+  history = [],
+  summary,
+  memory,
+  tools,
+  preferredProvider,
+  region
+}, { onToken = () => {}, signal } = {}) => {
+  // Each provider gets history trimmed to its own budget
+  const promptFor = provider => buildPrompt({
+    message, goal, goalDefinition, tone, language, history, summary, memory,
+    tokenBudget: getPromptTokenBudget(provider),
+    systemRole: provider.supportsSystemRole !== false
+  });
+
+  const streamed = await firstResult(getProviderOrder(preferredProvider), async provider => {
+    const breaker = breakers.get(provider.name);
+    if (!breaker.tryAcquire()) {
+      return null;
+    }
+
+    let text = '';
+    let toolCalls = [];
+    let reportedUsage = null;
+    const model = provider.getModel ? provider.getModel() : null;
+    const { promptVersion, ...prompt } = promptFor(provider);
+    // Cancelled replies still used tokens, so they report usage too
+    const usage = () => (reportedUsage ? { ...reportedUsage, estimated: false } : estimateUsage(prompt, text));
+    const aborted = () => {
+      breaker.release();
+      return { response: text, provider: provider.name, model, aborted: true, usage: usage() };
+    };
+
+    // The attempt is aborted when the caller cancels or the provider goes
+    // quiet for longer than the timeout (restarted by every token)
+    const attempt = new AbortController();
+    const cancel = () => attempt.abort();
+    let timedOut = false;
+    let timer;
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        attempt.abort();
+      }, breaker.options.timeoutMs);
+    };
+    if (signal) {
+      signal.addEventListener('abort', cancel, { once: true });
+    }
+    const started = Date.now();
+
+    try {
+      logger.info(`Attempting to stream response with ${provider.name}`, { goal, language });
+      restartTimer();
+
+      if (provider.stream) {
+        for await (const token of provider.stream({
+          ...prompt,
+          goal,
+          tools,
+          signal: attempt.signal,
+          onUsage: reported => { reportedUsage = reported; },
+          onToolCalls: calls => { toolCalls = calls; }
+        })) {
+          if (attempt.signal.aborted) {
+            break;
+          }
+          restartTimer();
+          text += token;
+          onToken(token);
+        }
+      } else {
+        const result = await untilAborted(
+          provider.generate({ ...prompt, goal, tools, signal: attempt.signal }),
+          attempt.signal
+        );
+        text = result && result.text ? result.text : '';
+        toolCalls = (result && result.toolCalls) || [];
+        reportedUsage = result && result.usage ? result.usage : null;
+        if (text && !attempt.signal.aborted) {
+          onToken(text);
+        }
+      }
+
+      if (signal && signal.aborted) {
+        return aborted();
+      }
+      if (timedOut) {
+        throw new ProviderTimeoutError(provider.name, breaker.options.timeoutMs);
+      }
+      if (!text && !toolCalls.length) {
+        throw new Error('Empty response from provider');
+      }
+
+      breaker.recordSuccess(Date.now() - started);
+      logger.info(`Successfully streamed response with ${provider.name}`, { goal, language });
+      return { response: text, provider: provider.name, model, promptVersion, toolCalls, usage: usage() };
+    } catch (error) {
+      if (signal && signal.aborted) {
+        return aborted();
+      }
+      const failure = timedOut ? new ProviderTimeoutError(provider.name, breaker.options.timeoutMs) : error;
+      breaker.recordFailure(failure, Date.now() - started);
+      logger.error(`Error streaming AI response with ${provider.name}`, {
+        error: failure.message,
+        stack: failure.stack
+      });
+      // Rejecting here stops the chain before the next provider
+      if (text) {
+        throw failure;
+      }
+      return null;
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
+    }
+  });
+  if (streamed) {
+    return streamed;
+  }
+
+  const reply = offlineResponse({ message, goal, region });
+  onToken(reply.response);
+  return reply;
+};
+
+// Built-in adapters
+registerProvider(require('./providers/openai'));
+registerProvider(require('./providers/anthropic'));
+registerProvider(require('./providers/gemini'));
+registerProvider(require('./providers/local'));
+
+module.exports = {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  getProviderHealth,
+  getProviderOrder,
+  generateResponse,
+  generateText,
+  streamResponse
+};
@@ -0,0 +1,77 @@
+// Prompt-injection defences. User-supplied text that ends up in the system
+// prompt (custom goals, summaries) is fenced in delimited blocks that it
+// cannot close, and messages that try to override the instructions are
+// flagged so the prompt can remind the model to stay in its role.
+
+// Zero-width and bidi control characters can hide instructions from readers
+const INVISIBLE = /[\u200B-\u200D\u2060\uFEFF\u202A-\u202E\u2066-\u2069]/g;
+
+// Tag-like sequences such as </goal> or <system> in user text, and
+// chat-template tokens such as <|im_start|>
+const TAG = /<(\/?\s*[a-z][\w-]*)([^<>]*)>/gi;
+const SPECIAL_TOKEN = /<\|([^<>|]*)\|>/g;
+
+const INJECTION_PATTERNS = [
+  {
+    id: 'ignore-instructions',
+    pattern: /\b(ignore|disregard|forget|override|bypass|skip)\b[^.\n]{0,30}\b(previous|prior|above|earlier|all|any|your|system|these|those)\s+(\w+\s+){0,2}(instructions?|prompts?|guidelines|directives|programming|rules)\b/i
+  },
+  {
+    id: 'reveal-prompt',
+    pattern: /\b(reveal|show|print|repeat|output|display|leak|tell me|what (is|are|was|were))\b[^.\n]{0,30}\b(system prompt|(your|the|initial|hidden|original) (instructions|prompt|guidelines))\b/i
+  },
+  {
+    id: 'role-override',
+    pattern: /\b(you are now|you're now|from now on,? you|act as|pretend (to be|you are)|role-?play as)\b[^.\n]{0,40}\b(DAN|unfiltered|uncensored|jailbroken|unrestricted|no (restrictions|rules|limits|filters)|without (restrictions|rules|limits|filters))\b/i
+  },
+  {
+    id: 'jailbreak-mode',
+    pattern: /\b(developer|god|jailbreak|DAN) mode\b|\bdo anything now\b/i
+  },
+  {
+    id: 'new-instructions',
+    pattern: /\b(new|updated|real|actual|override) (instructions|system prompt|rules)\s*:/i
+  },
+  {
+    id: 'fake-role',
+    pattern: /(^|\n)\s*(system|assistant|developer)\s*:|<\/?\s*(system|assistant|instructions?|goal|summary)\b[^>]*>|\[\/?(INST|SYS)\]|<<\/?SYS>>|<\|im_(start|end)\|>/i
+  }
+];
+
+const normalize = (text) => String(text || '')
+  .normalize('NFKC')
+  .replace(INVISIBLE, '')
+  .replace(/[ \t]+/g, ' ');
+
+// { detected, patterns } where patterns lists the matching pattern ids
+const detectInjection = (text) => {
+  const normalized = normalize(text);
+  const patterns = INJECTION_PATTERNS
+    .filter(({ pattern }) => pattern.test(normalized))
+    .map(({ id }) => id);
+  return { detected: patterns.length > 0, patterns };
+};
+
+// Tags become ‹tag› so user text can neither close its block nor open a new one
+const escapeDelimiters = (text) => String(text)
+  .replace(INVISIBLE, '')
+  .replace(TAG, '‹$1$2›')
+  .replace(SPECIAL_TOKEN, '‹|$1|›');
+
+const quoteBlock = (name, text) => `<${name}>\n${escapeDelimiters(text).trim()}\n</${name}>`;
+
+// Extra template variables for the latest message; only templates that
+// declare injectionSuspected receive it
+const injectionGuard = (template, message) => (
+  template.variables.injectionSuspected && detectInjection(message).detected
+    ? { injectionSuspected: true }
+    : {}
+);
+
+module.exports = {
+  INJECTION_PATTERNS,
+  detectInjection,
+  escapeDelimiters,
+  quoteBlock,
+  injectionGuard
+};
@@ -0,0 +1,44 @@
+// Keyword replies shared by the local provider and the offline responder, so
+// both answer breathing requests, thanks and greetings the same way.
+// Checked in order; goals limits a rule to those goals.
+
+const BREATHING_PATTERN = /\b(breathe|breathing|breath|panic( attack)?|anxious|anxiety|calm (me )?down|hyperventilat\w*)\b/i;
+
+// Matches the 'calm' pattern the local provider suggests alongside it
+const BREATHING_INSTRUCTIONS = [
+  'Let\'s slow things down together:',
+  '1. Breathe in through your nose for 4 counts.',
+  '2. Hold your breath gently for 4 counts.',
+  '3. Breathe out slowly through your mouth for 6 counts.',
+  'Repeat this four or five times, letting your shoulders drop each time you breathe out.'
+].join('\n');
+
+const KEYWORD_RULES = [
+  {
+    id: 'breathing',
+    pattern: BREATHING_PATTERN,
+    response: BREATHING_INSTRUCTIONS
+  },
+  {
+    id: 'gratitude',
+    pattern: /\b(thank you|thanks|that helped|appreciate it)\b/i,
+    response: 'You\'re very welcome. I\'m glad I could help - I\'m here whenever you need me.'
+  },
+  {
+    id: 'greeting',
+    pattern: /\b(hello|hi|hey|good (morning|afternoon|evening))\b/i,
+    goals: ['polite-greetings'],
+    response: 'Hello! That was a lovely, friendly greeting. To make it even warmer, you could add a question about the other person, like "How has your day been?"'
+  }
+];
+
+// First rule in rules that matches message and applies to goal, or null
+const matchRule = (rules, message, goal) => rules.find(rule =>
+  rule.pattern.test(message) && (!rule.goals || rule.goals.includes(goal))
+) || null;
+
+module.exports = {
+  BREATHING_PATTERN,
+  KEYWORD_RULES,
+  matchRule
+};
@@ -0,0 +1,103 @@
+// Offline responder: the last fallback when every provider has failed or none
+// is reachable. Matches the message against keyword intents and answers from
+// templates, so it needs no network. Replies end with a notice saying they
+// are offline replies.
+const { classify } = require('../safety/keywordClassifier');
+const { buildCrisisResponse } = require('../safety/resources');
+const { KEYWORD_RULES, matchRule } = require('./keywordRules');
+
+const PROVIDER = 'offline';
+
+const OFFLINE_NOTICE = '(Offline reply: I can\'t reach my usual AI service right now, so I\'m using simpler built-in replies until it\'s back.)';
+
+// The first match names the feeling in the reply
+const FEELINGS = [
+  { feeling: 'anxious', pattern: /\b(anxious|anxiety|nervous|worried|worrying|scared|afraid|on edge)\b/i },
+  { feeling: 'stressed', pattern: /\b(stress(ed|ful)?|overwhelmed|under pressure|too much)\b/i },
+  { feeling: 'low', pattern: /\b(sad|down|depressed|low|unhappy|miserable|empty|hopeless)\b/i },
+  { feeling: 'lonely', pattern: /\b(lonely|alone|isolated|left out)\b/i },
+  { feeling: 'frustrated', pattern: /\b(angry|furious|frustrat(ed|ing)|annoyed|irritated|fed up)\b/i },
+  { feeling: 'tired', pattern: /\b(tired|exhausted|drained|worn out|burn(ed|t) out)\b/i }
+];
+
+// What to offer after naming a feeling, per goal
+const FOLLOW_UPS = {
+  'stress-relief': 'A few slow breaths can help: try breathing in for 4 counts and out for 6, five times. Would you like to tell me what\'s weighing on you most?',
+  'emotional-support': 'You don\'t have to have it all figured out. Would you like to tell me a bit more about what\'s going on?'
+};
+const DEFAULT_FOLLOW_UP = 'It\'s okay to take a moment for yourself. What would help you most right now?';
+
+// Checked in order after the shared keyword rules; goals limits an intent
+// to those goals
+const INTENTS = [
+  {
+    id: 'sleep',
+    pattern: /\b(can'?t sleep|insomnia|trouble sleeping|awake all night|sleepless)\b/i,
+    reply: () => 'Sleepless nights are hard. Try putting screens away, dimming the lights and breathing out slowly for a few minutes. If your mind keeps racing, jot the thoughts down so they can wait until morning.'
+  },
+  {
+    id: 'farewell',
+    pattern: /\b(bye|goodbye|good night|goodnight|see you|talk later)\b/i,
+    reply: () => 'Take care of yourself. I\'ll be here whenever you want to talk again.'
+  },
+  {
+    id: 'feeling',
+    pattern: new RegExp(FEELINGS.map(({ pattern }) => pattern.source).join('|'), 'i'),
+    reply: ({ message, goal }) => {
+      const { feeling } = FEELINGS.find(({ pattern }) => pattern.test(message));
+      return `It sounds like you're feeling ${feeling}, and that's completely understandable. ${FOLLOW_UPS[goal] || DEFAULT_FOLLOW_UP}`;
+    }
+  },
+  {
+    id: 'greeting',
+    pattern: /\b(hello|hi|hey|good (morning|afternoon|evening))\b/i,
+    reply: () => 'Hello! It\'s good to hear from you. How are you feeling today?'
+  },
+  {
+    id: 'disagreement',
+    pattern: /\b(disagree|argument|argue|arguing|conflict|they think|wrong about)\b/i,
+    goals: ['kind-disagreement'],
+    reply: () => 'Disagreeing kindly starts with showing you\'ve heard the other view. Try: "I can see why you think that. I see it a little differently, because..." - then share your reason without judging theirs.'
+  },
+  {
+    id: 'asking',
+    pattern: /\b(how (do|can|should) i ask|question|ask (them|him|her))\b/i,
+    goals: ['respectful-questions'],
+    reply: () => 'Open questions invite people to share more. Try starting with "What" or "How", like "How did you feel about that?", and leave room for their answer before adding your own view.'
+  }
+];
+
+const GOAL_REPLIES = {
+  'emotional-support': 'I\'m here with you. Whatever you\'re feeling is valid, and you don\'t have to go through it alone. Would you like to tell me more?',
+  'stress-relief': 'Let\'s take a moment together. Try breathing in for 4 counts, holding for 4 and breathing out for 6. Notice your feet on the floor as you breathe.',
+  'polite-greetings': 'Friendly conversations often start with a simple greeting and a question about the other person. Would you like to practise one with me?',
+  'kind-disagreement': 'When you disagree, try acknowledging the other view first, then sharing your own with a reason. Would you like to practise with an example?',
+  'respectful-questions': 'Thoughtful questions are open and curious. Try one that starts with "What" or "How" - I\'d be glad to hear it.'
+};
+
+const DEFAULT_REPLY = 'I\'m here and listening. Would you like to tell me more about what\'s on your mind?';
+
+// Returns { text, intent } for message. Messages the keyword classifier
+// flags get crisis resources for region, as they would online.
+const respondOffline = ({ message, goal, region }) => {
+  const text = String(message || '');
+
+  if (classify(text).riskLevel !== 'none') {
+    return { text: `${buildCrisisResponse(region)}\n\n${OFFLINE_NOTICE}`, intent: 'crisis' };
+  }
+
+  const rule = matchRule(KEYWORD_RULES, text, goal);
+  if (rule) {
+    return { text: `${rule.response}\n\n${OFFLINE_NOTICE}`, intent: rule.id };
+  }
+
+  const intent = matchRule(INTENTS, text, goal);
+  const reply = intent ? intent.reply({ message: text, goal }) : GOAL_REPLIES[goal] || DEFAULT_REPLY;
+  return { text: `${reply}\n\n${OFFLINE_NOTICE}`, intent: intent ? intent.id : 'default' };
+};
+
+module.exports = {
+  PROVIDER,
+  OFFLINE_NOTICE,
+  respondOffline
+};
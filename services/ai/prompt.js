@@ -0,0 +1,96 @@
+// Prompt construction shared by every AI provider adapter
+const { languageName } = require('../analysis/language');
+const { estimateTokens } = require('./tokens');
+const { getTemplateForGoal, renderTemplate } = require('./templates');
+const { injectionGuard } = require('./injection');
+
+const HISTORY_LIMIT = 10;
+
+// Template variables for the goal, the user's tone and language, and the summary.
+// goalDefinition (built-in or custom goal) adds the goal's own description,
+// tone and instructions; without it only the goal slug is known.
+const templateVariables = ({ goal, goalDefinition, tone = 'neutral', language = 'en', summary }) => ({
+  goal: goalDefinition ? goalDefinition.title : goal,
+  goalDescription: goalDefinition ? goalDefinition.description : undefined,
+  goalTone: goalDefinition ? goalDefinition.tone : undefined,
+  goalInstructions: goalDefinition ? goalDefinition.instructions : undefined,
+  tone,
+  language: languageName(language),
+  summary
+});
+
+// Long-term memory facts; only templates that declare memory receive them
+const memoryVariables = (template, memory) => (template.variables.memory && memory ? { memory } : {});
+
+const buildSystemPrompt = (options) => renderTemplate(getTemplateForGoal(options.goal), templateVariables(options)).system;
+
+// Normalise stored conversation messages into provider chat turns.
+// With a token budget the newest turns that fit are kept; without one the
+// last HISTORY_LIMIT messages are.
+const toChatMessages = (history = [], tokenBudget) => {
+  const messages = history
+    .filter(msg => msg && msg.content)
+    .map(msg => ({
+      role: msg.role === 'user' ? 'user' : 'assistant',
+      content: msg.content
+    }));
+
+  if (tokenBudget === undefined) {
+    return messages.slice(-HISTORY_LIMIT);
+  }
+
+  const kept = [];
+  let remaining = tokenBudget;
+  for (let i = messages.length - 1; i >= 0; i -= 1) {
+    remaining -= estimateTokens(messages[i].content);
+    if (remaining < 0) {
+      break;
+    }
+    kept.unshift(messages[i]);
+  }
+  return kept;
+};
+
+// Renders the goal's active template. summary condenses turns no longer in
+// history and memory lists confirmed facts about the user; tokenBudget is the provider's prompt budget and only limits history -
+// the instructions and the new message are always sent. systemRole false sends
+// the instructions as a user turn for providers without a system role.
+// A message that looks like an injection attempt adds a reminder to stay in role.
+// promptVersion identifies the template version for auditing.
+const buildPrompt = ({
+  message, goal, goalDefinition, tone, language, history = [], summary, memory, tokenBudget, systemRole = true
+}) => {
+  const template = getTemplateForGoal(goal);
+  const rendered = renderTemplate(
+    template,
+    {
+      ...templateVariables({ goal, goalDefinition, tone, language, summary }),
+      ...memoryVariables(template, memory),
+      ...injectionGuard(template, message)
+    },
+    { systemRole }
+  );
+  const instructionTokens = estimateTokens(rendered.system)
+    + rendered.instructions.reduce((total, msg) => total + estimateTokens(msg.content), 0);
+  const historyBudget = tokenBudget === undefined
+    ? undefined
+    : tokenBudget - instructionTokens - estimateTokens(message);
+
+  return {
+    system: rendered.system,
+    messages: [
+      ...rendered.instructions,
+      ...toChatMessages(history, historyBudget),
+      { role: 'user', content: message }
+    ],
+    promptVersion: rendered.promptVersion
+  };
+};
+
+module.exports = {
+  HISTORY_LIMIT,
+  templateVariables,
+  buildPrompt,
+  buildSystemPrompt,
+  toChatMessages
+};
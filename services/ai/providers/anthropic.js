@@ -0,0 +1,94 @@
+// Anthropic messages API adapter
+
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    const Anthropic = require('@anthropic-ai/sdk');
+    client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  }
+  return client;
+};
+
+const getModel = () => process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+
+const toTools = (tools) => (tools && tools.length
+  ? { tools: tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters })) }
+  : {});
+
+const parseInput = (json) => {
+  try {
+    return JSON.parse(json || '{}');
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  name: 'anthropic',
+  label: 'Anthropic',
+  isAvailable: () => Boolean(process.env.ANTHROPIC_API_KEY),
+  getModel,
+  promptTokenBudget: 6000,
+  async generate({ system, messages, temperature = 0.7, maxTokens = 600, tools, signal }) {
+    const response = await getClient().messages.create({
+      model: getModel(),
+      system,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...toTools(tools)
+    }, { signal });
+
+    return {
+      text: response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      toolCalls: response.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ name: block.name, arguments: block.input })),
+      model: response.model || getModel(),
+      usage: response.usage
+        ? { inputTokens: response.usage.input_tokens, outputTokens: response.usage.output_tokens }
+        : null
+    };
+  },
+  async *stream({
+    system, messages, temperature = 0.7, maxTokens = 600, tools, signal, onUsage = () => {}, onToolCalls = () => {}
+  }) {
+    const stream = await getClient().messages.create({
+      model: getModel(),
+      system,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...toTools(tools),
+      stream: true
+    }, { signal });
+
+    // Input tokens arrive with message_start, output tokens with message_delta.
+    // A tool_use block streams its input as partial JSON, keyed by block index.
+    let inputTokens = 0;
+    const calls = new Map();
+    for await (const event of stream) {
+      if (event.type === 'message_start' && event.message.usage) {
+        inputTokens = event.message.usage.input_tokens;
+      } else if (event.type === 'message_delta' && event.usage) {
+        onUsage({ inputTokens, outputTokens: event.usage.output_tokens });
+      } else if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+        calls.set(event.index, { name: event.content_block.name, json: '' });
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+        const call = calls.get(event.index);
+        if (call) {
+          call.json += event.delta.partial_json;
+        }
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        yield event.delta.text;
+      }
+    }
+    if (calls.size) {
+      onToolCalls([...calls.values()].map(call => ({ name: call.name, arguments: parseInput(call.json) })));
+    }
+  }
+};
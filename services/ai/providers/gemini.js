@@ -0,0 +1,101 @@
+// Google Gemini adapter
+
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    client = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+  }
+  return client;
+};
+
+const getModelName = () => process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+
+const getGenerativeModel = (system) => getClient().getGenerativeModel({
+  model: getModelName(),
+  systemInstruction: system
+});
+
+// Gemini's schema has no ranges or lengths, and string enums need format 'enum'
+const toProperty = ({ type, description, enum: values }) => ({
+  type,
+  ...(description ? { description } : {}),
+  ...(values ? { format: 'enum', enum: values } : {})
+});
+
+const toTools = (tools) => (tools && tools.length
+  ? {
+    tools: [{
+      functionDeclarations: tools.map(({ name, description, parameters }) => ({
+        name,
+        description,
+        parameters: {
+          type: 'object',
+          properties: Object.fromEntries(Object.entries(parameters.properties)
+            .map(([key, property]) => [key, toProperty(property)])),
+          required: parameters.required || []
+        }
+      }))
+    }]
+  }
+  : {});
+
+const toToolCalls = (calls) => (calls || []).map(call => ({ name: call.name, arguments: call.args }));
+
+// Gemini calls the assistant role "model"
+const toContents = (messages) => messages.map(msg => ({
+  role: msg.role === 'assistant' ? 'model' : 'user',
+  parts: [{ text: msg.content }]
+}));
+
+const toUsage = (metadata) => (metadata
+  ? { inputTokens: metadata.promptTokenCount || 0, outputTokens: metadata.candidatesTokenCount || 0 }
+  : null);
+
+module.exports = {
+  name: 'gemini',
+  label: 'Google Gemini',
+  isAvailable: () => Boolean(process.env.GOOGLE_API_KEY),
+  getModel: getModelName,
+  promptTokenBudget: 6000,
+  async generate({ system, messages, temperature = 0.7, tools, signal }) {
+    const result = await getGenerativeModel(system).generateContent({
+      contents: toContents(messages),
+      generationConfig: { temperature },
+      ...toTools(tools)
+    }, { signal });
+
+    return {
+      text: result.response.text(),
+      toolCalls: toToolCalls(result.response.functionCalls()),
+      model: getModelName(),
+      usage: toUsage(result.response.usageMetadata)
+    };
+  },
+  async *stream({ system, messages, temperature = 0.7, tools, signal, onUsage = () => {}, onToolCalls = () => {} }) {
+    const result = await getGenerativeModel(system).generateContentStream({
+      contents: toContents(messages),
+      generationConfig: { temperature },
+      ...toTools(tools)
+    }, { signal });
+
+    // Function calls arrive whole, in whichever chunk carries them
+    const calls = [];
+    for await (const chunk of result.stream) {
+      // Each chunk carries the running totals
+      const usage = toUsage(chunk.usageMetadata);
+      if (usage) {
+        onUsage(usage);
+      }
+      calls.push(...toToolCalls(chunk.functionCalls()));
+      const token = chunk.text();
+      if (token) {
+        yield token;
+      }
+    }
+    if (calls.length) {
+      onToolCalls(calls);
+    }
+  }
+};
@@ -0,0 +1,119 @@
+// Deterministic local provider - never touches the network.
+// Used by the test suite and as an explicit choice for offline development.
+const { BREATHING_PATTERN, KEYWORD_RULES, matchRule } = require('../keywordRules');
+
+const GOAL_RESPONSES = {
+  'emotional-support': 'I understand how you\'re feeling. It\'s completely normal to experience these emotions. Remember that you\'re not alone, and it\'s okay to feel this way.',
+  'stress-relief': 'Let\'s take a moment to breathe together. Try taking a deep breath in for 4 counts, hold for 4, and exhale for 4. This simple technique can help reduce stress.',
+  'polite-greetings': 'Hello! It\'s wonderful to meet you. I hope you\'re having a great day. How can I assist you today?',
+  'kind-disagreement': 'I appreciate your perspective, and I can see where you\'re coming from. I have a slightly different view on this, but I respect your opinion.',
+  'respectful-questions': 'That\'s an interesting point. Could you help me understand more about your perspective on this? I\'d love to learn from your experience.'
+};
+
+const DEFAULT_RESPONSE = 'I\'m here to help you. How can I assist you today?';
+
+// Tool rules only apply when the caller offers the tool. A rule without a
+// response keeps the normal reply alongside the tool call.
+const TOOL_RULES = [
+  {
+    tool: 'log_meditation_session',
+    // A finished meditation and its length, in either order
+    pattern: /^(?=.*\bi(?:'ve| have)?\s+(?:just\s+)?(?:meditated|did\b.*\bmeditation\b))(?=.*?(\d+)[\s-]*min)/i,
+    response: 'Well done for making time for that. Shall I add it to your meditation log?',
+    arguments: (match, message, parameters) => ({
+      type: parameters.properties.type.enum.find(type => [type, type.replace('-', ' ')]
+        .some(name => message.toLowerCase().includes(name))) || 'mindfulness',
+      duration: Number(match[1])
+    })
+  },
+  {
+    tool: 'start_meditation_timer',
+    pattern: /\b(?:set|start)\b.*\btimer\b/i,
+    response: 'Of course. Settle into a comfortable position - I\'ll keep time for you.',
+    arguments: (match, message) => {
+      const minutes = message.match(/(\d+)[\s-]*min/i);
+      return { minutes: minutes ? Number(minutes[1]) : 5 };
+    }
+  },
+  {
+    tool: 'suggest_breathing_exercise',
+    pattern: BREATHING_PATTERN,
+    arguments: () => ({ pattern: 'calm' })
+  }
+];
+
+const getMode = () => (process.env.LOCAL_AI_MODE || 'rules').toLowerCase();
+
+const lastUserMessage = (messages = []) => {
+  const last = [...messages].reverse().find(msg => msg.role === 'user');
+  return last ? last.content : '';
+};
+
+const respond = ({ message, goal }) => {
+  if (getMode() === 'echo') {
+    return `Echo: ${message}`;
+  }
+
+  // Keyword rules are checked before the per-goal response
+  const rule = matchRule(KEYWORD_RULES, message, goal);
+  if (rule) {
+    return rule.response;
+  }
+
+  return GOAL_RESPONSES[goal] || DEFAULT_RESPONSE;
+};
+
+// First matching tool rule for the offered tools, as { text, toolCalls }
+const respondWithTools = ({ message, goal, tools = [] }) => {
+  const text = respond({ message, goal });
+  if (getMode() === 'echo') {
+    return { text, toolCalls: [] };
+  }
+
+  for (const rule of TOOL_RULES) {
+    const tool = tools.find(candidate => candidate.name === rule.tool);
+    const match = tool && message.match(rule.pattern);
+    if (match) {
+      return {
+        text: rule.response || text,
+        toolCalls: [{ name: rule.tool, arguments: rule.arguments(match, message, tool.parameters) }]
+      };
+    }
+  }
+  return { text, toolCalls: [] };
+};
+
+const getModel = () => `local-${getMode()}`;
+
+module.exports = {
+  name: 'local',
+  label: 'Local (offline)',
+  isAvailable: () => true,
+  getModel,
+  promptTokenBudget: 1000,
+  generate({ messages, goal, tools }) {
+    const { text, toolCalls } = respondWithTools({ message: lastUserMessage(messages), goal, tools });
+    return Promise.resolve({ text, toolCalls, model: getModel() });
+  },
+  // Streams the same reply word by word, yielding to the event loop between
+  // tokens so cancellation behaves like a real network stream
+  async *stream({ messages, goal, tools, signal, onToolCalls = () => {} }) {
+    const { text, toolCalls } = respondWithTools({ message: lastUserMessage(messages), goal, tools });
+    if (toolCalls.length) {
+      onToolCalls(toolCalls);
+    }
+    for (const token of text.split(/(?<=\s)/)) {
+      if (signal && signal.aborted) {
+        return;
+      }
+      // yield awaits the promise, so each token arrives on a later tick
+      yield new Promise(resolve => {
+        setImmediate(() => resolve(token));
+      });
+    }
+  },
+  // Exposed for tests and other local fallbacks
+  respond,
+  respondWithTools,
+  GOAL_RESPONSES
+};
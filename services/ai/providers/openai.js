@@ -0,0 +1,88 @@
+// OpenAI chat completions adapter
+
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    const OpenAI = require('openai');
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+};
+
+const getModel = () => process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+const toTools = (tools) => (tools && tools.length
+  ? { tools: tools.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } })) }
+  : {});
+
+// Arguments arrive as a JSON string, which the model can get wrong
+const parseArguments = (json) => {
+  try {
+    return JSON.parse(json || '{}');
+  } catch (error) {
+    return null;
+  }
+};
+
+const toToolCalls = (calls = []) => calls
+  .filter(call => call.function && call.function.name)
+  .map(call => ({ name: call.function.name, arguments: parseArguments(call.function.arguments) }));
+
+module.exports = {
+  name: 'openai',
+  label: 'OpenAI',
+  isAvailable: () => Boolean(process.env.OPENAI_API_KEY),
+  getModel,
+  promptTokenBudget: 6000,
+  async generate({ system, messages, temperature = 0.7, tools, signal }) {
+    const response = await getClient().chat.completions.create({
+      model: getModel(),
+      messages: [{ role: 'system', content: system }, ...messages],
+      temperature,
+      ...toTools(tools)
+    }, { signal });
+
+    const { message } = response.choices[0];
+    return {
+      text: message.content || '',
+      toolCalls: toToolCalls(message.tool_calls),
+      model: response.model || getModel(),
+      usage: response.usage
+        ? { inputTokens: response.usage.prompt_tokens, outputTokens: response.usage.completion_tokens }
+        : null
+    };
+  },
+  async *stream({ system, messages, temperature = 0.7, tools, signal, onUsage = () => {}, onToolCalls = () => {} }) {
+    const stream = await getClient().chat.completions.create({
+      model: getModel(),
+      messages: [{ role: 'system', content: system }, ...messages],
+      temperature,
+      ...toTools(tools),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal });
+
+    // Tool calls arrive in fragments keyed by index; the name comes first
+    const calls = [];
+    for await (const chunk of stream) {
+      // The usage chunk comes last and has no choices
+      if (chunk.usage) {
+        onUsage({ inputTokens: chunk.usage.prompt_tokens, outputTokens: chunk.usage.completion_tokens });
+      }
+      const delta = chunk.choices[0]?.delta;
+      (delta?.tool_calls || []).forEach(fragment => {
+        const call = calls[fragment.index] || (calls[fragment.index] = { function: { name: '', arguments: '' } });
+        call.function.name += fragment.function?.name || '';
+        call.function.arguments += fragment.function?.arguments || '';
+      });
+      const token = delta?.content;
+      if (token) {
+        yield token;
+      }
+    }
+    if (calls.length) {
+      onToolCalls(toToolCalls(calls.filter(Boolean)));
+    }
+  }
+};
@@ -0,0 +1,37 @@
+// Rough token estimates and per-provider prompt budgets
+const CHARS_PER_TOKEN = 4;
+
+// Used when neither the provider nor the environment sets a budget
+const DEFAULT_PROMPT_TOKEN_BUDGET = 3000;
+
+// Close enough for budgeting without pulling in a tokenizer per provider
+const estimateTokens = (text) => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+// Usage for a prompt and reply when the provider does not report it
+const estimateUsage = ({ system, messages = [] }, text) => ({
+  inputTokens: estimateTokens(system) + messages.reduce((total, msg) => total + estimateTokens(msg.content), 0),
+  outputTokens: estimateTokens(text),
+  estimated: true
+});
+
+const parseBudget = (value) => {
+  const budget = parseInt(value, 10);
+  return Number.isFinite(budget) && budget > 0 ? budget : null;
+};
+
+// OPENAI_PROMPT_TOKEN_BUDGET etc. win over AI_PROMPT_TOKEN_BUDGET, which wins
+// over the adapter's own promptTokenBudget
+const getPromptTokenBudget = (provider) => {
+  const name = provider && provider.name ? provider.name : '';
+  return parseBudget(process.env[`${name.toUpperCase()}_PROMPT_TOKEN_BUDGET`])
+    || parseBudget(process.env.AI_PROMPT_TOKEN_BUDGET)
+    || (provider && provider.promptTokenBudget)
+    || DEFAULT_PROMPT_TOKEN_BUDGET;
+};
+
+module.exports = {
+  DEFAULT_PROMPT_TOKEN_BUDGET,
+  estimateTokens,
+  estimateUsage,
+  getPromptTokenBudget
+};
@@ -0,0 +1,68 @@
+// Per-message tone and language analysis.
+// Uses the configured AI provider when one is reachable and falls back to
+// the offline detectors otherwise.
+const { generateText, getProviderOrder } = require('../ai');
+const { logger } = require('../../config/db');
+const { TONES, detectTone } = require('./tone');
+const { DEFAULT_LANGUAGE, detectLanguage, languageName } = require('./language');
+
+const ANALYSIS_PROMPT = [
+  'Analyze the emotional tone and the language of the user message.',
+  `Categorize the tone as one of: ${TONES.join(', ')}.`,
+  'Reply with JSON only, in the form {"tone": string, "language": ISO 639-1 code}.'
+].join('\n');
+
+// AI_ANALYSIS=local keeps analysis offline even when providers are configured,
+// and so does a user who picked the local provider - their messages must not
+// reach a third party just to be analysed
+const useProvider = (preferredProvider) => process.env.AI_ANALYSIS !== 'local'
+  && preferredProvider !== 'local'
+  && getProviderOrder(preferredProvider).some(provider => provider.name !== 'local');
+
+const analyzeLocally = (message) => ({
+  tone: detectTone(message),
+  language: detectLanguage(message),
+  source: 'local'
+});
+
+const analyzeWithProvider = async (message, { preferredProvider, userId }) => {
+  const result = await generateText({
+    system: ANALYSIS_PROMPT, prompt: message, preferredProvider, userId, exclude: ['local']
+  });
+  if (!result) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(result.text.slice(result.text.indexOf('{'), result.text.lastIndexOf('}') + 1));
+    const tone = String(parsed.tone || '').trim().toLowerCase();
+    const language = String(parsed.language || '').trim().toLowerCase();
+    if (!TONES.includes(tone) || !/^[a-z]{2}$/.test(language)) {
+      return null;
+    }
+    return { tone, language, source: result.provider };
+  } catch (error) {
+    logger.warn('Unparseable message analysis response', { provider: result.provider });
+    return null;
+  }
+};
+
+// redact is applied to the text the provider sees; preferredProvider is the
+// user's aiProvider setting. With userId the provider call counts against
+// the user's quota, and analysis stays local once it is used up.
+const analyzeMessage = async (message, { redact, preferredProvider, userId } = {}) => {
+  if (useProvider(preferredProvider)) {
+    const analysis = await analyzeWithProvider(redact ? redact(message) : message, { preferredProvider, userId });
+    if (analysis) {
+      return analysis;
+    }
+  }
+  return analyzeLocally(message);
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  analyzeMessage,
+  analyzeLocally,
+  languageName
+};
@@ -0,0 +1,62 @@
+// Offline language detector - script ranges first, then common stopwords
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  ja: 'Japanese',
+  zh: 'Chinese',
+  ko: 'Korean',
+  ru: 'Russian',
+  ar: 'Arabic',
+  hi: 'Hindi'
+};
+
+const SCRIPTS = [
+  { language: 'ja', pattern: /[぀-ヿ]/ },
+  { language: 'ko', pattern: /[가-힯]/ },
+  { language: 'zh', pattern: /[一-鿿]/ },
+  { language: 'ru', pattern: /[Ѐ-ӿ]/ },
+  { language: 'ar', pattern: /[؀-ۿ]/ },
+  { language: 'hi', pattern: /[ऀ-ॿ]/ }
+];
+
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'i', 'you', 'to', 'it', 'that', 'of', 'my', 'am', 'feel', 'what', 'with', 'have', 'this'],
+  es: ['el', 'la', 'que', 'y', 'es', 'de', 'no', 'estoy', 'me', 'mi', 'por', 'pero', 'muy', 'con', 'una', 'siento'],
+  fr: ['le', 'la', 'et', 'est', 'je', 'de', 'pas', 'suis', 'que', 'mon', 'très', 'vous', 'une', 'avec', 'ne', 'sens'],
+  de: ['der', 'die', 'und', 'ist', 'ich', 'nicht', 'das', 'mein', 'bin', 'sehr', 'zu', 'ein', 'mit', 'fühle', 'auch'],
+  it: ['il', 'che', 'e', 'è', 'sono', 'non', 'di', 'mi', 'per', 'molto', 'un', 'una', 'con', 'sento', 'ho'],
+  pt: ['o', 'que', 'e', 'é', 'não', 'de', 'eu', 'estou', 'muito', 'meu', 'uma', 'com', 'sinto', 'você']
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const detectLanguage = (message = '') => {
+  const script = SCRIPTS.find(({ pattern }) => pattern.test(message));
+  if (script) {
+    return script.language;
+  }
+
+  const words = message.toLowerCase().match(/[\p{L}']+/gu) || [];
+  let best = { language: DEFAULT_LANGUAGE, score: 0 };
+  for (const [language, stopwords] of Object.entries(STOPWORDS)) {
+    const score = words.filter(word => stopwords.includes(word)).length;
+    if (score > best.score) {
+      best = { language, score };
+    }
+  }
+  return best.language;
+};
+
+const languageName = (code) => LANGUAGE_NAMES[code] || code || LANGUAGE_NAMES[DEFAULT_LANGUAGE];
+
+module.exports = {
+  LANGUAGE_NAMES,
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  languageName
+};
@@ -0,0 +1,36 @@
+// Offline tone detector - a small weighted lexicon per tone.
+// Tones match the categories of the toneAnalysisFlow in server/gemini.js.
+
+const TONES = ['neutral', 'friendly', 'joyful', 'sad', 'angry', 'stressed', 'excited'];
+
+const LEXICON = {
+  stressed: /\b(stress(ed|ful)?|anxious|anxiety|overwhelm(ed|ing)?|worr(y|ied|ying)|panic(king)?|nervous|pressure|deadlines?|tense|burn(ed|t)? out)\b/gi,
+  sad: /\b(sad|down|depressed|lonely|alone|cry(ing)?|cried|miss(ing)?|empty|upset|heartbroken|grief|grieving|lost)\b/gi,
+  angry: /\b(angry|mad|furious|hate|annoyed|irritated|frustrat(ed|ing)|pissed|unfair|sick of)\b/gi,
+  excited: /\b(excited|thrilled|can'?t wait|awesome|pumped|stoked)\b/gi,
+  joyful: /\b(happy|glad|great|wonderful|joy(ful)?|grateful|thankful|love|amazing|relieved|proud)\b/gi,
+  friendly: /\b(hi|hello|hey|thanks|thank you|please|nice to meet|good (morning|afternoon|evening))\b/gi
+};
+
+const detectTone = (message = '') => {
+  const scores = Object.entries(LEXICON).map(([tone, pattern]) => ({
+    tone,
+    score: (message.match(pattern) || []).length
+  }));
+
+  // Exclamation marks tip positive messages towards excitement
+  const exclamations = (message.match(/!/g) || []).length;
+  const positive = scores.find(entry => entry.tone === 'joyful').score;
+  if (exclamations > 1 && positive > 0) {
+    scores.find(entry => entry.tone === 'excited').score += 1;
+  }
+
+  // Lexicon order breaks ties, so distress outranks pleasantries
+  const best = scores.reduce((top, entry) => (entry.score > top.score ? entry : top), { tone: 'neutral', score: 0 });
+  return best.tone;
+};
+
+module.exports = {
+  TONES,
+  detectTone
+};
@@ -0,0 +1,77 @@
+// Conversation branches. The active path lives in conversation.messages;
+// every replaced tail is kept in conversation.branches so it can be restored.
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Index on the active path where a branch with this parent would start,
+// or -1 when its parent is not on the active path
+const forkIndexOf = (conversation, parentMessageId) => {
+  if (!parentMessageId) {
+    return 0;
+  }
+  const parentIndex = conversation.messages.findIndex(msg => sameId(msg._id, parentMessageId));
+  return parentIndex === -1 ? -1 : parentIndex + 1;
+};
+
+// Moves messages[forkIndex..] into a new branch. A summary or memory
+// extraction marker that covered any of the moved messages no longer
+// describes the active path, so it is dropped.
+const forkConversation = (conversation, forkIndex, reason) => {
+  const parentMessageId = forkIndex > 0 ? conversation.messages[forkIndex - 1]._id : null;
+  const tail = conversation.messages.splice(forkIndex).map(toPlain);
+
+  if (!conversation.branches) {
+    conversation.branches = [];
+  }
+  conversation.branches.push({ parentMessageId, messages: tail, reason, createdAt: new Date() });
+
+  if (conversation.summary && conversation.summary.messageCount > forkIndex) {
+    conversation.summary = undefined;
+  }
+  if (conversation.memoryExtraction && conversation.memoryExtraction.messageCount > forkIndex) {
+    conversation.memoryExtraction = undefined;
+  }
+  return forkIndex;
+};
+
+// Restores a branch as the active path, keeping the current tail as a branch.
+// Returns false when the branch is unknown or not reachable from the active path.
+const switchBranch = (conversation, branchId) => {
+  const branch = (conversation.branches || []).find(candidate => sameId(candidate._id, branchId));
+  if (!branch) {
+    return false;
+  }
+  const forkIndex = forkIndexOf(conversation, branch.parentMessageId);
+  if (forkIndex === -1) {
+    return false;
+  }
+
+  const restored = branch.messages.map(toPlain);
+  conversation.branches = conversation.branches.filter(candidate => !sameId(candidate._id, branchId));
+  forkConversation(conversation, forkIndex, 'switch');
+  restored.forEach(msg => conversation.messages.push(msg));
+  return true;
+};
+
+// Branches the user can switch to right now, with where they start
+const listBranches = (conversation) => (conversation.branches || [])
+  .map(branch => ({ branch, forkIndex: forkIndexOf(conversation, branch.parentMessageId) }))
+  .filter(({ forkIndex }) => forkIndex !== -1)
+  .map(({ branch, forkIndex }) => ({
+    id: branch._id,
+    parentMessageId: branch.parentMessageId,
+    forkIndex,
+    messageCount: branch.messages.length,
+    preview: branch.messages.length ? branch.messages[0].content.slice(0, 120) : '',
+    reason: branch.reason,
+    createdAt: branch.createdAt
+  }));
+
+module.exports = {
+  forkIndexOf,
+  forkConversation,
+  switchBranch,
+  listBranches
+};
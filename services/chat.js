@@ -0,0 +1,612 @@
+// Chat turn pipeline shared by the REST, SSE and Socket.IO entry points
+const Conversation = require('../models/Conversation');
+const Settings = require('../models/Settings');
+const { logger } = require('../config/db');
+const { invalidateCache } = require('../middleware/cache');
+const { generateResponse, streamResponse } = require('./ai');
+const { detectInjection } = require('./ai/injection');
+const { promptInjectionDetectedTotal } = require('../middleware/metrics');
+const safety = require('./safety');
+const { analyzeMessage } = require('./analysis');
+const { SLUG_PATTERN, resolveGoal } = require('./goals');
+const { contextBefore, needsSummary, refreshSummary } = require('./summary');
+const { forkConversation, switchBranch, listBranches } = require('./branches');
+const { checkQuota, recordUsage } = require('./usage');
+const { invalidateConversationCache } = require('./conversations');
+const { loadRedactor } = require('./redaction');
+const { toProviderTools, prepareToolCalls, describeToolCalls, toToolCallResponse } = require('./tools');
+const { needsTitle, refreshTitle } = require('./titles');
+const { validateIncognitoHistory, toPromptHistory, recordIncognitoTurn } = require('./incognito');
+const { memoryForPrompt, needsMemoryExtraction, refreshMemories } = require('./memory');
+const {
+  ExerciseError, loadActiveExercise, answerExercise, applyExerciseTurn, enterExercise, pauseExercise, toSessionResponse
+} = require('./exercises');
+const {
+  RoleplayError, loadActiveRoleplay, answerRoleplay, applyRoleplayTurn, enterRoleplay, pauseRoleplay, toRoleplayResponse
+} = require('./roleplay');
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+class ChatError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'ChatError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Same rules as the express-validator chain, for callers outside express
+const validateChatInput = ({ message, goal, conversationId, incognito, history }) => {
+  if (typeof message !== 'string' || !message.trim() || message.trim().length > MAX_MESSAGE_LENGTH) {
+    return `Message must be between 1 and ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  if (typeof goal !== 'string' || !SLUG_PATTERN.test(goal)) {
+    return 'Invalid goal specified';
+  }
+  if (conversationId && !/^[0-9a-fA-F]{24}$/.test(conversationId)) {
+    return 'Invalid conversation ID format';
+  }
+  if (incognito !== undefined && typeof incognito !== 'boolean') {
+    return 'Incognito must be true or false';
+  }
+  if (incognito && conversationId) {
+    return 'Incognito messages cannot be added to a saved conversation';
+  }
+  return incognito ? validateIncognitoHistory(history) : null;
+};
+
+const findOrCreateConversation = async ({ userId, goal, conversationId }) => {
+  if (!conversationId) {
+    return new Conversation({
+      userId,
+      goal,
+      messages: [],
+      createdAt: new Date()
+    });
+  }
+
+  const conversation = await Conversation.findOne({ _id: conversationId, userId });
+  if (!conversation) {
+    throw new ChatError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+  }
+  return conversation;
+};
+
+// Screens the message and produces the reply from an already loaded context.
+// Quota checks and usage recording for the reply are left to the
+// beforeProviderCall / afterProviderCall hooks; the screening calls handle
+// their own, and only when userId is set. Without userId it touches no
+// database, so the evaluation harness (services/eval) can replay turns offline.
+const replyToMessage = async ({
+  userId, message, goal, goalDefinition, history = [], summary, memory, exercise, roleplay, userRegion,
+  preferredProvider, redactor, toolKind, onToken, signal, beforeProviderCall = async () => {}, afterProviderCall = async () => {}
+}) => {
+  const redact = redactor ? redactor.redact : undefined;
+
+  // Every message is screened before it reaches a provider. Both count
+  // against the user's quota and fall back to offline checks once it is used up.
+  const [assessment, analysis] = await Promise.all([
+    safety.assessMessage(message, { redact, preferredProvider, userId }),
+    analyzeMessage(message, { redact, preferredProvider, userId })
+  ]);
+
+  const userMessage = {
+    role: 'user',
+    content: message,
+    tone: analysis.tone,
+    language: analysis.language,
+    safety: { riskLevel: assessment.riskLevel, categories: assessment.categories },
+    timestamp: new Date()
+  };
+
+  let aiResult;
+  if (safety.isRisky(assessment)) {
+    // Crisis resources replace the AI reply entirely
+    aiResult = { response: safety.buildCrisisResponse(userRegion), provider: 'safety', model: null };
+    if (onToken) {
+      onToken(aiResult.response);
+    }
+  } else if (exercise) {
+    // The active guided exercise answers instead of a provider
+    aiResult = answerExercise(exercise, message);
+    if (onToken) {
+      onToken(aiResult.response);
+    }
+  } else if (roleplay) {
+    // The active role-play's character answers and the message is scored
+    aiResult = await answerRoleplay(roleplay, message, {
+      preferredProvider, redactor, beforeProviderCall, afterProviderCall
+    });
+    if (onToken) {
+      onToken(aiResult.response);
+    }
+  } else {
+    await beforeProviderCall();
+
+    // Suspected override attempts are answered, but logged and counted
+    const injection = detectInjection(message);
+    if (injection.detected) {
+      promptInjectionDetectedTotal.inc({ source: 'message' });
+      logger.warn('Possible prompt injection in chat message', { userId, patterns: injection.patterns });
+    }
+
+    // Generate AI response with the user's preferred provider first
+    const outbound = redact || (text => text);
+    const request = {
+      message: outbound(message),
+      goal,
+      goalDefinition,
+      tone: analysis.tone,
+      language: analysis.language,
+      history: history.map(msg => ({ role: msg.role, content: outbound(msg.content) })),
+      summary: summary && outbound(summary),
+      memory: memory && outbound(memory),
+      tools: toProviderTools(toolKind),
+      preferredProvider,
+      // Only used by the offline responder, for crisis resources
+      region: userRegion
+    };
+    // Placeholders in the reply are swapped back, token by token when streaming
+    const restorer = redactor && onToken ? redactor.createStreamRestorer(onToken) : null;
+    aiResult = onToken
+      ? await streamResponse(request, { onToken: restorer ? token => restorer.write(token) : onToken, signal })
+      : await generateResponse(request);
+    if (restorer) {
+      restorer.end();
+    }
+    // Tool calls are checked against their schemas before they are stored
+    const toolCalls = prepareToolCalls(aiResult.toolCalls, {
+      kind: toolKind,
+      ...(redactor ? { restore: redactor.restore } : {})
+    });
+    aiResult = { ...aiResult, toolCalls };
+    if (toolCalls.length && !aiResult.response.trim() && !aiResult.aborted) {
+      aiResult.response = describeToolCalls(toolCalls);
+      if (onToken) {
+        onToken(aiResult.response);
+      }
+    }
+    if (redactor) {
+      aiResult = { ...aiResult, response: redactor.restore(aiResult.response) };
+      if (redactor.hasRedactions()) {
+        logger.info('PII redacted before provider call', {
+          userId,
+          provider: aiResult.provider,
+          redacted: redactor.summary()
+        });
+      }
+    }
+    await afterProviderCall(aiResult);
+  }
+
+  if (aiResult.aborted || (signal && signal.aborted)) {
+    throw new ChatError('Chat response cancelled', 499, 'CHAT_CANCELLED');
+  }
+
+  if (aiResult.exercise) {
+    userMessage.exercise = aiResult.exercise.answered;
+  }
+  if (aiResult.roleplay) {
+    userMessage.roleplay = aiResult.roleplay.answered;
+  }
+
+  return {
+    userMessage,
+    assistantMessage: {
+      role: 'assistant',
+      content: aiResult.response,
+      provider: aiResult.provider,
+      model: aiResult.model,
+      promptVersion: aiResult.promptVersion || null,
+      exercise: aiResult.exercise ? aiResult.exercise.asked : undefined,
+      roleplay: aiResult.roleplay ? aiResult.roleplay.asked : undefined,
+      toolCalls: aiResult.toolCalls && aiResult.toolCalls.length ? aiResult.toolCalls : undefined,
+      timestamp: new Date()
+    },
+    aiResult,
+    analysis,
+    assessment,
+    redactor,
+    userRegion,
+    preferredProvider
+  };
+};
+
+// Loads the user's settings, redactor and the memory facts relevant to the
+// message, then replies with quotas enforced and usage recorded. Nothing is
+// saved here; callers throw away the result when the signal fires. region is
+// the caller's best guess (e.g. from Accept-Language); the user's saved region wins.
+const generateTurn = async ({ userId, region, ...turn }) => {
+  const settings = await Settings.findOne({ userId }).select('aiProvider region piiRedaction memory').lean();
+  // Everything sent to a provider during the turn goes through the redactor
+  const redactor = await loadRedactor(userId, settings);
+  const memoryEnabled = !settings || settings.memory !== false;
+
+  const reply = await replyToMessage({
+    ...turn,
+    userId,
+    memory: memoryEnabled ? await memoryForPrompt(userId, turn.message) : undefined,
+    userRegion: (settings && settings.region) || region || null,
+    preferredProvider: settings ? settings.aiProvider : undefined,
+    redactor,
+    // Quotas only gate provider calls; crisis resources are always sent
+    beforeProviderCall: async () => {
+      const quota = await checkQuota(userId);
+      if (quota.exceeded) {
+        throw new ChatError(
+          `You have reached your ${quota.exceeded} usage limit. Please try again later.`,
+          429,
+          'USAGE_QUOTA_EXCEEDED'
+        );
+      }
+    },
+    // Cancelled replies are recorded too - the provider still billed them
+    afterProviderCall: aiResult => recordUsage({
+      userId, provider: aiResult.provider, model: aiResult.model, usage: aiResult.usage
+    })
+  });
+  return { ...reply, memoryEnabled };
+};
+
+// Saves a conversation whose last two messages are the user message and the
+// reply from turn, then flags, summarises and records as needed.
+// recordSafety is off when the user message was already screened and recorded.
+const finishTurn = async ({ userId, conversation, turn, recordSafety = true }) => {
+  const { assessment } = turn;
+
+  if (safety.isRisky(assessment)) {
+    conversation.safety = {
+      flagged: true,
+      flaggedAt: new Date(),
+      highestRisk: conversation.safety && conversation.safety.highestRisk === 'high'
+        ? 'high'
+        : assessment.riskLevel,
+      reviewStatus: 'pending'
+    };
+    // Crisis replies set any guided exercise or role-play aside; it can be resumed later
+    conversation.activeExercise = null;
+    conversation.activeRoleplay = null;
+  }
+
+  if (turn.aiResult.exercise) {
+    await applyExerciseTurn(conversation, turn.aiResult.exercise);
+  }
+  const roleplaySession = turn.aiResult.roleplay
+    ? applyRoleplayTurn(conversation, turn.aiResult.roleplay)
+    : null;
+
+  conversation.lastMessageAt = new Date();
+  await conversation.save();
+  if (roleplaySession) {
+    await roleplaySession.save();
+  }
+
+  // Invalidate user's conversation cache
+  invalidateCache(`conversations_${userId}`);
+  invalidateConversationCache(userId);
+
+  // All off the response path; the next turn, list load or profile visit picks them up
+  const background = { preferredProvider: turn.preferredProvider, redactor: turn.redactor };
+  if (needsSummary(conversation)) {
+    refreshSummary(conversation, background);
+  }
+  if (needsTitle(conversation)) {
+    refreshTitle(conversation, background);
+  }
+  if (turn.memoryEnabled && needsMemoryExtraction(conversation)) {
+    refreshMemories(conversation, background);
+  }
+
+  if (recordSafety && safety.isRisky(assessment)) {
+    await safety.recordSafetyEvent({
+      userId,
+      conversationId: conversation._id,
+      messageId: conversation.messages[conversation.messages.length - 2]._id,
+      assessment,
+      region: turn.userRegion
+    });
+  }
+
+  return {
+    conversation,
+    aiMessage: conversation.messages[conversation.messages.length - 1],
+    aiResult: turn.aiResult,
+    analysis: turn.analysis,
+    safety: assessment
+  };
+};
+
+// Runs one chat turn. The user message and the assistant reply are saved
+// together, and only once the reply is complete - a cancelled stream leaves
+// the conversation untouched. Pass onToken to stream the reply.
+const runChatTurn = async ({ userId, message, goal, conversationId, region, onToken, signal }) => {
+  // Built-in or one of the user's own goals
+  const goalDefinition = await resolveGoal(userId, goal);
+  if (!goalDefinition) {
+    throw new ChatError('Invalid goal specified', 400, 'INVALID_GOAL');
+  }
+
+  const conversation = await findOrCreateConversation({ userId, goal, conversationId });
+  const exercise = await loadActiveExercise(conversation, userId);
+  const roleplay = exercise ? null : await loadActiveRoleplay(conversation, userId);
+
+  const turn = await generateTurn({
+    userId,
+    message,
+    goal,
+    goalDefinition,
+    ...contextBefore(conversation),
+    exercise,
+    roleplay,
+    region,
+    onToken,
+    signal
+  });
+
+  conversation.messages.push(turn.userMessage);
+  conversation.messages.push(turn.assistantMessage);
+
+  return finishTurn({ userId, conversation, turn });
+};
+
+// Runs one incognito turn. The client keeps the conversation and sends its
+// prior turns as history; nothing is saved, summarised or titled, and only an
+// anonymous count of the turn is recorded. Usage still counts towards quotas.
+const runIncognitoTurn = async ({ userId, message, goal, history, region, onToken, signal }) => {
+  const goalDefinition = await resolveGoal(userId, goal);
+  if (!goalDefinition) {
+    throw new ChatError('Invalid goal specified', 400, 'INVALID_GOAL');
+  }
+
+  const turn = await generateTurn({
+    userId,
+    message,
+    goal,
+    goalDefinition,
+    history: toPromptHistory(history),
+    // Tools that need confirming are resolved against a stored reply
+    toolKind: 'client',
+    region,
+    onToken,
+    signal
+  });
+
+  const crisis = safety.isRisky(turn.assessment);
+  await recordIncognitoTurn({ goal, provider: turn.aiResult.provider, crisis });
+  if (crisis) {
+    // Risky turns are still recorded for review, without content or ids to follow
+    await safety.recordSafetyEvent({ assessment: turn.assessment, region: turn.userRegion, incognito: true });
+  }
+
+  return turn;
+};
+
+// Rewriting history under a running exercise or role-play would leave its
+// answers out of step, and only one of them can run at a time
+const assertNoActiveSession = (conversation) => {
+  if (conversation.activeExercise) {
+    throw new ChatError('Finish or pause the current exercise first', 409, 'EXERCISE_ACTIVE');
+  }
+  if (conversation.activeRoleplay) {
+    throw new ChatError('Finish or pause the current role-play first', 409, 'ROLEPLAY_ACTIVE');
+  }
+};
+
+// Replaces the last assistant reply with a new one; the old reply is kept as a branch
+const regenerateReply = async ({ userId, conversationId, region, onToken, signal }) => {
+  const conversation = await findOrCreateConversation({ userId, conversationId });
+  assertNoActiveSession(conversation);
+  const { messages } = conversation;
+  const lastIndex = messages.length - 1;
+  if (lastIndex < 1 || messages[lastIndex].role !== 'assistant' || messages[lastIndex - 1].role !== 'user') {
+    throw new ChatError('There is no reply to regenerate', 409, 'NOTHING_TO_REGENERATE');
+  }
+
+  const turn = await generateTurn({
+    userId,
+    message: messages[lastIndex - 1].content,
+    goal: conversation.goal,
+    // A deleted custom goal still has its slug
+    goalDefinition: await resolveGoal(userId, conversation.goal),
+    ...contextBefore(conversation, lastIndex - 1),
+    region,
+    onToken,
+    signal
+  });
+
+  forkConversation(conversation, lastIndex, 'regenerate');
+  conversation.messages.push(turn.assistantMessage);
+
+  return finishTurn({ userId, conversation, turn, recordSafety: false });
+};
+
+// Replaces a user message and everything after it with the edited message and
+// a new reply; the replaced messages are kept as a branch
+const editMessage = async ({ userId, conversationId, messageId, message, region, onToken, signal }) => {
+  const conversation = await findOrCreateConversation({ userId, conversationId });
+  assertNoActiveSession(conversation);
+  const index = conversation.messages.findIndex(msg => String(msg._id) === String(messageId));
+  if (index === -1) {
+    throw new ChatError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+  }
+  if (conversation.messages[index].role !== 'user') {
+    throw new ChatError('Only your own messages can be edited', 400, 'MESSAGE_NOT_EDITABLE');
+  }
+
+  const turn = await generateTurn({
+    userId,
+    message,
+    goal: conversation.goal,
+    goalDefinition: await resolveGoal(userId, conversation.goal),
+    ...contextBefore(conversation, index),
+    region,
+    onToken,
+    signal
+  });
+
+  forkConversation(conversation, index, 'edit');
+  conversation.messages.push(turn.userMessage);
+  conversation.messages.push(turn.assistantMessage);
+
+  return finishTurn({ userId, conversation, turn });
+};
+
+// Makes a stored branch the active path
+const switchConversationBranch = async ({ userId, conversationId, branchId }) => {
+  const conversation = await findOrCreateConversation({ userId, conversationId });
+  assertNoActiveSession(conversation);
+  if (!switchBranch(conversation, branchId)) {
+    throw new ChatError('Branch not found', 404, 'BRANCH_NOT_FOUND');
+  }
+  await conversation.save();
+  invalidateConversationCache(userId);
+  return conversation;
+};
+
+// Exercise and role-play errors reach the chat entry points as chat errors
+const asChatError = (error) => (
+  error instanceof ExerciseError || error instanceof RoleplayError
+    ? new ChatError(error.message, error.status, error.code)
+    : error
+);
+
+// Starts (exerciseId) or resumes (sessionId) a guided exercise in a
+// conversation, creating the conversation when conversationId is absent
+const startExercise = async ({ userId, conversationId, goal, exerciseId, sessionId }) => {
+  if (!conversationId && !(await resolveGoal(userId, goal))) {
+    throw new ChatError('Invalid goal specified', 400, 'INVALID_GOAL');
+  }
+  const conversation = await findOrCreateConversation({ userId, goal, conversationId });
+  assertNoActiveSession(conversation);
+
+  let session;
+  try {
+    session = await enterExercise({ userId, conversation, exerciseId, sessionId });
+  } catch (error) {
+    throw asChatError(error);
+  }
+
+  conversation.lastMessageAt = new Date();
+  await conversation.save();
+  invalidateConversationCache(userId);
+  return { conversation, session };
+};
+
+// Sets the active exercise aside so chat turns go to the AI again
+const pauseConversationExercise = async ({ userId, conversationId }) => {
+  const conversation = await findOrCreateConversation({ userId, conversationId });
+  try {
+    pauseExercise(conversation);
+  } catch (error) {
+    throw asChatError(error);
+  }
+  await conversation.save();
+  invalidateConversationCache(userId);
+  return conversation;
+};
+
+// Starts (scenarioId) or resumes (sessionId) a role-play in a conversation,
+// creating the conversation when conversationId is absent
+const startRoleplay = async ({ userId, conversationId, goal, scenarioId, sessionId }) => {
+  if (!conversationId && !(await resolveGoal(userId, goal))) {
+    throw new ChatError('Invalid goal specified', 400, 'INVALID_GOAL');
+  }
+  const conversation = await findOrCreateConversation({ userId, goal, conversationId });
+  assertNoActiveSession(conversation);
+
+  let session;
+  try {
+    session = await enterRoleplay({ userId, conversation, scenarioId, sessionId });
+  } catch (error) {
+    throw asChatError(error);
+  }
+
+  conversation.lastMessageAt = new Date();
+  await conversation.save();
+  invalidateConversationCache(userId);
+  return { conversation, session };
+};
+
+// Sets the active role-play aside so chat turns go to the AI again
+const pauseConversationRoleplay = async ({ userId, conversationId }) => {
+  const conversation = await findOrCreateConversation({ userId, conversationId });
+  try {
+    pauseRoleplay(conversation);
+  } catch (error) {
+    throw asChatError(error);
+  }
+  await conversation.save();
+  invalidateConversationCache(userId);
+  return conversation;
+};
+
+// Response body shared by every chat entry point
+const toChatResponse = ({ conversation, aiMessage, aiResult, analysis, safety: assessment }) => ({
+  response: aiResult.response,
+  conversationId: conversation._id,
+  messageId: aiMessage._id,
+  provider: aiResult.provider,
+  offline: aiResult.offline || undefined,
+  tone: analysis ? analysis.tone : undefined,
+  language: analysis ? analysis.language : undefined,
+  safety: assessment && assessment.riskLevel !== 'none'
+    ? { riskLevel: assessment.riskLevel, crisisResources: true }
+    : undefined,
+  exercise: aiResult.exercise ? toSessionResponse(aiResult.exercise.session) : undefined,
+  roleplay: aiResult.roleplay ? toRoleplayResponse(aiResult.roleplay.session) : undefined,
+  toolCalls: aiMessage.toolCalls && aiMessage.toolCalls.length ? aiMessage.toolCalls.map(toToolCallResponse) : undefined,
+  timestamp: aiMessage.timestamp
+});
+
+// Response body for incognito turns; there is no conversation or message to refer to
+const toIncognitoResponse = ({ assistantMessage, aiResult, analysis, assessment }) => ({
+  response: aiResult.response,
+  conversationId: null,
+  incognito: true,
+  provider: aiResult.provider,
+  offline: aiResult.offline || undefined,
+  tone: analysis.tone,
+  language: analysis.language,
+  safety: assessment.riskLevel !== 'none'
+    ? { riskLevel: assessment.riskLevel, crisisResources: true }
+    : undefined,
+  toolCalls: assistantMessage.toolCalls ? assistantMessage.toolCalls.map(toToolCallResponse) : undefined,
+  timestamp: assistantMessage.timestamp
+});
+
+// Conversation body for GET and for responses that change the active path
+const toConversationResponse = (conversation) => ({
+  id: conversation._id,
+  title: conversation.title || null,
+  goal: conversation.goal,
+  tags: conversation.tags || [],
+  pinned: Boolean(conversation.pinned),
+  archived: Boolean(conversation.archived),
+  messages: conversation.messages,
+  branches: listBranches(conversation),
+  activeExercise: conversation.activeExercise || null,
+  activeRoleplay: conversation.activeRoleplay || null,
+  createdAt: conversation.createdAt,
+  lastMessageAt: conversation.lastMessageAt || null
+});
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  ChatError,
+  validateChatInput,
+  findOrCreateConversation,
+  replyToMessage,
+  runChatTurn,
+  runIncognitoTurn,
+  regenerateReply,
+  editMessage,
+  switchConversationBranch,
+  startExercise,
+  pauseConversationExercise,
+  startRoleplay,
+  pauseConversationRoleplay,
+  toChatResponse,
+  toIncognitoResponse,
+  toConversationResponse
+};
@@ -0,0 +1,132 @@
+// Conversation list and metadata: titles, tags, pinning and archiving
+const Conversation = require('../models/Conversation');
+const { deleteCacheKeys } = require('../middleware/cache');
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const ARCHIVE_FILTERS = ['active', 'archived', 'all'];
+
+// Pinned conversations always come first
+const LIST_SORTS = {
+  recent: { lastMessageAt: -1, createdAt: -1 },
+  created: { createdAt: -1 },
+  title: { title: 1, createdAt: -1 }
+};
+
+// Lower-cased, single-spaced and de-duplicated
+const normalizeTags = (tags = []) => tags
+  .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' '))
+  .filter(Boolean)
+  .filter((tag, index, all) => all.indexOf(tag) === index);
+
+// Cached GET /api/chat responses (list and single conversations) for the user
+const invalidateConversationCache = (userId) => deleteCacheKeys(`${userId}:/api/chat`);
+
+const buildListQuery = ({ userId, archived = 'active', pinned, tag, goal }) => {
+  const query = { userId };
+  if (archived === 'active') {
+    // Conversations saved before archiving existed have no flag
+    query.archived = { $ne: true };
+  } else if (archived === 'archived') {
+    query.archived = true;
+  }
+  if (pinned !== undefined) {
+    query.pinned = pinned ? true : { $ne: true };
+  }
+  if (tag) {
+    query.tags = tag.trim().toLowerCase();
+  }
+  if (goal) {
+    query.goal = goal;
+  }
+  return query;
+};
+
+const buildListSort = (sort = 'recent') => ({ pinned: -1, ...(LIST_SORTS[sort] || LIST_SORTS.recent) });
+
+const lastMessageOf = (conversation) => {
+  const messages = conversation.messages || [];
+  return messages.length > 0 ? messages[messages.length - 1] : null;
+};
+
+const toConversationSummary = (conversation) => {
+  const lastMessage = lastMessageOf(conversation);
+  return {
+    id: conversation._id,
+    title: conversation.title || null,
+    goal: conversation.goal,
+    tags: conversation.tags || [],
+    pinned: Boolean(conversation.pinned),
+    archived: Boolean(conversation.archived),
+    messageCount: (conversation.messages || []).length,
+    lastMessage,
+    lastMessageAt: conversation.lastMessageAt || (lastMessage ? lastMessage.timestamp : null),
+    createdAt: conversation.createdAt
+  };
+};
+
+// Resolves to { conversations, total }
+const listConversations = async ({ page = 1, limit = 10, sort, ...filters }) => {
+  const query = buildListQuery(filters);
+  const [conversations, total] = await Promise.all([
+    Conversation.find(query)
+      .select('title goal tags pinned archived lastMessageAt createdAt messages')
+      .sort(buildListSort(sort))
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Conversation.countDocuments(query)
+  ]);
+  return { conversations: conversations.map(toConversationSummary), total };
+};
+
+// Applies the fields present in changes. Resolves to the updated
+// conversation, or null when it does not belong to the user.
+const updateConversation = async ({ userId, conversationId, changes }) => {
+  const update = { $set: {}, $unset: {} };
+  if (changes.title !== undefined) {
+    update.$set.title = changes.title.trim();
+    update.$set.titleSource = 'user';
+  }
+  if (changes.tags !== undefined) {
+    update.$set.tags = normalizeTags(changes.tags);
+  }
+  ['pinned', 'archived'].forEach(field => {
+    if (changes[field] !== undefined) {
+      update.$set[field] = changes[field];
+      if (changes[field]) {
+        update.$set[`${field}At`] = new Date();
+      } else {
+        update.$unset[`${field}At`] = '';
+      }
+    }
+  });
+
+  if (!Object.keys(update.$unset).length) {
+    delete update.$unset;
+  }
+
+  const conversation = await Conversation.findOneAndUpdate(
+    { _id: conversationId, userId },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (conversation) {
+    invalidateConversationCache(userId);
+  }
+  return conversation;
+};
+
+module.exports = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  ARCHIVE_FILTERS,
+  LIST_SORTS,
+  normalizeTags,
+  invalidateConversationCache,
+  buildListQuery,
+  buildListSort,
+  toConversationSummary,
+  listConversations,
+  updateConversation
+};
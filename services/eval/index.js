@@ -0,0 +1,207 @@
+// Offline evaluation harness. Replays golden transcripts through the chat
+// pipeline (replyToMessage) with recorded provider replies and scores every
+// reply against the rubric. Transcripts live in eval/transcripts/<goal>.json:
+// { goal, conversations: [{ id, region?, turns: [{ user, expect?, replies }] }] }
+// where replies maps a prompt template ref (e.g. companion@2) to the reply
+// recorded for it. Turns without a recording fall back to the local stub.
+const fs = require('fs').promises;
+const path = require('path');
+const ai = require('../ai');
+const localProvider = require('../ai/providers/local');
+const { PROVIDER: OFFLINE_PROVIDER } = require('../ai/offline');
+const { getTemplateForGoal } = require('../ai/templates');
+const { BUILT_IN_GOALS } = require('../goals');
+const { createRedactor } = require('../redaction');
+const { replyToMessage } = require('../chat');
+const { BANNED_PHRASES, scoreReply } = require('./rubric');
+const { compareRuns, formatRun, formatComparison } = require('./report');
+
+const TRANSCRIPTS_DIR = path.join(__dirname, '..', '..', 'eval', 'transcripts');
+const REPLAY_PROVIDER = 'replay';
+
+const templateRefForGoal = (goal) => {
+  const template = getTemplateForGoal(goal);
+  return `${template.id}@${template.version}`;
+};
+
+// Every <goal>.json in dir, optionally only the given goals
+const loadTranscripts = async (dir = TRANSCRIPTS_DIR, goals = []) => {
+  const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  const transcripts = await Promise.all(files.map(async file => ({
+    file: path.join(dir, file),
+    ...JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))
+  })));
+  return transcripts.filter(transcript => !goals.length || goals.includes(transcript.goal));
+};
+
+// The environment for a run: analysis and safety stay offline, the provider
+// order is only the given provider and templates are pinned as requested
+const withRunEnv = async ({ provider, templateVersions }, fn) => {
+  const names = ['AI_PROVIDER_ORDER', 'AI_ANALYSIS', 'SAFETY_PROVIDER_CLASSIFIER', 'PROMPT_TEMPLATE_VERSIONS'];
+  const saved = names.map(name => process.env[name]);
+  process.env.AI_PROVIDER_ORDER = provider;
+  process.env.AI_ANALYSIS = 'local';
+  process.env.SAFETY_PROVIDER_CLASSIFIER = 'false';
+  process.env.PROMPT_TEMPLATE_VERSIONS = templateVersions || '';
+  try {
+    return await fn();
+  } finally {
+    names.forEach((name, i) => {
+      if (saved[i] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[i];
+      }
+    });
+  }
+};
+
+// Answers with the reply queued for the current turn, or the local stub
+const createReplayProvider = () => {
+  let queued = null;
+  return {
+    name: REPLAY_PROVIDER,
+    label: 'Recorded replies',
+    queue: reply => { queued = reply; },
+    generate({ messages, goal }) {
+      const recorded = queued;
+      queued = null;
+      if (recorded) {
+        return Promise.resolve({ text: recorded, model: 'recorded' });
+      }
+      const last = [...messages].reverse().find(msg => msg.role === 'user');
+      return Promise.resolve({ text: localProvider.respond({ message: last ? last.content : '', goal }), model: 'stub' });
+    }
+  };
+};
+
+// live (provider), recorded, stub (no recording) or safety (crisis resources)
+const replySource = (message, live) => {
+  if (message.provider === 'safety') {
+    return 'safety';
+  }
+  if (live) {
+    return 'live';
+  }
+  return message.model === 'stub' ? 'stub' : 'recorded';
+};
+
+const summarize = (turns) => {
+  const tally = (key) => turns.reduce((totals, turn) => {
+    const keys = key(turn);
+    keys.forEach(({ name, passed }) => {
+      totals[name] = totals[name] || { total: 0, passed: 0 };
+      totals[name].total += 1;
+      totals[name].passed += passed ? 1 : 0;
+    });
+    return totals;
+  }, {});
+
+  return {
+    total: turns.length,
+    passed: turns.filter(turn => turn.passed).length,
+    stubbed: turns.filter(turn => turn.source === 'stub').length,
+    byGoal: tally(turn => [{ name: turn.goal, passed: turn.passed }]),
+    byCheck: tally(turn => turn.checks.map(check => ({ name: check.id, passed: check.passed })))
+  };
+};
+
+// Replays every transcript and scores each reply. templateVersions pins
+// prompt templates like PROMPT_TEMPLATE_VERSIONS (empty for the latest).
+// With provider set (e.g. 'openai') replies come from that live provider
+// instead of the recordings - used to record new golden replies.
+const runEvaluation = async ({ transcripts, templateVersions = '', label, provider } = {}) => {
+  const runTranscripts = transcripts || await loadTranscripts();
+  const replay = createReplayProvider();
+  if (!provider) {
+    ai.registerProvider(replay);
+  }
+
+  try {
+    const turns = await withRunEnv({ provider: provider || REPLAY_PROVIDER, templateVersions }, async () => {
+      const steps = runTranscripts.flatMap(transcript => transcript.conversations.flatMap(conversation => (
+        conversation.turns.map((turn, index) => ({ transcript, conversation, turn, index }))
+      )));
+      const histories = new Map();
+      const results = [];
+
+      // Turns replay one at a time, in order: each depends on the history
+      // before it, and the replay provider answers from a single queue
+      await steps.reduce((previous, { transcript, conversation, turn, index }) => previous.then(async () => {
+        const history = histories.get(conversation) || [];
+        const promptVersion = templateRefForGoal(transcript.goal);
+        const recorded = turn.replies && turn.replies[promptVersion];
+        replay.queue(recorded || null);
+
+        const { userMessage, assistantMessage } = await replyToMessage({
+          message: turn.user,
+          goal: transcript.goal,
+          goalDefinition: BUILT_IN_GOALS.find(goal => goal.slug === transcript.goal),
+          history: [...history],
+          userRegion: conversation.region || null,
+          preferredProvider: provider || REPLAY_PROVIDER,
+          redactor: createRedactor()
+        });
+        histories.set(conversation, [...history, userMessage, assistantMessage]);
+
+        const checks = scoreReply({ reply: assistantMessage, userMessage, expect: turn.expect });
+        results.push({
+          key: `${conversation.id}#${index + 1}`,
+          conversationId: conversation.id,
+          turn: index + 1,
+          goal: transcript.goal,
+          message: turn.user,
+          reply: assistantMessage.content,
+          provider: assistantMessage.provider,
+          promptVersion,
+          source: replySource(assistantMessage, Boolean(provider)),
+          checks,
+          passed: checks.every(check => check.passed)
+        });
+      }), Promise.resolve());
+      return results;
+    });
+
+    return {
+      label: label || templateVersions || 'latest',
+      templateVersions,
+      provider: provider || REPLAY_PROVIDER,
+      turns,
+      summary: summarize(turns)
+    };
+  } finally {
+    if (!provider) {
+      ai.unregisterProvider(REPLAY_PROVIDER);
+    }
+  }
+};
+
+// Writes live replies from run back into the transcript files as recordings
+// for their prompt version. Crisis and offline replies come from the app, not
+// a provider, and are never recorded.
+const saveRecordings = (transcripts, run) => {
+  const byKey = new Map(run.turns.map(turn => [turn.key, turn]));
+  return Promise.all(transcripts.map(({ file, ...transcript }) => {
+    transcript.conversations.forEach(conversation => conversation.turns.forEach((turn, index) => {
+      const result = byKey.get(`${conversation.id}#${index + 1}`);
+      if (result && result.source === 'live' && result.provider !== OFFLINE_PROVIDER) {
+        turn.replies = { ...turn.replies, [result.promptVersion]: result.reply };
+      }
+    }));
+    return fs.writeFile(file, `${JSON.stringify(transcript, null, 2)}\n`);
+  }));
+};
+
+module.exports = {
+  TRANSCRIPTS_DIR,
+  REPLAY_PROVIDER,
+  loadTranscripts,
+  createReplayProvider,
+  runEvaluation,
+  saveRecordings,
+  BANNED_PHRASES,
+  scoreReply,
+  compareRuns,
+  formatRun,
+  formatComparison
+};
@@ -0,0 +1,92 @@
+// Evaluation reports: a single run's scores, or the diff between a baseline
+// and a candidate run (e.g. two prompt template versions)
+
+const percent = ({ passed, total }) => (total ? `${((passed / total) * 100).toFixed(1)}%` : 'n/a');
+
+const rate = (stats) => `${percent(stats)} (${stats.passed}/${stats.total})`;
+
+// Turns matched by conversation and turn number, with the checks whose
+// result changed between the two runs
+const compareRuns = (baseline, candidate) => {
+  const before = new Map(baseline.turns.map(turn => [turn.key, turn]));
+  const regressions = [];
+  const fixes = [];
+  let changedReplies = 0;
+
+  candidate.turns.forEach(turn => {
+    const previous = before.get(turn.key);
+    if (!previous) {
+      return;
+    }
+    if (previous.reply !== turn.reply) {
+      changedReplies += 1;
+    }
+    turn.checks.forEach(check => {
+      const old = previous.checks.find(entry => entry.id === check.id);
+      if (!old || old.passed === check.passed) {
+        return;
+      }
+      const change = {
+        key: turn.key,
+        goal: turn.goal,
+        check: check.id,
+        before: old.detail,
+        after: check.detail,
+        reply: turn.reply
+      };
+      (check.passed ? fixes : regressions).push(change);
+    });
+  });
+
+  const goals = [...new Set([...Object.keys(baseline.summary.byGoal), ...Object.keys(candidate.summary.byGoal)])];
+  return {
+    baseline: { label: baseline.label, summary: baseline.summary },
+    candidate: { label: candidate.label, summary: candidate.summary },
+    goals: goals.sort().map(goal => ({
+      goal,
+      baseline: baseline.summary.byGoal[goal] || { total: 0, passed: 0 },
+      candidate: candidate.summary.byGoal[goal] || { total: 0, passed: 0 }
+    })),
+    regressions,
+    fixes,
+    changedReplies
+  };
+};
+
+const formatRun = (run) => {
+  const { summary } = run;
+  const lines = [
+    `Evaluation: ${run.label} (${run.provider})`,
+    `Pass rate: ${rate(summary)}${summary.stubbed ? `, ${summary.stubbed} turns without a recording used the stub` : ''}`,
+    ...Object.entries(summary.byGoal).map(([goal, stats]) => `  ${goal.padEnd(24)} ${rate(stats)}`),
+    'Checks:',
+    ...Object.entries(summary.byCheck).map(([check, stats]) => `  ${check.padEnd(24)} ${rate(stats)}`)
+  ];
+  const failures = run.turns.filter(turn => !turn.passed);
+  if (failures.length) {
+    lines.push(`Failures (${failures.length}):`);
+    failures.forEach(turn => turn.checks
+      .filter(check => !check.passed)
+      .forEach(check => lines.push(`  - ${turn.key} [${check.id}] ${check.detail}`)));
+  }
+  return lines.join('\n');
+};
+
+const formatChanges = (title, changes) => (changes.length
+  ? [`${title} (${changes.length}):`, ...changes.map(change => `  - ${change.key} [${change.check}] ${change.before} -> ${change.after}`)]
+  : [`${title}: none`]);
+
+const formatComparison = (diff) => [
+  `Evaluation: ${diff.baseline.label} -> ${diff.candidate.label}`,
+  `Pass rate: ${rate(diff.baseline.summary)} -> ${rate(diff.candidate.summary)}`,
+  ...diff.goals.map(({ goal, baseline, candidate }) => `  ${goal.padEnd(24)} ${percent(baseline)} -> ${percent(candidate)}`),
+  ...formatChanges('Regressions', diff.regressions),
+  ...formatChanges('Fixes', diff.fixes),
+  `Changed replies: ${diff.changedReplies} of ${diff.candidate.summary.total} turns`
+].join('\n');
+
+module.exports = {
+  compareRuns,
+  formatRun,
+  formatComparison
+};
@@ -0,0 +1,149 @@
+// Guided exercise definitions. Each step asks one question and declares the
+// answer it expects:
+//   text   - free text (minLength, maxLength)
+//   number - the first number in the reply (min, max)
+//   list   - items separated by commas, semicolons, "and" or new lines (minItems)
+//   choice - one of options, by number, value or label
+// {{stepId}} in a completion message is replaced with that step's answer.
+
+const INTENSITY = { type: 'number', min: 0, max: 100 };
+
+const EXERCISES = [
+  {
+    id: 'thought-record',
+    title: 'Thought Record',
+    description: 'Write down a difficult moment, the thought behind it, and a more balanced way to see it',
+    goals: ['emotional-support', 'stress-relief'],
+    intro: 'Let\'s work through a thought record together. There are no wrong answers, and you can type "pause" at any time to come back to it later.',
+    steps: [
+      {
+        id: 'situation',
+        prompt: 'What happened? Describe the situation briefly - where you were, who was there, what was going on.',
+        answer: { type: 'text', minLength: 3, maxLength: 1000 }
+      },
+      {
+        id: 'emotion',
+        prompt: 'What emotion did you feel most strongly in that moment (for example anxious, sad, angry, ashamed)?',
+        answer: { type: 'text', minLength: 2, maxLength: 200 }
+      },
+      {
+        id: 'intensity-before',
+        prompt: 'How strong was that feeling, from 0 (not at all) to 100 (the strongest it could be)?',
+        answer: INTENSITY
+      },
+      {
+        id: 'automatic-thought',
+        prompt: 'What thought went through your mind? Try to write it exactly as it sounded in your head.',
+        answer: { type: 'text', minLength: 3, maxLength: 1000 }
+      },
+      {
+        id: 'evidence-for',
+        prompt: 'What makes that thought feel true? List the facts that support it.',
+        answer: { type: 'text', minLength: 2, maxLength: 1000 }
+      },
+      {
+        id: 'evidence-against',
+        prompt: 'What doesn\'t quite fit with that thought? List anything that suggests it isn\'t the whole story.',
+        answer: { type: 'text', minLength: 2, maxLength: 1000 }
+      },
+      {
+        id: 'balanced-thought',
+        prompt: 'Taking both sides into account, what is a more balanced way to put it?',
+        answer: { type: 'text', minLength: 3, maxLength: 1000 }
+      },
+      {
+        id: 'intensity-after',
+        prompt: 'Reading that balanced thought back, how strong is the feeling now, from 0 to 100?',
+        answer: INTENSITY
+      }
+    ],
+    completion: 'Well done for finishing the thought record. You turned "{{automatic-thought}}" into "{{balanced-thought}}", and the feeling went from {{intensity-before}} to {{intensity-after}}. Notice whatever shift there was, however small.'
+  },
+  {
+    id: 'grounding-54321',
+    title: '5-4-3-2-1 Grounding',
+    description: 'Bring yourself back to the present moment using your five senses',
+    goals: ['stress-relief', 'emotional-support'],
+    intro: 'Let\'s ground you in the present with the 5-4-3-2-1 exercise. Take a slow breath first. You can type "pause" at any time.',
+    steps: [
+      {
+        id: 'see',
+        prompt: 'Look around you. Name 5 things you can see.',
+        answer: { type: 'list', minItems: 5 }
+      },
+      {
+        id: 'touch',
+        prompt: 'Now name 4 things you can feel or touch - your feet on the floor, the fabric of your clothes.',
+        answer: { type: 'list', minItems: 4 }
+      },
+      {
+        id: 'hear',
+        prompt: 'Listen carefully. Name 3 things you can hear.',
+        answer: { type: 'list', minItems: 3 }
+      },
+      {
+        id: 'smell',
+        prompt: 'Name 2 things you can smell (or two smells you like, if nothing stands out).',
+        answer: { type: 'list', minItems: 2 }
+      },
+      {
+        id: 'taste',
+        prompt: 'Finally, name 1 thing you can taste.',
+        answer: { type: 'list', minItems: 1 }
+      }
+    ],
+    completion: 'You did it. You noticed {{see}}, and so much more around you. Take one more slow breath - you are here, right now.'
+  },
+  {
+    id: 'cognitive-reframing',
+    title: 'Cognitive Reframing',
+    description: 'Spot a thinking trap in an unhelpful thought and reframe it',
+    goals: ['emotional-support', 'stress-relief'],
+    intro: 'Let\'s look at one unhelpful thought and find a kinder, more accurate way to see it. You can type "pause" at any time.',
+    steps: [
+      {
+        id: 'thought',
+        prompt: 'What is the thought that has been bothering you?',
+        answer: { type: 'text', minLength: 3, maxLength: 1000 }
+      },
+      {
+        id: 'belief-before',
+        prompt: 'How much do you believe it right now, from 0 to 100?',
+        answer: INTENSITY
+      },
+      {
+        id: 'thinking-trap',
+        prompt: 'Which thinking trap does it look most like?',
+        answer: {
+          type: 'choice',
+          options: [
+            { value: 'all-or-nothing', label: 'All-or-nothing thinking' },
+            { value: 'catastrophising', label: 'Catastrophising' },
+            { value: 'mind-reading', label: 'Mind reading' },
+            { value: 'should-statements', label: 'Should statements' },
+            { value: 'labelling', label: 'Labelling' },
+            { value: 'other', label: 'Something else' }
+          ]
+        }
+      },
+      {
+        id: 'friend-response',
+        prompt: 'If a good friend had this thought, what would you say to them?',
+        answer: { type: 'text', minLength: 3, maxLength: 1000 }
+      },
+      {
+        id: 'reframe',
+        prompt: 'Now put that into your own words: what is a more helpful way to think about it?',
+        answer: { type: 'text', minLength: 3, maxLength: 1000 }
+      },
+      {
+        id: 'belief-after',
+        prompt: 'How much do you believe the original thought now, from 0 to 100?',
+        answer: INTENSITY
+      }
+    ],
+    completion: 'Nice work. Your reframe - "{{reframe}}" - is yours to come back to whenever the old thought shows up. Your belief in it moved from {{belief-before}} to {{belief-after}}.'
+  }
+];
+
+module.exports = { EXERCISES };
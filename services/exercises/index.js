@@ -0,0 +1,270 @@
+// Guided exercise engine. While a conversation has an active exercise, each
+// user message answers the current step and the reply asks the next one;
+// no AI provider is involved. advance() is pure - state is only stored once
+// the chat turn itself is saved.
+const ExerciseSession = require('../../models/ExerciseSession');
+const { EXERCISES } = require('./definitions');
+
+const PROVIDER = 'exercise';
+
+// Whole-message commands that set the exercise aside
+const PAUSE_COMMANDS = ['pause', 'stop', 'exit', 'quit', 'later', 'not now', 'pause exercise', 'stop exercise'];
+
+class ExerciseError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'ExerciseError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const getExercise = (id) => EXERCISES.find(exercise => exercise.id === id) || null;
+
+const listExercises = (goal) => EXERCISES
+  .filter(exercise => !goal || exercise.goals.includes(goal))
+  .map(exercise => ({
+    id: exercise.id,
+    title: exercise.title,
+    description: exercise.description,
+    goals: exercise.goals,
+    stepCount: exercise.steps.length
+  }));
+
+const isPauseCommand = (input) => PAUSE_COMMANDS.includes(
+  String(input || '').trim().toLowerCase().replace(/[.!\s]+$/, '')
+);
+
+const splitList = (input) => String(input)
+  .split(/\r?\n|[,;]|\band\b/i)
+  .map(item => item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+  .filter(Boolean);
+
+const formatChoices = (options) => options.map((option, index) => `${index + 1}. ${option.label}`).join('\n');
+
+// Resolves to { value } or { error } with a hint for the user
+const parseAnswer = (step, input) => {
+  const text = String(input || '').trim();
+  const { answer } = step;
+
+  switch (answer.type) {
+    case 'number': {
+      const match = text.match(/-?\d+(?:\.\d+)?/);
+      const value = match ? Number(match[0]) : NaN;
+      if (Number.isNaN(value) || value < answer.min || value > answer.max) {
+        return { error: `Please answer with a number from ${answer.min} to ${answer.max}.` };
+      }
+      return { value };
+    }
+    case 'list': {
+      const items = splitList(text);
+      if (items.length < answer.minItems) {
+        return {
+          error: `Try to name ${answer.minItems} - you've listed ${items.length} so far. Separate them with commas.`
+        };
+      }
+      return { value: items };
+    }
+    case 'choice': {
+      const lower = text.toLowerCase();
+      const index = /^\d+$/.test(text) ? Number(text) - 1 : -1;
+      const option = answer.options[index] || answer.options.find(candidate => (
+        lower === candidate.value || lower.includes(candidate.label.toLowerCase())
+      ));
+      if (!option) {
+        return { error: `Please pick one of these (a number is fine):\n${formatChoices(answer.options)}` };
+      }
+      return { value: option.value };
+    }
+    default: {
+      const minLength = answer.minLength || 1;
+      const maxLength = answer.maxLength || 1000;
+      if (text.length < minLength) {
+        return { error: 'Could you say a little more?' };
+      }
+      return { value: text.slice(0, maxLength) };
+    }
+  }
+};
+
+const stepPrompt = (exercise, stepIndex) => {
+  const step = exercise.steps[stepIndex];
+  const choices = step.answer.type === 'choice' ? `\n${formatChoices(step.answer.options)}` : '';
+  return `Step ${stepIndex + 1} of ${exercise.steps.length}: ${step.prompt}${choices}`;
+};
+
+const formatValue = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+const renderCompletion = (exercise, answers) => exercise.completion.replace(/\{\{([\w-]+)\}\}/g, (placeholder, stepId) => {
+  const answer = answers.find(candidate => candidate.stepId === stepId);
+  return answer ? formatValue(answer.value) : '';
+});
+
+// Applies one user message to { stepIndex, answers }. Resolves to
+// { state, reply, outcome } where outcome is paused, invalid, answered or completed.
+const advance = (exercise, state, input) => {
+  if (isPauseCommand(input)) {
+    return {
+      state,
+      outcome: 'paused',
+      reply: `No problem - I've saved your progress on ${exercise.title}. You can pick it up again whenever you like.`
+    };
+  }
+
+  const step = exercise.steps[state.stepIndex];
+  const parsed = parseAnswer(step, input);
+  if (parsed.error) {
+    return { state, outcome: 'invalid', reply: `${parsed.error}\n\n${stepPrompt(exercise, state.stepIndex)}` };
+  }
+
+  const next = {
+    stepIndex: state.stepIndex + 1,
+    answers: [...state.answers, { stepId: step.id, value: parsed.value }]
+  };
+  if (next.stepIndex >= exercise.steps.length) {
+    return { state: next, outcome: 'completed', reply: renderCompletion(exercise, next.answers) };
+  }
+  return { state: next, outcome: 'answered', reply: stepPrompt(exercise, next.stepIndex) };
+};
+
+// The active session for a conversation, or null
+const loadActiveExercise = async (conversation, userId) => {
+  if (!conversation.activeExercise) {
+    return null;
+  }
+  const session = await ExerciseSession.findOne({
+    _id: conversation.activeExercise,
+    userId,
+    status: 'in-progress'
+  });
+  return session && getExercise(session.exerciseId) ? session : null;
+};
+
+// An AI-result-shaped reply for generateTurn
+const answerExercise = (session, input) => {
+  const exercise = getExercise(session.exerciseId);
+  const step = exercise.steps[session.stepIndex];
+  const result = advance(exercise, { stepIndex: session.stepIndex, answers: session.answers }, input);
+  const nextStep = result.outcome === 'answered' || result.outcome === 'invalid'
+    ? exercise.steps[result.state.stepIndex]
+    : null;
+  return {
+    response: result.reply,
+    provider: PROVIDER,
+    model: null,
+    exercise: {
+      session,
+      result,
+      // Tags for the user message and the reply
+      answered: { sessionId: session._id, exerciseId: exercise.id, stepId: step.id },
+      asked: { sessionId: session._id, exerciseId: exercise.id, stepId: nextStep ? nextStep.id : null }
+    }
+  };
+};
+
+// Stores the outcome of answerExercise once the turn's messages are on the
+// conversation; call before the conversation is saved.
+const applyExerciseTurn = async (conversation, { session, result }) => {
+  if (result.outcome === 'paused' || result.outcome === 'completed') {
+    conversation.activeExercise = null;
+  }
+  if (result.outcome === 'answered' || result.outcome === 'completed') {
+    const answerMessage = conversation.messages[conversation.messages.length - 2];
+    const answer = result.state.answers[result.state.answers.length - 1];
+    session.answers.push({ ...answer, messageId: answerMessage._id });
+    session.stepIndex = result.state.stepIndex;
+  }
+  if (result.outcome === 'completed') {
+    session.status = 'completed';
+    session.completedAt = new Date();
+  }
+  session.conversationId = conversation._id;
+  await session.save();
+};
+
+// Starts a new session, or resumes an unfinished one, in conversation.
+// Adds the opening prompt as an assistant message; the caller saves the conversation.
+const enterExercise = async ({ userId, conversation, exerciseId, sessionId }) => {
+  if (conversation.activeExercise) {
+    throw new ExerciseError('Finish or pause the current exercise first', 409, 'EXERCISE_ACTIVE');
+  }
+
+  let session;
+  let opening;
+  if (sessionId) {
+    session = await ExerciseSession.findOne({ _id: sessionId, userId });
+    if (!session) {
+      throw new ExerciseError('Exercise session not found', 404, 'EXERCISE_SESSION_NOT_FOUND');
+    }
+    if (session.status !== 'in-progress') {
+      throw new ExerciseError('This exercise is already complete', 409, 'EXERCISE_COMPLETED');
+    }
+    const exercise = getExercise(session.exerciseId);
+    session.conversationId = conversation._id;
+    opening = `Welcome back to ${exercise.title}. Let's carry on where you left off.\n\n${stepPrompt(exercise, session.stepIndex)}`;
+  } else {
+    const exercise = getExercise(exerciseId);
+    if (!exercise) {
+      throw new ExerciseError('Unknown exercise', 400, 'INVALID_EXERCISE');
+    }
+    session = new ExerciseSession({ userId, conversationId: conversation._id, exerciseId });
+    opening = `${exercise.intro}\n\n${stepPrompt(exercise, 0)}`;
+  }
+
+  await session.save();
+  const exercise = getExercise(session.exerciseId);
+  conversation.activeExercise = session._id;
+  conversation.messages.push({
+    role: 'assistant',
+    content: opening,
+    provider: PROVIDER,
+    exercise: { sessionId: session._id, exerciseId: exercise.id, stepId: exercise.steps[session.stepIndex].id },
+    timestamp: new Date()
+  });
+  return session;
+};
+
+// Detaches the active exercise from the conversation; the session stays resumable
+const pauseExercise = (conversation) => {
+  if (!conversation.activeExercise) {
+    throw new ExerciseError('There is no exercise in progress', 409, 'NO_ACTIVE_EXERCISE');
+  }
+  const sessionId = conversation.activeExercise;
+  conversation.activeExercise = null;
+  return sessionId;
+};
+
+const toSessionResponse = (session) => {
+  const exercise = getExercise(session.exerciseId);
+  const currentStep = exercise && session.status === 'in-progress' ? exercise.steps[session.stepIndex] : null;
+  return {
+    id: session._id,
+    exerciseId: session.exerciseId,
+    title: exercise ? exercise.title : session.exerciseId,
+    status: session.status,
+    conversationId: session.conversationId,
+    stepIndex: session.stepIndex,
+    stepCount: exercise ? exercise.steps.length : null,
+    currentStep: currentStep ? { id: currentStep.id, prompt: currentStep.prompt, answer: currentStep.answer } : null,
+    answers: session.answers.map(answer => ({ stepId: answer.stepId, value: answer.value, answeredAt: answer.answeredAt })),
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    completedAt: session.completedAt || null
+  };
+};
+
+module.exports = {
+  PROVIDER,
+  ExerciseError,
+  getExercise,
+  listExercises,
+  isPauseCommand,
+  parseAnswer,
+  advance,
+  loadActiveExercise,
+  answerExercise,
+  applyExerciseTurn,
+  enterExercise,
+  pauseExercise,
+  toSessionResponse
+};
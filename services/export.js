@@ -0,0 +1,208 @@
+// Conversation export to Markdown, JSON and PDF, singly or as a zip archive
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+
+const EXPORT_FORMATS = ['md', 'json', 'pdf'];
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+const ROLE_LABELS = {
+  user: 'You',
+  assistant: 'Calm Companion'
+};
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+// Plain export shape shared by every format. goalTitles maps slug -> title.
+const toExportData = (conversation, { exportedAt = new Date(), goalTitles = {} } = {}) => {
+  const messages = conversation.messages || [];
+  return {
+    exportedAt: toIso(exportedAt),
+    conversation: {
+      id: String(conversation._id),
+      goal: conversation.goal,
+      title: conversation.title || null,
+      goalTitle: goalTitles[conversation.goal] || conversation.goal,
+      tags: conversation.tags && conversation.tags.length ? [...conversation.tags] : undefined,
+      createdAt: toIso(conversation.createdAt),
+      lastMessageAt: messages.length ? toIso(messages[messages.length - 1].timestamp) : null,
+      messages: messages.map(msg => ({
+        role: msg.role,
+        content: msg.content,
+        timestamp: toIso(msg.timestamp),
+        tone: msg.tone || undefined,
+        language: msg.language || undefined
+      }))
+    }
+  };
+};
+
+const annotation = (msg) => [msg.tone && `tone: ${msg.tone}`, msg.language && `language: ${msg.language}`]
+  .filter(Boolean)
+  .join(', ');
+
+const toMarkdown = (data) => {
+  const { conversation } = data;
+  const lines = [
+    `# Calm Companion conversation: ${conversation.title || conversation.goalTitle}`,
+    '',
+    `- Exported: ${data.exportedAt}`,
+    `- Goal: ${conversation.goalTitle} (\`${conversation.goal}\`)`,
+    ...(conversation.tags ? [`- Tags: ${conversation.tags.join(', ')}`] : []),
+    `- Started: ${conversation.createdAt || 'unknown'}`,
+    `- Messages: ${conversation.messages.length}`,
+    ''
+  ];
+
+  conversation.messages.forEach(msg => {
+    const note = annotation(msg);
+    lines.push(`## ${ROLE_LABELS[msg.role] || msg.role} — ${msg.timestamp || 'unknown time'}`);
+    if (note) {
+      lines.push(`_${note}_`);
+    }
+    lines.push('', msg.content, '');
+  });
+
+  return lines.join('\n');
+};
+
+const toJson = (data) => JSON.stringify(data, null, 2);
+
+// pdfkit's built-in Helvetica only covers Latin-1, so PDFs embed Unicode
+// fonts: DejaVu Sans for most scripts (Latin, Cyrillic, Greek, Arabic, Hebrew),
+// Noto Sans SC/KR for Chinese, Japanese and Korean, and Noto Emoji
+const PDF_FONTS = {
+  text: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+  cjk: require.resolve('@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf'),
+  hangul: require.resolve('@expo-google-fonts/noto-sans-kr/400Regular/NotoSansKR_400Regular.ttf'),
+  emoji: require.resolve('@expo-google-fonts/noto-emoji/400Regular/NotoEmoji_400Regular.ttf')
+};
+
+// Characters the text font cannot draw; anything else uses it
+const FONT_SCRIPTS = [
+  { font: 'emoji', pattern: /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}]/u },
+  { font: 'hangul', pattern: /[\p{Script=Hangul}]/u },
+  { font: 'cjk', pattern: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Bopomofo}\u3000-\u303f\uff00-\uffef]/u }
+];
+
+// Spaces, joiners and variation selectors stay with the run before them
+const JOINING = /\s|\u200d|\ufe0e|\ufe0f/u;
+
+const fontFor = (char) => (FONT_SCRIPTS.find(({ pattern }) => pattern.test(char)) || { font: 'text' }).font;
+
+// Splits text into [{ font, text }] runs that one font can draw each
+const fontRuns = (text) => Array.from(String(text)).reduce((runs, char) => {
+  const last = runs[runs.length - 1];
+  const font = last && JOINING.test(char) ? last.font : fontFor(char);
+  if (last && last.font === font) {
+    last.text += char;
+  } else {
+    runs.push({ font, text: char });
+  }
+  return runs;
+}, []);
+
+// doc.text that switches fonts between runs; options.continued carries on
+// into the next call as usual
+const writeText = (doc, text, options = {}) => {
+  const runs = fontRuns(text);
+  if (!runs.length) {
+    return doc.font('text').text('', options);
+  }
+  runs.forEach((run, index) => {
+    doc.font(run.font).text(run.text, { ...options, continued: index < runs.length - 1 || Boolean(options.continued) });
+  });
+  return doc;
+};
+
+// Resolves to the finished PDF as a buffer
+const toPdf = (data) => new Promise((resolve, reject) => {
+  const { conversation } = data;
+  const doc = new PDFDocument({ margin: 50, info: { Title: `Calm Companion - ${conversation.title || conversation.goalTitle}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  // Registering only records the path; a font is read once a run uses it
+  Object.entries(PDF_FONTS).forEach(([name, file]) => doc.registerFont(name, file));
+
+  writeText(doc.fontSize(18), `Calm Companion conversation: ${conversation.title || conversation.goalTitle}`);
+  doc.moveDown(0.5);
+  doc.fontSize(10).fillColor('#555555');
+  writeText(doc, `Exported: ${data.exportedAt}`);
+  writeText(doc, `Goal: ${conversation.goalTitle} (${conversation.goal})`);
+  writeText(doc, `Started: ${conversation.createdAt || 'unknown'}`);
+  writeText(doc, `Messages: ${conversation.messages.length}`);
+  doc.moveDown();
+
+  conversation.messages.forEach(msg => {
+    const note = annotation(msg);
+    writeText(doc.fontSize(11).fillColor('#000000'), `${ROLE_LABELS[msg.role] || msg.role}`, { continued: true });
+    writeText(doc.fillColor('#777777'), `  ${msg.timestamp || ''}${note ? `  (${note})` : ''}`);
+    writeText(doc.fontSize(11).fillColor('#000000'), msg.content);
+    doc.moveDown(0.75);
+  });
+
+  doc.end();
+});
+
+// Resolves to the file body (string or buffer) for one conversation
+const renderExport = (data, format) => {
+  if (format === 'pdf') {
+    return toPdf(data);
+  }
+  return Promise.resolve(format === 'json' ? toJson(data) : toMarkdown(data));
+};
+
+const exportFilename = (data, format) => {
+  const date = (data.conversation.createdAt || data.exportedAt).slice(0, 10);
+  return `calm-companion-${data.conversation.goal}-${date}-${data.conversation.id}.${format}`;
+};
+
+// Renders each conversation as { name, body }, one at a time. yield awaits
+// the promise, so the next conversation is only read once this one is done.
+async function* zipEntries(conversations, format, options) {
+  for await (const conversation of conversations) {
+    const data = toExportData(conversation, options);
+    yield renderExport(data, format).then(body => ({ name: exportFilename(data, format), body }));
+  }
+}
+
+// Streams a zip with one file per conversation into output (e.g. the response).
+// conversations may be an array or an async iterable such as a query cursor,
+// which keeps memory flat however many there are. Resolves to the file count.
+const writeZip = async (conversations, format, output, options) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('close', resolve);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  let count = 0;
+  for await (const { name, body } of zipEntries(conversations, format, options)) {
+    archive.append(body, { name });
+    count += 1;
+  }
+
+  await archive.finalize();
+  await finished;
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  toExportData,
+  toMarkdown,
+  toJson,
+  toPdf,
+  renderExport,
+  exportFilename,
+  writeZip
+};
@@ -0,0 +1,162 @@
+// Ratings on assistant messages and the quality report built from them
+const Conversation = require('../models/Conversation');
+const Feedback = require('../models/Feedback');
+const { chatFeedbackTotal } = require('../middleware/metrics');
+const { ChatError } = require('./chat');
+const { BUILT_IN_SLUGS } = require('./goals');
+
+const RATINGS = ['up', 'down'];
+
+const REASON_TAGS = [
+  'helpful',
+  'empathetic',
+  'clear',
+  'actionable',
+  'unhelpful',
+  'inaccurate',
+  'insensitive',
+  'off-topic',
+  'repetitive',
+  'too-long',
+  'too-short'
+];
+
+const TOP_REASONS = 5;
+
+// Custom goal slugs are per user, so reports and metrics group them together
+const goalLabel = (goal) => (BUILT_IN_SLUGS.includes(goal) ? goal : 'custom');
+
+// Messages on the active path first, then those in earlier branches
+const findMessage = (conversation, messageId) => {
+  const candidates = [
+    ...(conversation.messages || []),
+    ...(conversation.branches || []).flatMap(branch => branch.messages || [])
+  ];
+  return candidates.find(msg => String(msg._id) === String(messageId)) || null;
+};
+
+// Stores (or replaces) the user's rating of an assistant message
+const rateMessage = async ({ userId, conversationId, messageId, rating, reasons = [], comment = '' }) => {
+  const conversation = await Conversation.findOne({ _id: conversationId, userId })
+    .select('goal messages branches')
+    .lean();
+  if (!conversation) {
+    throw new ChatError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+  }
+
+  const message = findMessage(conversation, messageId);
+  if (!message) {
+    throw new ChatError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+  }
+  if (message.role !== 'assistant') {
+    throw new ChatError('Only assistant messages can be rated', 400, 'MESSAGE_NOT_RATEABLE');
+  }
+
+  const feedback = await Feedback.findOneAndUpdate(
+    { userId, messageId },
+    {
+      $set: {
+        conversationId,
+        rating,
+        reasons: [...new Set(reasons)],
+        comment,
+        goal: conversation.goal,
+        provider: message.provider || null,
+        model: message.model || null,
+        promptVersion: message.promptVersion || null
+      }
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  chatFeedbackTotal.inc({
+    rating,
+    goal: goalLabel(conversation.goal),
+    provider: message.provider || 'unknown'
+  });
+
+  return feedback;
+};
+
+const ratio = (part, total) => (total ? Math.round((part / total) * 1000) / 1000 : null);
+
+// Merges per-group rating counts with per-group reason counts
+const formatGroups = (groups, reasonRows) => groups.map(group => ({
+  key: group._id,
+  total: group.total,
+  up: group.up,
+  down: group.total - group.up,
+  satisfaction: ratio(group.up, group.total),
+  topReasons: reasonRows
+    .filter(row => row._id.key === group._id)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_REASONS)
+    .map(row => ({ reason: row._id.reason, count: row.count }))
+}));
+
+const groupKey = {
+  goal: { $cond: [{ $in: ['$goal', BUILT_IN_SLUGS] }, '$goal', 'custom'] },
+  provider: { $ifNull: ['$provider', 'unknown'] },
+  promptVersion: { $ifNull: ['$promptVersion', 'unknown'] },
+  overall: 'all'
+};
+
+const aggregateBy = async (dimension, match) => {
+  const key = groupKey[dimension];
+  const [groups, reasonRows] = await Promise.all([
+    Feedback.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: key,
+          total: { $sum: 1 },
+          up: { $sum: { $cond: [{ $eq: ['$rating', 'up'] }, 1, 0] } }
+        }
+      },
+      { $sort: { total: -1 } }
+    ]),
+    Feedback.aggregate([
+      { $match: match },
+      { $unwind: '$reasons' },
+      { $group: { _id: { key, reason: '$reasons' }, count: { $sum: 1 } } }
+    ])
+  ]);
+  return formatGroups(groups, reasonRows);
+};
+
+// Satisfaction overall and per goal, provider and prompt version
+const qualityReport = async ({ from, to } = {}) => {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {
+      ...(from ? { $gte: from } : {}),
+      ...(to ? { $lte: to } : {})
+    };
+  }
+
+  const [overall, byGoal, byProvider, byPromptVersion] = await Promise.all([
+    aggregateBy('overall', match),
+    aggregateBy('goal', match),
+    aggregateBy('provider', match),
+    aggregateBy('promptVersion', match)
+  ]);
+
+  return {
+    from: from || null,
+    to: to || null,
+    overall: overall[0] || { key: 'all', total: 0, up: 0, down: 0, satisfaction: null, topReasons: [] },
+    byGoal,
+    byProvider,
+    byPromptVersion
+  };
+};
+
+module.exports = {
+  RATINGS,
+  REASON_TAGS,
+  goalLabel,
+  findMessage,
+  rateMessage,
+  formatGroups,
+  qualityReport
+};
@@ -0,0 +1,114 @@
+// Built-in goals plus per-user custom goals from the Goal model
+const Goal = require('../models/Goal');
+
+const BUILT_IN_GOALS = [
+  {
+    slug: 'emotional-support',
+    title: 'Emotional Support',
+    description: 'Get understanding and comfort when you need it most',
+    tone: 'warm and validating',
+    instructions: 'Listen first, reflect feelings back, and avoid rushing to solutions.',
+    icon: '💙'
+  },
+  {
+    slug: 'stress-relief',
+    title: 'Stress Relief',
+    description: 'Learn calming techniques and breathing exercises',
+    tone: 'calm and steady',
+    instructions: 'Offer short, practical calming techniques such as paced breathing or grounding.',
+    icon: '🧘'
+  },
+  {
+    slug: 'polite-greetings',
+    title: 'Polite Greetings',
+    description: 'Practice friendly and respectful conversation',
+    tone: 'friendly and upbeat',
+    instructions: 'Model polite greetings and gently suggest friendlier phrasings.',
+    icon: '👋'
+  },
+  {
+    slug: 'kind-disagreement',
+    title: 'Kind Disagreement',
+    description: 'Express different views respectfully and constructively',
+    tone: 'respectful and balanced',
+    instructions: 'Show how to acknowledge the other view before stating a different one.',
+    icon: '🤝'
+  },
+  {
+    slug: 'respectful-questions',
+    title: 'Respectful Questions',
+    description: 'Learn to ask thoughtful and considerate questions',
+    tone: 'curious and considerate',
+    instructions: 'Demonstrate open, non-judgemental questions and invite the user to try their own.',
+    icon: '❓'
+  }
+].map(goal => ({ ...goal, builtIn: true }));
+
+const BUILT_IN_SLUGS = BUILT_IN_GOALS.map(goal => goal.slug);
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+const toGoalResponse = (goal) => ({
+  id: goal._id || null,
+  slug: goal.slug,
+  title: goal.title,
+  description: goal.description,
+  tone: goal.tone,
+  instructions: goal.instructions,
+  icon: goal.icon,
+  builtIn: Boolean(goal.builtIn),
+  createdAt: goal.createdAt,
+  updatedAt: goal.updatedAt
+});
+
+const slugify = (title) => title
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[^a-z0-9\s-]/g, '')
+  .trim()
+  .replace(/[\s-]+/g, '-')
+  .slice(0, 56) || 'goal';
+
+// Unique per user and never shadowing a built-in goal
+const generateSlug = async (userId, title) => {
+  const base = slugify(title);
+  // Slugs only hold [a-z0-9-], so base is safe inside the pattern
+  const taken = new Set([
+    ...BUILT_IN_SLUGS,
+    ...await Goal.distinct('slug', { userId, slug: new RegExp(`^${base}(-\\d+)?$`) })
+  ]);
+  let slug = base;
+  let suffix = 2;
+  while (taken.has(slug)) {
+    slug = `${base}-${suffix}`;
+    suffix += 1;
+  }
+  return slug;
+};
+
+const listGoals = async (userId) => {
+  const custom = await Goal.find({ userId }).sort({ createdAt: 1 }).lean();
+  return [...BUILT_IN_GOALS, ...custom];
+};
+
+// Goal definition for a slug, or null when the user has no such goal
+const resolveGoal = (userId, slug) => {
+  const builtIn = BUILT_IN_GOALS.find(goal => goal.slug === slug);
+  if (builtIn) {
+    return Promise.resolve(builtIn);
+  }
+  if (!SLUG_PATTERN.test(slug || '')) {
+    return Promise.resolve(null);
+  }
+  return Goal.findOne({ userId, slug }).lean();
+};
+
+module.exports = {
+  BUILT_IN_GOALS,
+  BUILT_IN_SLUGS,
+  SLUG_PATTERN,
+  toGoalResponse,
+  generateSlug,
+  listGoals,
+  resolveGoal
+};
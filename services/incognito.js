@@ -0,0 +1,86 @@
+// Incognito chat: the client keeps the conversation and sends the prior
+// turns with every message, and nothing about the content is stored or
+// logged. Turns are only counted, anonymously, per day, goal and provider.
+const IncognitoStat = require('../models/IncognitoStat');
+const { logger } = require('../config/db');
+const { chatIncognitoTurnsTotal } = require('../middleware/metrics');
+const { BUILT_IN_SLUGS } = require('./goals');
+const { utcDay } = require('./usage');
+
+const MAX_HISTORY_TURNS = 20;
+const MAX_HISTORY_CONTENT = 4000;
+
+// Same checks for the express validator and the socket payload. Overlong
+// content is not an error - the client sends earlier replies back whole - and
+// is cut to MAX_HISTORY_CONTENT by toPromptHistory instead.
+const validateIncognitoHistory = (history) => {
+  if (history === undefined) {
+    return null;
+  }
+  if (!Array.isArray(history) || history.length > MAX_HISTORY_TURNS) {
+    return `History must be a list of at most ${MAX_HISTORY_TURNS} messages`;
+  }
+  const valid = history.every(msg => msg
+    && ['user', 'assistant'].includes(msg.role)
+    && typeof msg.content === 'string'
+    && msg.content.length > 0);
+  return valid ? null : 'History messages need a role (user or assistant) and some content';
+};
+
+// Only role and content reach the prompt
+const toPromptHistory = (history = []) => history
+  .slice(-MAX_HISTORY_TURNS)
+  .map(({ role, content }) => ({ role, content: content.slice(0, MAX_HISTORY_CONTENT) }));
+
+// Custom goal slugs are named by their owner, so they are not counted by name
+const goalLabel = (goal) => (BUILT_IN_SLUGS.includes(goal) ? goal : 'custom');
+
+const recordIncognitoTurn = async ({ goal, provider, crisis = false, now = new Date() }) => {
+  const label = goalLabel(goal);
+  chatIncognitoTurnsTotal.inc({ goal: label, provider });
+  try {
+    await IncognitoStat.updateOne(
+      { day: utcDay(now), goal: label, provider },
+      { $inc: { turns: 1, crisisTurns: crisis ? 1 : 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error('Failed to record incognito turn', { error: error.message });
+  }
+};
+
+// Admin report: totals and per-day, per-goal and per-provider counts
+const incognitoReport = async ({ from, to } = {}) => {
+  const match = {};
+  if (from || to) {
+    match.day = {
+      ...(from ? { $gte: utcDay(from) } : {}),
+      ...(to ? { $lte: utcDay(to) } : {})
+    };
+  }
+  const stats = await IncognitoStat.find(match).sort({ day: 1 }).lean();
+
+  const tally = (key) => stats.reduce((totals, stat) => {
+    const entry = totals[stat[key]] || { turns: 0, crisisTurns: 0 };
+    entry.turns += stat.turns;
+    entry.crisisTurns += stat.crisisTurns;
+    return { ...totals, [stat[key]]: entry };
+  }, {});
+
+  return {
+    turns: stats.reduce((sum, stat) => sum + stat.turns, 0),
+    crisisTurns: stats.reduce((sum, stat) => sum + stat.crisisTurns, 0),
+    byDay: tally('day'),
+    byGoal: tally('goal'),
+    byProvider: tally('provider')
+  };
+};
+
+module.exports = {
+  MAX_HISTORY_TURNS,
+  MAX_HISTORY_CONTENT,
+  validateIncognitoHistory,
+  toPromptHistory,
+  recordIncognitoTurn,
+  incognitoReport
+};
@@ -0,0 +1,50 @@
+// Meditation session logging shared by POST /api/meditation and the chat
+// companion's log_meditation_session tool, so both go through the same rules.
+// The tool's argument schema (services/tools) is stricter on top of these.
+const MeditationSession = require('../models/MeditationSession');
+
+// The kinds the companion offers; manual logs may use their own
+const MEDITATION_TYPES = ['guided', 'timed', 'breathing', 'body-scan', 'mindfulness', 'sleep'];
+
+class MeditationError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'MeditationError';
+    this.status = 400;
+    this.code = 'VALIDATION_ERROR';
+    this.details = details;
+  }
+}
+
+// What the MeditationSession model requires. Resolves to { value } or
+// { errors: [{ path, msg }] }
+const validateSession = ({ type, duration, notes } = {}) => {
+  const errors = [];
+  if (typeof type !== 'string' || !type.trim()) {
+    errors.push({ path: 'type', msg: 'Type is required' });
+  }
+  const minutes = typeof duration === 'string' && duration.trim() ? Number(duration) : duration;
+  if (typeof minutes !== 'number' || !Number.isFinite(minutes)) {
+    errors.push({ path: 'duration', msg: 'Duration must be a number of minutes' });
+  }
+  if (errors.length) {
+    return { errors };
+  }
+  return { value: { type, duration: minutes, notes } };
+};
+
+// source records where the session came from ('manual' or 'chat')
+const logSession = (userId, input, { source = 'manual', conversationId } = {}) => {
+  const { value, errors } = validateSession(input);
+  if (errors) {
+    return Promise.reject(new MeditationError('Validation failed', errors));
+  }
+  return MeditationSession.create({ userId, ...value, source, conversationId });
+};
+
+module.exports = {
+  MEDITATION_TYPES,
+  MeditationError,
+  validateSession,
+  logSession
+};
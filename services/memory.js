@@ -0,0 +1,319 @@
+// Long-term "about me" memory: facts the companion learns about the user
+// (preferences, triggers, people they mention) that carry across
+// conversations. Facts found in conversations are only proposed; they reach
+// a prompt once the user confirms them, and the user can edit or delete any.
+const MemoryFact = require('../models/MemoryFact');
+const Conversation = require('../models/Conversation');
+const { logger } = require('../config/db');
+const { generateText } = require('./ai');
+const { detectInjection } = require('./ai/injection');
+
+const MEMORY_CATEGORIES = ['preference', 'trigger', 'person', 'other'];
+const MEMORY_STATUSES = ['proposed', 'confirmed'];
+const MAX_FACT_LENGTH = 200;
+// Per user, proposed and confirmed together
+const MAX_FACTS = 100;
+const MAX_PROPOSALS = 5;
+const MAX_PROMPT_FACTS = 8;
+
+class MemoryError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'MemoryError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const EXTRACTION_PROMPT = [
+  'You help Calm Companion, a supportive wellbeing assistant, remember the user between conversations.',
+  'From the user\'s messages, list lasting facts worth remembering: preferences (how they like to be supported, what helps them), triggers (what upsets or stresses them) and people they mention.',
+  'Skip passing moods, anything the companion said and facts that are already known.',
+  `Reply with JSON only: an array of at most ${MAX_PROPOSALS} objects {"category": "preference" | "trigger" | "person" | "other", "content": string}, where content is one short sentence in the third person, e.g. "The user's sister is called Anna". Reply [] when there is nothing new.`
+].join('\n');
+
+// Look for new facts once this many messages were added since the last look
+const getExtractionTrigger = () => parseInt(process.env.MEMORY_EXTRACTION_TRIGGER, 10) || 6;
+
+// Edits can shorten a conversation below the count it was last scanned at
+const extractedCount = (conversation) => Math.min(
+  (conversation.memoryExtraction && conversation.memoryExtraction.messageCount) || 0,
+  conversation.messages.length
+);
+
+const needsMemoryExtraction = (conversation) => (
+  conversation.messages.length - extractedCount(conversation) >= getExtractionTrigger()
+);
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const thirdPerson = (text) => text
+  .trim()
+  .replace(/\bI'm\b/gi, 'they\'re')
+  .replace(/\bmyself\b/gi, 'themselves')
+  .replace(/\bmy\b/gi, 'their')
+  .replace(/\bme\b/gi, 'them')
+  .replace(/\bI\b/g, 'they');
+
+const RELATIONS = [
+  'mother', 'mom', 'mum', 'father', 'dad', 'sister', 'brother', 'wife', 'husband', 'partner', 'boyfriend',
+  'girlfriend', 'best friend', 'friend', 'son', 'daughter', 'boss', 'manager', 'colleague', 'therapist',
+  'grandmother', 'grandma', 'grandfather', 'grandpa', 'aunt', 'uncle', 'cousin', 'roommate', 'flatmate'
+].join('|');
+
+// Used when no remote provider can extract facts
+const LOCAL_RULES = [
+  {
+    category: 'person',
+    pattern: new RegExp(`\\b[Mm]y (${RELATIONS})(?:'s name is|,| is called| called| named|) (?!I\\b)([A-Z][\\p{L}'-]+)`, 'u'),
+    fact: match => `The user's ${match[1]} is called ${match[2]}`
+  },
+  {
+    category: 'preference',
+    pattern: /\bI (?:really )?(prefer|love|enjoy) ([^.!?,\n]{3,80})/i,
+    fact: match => `The user ${match[1].toLowerCase()}s ${thirdPerson(match[2])}`
+  },
+  {
+    category: 'trigger',
+    pattern: /\bI(?:'m| am) (?:really )?(?:afraid|scared|terrified) of ([^.!?,\n]{3,80})/i,
+    fact: match => `The user is afraid of ${thirdPerson(match[1])}`
+  },
+  {
+    category: 'trigger',
+    pattern: /([^.!?,\n]{3,80}?) (?:really )?(?:triggers? me|stress(?:es)? me out|makes? me (?:anxious|panic|nervous))/i,
+    fact: match => `${capitalize(thirdPerson(match[1]))} makes the user anxious`
+  }
+];
+
+const extractLocally = (messages) => messages.flatMap(msg => LOCAL_RULES
+  .map(rule => {
+    const match = msg.content.match(rule.pattern);
+    return match ? { category: rule.category, content: rule.fact(match) } : null;
+  })
+  .filter(Boolean));
+
+// Proposals from a provider reply, or null when it is not the JSON asked for
+const parseProposals = (text) => {
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start === -1 || end < start) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    if (!Array.isArray(parsed)) {
+      return null;
+    }
+    return parsed
+      .filter(item => item && typeof item.content === 'string' && item.content.trim())
+      .map(item => ({
+        category: MEMORY_CATEGORIES.includes(item.category) ? item.category : 'other',
+        content: item.content.trim()
+      }));
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalize = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Looks for new facts in the messages added since the last look and stores
+// them as proposals. Resolves to the created facts.
+const extractMemories = async (conversation, { preferredProvider, redactor } = {}) => {
+  const from = extractedCount(conversation);
+  const userMessages = conversation.messages
+    .slice(from)
+    .filter(msg => msg.role === 'user' && msg.content);
+
+  let created = [];
+  if (userMessages.length) {
+    const existing = await MemoryFact.find({ userId: conversation.userId }).select('content').lean();
+    const known = existing.map(fact => fact.content);
+
+    const prompt = [
+      'Already known:',
+      known.length ? known.map(content => `- ${content}`).join('\n') : '(nothing yet)',
+      '',
+      'User messages:',
+      userMessages.map(msg => `- ${msg.content}`).join('\n')
+    ].join('\n');
+    // The local provider cannot extract facts, so it is never asked to
+    const result = await generateText({
+      system: EXTRACTION_PROMPT,
+      prompt: redactor ? redactor.redact(prompt) : prompt,
+      preferredProvider,
+      userId: conversation.userId,
+      exclude: ['local']
+    });
+    const text = result && redactor ? redactor.restore(result.text) : result && result.text;
+    const proposals = (text && parseProposals(text)) || extractLocally(userMessages);
+
+    // Known facts, repeats and override attempts are dropped
+    const seen = new Set(known.map(normalize));
+    const fresh = proposals
+      .filter(({ content }) => content.length <= MAX_FACT_LENGTH && !detectInjection(content).detected)
+      .filter(({ content }) => {
+        const key = normalize(content);
+        if (!key || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      })
+      .slice(0, Math.max(0, Math.min(MAX_PROPOSALS, MAX_FACTS - existing.length)));
+
+    if (fresh.length) {
+      created = await MemoryFact.insertMany(fresh.map(fact => ({
+        ...fact,
+        userId: conversation.userId,
+        status: 'proposed',
+        source: 'conversation',
+        conversationId: conversation._id
+      })));
+    }
+
+    logger.info('Memory facts proposed', {
+      userId: conversation.userId,
+      conversationId: conversation._id,
+      proposed: created.length,
+      provider: result ? result.provider : 'local'
+    });
+  }
+
+  // Targeted update so a concurrent turn's save is not overwritten
+  const memoryExtraction = { messageCount: conversation.messages.length, updatedAt: new Date() };
+  await Conversation.updateOne({ _id: conversation._id }, { $set: { memoryExtraction } });
+  conversation.memoryExtraction = memoryExtraction;
+  return created;
+};
+
+// Fire-and-forget variant for the chat path; never rejects
+const refreshMemories = (conversation, options) => extractMemories(conversation, options)
+  .catch(error => {
+    logger.error('Memory extraction failed', {
+      error: error.message,
+      conversationId: conversation._id
+    });
+    return [];
+  });
+
+const keywords = (text) => new Set((String(text || '').toLowerCase().match(/[\p{L}\p{N}'-]+/gu) || [])
+  .filter(word => word.length > 3));
+
+// The facts worth sending with a message, most relevant first: facts sharing
+// words with it, then preferences and triggers, which shape any reply.
+// People and other facts only come up when the message mentions them.
+const selectFacts = (facts, message, limit = MAX_PROMPT_FACTS) => {
+  const words = keywords(message);
+  return facts
+    .map((fact, index) => {
+      const overlap = [...keywords(fact.content)].filter(word => words.has(word)).length;
+      const standing = fact.category === 'preference' || fact.category === 'trigger' ? 1 : 0;
+      return { fact, index, score: overlap * 2 + standing };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ fact }) => fact);
+};
+
+// Memory block for the prompt, or undefined when no confirmed fact applies
+const memoryForPrompt = async (userId, message) => {
+  const facts = await MemoryFact.find({ userId, status: 'confirmed' })
+    .sort({ confirmedAt: -1 })
+    .limit(MAX_FACTS)
+    .lean();
+  const relevant = selectFacts(facts, message);
+  return relevant.length ? relevant.map(fact => `- ${fact.content}`).join('\n') : undefined;
+};
+
+const toFactResponse = (fact) => ({
+  id: fact._id,
+  category: fact.category,
+  content: fact.content,
+  status: fact.status,
+  source: fact.source,
+  conversationId: fact.conversationId || null,
+  createdAt: fact.createdAt,
+  confirmedAt: fact.confirmedAt || null,
+  updatedAt: fact.updatedAt || null
+});
+
+// Proposals waiting for an answer first, newest first within each
+const listFacts = (userId, { status } = {}) => MemoryFact
+  .find({ userId, ...(status ? { status } : {}) })
+  .sort({ status: -1, createdAt: -1 })
+  .lean();
+
+// Facts the user adds themselves need no confirmation
+const addFact = async (userId, { category = 'other', content }) => {
+  if (await MemoryFact.countDocuments({ userId }) >= MAX_FACTS) {
+    throw new MemoryError(`You can keep up to ${MAX_FACTS} memories. Delete some first.`, 409, 'MEMORY_FULL');
+  }
+  const now = new Date();
+  return MemoryFact.create({
+    userId, category, content, status: 'confirmed', source: 'user', confirmedAt: now, createdAt: now
+  });
+};
+
+const findFactOrFail = async (query, update) => {
+  const fact = await MemoryFact.findOneAndUpdate(query, update, { new: true, runValidators: true }).lean();
+  if (!fact) {
+    throw new MemoryError('Memory not found', 404, 'MEMORY_NOT_FOUND');
+  }
+  return fact;
+};
+
+// Editing a proposal does not confirm it
+const updateFact = (userId, factId, { category, content }) => findFactOrFail(
+  { _id: factId, userId },
+  {
+    $set: {
+      ...(category !== undefined ? { category } : {}),
+      ...(content !== undefined ? { content } : {}),
+      updatedAt: new Date()
+    }
+  }
+);
+
+const confirmFact = (userId, factId) => findFactOrFail(
+  { _id: factId, userId },
+  { $set: { status: 'confirmed', confirmedAt: new Date() } }
+);
+
+const deleteFact = async (userId, factId) => {
+  const { deletedCount } = await MemoryFact.deleteOne({ _id: factId, userId });
+  if (!deletedCount) {
+    throw new MemoryError('Memory not found', 404, 'MEMORY_NOT_FOUND');
+  }
+};
+
+// Deletes every fact, or only those with the given status
+const clearMemory = async (userId, { status } = {}) => {
+  const { deletedCount } = await MemoryFact.deleteMany({ userId, ...(status ? { status } : {}) });
+  return deletedCount;
+};
+
+module.exports = {
+  MEMORY_CATEGORIES,
+  MEMORY_STATUSES,
+  MAX_FACT_LENGTH,
+  MAX_FACTS,
+  MAX_PROMPT_FACTS,
+  MemoryError,
+  getExtractionTrigger,
+  needsMemoryExtraction,
+  extractLocally,
+  parseProposals,
+  extractMemories,
+  refreshMemories,
+  selectFacts,
+  memoryForPrompt,
+  toFactResponse,
+  listFacts,
+  addFact,
+  updateFact,
+  confirmFact,
+  deleteFact,
+  clearMemory
+};
@@ -0,0 +1,162 @@
+// PII redaction for text sent to AI providers. Emails, phone numbers, card
+// numbers, addresses, names and similar are swapped for placeholders such as
+// [EMAIL_1] before a provider call, and the placeholders are put back in the
+// reply. One redactor per chat turn keeps placeholders consistent across the
+// message, its history and the summary.
+const User = require('../models/User');
+
+const luhnValid = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const digitCount = (text) => text.replace(/\D/g, '').length;
+
+const RELATIONS = 'boss|friend|partner|husband|wife|boyfriend|girlfriend|brother|sister|mum|mom|mother|dad|father|son|daughter|colleague|coworker|manager|teacher|therapist|doctor|neighbour|neighbor|cousin|aunt|uncle|roommate|flatmate|ex';
+const STREET_TYPES = 'Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Dr|Boulevard|Blvd|Way|Court|Ct|Place|Pl|Terrace|Close|Crescent|Square|Sq';
+
+// Earlier detectors win where matches overlap. group names the capture
+// holding the PII when the pattern also matches surrounding words.
+const DETECTORS = [
+  { type: 'EMAIL', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { type: 'CARD', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, accept: value => luhnValid(value.replace(/\D/g, '')) },
+  { type: 'ID_NUMBER', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: 'IP_ADDRESS', pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g },
+  {
+    type: 'PHONE',
+    pattern: /(?<![\d+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,6}(?:[\s.-]?\d{2,6}){1,4}(?!\d)/g,
+    // Dates and plain amounts are not phone numbers
+    accept: value => digitCount(value) >= 7 && digitCount(value) <= 15 && !/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$/.test(value.trim())
+  },
+  { type: 'ADDRESS', pattern: new RegExp(`\\b\\d{1,5}\\s+(?:[A-Z][a-z]+\\s+){1,3}(?:${STREET_TYPES})\\b\\.?`, 'g') },
+  { type: 'POSTCODE', pattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/g },
+  {
+    type: 'NAME',
+    pattern: /\b(?:my name is|i am called|i'm called|call me|named|called)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/gi,
+    group: 1,
+    // The cue is case-insensitive but the name itself must be capitalised
+    accept: value => /^[A-Z]/.test(value)
+  },
+  { type: 'NAME', pattern: new RegExp(`\\b(?:${RELATIONS})\\s+([A-Z][a-z]+)\\b`, 'g'), group: 1 }
+];
+
+const PLACEHOLDER_PATTERN = /\[([A-Z_]+)_(\d+)\]/g;
+// A possibly unfinished placeholder at the end of streamed text
+const PARTIAL_PLACEHOLDER = /\[[A-Z_]*\d*$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// names are known to belong to the user (e.g. from their profile) and are
+// redacted wherever they appear
+const createRedactor = ({ names = [] } = {}) => {
+  const originals = new Map(); // placeholder -> original text
+  const placeholders = new Map(); // type:normalised value -> placeholder
+  const counts = {};
+
+  const detectors = names.filter(name => name && name.length > 1).length
+    ? [...DETECTORS, {
+      type: 'NAME',
+      pattern: new RegExp(`\\b(?:${names.filter(name => name && name.length > 1).map(escapeRegExp).join('|')})\\b`, 'gi')
+    }]
+    : DETECTORS;
+
+  const placeholderFor = (type, value) => {
+    const key = `${type}:${value.toLowerCase().replace(/\s+/g, ' ')}`;
+    if (!placeholders.has(key)) {
+      counts[type] = (counts[type] || 0) + 1;
+      const placeholder = `[${type}_${counts[type]}]`;
+      placeholders.set(key, placeholder);
+      originals.set(placeholder, value);
+    }
+    return placeholders.get(key);
+  };
+
+  const redact = (text) => {
+    if (!text) {
+      return text;
+    }
+    // Collect non-overlapping spans first so detectors never see placeholders
+    const spans = [];
+    detectors.forEach(({ type, pattern, group, accept }) => {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        const value = group ? match[group] : match[0];
+        const start = match.index + (group ? match[0].lastIndexOf(value) : 0);
+        const end = start + value.length;
+        const overlaps = spans.some(span => start < span.end && end > span.start);
+        if (value && !overlaps && (!accept || accept(value))) {
+          spans.push({ start, end, type, value });
+        }
+      }
+    });
+
+    // Numbered in reading order, replaced from the end so offsets stay valid
+    return spans
+      .sort((a, b) => a.start - b.start)
+      .map(span => ({ ...span, placeholder: placeholderFor(span.type, span.value) }))
+      .reverse()
+      .reduce((result, span) => result.slice(0, span.start) + span.placeholder + result.slice(span.end), text);
+  };
+
+  const restore = (text) => (text
+    ? text.replace(PLACEHOLDER_PATTERN, placeholder => originals.get(placeholder) || placeholder)
+    : text);
+
+  // Restores streamed tokens, holding back a placeholder split across tokens
+  const createStreamRestorer = (onText) => {
+    let pending = '';
+    return {
+      write(token) {
+        pending += token;
+        const partial = pending.match(PARTIAL_PLACEHOLDER);
+        const cut = partial && partial[0].length < 24 ? partial.index : pending.length;
+        const ready = pending.slice(0, cut);
+        pending = pending.slice(cut);
+        if (ready) {
+          onText(restore(ready));
+        }
+      },
+      end() {
+        if (pending) {
+          onText(restore(pending));
+          pending = '';
+        }
+      }
+    };
+  };
+
+  return {
+    redact,
+    restore,
+    createStreamRestorer,
+    // Counts per type - safe to log, unlike the values
+    summary: () => ({ ...counts }),
+    hasRedactions: () => originals.size > 0
+  };
+};
+
+// The redactor for a user's chat turn, or null when they turned redaction off
+const loadRedactor = async (userId, settings) => {
+  if (settings && settings.piiRedaction === false) {
+    return null;
+  }
+  const user = await User.findById(userId).select('firstName lastName').lean();
+  return createRedactor({ names: user ? [user.firstName, user.lastName] : [] });
+};
+
+module.exports = {
+  DETECTORS,
+  createRedactor,
+  loadRedactor
+};
@@ -0,0 +1,87 @@
+// Role-play scenario definitions. The companion plays character in situation
+// and opens the scene; the user then replies once per entry in lines. Each
+// line is what the character says next when no remote provider is available,
+// and steers the provider's reply otherwise. The last line closes the scene.
+// focus lists the skills the scenario mainly practises.
+
+const SKILLS = ['politeness', 'clarity', 'empathy'];
+
+const SCENARIOS = [
+  {
+    id: 'new-neighbour',
+    title: 'Meeting a New Neighbour',
+    description: 'Introduce yourself to a neighbour who has just moved in next door',
+    goals: ['polite-greetings'],
+    focus: ['politeness', 'clarity'],
+    character: {
+      name: 'Maya',
+      description: 'your new neighbour, who has just moved in next door. She is friendly but a little shy, and tired after a long day of carrying boxes.'
+    },
+    situation: 'You spot your new neighbour carrying boxes up the path and decide to go over and say hello.',
+    opening: '*sets a heavy box down and looks up* Oh - hi there.',
+    lines: [
+      'Nice to meet you! I\'m Maya. Sorry, I\'m a bit of a mess - it\'s been a long day of moving.',
+      'That\'s really kind of you. Have you lived around here for long?',
+      'Good to know, thank you. Well, I\'d better get the rest of these boxes inside before it gets dark. It was lovely to meet you.'
+    ]
+  },
+  {
+    id: 'first-day-colleague',
+    title: 'First Day at a New Job',
+    description: 'Greet a colleague on your first morning and ask where to find things',
+    goals: ['polite-greetings', 'respectful-questions'],
+    focus: ['politeness', 'clarity'],
+    character: {
+      name: 'Daniel',
+      description: 'a colleague at your new workplace. He is helpful but busy, with a meeting starting in ten minutes.'
+    },
+    situation: 'It is your first morning at a new job. You find a colleague at the desk next to yours, checking his emails.',
+    opening: '*glances up from his screen* Morning. Can I help you with something?',
+    lines: [
+      'Oh, welcome! I\'m Daniel - I heard someone new was starting today. What can I do for you?',
+      'Sure - the kitchen is just past the printers, and IT is on the second floor. I\'m afraid I have a meeting in a few minutes, though.',
+      'No problem at all. Let\'s grab a coffee this afternoon and I\'ll show you around properly. Good luck with your first day!'
+    ]
+  },
+  {
+    id: 'project-disagreement',
+    title: 'Disagreeing About a Project Plan',
+    description: 'Tell a teammate you see their plan differently without dismissing their work',
+    goals: ['kind-disagreement'],
+    focus: ['empathy', 'clarity'],
+    character: {
+      name: 'Jordan',
+      description: 'a teammate who spent the weekend on a plan to launch your project two weeks early. He is proud of the plan and a little defensive about it.'
+    },
+    situation: 'In a team meeting, Jordan presents his plan to launch early. You think the early date would leave no time for testing.',
+    opening: 'So that\'s the plan - we launch two weeks early and beat the competition. I think it\'s a no-brainer. What do you think?',
+    lines: [
+      'Hmm. I did think about testing, but honestly I think we can test as we go. Why do you think that won\'t work?',
+      'I hear you. But if we wait, we might miss our chance entirely. What would you suggest instead?',
+      'Okay, that could work - launching a smaller version first gives us a bit of both. Let\'s take it to the rest of the team. Thanks for being straight with me.'
+    ]
+  },
+  {
+    id: 'feedback-questions',
+    title: 'Asking About Feedback',
+    description: 'Ask your manager thoughtful questions about feedback that surprised you',
+    goals: ['respectful-questions', 'kind-disagreement'],
+    focus: ['empathy', 'politeness'],
+    character: {
+      name: 'Priya',
+      description: 'your manager. She is fair and wants you to succeed, but she is direct and expects you to come prepared.'
+    },
+    situation: 'In your annual review, Priya said your reports often arrive late. You were surprised and have asked for a few minutes to talk about it.',
+    opening: '*closes her laptop* Thanks for coming by. You wanted to talk about the review?',
+    lines: [
+      'Of course. The main thing is that the monthly reports came in after the deadline a few times this year, and the team was waiting on them.',
+      'That\'s fair to ask. I think part of it is that the data comes in late from finance, but I\'d still like to hear about problems earlier. How do you think we could fix that?',
+      'That sounds like a good plan. Let\'s check in next month and see how it\'s going. I appreciate you coming to talk about it.'
+    ]
+  }
+];
+
+module.exports = {
+  SKILLS,
+  SCENARIOS
+};
@@ -0,0 +1,134 @@
+// Scores a role-play reply from 0 to 100 on each skill with rules instead of
+// a provider, so scores mean the same thing whichever provider plays the
+// character and progress can be compared over time. Each rule that matches
+// moves its skill's score up or down and contributes its feedback.
+const { SKILLS } = require('./definitions');
+
+const BASE_SCORE = 50;
+
+const RULES = {
+  politeness: [
+    {
+      pattern: /\b(please|thank(s| you)|appreciate|sorry|excuse me|pardon)\b/i,
+      points: 20,
+      praise: 'Courteous words like "please" and "thank you" make people feel respected.'
+    },
+    {
+      pattern: /\b(hello|hi|hey|good (morning|afternoon|evening)|nice to meet you|welcome|take care|goodbye|bye)\b/i,
+      points: 10,
+      praise: 'A friendly greeting or goodbye sets a warm tone.'
+    },
+    {
+      pattern: /\b(could|would) you\b|\bdo you mind\b|\bi wonder\b|\bperhaps\b|\bif (that's|it's) ok/i,
+      points: 10,
+      praise: 'Softening a request ("could you...?") leaves the other person room to say no.'
+    },
+    {
+      pattern: /\b(shut up|stupid|idiot|dumb|ridiculous|whatever|don'?t care|who cares)\b/i,
+      points: -35,
+      tip: 'Words like "stupid" or "whatever" can feel dismissive - try saying what bothers you instead.'
+    },
+    {
+      pattern: /^\s*(give me|tell me|just|move|hurry)\b/i,
+      points: -15,
+      tip: 'Starting with a command can sound abrupt - try "Could you..." or a greeting first.'
+    },
+    {
+      test: text => /!{2,}/.test(text) || (text.match(/\b[A-Z]{3,}\b/g) || []).length >= 2,
+      points: -15,
+      tip: 'Capitals and repeated exclamation marks can read as shouting.'
+    }
+  ],
+  clarity: [
+    {
+      test: (text, words) => words.length >= 5 && words.length <= 60,
+      points: 15,
+      praise: 'Your reply was a comfortable length - easy to follow.'
+    },
+    {
+      test: (text, words) => words.length < 3,
+      points: -30,
+      tip: 'A very short reply leaves the other person guessing - add a sentence about what you mean.'
+    },
+    {
+      test: (text, words) => words.length > 90,
+      points: -15,
+      tip: 'Long replies are hard to follow in conversation - try making one point at a time.'
+    },
+    {
+      pattern: /\b(i'?d like|i would like|i want|i need|i think|i feel|i suggest|my concern|because|so that)\b|\?/i,
+      points: 20,
+      praise: 'You said clearly what you think or need.'
+    },
+    {
+      pattern: /\b(um+|uh+|kinda|sort of|stuff|things like that|or something|i guess|i don'?t know)\b/i,
+      points: -15,
+      tip: 'Vague words like "stuff" or "I guess" blur your message - name the specific thing.'
+    }
+  ],
+  empathy: [
+    {
+      pattern: /\b(i (understand|see|hear you|get it|can see why|can imagine)|that makes sense|fair point|good point|you'?re right that)\b/i,
+      points: 20,
+      praise: 'Acknowledging the other view shows you are really listening.'
+    },
+    {
+      pattern: /\b(how (are|do|did|would|was) you|what do you think|how do you feel|your (view|perspective|idea|plan|work|day)|for you)\b/i,
+      points: 15,
+      praise: 'Asking about the other person\'s view or day makes the conversation two-way.'
+    },
+    {
+      pattern: /\b(that sounds|must be|sounds (hard|tough|like)|(long|busy|tiring|stressful|tough) day|no rush|take your time|you('re| are)? feel(ing)?)\b/i,
+      points: 15,
+      praise: 'Noticing how the other person might feel builds trust.'
+    },
+    {
+      pattern: /\b(you'?re wrong|that'?s wrong|calm down|not my problem|obviously|you always|you never|that'?s not true|makes no sense)\b/i,
+      points: -30,
+      tip: 'Phrases like "you\'re wrong" or "you always" put people on the defensive - try "I see it differently because..."'
+    }
+  ]
+};
+
+// What to try when a skill scored low and no rule suggested anything specific
+const DEFAULT_TIPS = {
+  politeness: 'Try adding a courteous touch, such as a greeting, "please" or "thank you".',
+  clarity: 'Try saying directly what you think or need, in one or two sentences.',
+  empathy: 'Try acknowledging how the other person sees it or might feel before making your point.'
+};
+
+const clamp = score => Math.max(0, Math.min(100, Math.round(score)));
+
+const matches = (rule, text, words) => (rule.test ? rule.test(text, words) : rule.pattern.test(text));
+
+// Returns { scores: { skill: 0-100 }, feedback: { skill: { praise, tip } } }
+// for one reply. praise and tip are null when no rule applies.
+const scoreReply = (input) => {
+  const text = String(input || '').trim();
+  const words = text.split(/\s+/).filter(Boolean);
+
+  const scores = {};
+  const feedback = {};
+  SKILLS.forEach(skill => {
+    const matched = RULES[skill].filter(rule => matches(rule, text, words));
+    scores[skill] = clamp(BASE_SCORE + matched.reduce((total, rule) => total + rule.points, 0));
+    const praise = matched.find(rule => rule.praise);
+    const tip = matched.find(rule => rule.tip);
+    feedback[skill] = {
+      praise: praise ? praise.praise : null,
+      tip: tip ? tip.tip : (scores[skill] < 60 ? DEFAULT_TIPS[skill] : null)
+    };
+  });
+  return { scores, feedback };
+};
+
+// Mean score per skill, or null for a skill with no scores
+const averageScores = (scoreList) => Object.fromEntries(SKILLS.map(skill => {
+  const values = scoreList.map(scores => scores && scores[skill]).filter(Number.isFinite);
+  return [skill, values.length ? clamp(values.reduce((total, value) => total + value, 0) / values.length) : null];
+}));
+
+module.exports = {
+  scoreReply,
+  averageScores
+};
@@ -0,0 +1,106 @@
+// Safety screening for every incoming chat message
+const SafetyEvent = require('../../models/SafetyEvent');
+const { safetyEventsTotal } = require('../../middleware/metrics');
+const { logger } = require('../../config/db');
+const { generateText } = require('../ai');
+const keywordClassifier = require('./keywordClassifier');
+const { buildCrisisResponse, getCrisisResources, regionFromAcceptLanguage } = require('./resources');
+
+const CLASSIFIER_PROMPT = [
+  'You are a safety classifier for a mental wellbeing app.',
+  'Assess whether the user message indicates risk of suicide, self-harm, harm to others, abuse or hopelessness.',
+  'Reply with JSON only, in the form {"riskLevel": "none" | "moderate" | "high", "categories": [string]}.'
+].join('\n');
+
+// The provider classifier is opt-in: it adds latency and sends the message to a third party
+const providerClassifierEnabled = () => process.env.SAFETY_PROVIDER_CLASSIFIER === 'true';
+
+const classifyWithProvider = async (message, { preferredProvider, userId }) => {
+  const result = await generateText({ system: CLASSIFIER_PROMPT, prompt: message, preferredProvider, userId });
+  if (!result) {
+    return null;
+  }
+
+  try {
+    const json = result.text.slice(result.text.indexOf('{'), result.text.lastIndexOf('}') + 1);
+    const parsed = JSON.parse(json);
+    if (!keywordClassifier.RISK_LEVELS.includes(parsed.riskLevel)) {
+      return null;
+    }
+    return {
+      riskLevel: parsed.riskLevel,
+      categories: Array.isArray(parsed.categories) ? parsed.categories.map(String) : [],
+      classifier: 'provider'
+    };
+  } catch (error) {
+    logger.warn('Unparseable safety classifier response', { provider: result.provider });
+    return null;
+  }
+};
+
+// Combines the offline classifier with the optional provider classifier,
+// keeping whichever reports the higher risk. redact is applied to the text
+// the provider sees; the offline classifier always reads the original.
+// preferredProvider is the user's provider choice. With userId the provider
+// call counts against the user's quota, and only the offline classifier runs
+// once it is used up.
+const assessMessage = async (message, { redact, preferredProvider, userId } = {}) => {
+  const keyword = keywordClassifier.classify(message);
+  if (!providerClassifierEnabled()) {
+    return keyword;
+  }
+
+  const provider = await classifyWithProvider(redact ? redact(message) : message, { preferredProvider, userId });
+  if (!provider || provider.riskLevel === 'none') {
+    return keyword;
+  }
+  if (keyword.riskLevel === 'none') {
+    return provider;
+  }
+
+  return {
+    riskLevel: keywordClassifier.maxRiskLevel(keyword.riskLevel, provider.riskLevel),
+    categories: [...new Set([...keyword.categories, ...provider.categories])],
+    classifier: 'keyword+provider'
+  };
+};
+
+const isRisky = (assessment) => Boolean(assessment) && assessment.riskLevel !== 'none';
+
+// Incognito events are anonymous, like IncognitoStat: any ids passed in are
+// neither stored nor logged
+const recordSafetyEvent = async ({ userId, conversationId, messageId, assessment, region, incognito = false }) => {
+  const ids = incognito ? {} : { userId, conversationId, messageId };
+  safetyEventsTotal.inc({ risk_level: assessment.riskLevel, classifier: assessment.classifier });
+
+  logger.warn('Safety risk detected in chat message', {
+    userId: ids.userId,
+    conversationId: ids.conversationId,
+    incognito,
+    riskLevel: assessment.riskLevel,
+    categories: assessment.categories
+  });
+
+  try {
+    await SafetyEvent.create({
+      ...ids,
+      riskLevel: assessment.riskLevel,
+      categories: assessment.categories,
+      classifier: assessment.classifier,
+      region,
+      incognito
+    });
+  } catch (error) {
+    // Never fail the user's turn because the audit write failed
+    logger.error('Failed to record safety event', { error: error.message, ...ids, incognito });
+  }
+};
+
+module.exports = {
+  assessMessage,
+  isRisky,
+  recordSafetyEvent,
+  buildCrisisResponse,
+  getCrisisResources,
+  regionFromAcceptLanguage
+};
@@ -0,0 +1,50 @@
+// Offline keyword/pattern risk classifier.
+// Deliberately errs on the side of flagging: a false positive shows crisis
+// resources to someone who did not need them, a false negative can cost a life.
+
+const RISK_LEVELS = ['none', 'moderate', 'high'];
+
+const PATTERNS = [
+  // Suicide
+  { category: 'suicide', riskLevel: 'high', pattern: /\bsuicid(e|al)\b/i },
+  { category: 'suicide', riskLevel: 'high', pattern: /\b(kill|killing|end|ending|take|taking)\s+(myself|my\s+(own\s+)?life)\b/i },
+  { category: 'suicide', riskLevel: 'high', pattern: /\b(want|wanna|going|plan|planning)\s+(to\s+)?die\b/i },
+  { category: 'suicide', riskLevel: 'high', pattern: /\b(don'?t|do not)\s+want\s+to\s+(live|be alive|exist|wake up)\b/i },
+  { category: 'suicide', riskLevel: 'high', pattern: /\b(better off dead|no reason to live|wish i (was|were) dead)\b/i },
+  { category: 'suicide', riskLevel: 'high', pattern: /\boverdos(e|ing)\b/i },
+  { category: 'suicide', riskLevel: 'high', pattern: /\b(quiero morir|suicidarme|matarme)\b/i },
+
+  // Self-harm
+  { category: 'self-harm', riskLevel: 'high', pattern: /\bself[-\s]?harm(ing)?\b/i },
+  { category: 'self-harm', riskLevel: 'high', pattern: /\b(cut|cutting|burn|burning|hurt|hurting|harm|harming|starve|starving)\s+myself\b/i },
+
+  // Harm to others
+  { category: 'harm-to-others', riskLevel: 'high', pattern: /\b(kill|murder|shoot|stab)\s+(him|her|them|someone|somebody|everyone|my\s+\w+)\b/i },
+
+  // Abuse
+  { category: 'abuse', riskLevel: 'moderate', pattern: /\b(he|she|they|someone|my\s+\w+)\s+(hits|hit|beats|beat|abuses|abused|hurts)\s+me\b/i },
+  { category: 'abuse', riskLevel: 'moderate', pattern: /\b(being|been)\s+(abused|assaulted)\b/i },
+
+  // Hopelessness
+  { category: 'hopelessness', riskLevel: 'moderate', pattern: /\bhopeless\b/i },
+  { category: 'hopelessness', riskLevel: 'moderate', pattern: /\b(can'?t|cannot)\s+go\s+on\b/i },
+  { category: 'hopelessness', riskLevel: 'moderate', pattern: /\b(no way out|give up on (life|everything)|wish i (had )?never (been )?born)\b/i }
+];
+
+const maxRiskLevel = (a, b) => (RISK_LEVELS.indexOf(a) >= RISK_LEVELS.indexOf(b) ? a : b);
+
+const classify = (message = '') => {
+  const matches = PATTERNS.filter(({ pattern }) => pattern.test(message));
+
+  return {
+    riskLevel: matches.reduce((level, match) => maxRiskLevel(level, match.riskLevel), 'none'),
+    categories: [...new Set(matches.map(match => match.category))],
+    classifier: 'keyword'
+  };
+};
+
+module.exports = {
+  RISK_LEVELS,
+  classify,
+  maxRiskLevel
+};
@@ -0,0 +1,70 @@
+// Region-specific crisis resources, keyed by ISO 3166-1 alpha-2 country code
+
+const CRISIS_RESOURCES = {
+  US: {
+    emergency: '911',
+    lines: ['988 Suicide & Crisis Lifeline - call or text 988 (24/7)', 'Crisis Text Line - text HOME to 741741']
+  },
+  CA: {
+    emergency: '911',
+    lines: ['9-8-8 Suicide Crisis Helpline - call or text 988 (24/7)']
+  },
+  GB: {
+    emergency: '999',
+    lines: ['Samaritans - call 116 123 (free, 24/7)', 'Shout - text SHOUT to 85258']
+  },
+  IE: {
+    emergency: '112 or 999',
+    lines: ['Samaritans - call 116 123 (free, 24/7)', 'Text About It - text HELLO to 50808']
+  },
+  AU: {
+    emergency: '000',
+    lines: ['Lifeline - call 13 11 14 or text 0477 13 11 14 (24/7)']
+  },
+  NZ: {
+    emergency: '111',
+    lines: ['Need to talk? - call or text 1737 (free, 24/7)']
+  },
+  IN: {
+    emergency: '112',
+    lines: ['Tele-MANAS - call 14416 or 1-800-891-4416 (24/7)']
+  }
+};
+
+const DEFAULT_RESOURCES = {
+  emergency: 'your local emergency number',
+  lines: ['Find a free, confidential helpline in your country at https://findahelpline.com']
+};
+
+const getCrisisResources = (region) => {
+  const code = region ? String(region).toUpperCase() : null;
+  return { region: code && CRISIS_RESOURCES[code] ? code : null, ...(CRISIS_RESOURCES[code] || DEFAULT_RESOURCES) };
+};
+
+// "en-GB,en;q=0.9" -> "GB"
+const regionFromAcceptLanguage = (header) => {
+  if (!header) {
+    return null;
+  }
+  const match = String(header).match(/^[a-z]{2,3}-([a-z]{2})\b/i);
+  return match ? match[1].toUpperCase() : null;
+};
+
+const buildCrisisResponse = (region) => {
+  const resources = getCrisisResources(region);
+
+  return [
+    'It sounds like you\'re going through something really painful, and I\'m glad you told me. Your safety matters most right now.',
+    'I\'m an AI companion and can\'t give you the support a trained person can, but you don\'t have to face this alone:',
+    ...resources.lines.map(line => `- ${line}`),
+    `If you are in immediate danger, please call ${resources.emergency} now.`,
+    'If you can, reach out to someone you trust and let them know how you\'re feeling. I\'m still here to listen.'
+  ].join('\n');
+};
+
+module.exports = {
+  CRISIS_RESOURCES,
+  getCrisisResources,
+  regionFromAcceptLanguage,
+  buildCrisisResponse
+};
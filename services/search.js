@@ -0,0 +1,146 @@
+// Full-text search across a user's conversations. MongoDB's text index finds
+// the conversations; matching messages and snippets are picked out here.
+const Conversation = require('../models/Conversation');
+
+const SNIPPET_RADIUS = 60;
+const MAX_MATCHES_PER_CONVERSATION = 5;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Quoted phrases stay whole; negated terms (-word) are left to MongoDB
+const parseTerms = (q) => {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match = pattern.exec(q);
+  while (match) {
+    const term = (match[1] || match[2]).trim().toLowerCase();
+    if (term && !term.startsWith('-')) {
+      terms.push(term);
+    }
+    match = pattern.exec(q);
+  }
+  return terms;
+};
+
+// MongoDB stems terms ('stressed' finds 'stress'), so match on a rough stem
+// as a word prefix rather than the exact term
+const stem = (term) => (term.includes(' ') || term.length <= 4
+  ? term
+  : term.replace(/(ing|ed|es|s)$/u, ''));
+
+const termsPattern = (terms) => new RegExp(
+  terms.map(term => `(?<![\\p{L}\\p{N}])${escapeRegExp(stem(term))}[\\p{L}\\p{N}]*`).join('|'),
+  'giu'
+);
+
+// Window around the first match, with offsets of every match inside it
+const buildSnippet = (content, pattern) => {
+  pattern.lastIndex = 0;
+  const first = pattern.exec(content);
+  if (!first) {
+    return null;
+  }
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(content.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const text = `${prefix}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+
+  const highlights = [];
+  pattern.lastIndex = 0;
+  let match = pattern.exec(text);
+  while (match) {
+    highlights.push({ start: match.index, end: match.index + match[0].length });
+    match = pattern.exec(text);
+  }
+
+  return { text, highlights };
+};
+
+const inRange = (timestamp, { from, to }) => {
+  const time = timestamp ? new Date(timestamp).getTime() : null;
+  if (time === null) {
+    return !from && !to;
+  }
+  return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+};
+
+// Messages in a conversation that match, in conversation order
+const findMatches = (conversation, terms, range = {}) => {
+  if (terms.length === 0) {
+    return [];
+  }
+  const pattern = termsPattern(terms);
+
+  return conversation.messages.reduce((matches, msg, index) => {
+    if (!msg.content || !inRange(msg.timestamp, range)) {
+      return matches;
+    }
+    const snippet = buildSnippet(msg.content, pattern);
+    if (snippet) {
+      matches.push({
+        messageId: msg._id,
+        messageIndex: index,
+        role: msg.role,
+        timestamp: msg.timestamp,
+        snippet: snippet.text,
+        highlights: snippet.highlights
+      });
+    }
+    return matches;
+  }, []);
+};
+
+const buildSearchQuery = ({ userId, q, goal, from, to }) => {
+  const query = { userId, $text: { $search: q } };
+  if (goal) {
+    query.goal = goal;
+  }
+  if (from || to) {
+    query['messages.timestamp'] = {
+      ...(from ? { $gte: from } : {}),
+      ...(to ? { $lte: to } : {})
+    };
+  }
+  return query;
+};
+
+// Resolves to { results, total } ordered by relevance. Each result links to
+// its messages by id and position in the conversation.
+const searchConversations = async ({ userId, q, goal, from, to, page = 1, limit = 10 }) => {
+  const query = buildSearchQuery({ userId, q, goal, from, to });
+  const terms = parseTerms(q);
+
+  const [conversations, total] = await Promise.all([
+    Conversation.find(query, { score: { $meta: 'textScore' } })
+      .select('title goal createdAt messages')
+      .sort({ score: { $meta: 'textScore' } })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Conversation.countDocuments(query)
+  ]);
+
+  const results = conversations.map(conversation => {
+    const matches = findMatches(conversation, terms, { from, to });
+    return {
+      conversationId: conversation._id,
+      title: conversation.title || null,
+      goal: conversation.goal,
+      createdAt: conversation.createdAt,
+      score: conversation.score,
+      matchCount: matches.length,
+      matches: matches.slice(0, MAX_MATCHES_PER_CONVERSATION)
+    };
+  });
+
+  return { results, total };
+};
+
+module.exports = {
+  parseTerms,
+  buildSnippet,
+  findMatches,
+  buildSearchQuery,
+  searchConversations
+};
@@ -0,0 +1,191 @@
+// Expiring read-only share links for conversations. The owner gets the token
+// once; viewers open it (with the passcode, if set) and see only the shared
+// messages - never other conversations, the owner's account or message metadata.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const ShareLink = require('../models/ShareLink');
+const Conversation = require('../models/Conversation');
+const { resolveGoal } = require('./goals');
+
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 30 * 24;
+const MAX_PASSCODE_ATTEMPTS = 5;
+const ACCESS_LOG_LIMIT = 100;
+const MAX_SHARED_MESSAGES = 200;
+
+class ShareError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'ShareError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// revoked, expired and locked links can no longer be opened
+const shareStatus = (share, now = new Date()) => {
+  if (share.revokedAt) {
+    return 'revoked';
+  }
+  if (share.expiresAt <= now) {
+    return 'expired';
+  }
+  if (share.failedAttempts >= MAX_PASSCODE_ATTEMPTS) {
+    return 'locked';
+  }
+  return 'active';
+};
+
+// Owner view of a link; the token and hashes are never returned
+const toShareResponse = (share) => ({
+  id: share._id,
+  conversationId: share.conversationId,
+  label: share.label || '',
+  scope: share.messageIds && share.messageIds.length ? 'messages' : 'conversation',
+  messageIds: share.messageIds || [],
+  hasPasscode: Boolean(share.passcodeHash),
+  status: shareStatus(share),
+  expiresAt: share.expiresAt,
+  revokedAt: share.revokedAt || null,
+  lastAccessedAt: share.lastAccessedAt || null,
+  accessLog: share.accessLog || [],
+  createdAt: share.createdAt
+});
+
+// messageIds must be on the conversation's active path
+const createShare = async ({
+  userId, conversationId, expiresInHours = DEFAULT_EXPIRY_HOURS, passcode, messageIds = [], label
+}) => {
+  const conversation = await Conversation.findOne({ _id: conversationId, userId }).select('messages._id').lean();
+  if (!conversation) {
+    throw new ShareError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+  }
+
+  const onPath = new Set(conversation.messages.map(msg => String(msg._id)));
+  const selected = [...new Set(messageIds.map(String))];
+  if (selected.some(id => !onPath.has(id))) {
+    throw new ShareError('Only messages in the current conversation can be shared', 400, 'INVALID_MESSAGE_SCOPE');
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const share = await ShareLink.create({
+    userId,
+    conversationId,
+    tokenHash: hashToken(token),
+    label: label || '',
+    passcodeHash: passcode ? await bcrypt.hash(passcode, await bcrypt.genSalt(12)) : undefined,
+    messageIds: selected,
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+  });
+
+  return { share, token };
+};
+
+const listShares = ({ userId, conversationId }) => ShareLink
+  .find({ userId, conversationId })
+  .sort({ createdAt: -1 })
+  .lean();
+
+// Revoking is idempotent; null when the link does not belong to the user
+const revokeShare = async ({ userId, conversationId, shareId }) => {
+  const filter = { _id: shareId, userId, conversationId };
+  await ShareLink.updateOne({ ...filter, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  return ShareLink.findOne(filter).lean();
+};
+
+const deleteSharesForConversation = ({ userId, conversationId }) => ShareLink.deleteMany({ userId, conversationId });
+
+const recordAccess = (share, outcome, userAgent, extra = {}) => ShareLink.findOneAndUpdate(
+  { _id: share._id },
+  {
+    $push: {
+      accessLog: {
+        $each: [{ at: new Date(), outcome, userAgent: String(userAgent || '').slice(0, 200) }],
+        $slice: -ACCESS_LOG_LIMIT
+      }
+    },
+    ...extra
+  },
+  { new: true }
+).lean();
+
+const CLOSED_ERRORS = {
+  revoked: ['This share link has been revoked', 410, 'SHARE_REVOKED'],
+  expired: ['This share link has expired', 410, 'SHARE_EXPIRED'],
+  locked: ['This share link is locked after too many wrong passcodes', 423, 'SHARE_LOCKED']
+};
+
+// What a viewer sees: role, text and time of the shared messages only
+const toSharedView = (share, conversation, goalTitle) => {
+  const scope = new Set((share.messageIds || []).map(String));
+  const messages = conversation.messages
+    .filter(msg => !scope.size || scope.has(String(msg._id)))
+    .slice(-MAX_SHARED_MESSAGES)
+    .map(msg => ({ role: msg.role, content: msg.content, timestamp: msg.timestamp }));
+
+  return {
+    title: conversation.title || goalTitle,
+    goal: goalTitle,
+    scope: scope.size ? 'messages' : 'conversation',
+    messages,
+    expiresAt: share.expiresAt
+  };
+};
+
+// Opens a link for an anonymous viewer. Every attempt is logged on the link.
+const openShare = async ({ token, passcode, userAgent }) => {
+  const share = await ShareLink.findOne({ tokenHash: hashToken(token) }).lean();
+  if (!share) {
+    throw new ShareError('Share link not found', 404, 'SHARE_NOT_FOUND');
+  }
+
+  const status = shareStatus(share);
+  if (status !== 'active') {
+    await recordAccess(share, status, userAgent);
+    throw new ShareError(...CLOSED_ERRORS[status]);
+  }
+
+  if (share.passcodeHash) {
+    if (!passcode) {
+      await recordAccess(share, 'passcode-required', userAgent);
+      throw new ShareError('This share link needs a passcode', 401, 'PASSCODE_REQUIRED');
+    }
+    if (!(await bcrypt.compare(String(passcode), share.passcodeHash))) {
+      const updated = await recordAccess(share, 'invalid-passcode', userAgent, { $inc: { failedAttempts: 1 } });
+      if (updated && shareStatus(updated) === 'locked') {
+        throw new ShareError(...CLOSED_ERRORS.locked);
+      }
+      throw new ShareError('Incorrect passcode', 401, 'INVALID_PASSCODE');
+    }
+  }
+
+  const conversation = await Conversation.findOne({ _id: share.conversationId, userId: share.userId })
+    .select('goal title messages')
+    .lean();
+  if (!conversation) {
+    throw new ShareError('Share link not found', 404, 'SHARE_NOT_FOUND');
+  }
+
+  const goal = await resolveGoal(share.userId, conversation.goal);
+  await recordAccess(share, 'viewed', userAgent, { $set: { lastAccessedAt: new Date() } });
+  return toSharedView(share, conversation, goal ? goal.title : conversation.goal);
+};
+
+module.exports = {
+  DEFAULT_EXPIRY_HOURS,
+  MAX_EXPIRY_HOURS,
+  MAX_PASSCODE_ATTEMPTS,
+  MAX_SHARED_MESSAGES,
+  ShareError,
+  hashToken,
+  shareStatus,
+  toShareResponse,
+  toSharedView,
+  createShare,
+  listShares,
+  revokeShare,
+  deleteSharesForConversation,
+  openShare
+};
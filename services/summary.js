@@ -0,0 +1,126 @@
+// Rolling conversation summaries. Older turns are condensed into
+// conversation.summary so prompts carry the summary plus recent turns only.
+const Conversation = require('../models/Conversation');
+const { logger } = require('../config/db');
+const { generateText } = require('./ai');
+const { estimateTokens } = require('./ai/tokens');
+
+// Most recent messages always stay verbatim
+const RECENT_MESSAGES = 10;
+const SUMMARY_MAX_WORDS = 200;
+
+const SUMMARY_PROMPT = [
+  'You maintain a running summary of a conversation between a user and Calm Companion, a supportive wellbeing assistant.',
+  'Update the current summary with the new turns.',
+  'Keep what matters for continuing the conversation: the user\'s situation, feelings and goals, what has already been suggested or tried, and anything they asked to be remembered.',
+  `Write plain prose in the third person, at most ${SUMMARY_MAX_WORDS} words. Reply with the summary only.`
+].join('\n');
+
+// Summarise once this many messages sit outside the summary
+const getSummaryTrigger = () => parseInt(process.env.CONVERSATION_SUMMARY_TRIGGER, 10) || 20;
+
+const summarizedCount = (conversation) => (conversation.summary && conversation.summary.messageCount) || 0;
+
+// Messages not yet covered by the summary - what the provider sees verbatim
+const unsummarizedMessages = (conversation) => conversation.messages.slice(summarizedCount(conversation));
+
+// Prompt context for a new message at index: the summary plus the turns after
+// it, or every earlier turn when the summary reaches past index
+const contextBefore = (conversation, index = conversation.messages.length) => {
+  const covered = summarizedCount(conversation);
+  if (covered > index) {
+    return { summary: undefined, history: conversation.messages.slice(0, index) };
+  }
+  return {
+    summary: covered ? conversation.summary.content : undefined,
+    history: conversation.messages.slice(covered, index)
+  };
+};
+
+const needsSummary = (conversation) => unsummarizedMessages(conversation).length >= getSummaryTrigger();
+
+const formatTurns = (messages) => messages
+  .map(msg => `${msg.role === 'user' ? 'User' : 'Companion'}: ${msg.content}`)
+  .join('\n');
+
+const truncateToTokens = (text, maxTokens) => {
+  if (estimateTokens(text) <= maxTokens) {
+    return text;
+  }
+  // Newer context is worth more than older context
+  return `…${text.slice(-maxTokens * 4)}`;
+};
+
+// Used when no remote provider can summarise: keeps the opening of each user message
+const extractiveSummary = (previous, messages) => {
+  const points = messages
+    .filter(msg => msg.role === 'user' && msg.content)
+    .map(msg => msg.content.split(/(?<=[.!?])\s/)[0].trim());
+  const added = points.length ? `The user said: ${points.join(' / ')}` : '';
+  return truncateToTokens([previous, added].filter(Boolean).join('\n'), SUMMARY_MAX_WORDS * 2);
+};
+
+// Folds everything except the most recent messages into the summary and
+// stores it. Resolves to the new summary, or null when there was nothing to fold.
+const summarizeConversation = async (conversation, { preferredProvider, redactor } = {}) => {
+  const from = summarizedCount(conversation);
+  const to = conversation.messages.length - RECENT_MESSAGES;
+  if (to <= from) {
+    return null;
+  }
+
+  const previous = conversation.summary && conversation.summary.content;
+  const turns = conversation.messages.slice(from, to);
+
+  // The local provider cannot summarise, so it is never asked to
+  const prompt = `Current summary:\n${previous || '(none yet)'}\n\nNew turns:\n${formatTurns(turns)}`;
+  const result = await generateText({
+    system: SUMMARY_PROMPT,
+    prompt: redactor ? redactor.redact(prompt) : prompt,
+    preferredProvider,
+    userId: conversation.userId,
+    exclude: ['local']
+  });
+  const text = result && redactor ? redactor.restore(result.text) : result && result.text;
+
+  const summary = {
+    content: result
+      ? truncateToTokens(text.trim(), SUMMARY_MAX_WORDS * 2)
+      : extractiveSummary(previous, turns),
+    messageCount: to,
+    provider: result ? result.provider : 'local',
+    updatedAt: new Date()
+  };
+
+  // Targeted update so a concurrent turn's save is not overwritten
+  await Conversation.updateOne({ _id: conversation._id }, { $set: { summary } });
+  conversation.summary = summary;
+
+  logger.info('Conversation summary updated', {
+    conversationId: conversation._id,
+    messageCount: to,
+    provider: summary.provider
+  });
+
+  return summary;
+};
+
+// Fire-and-forget variant for the chat path; never rejects
+const refreshSummary = (conversation, options) => summarizeConversation(conversation, options)
+  .catch(error => {
+    logger.error('Conversation summary failed', {
+      error: error.message,
+      conversationId: conversation._id
+    });
+    return null;
+  });
+
+module.exports = {
+  RECENT_MESSAGES,
+  getSummaryTrigger,
+  unsummarizedMessages,
+  contextBefore,
+  needsSummary,
+  summarizeConversation,
+  refreshSummary
+};
@@ -0,0 +1,105 @@
+// Conversation titles generated from the first exchange. A provider writes
+// the title when one is available; otherwise keywords from the user's first
+// message are used. Titles the user set are never replaced.
+const Conversation = require('../models/Conversation');
+const { logger } = require('../config/db');
+const { generateText } = require('./ai');
+
+const MAX_TITLE_LENGTH = 60;
+const MAX_TITLE_WORDS = 5;
+
+const TITLE_PROMPT = [
+  'Write a short title (at most 6 words) for a conversation between a user and Calm Companion, a supportive wellbeing assistant.',
+  'Describe the topic, not the user. Use the language of the conversation.',
+  'Reply with the title only, without quotes or a trailing full stop.'
+].join('\n');
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but',
+  'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'hello',
+  'help', 'hey', 'hi', 'how', 'i', 'i\'m', 'im', 'if', 'in', 'into', 'is', 'it', 'it\'s', 'just', 'me',
+  'my', 'myself', 'no', 'not', 'of', 'on', 'or', 'our', 'please', 'really', 'so', 'some', 'that', 'the',
+  'their', 'them', 'then', 'there', 'this', 'to', 'today', 'too', 'up', 'very', 'was', 'we', 'what',
+  'when', 'which', 'with', 'would', 'you', 'your'
+]);
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Trims quotes, markdown and trailing punctuation providers like to add
+const cleanTitle = (text) => {
+  const title = String(text || '')
+    .split('\n')[0]
+    .replace(/^[#*\s]*title:/i, '')
+    .replace(/^[#*\s"'“”‘’]+|[\s"'“”‘’.!*]+$/g, '');
+  return title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1).trim()}…` : title;
+};
+
+// The first few meaningful words of the message, in order
+const extractTitle = (message) => {
+  const words = String(message || '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}'’-]+/gu) || [];
+  const keywords = words
+    .map(word => word.replace(/’/g, '\''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .filter((word, index, all) => all.indexOf(word) === index)
+    .slice(0, MAX_TITLE_WORDS);
+  return keywords.length ? cleanTitle(capitalize(keywords.join(' '))) : '';
+};
+
+const needsTitle = (conversation) => !conversation.title && conversation.messages.length >= 2;
+
+// Resolves to the stored title, or null when the conversation already has one
+const generateTitle = async (conversation, { preferredProvider, redactor } = {}) => {
+  const [first, reply] = conversation.messages;
+  const prompt = `User: ${first.content}\nCompanion: ${reply ? reply.content : ''}`;
+  const result = await generateText({
+    system: TITLE_PROMPT,
+    prompt: redactor ? redactor.redact(prompt) : prompt,
+    preferredProvider,
+    userId: conversation.userId,
+    exclude: ['local']
+  });
+  const text = result && redactor ? redactor.restore(result.text) : result && result.text;
+
+  const title = (text && cleanTitle(text)) || extractTitle(first.content);
+  if (!title) {
+    return null;
+  }
+
+  // Conditional update: a title the user set meanwhile wins
+  const { modifiedCount } = await Conversation.updateOne(
+    { _id: conversation._id, titleSource: { $ne: 'user' } },
+    { $set: { title, titleSource: 'generated' } }
+  );
+  if (!modifiedCount) {
+    return null;
+  }
+  conversation.title = title;
+  conversation.titleSource = 'generated';
+
+  logger.info('Conversation title generated', {
+    conversationId: conversation._id,
+    provider: result ? result.provider : 'local'
+  });
+  return title;
+};
+
+// Fire-and-forget variant for the chat path; never rejects
+const refreshTitle = (conversation, options) => generateTitle(conversation, options)
+  .catch(error => {
+    logger.error('Conversation title generation failed', {
+      error: error.message,
+      conversationId: conversation._id
+    });
+    return null;
+  });
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  cleanTitle,
+  extractTitle,
+  needsTitle,
+  generateTitle,
+  refreshTitle
+};
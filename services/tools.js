@@ -0,0 +1,256 @@
+// Tools the chat companion can call. Client tools (a breathing exercise, a
+// timer) are handed to the app with the reply; tools with side effects only
+// run once the user confirms them. Every invocation is stored on the
+// assistant message that made it.
+const Conversation = require('../models/Conversation');
+const { logger } = require('../config/db');
+const { invalidateConversationCache } = require('./conversations');
+const { MEDITATION_TYPES, MeditationError, logSession } = require('./meditation');
+
+const MAX_TOOL_CALLS = 3;
+const MAX_TIMER_MINUTES = 60;
+// Limits on what the companion may log; POST /api/meditation is looser
+const MAX_LOGGED_MINUTES = 240;
+const MAX_NOTES_LENGTH = 1000;
+
+const BREATHING_PATTERNS = {
+  calm: {
+    label: 'Calming breath',
+    phases: [['Breathe in', 4], ['Hold', 4], ['Breathe out', 6]]
+  },
+  box: {
+    label: 'Box breathing',
+    phases: [['Breathe in', 4], ['Hold', 4], ['Breathe out', 4], ['Hold', 4]]
+  },
+  '4-7-8': {
+    label: '4-7-8 breathing',
+    phases: [['Breathe in', 4], ['Hold', 7], ['Breathe out', 8]]
+  }
+};
+
+class ToolError extends Error {
+  constructor(message, status, code, details) {
+    super(message);
+    this.name = 'ToolError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// parameters is plain JSON Schema; the provider adapters convert it to their
+// own format. kind is 'client' for tools the app carries out and 'confirm'
+// for tools that wait for the user's go-ahead. describe() stands in for the
+// reply when a provider answers with a tool call only.
+const TOOLS = [
+  {
+    name: 'suggest_breathing_exercise',
+    kind: 'client',
+    description: 'Offer the user a short guided breathing exercise they can follow in the app. '
+      + 'Use when they feel stressed, anxious or overwhelmed, or ask for help calming down.',
+    parameters: {
+      type: 'object',
+      properties: {
+        pattern: {
+          type: 'string',
+          enum: Object.keys(BREATHING_PATTERNS),
+          description: 'calm (in 4, hold 4, out 6), box (4-4-4-4) or 4-7-8'
+        },
+        rounds: { type: 'integer', minimum: 1, maximum: 10, description: 'How many breathing cycles' }
+      },
+      required: ['pattern']
+    },
+    prepare: ({ pattern, rounds = 4 }) => ({
+      pattern,
+      label: BREATHING_PATTERNS[pattern].label,
+      rounds,
+      phases: BREATHING_PATTERNS[pattern].phases.map(([label, seconds]) => ({ label, seconds }))
+    }),
+    describe: ({ pattern }) => `Let's try some ${BREATHING_PATTERNS[pattern].label.toLowerCase()} together.`
+  },
+  {
+    name: 'start_meditation_timer',
+    kind: 'client',
+    description: 'Start a meditation timer in the app when the user asks for one or agrees to sit for a few minutes.',
+    parameters: {
+      type: 'object',
+      properties: {
+        minutes: { type: 'integer', minimum: 1, maximum: MAX_TIMER_MINUTES },
+        type: { type: 'string', enum: MEDITATION_TYPES, description: 'Kind of meditation the timer is for' }
+      },
+      required: ['minutes']
+    },
+    prepare: ({ minutes, type = 'timed' }) => ({ minutes, type }),
+    describe: ({ minutes }) => `I've started a ${minutes}-minute timer for you.`
+  },
+  {
+    name: 'log_meditation_session',
+    kind: 'confirm',
+    description: 'Add a meditation the user says they have already finished to their meditation log. '
+      + 'The user is asked to confirm before anything is saved, so only call this once they have told you '
+      + 'what kind of meditation it was and roughly how long it took.',
+    parameters: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: MEDITATION_TYPES },
+        duration: { type: 'number', minimum: 1, maximum: MAX_LOGGED_MINUTES, description: 'Minutes' },
+        notes: { type: 'string', maxLength: MAX_NOTES_LENGTH, description: 'Anything the user said about how it went' }
+      },
+      required: ['type', 'duration']
+    },
+    describe: ({ type, duration }) => `Would you like me to log your ${duration}-minute ${type} meditation?`,
+    execute: ({ userId, conversationId, args }) => logSession(userId, args, { source: 'chat', conversationId })
+      .then(session => ({ sessionId: session._id, type: session.type, duration: session.duration }))
+  }
+];
+
+const getTool = (name) => TOOLS.find(tool => tool.name === name) || null;
+
+// What providers are given; adapters map it to their own format. kind limits
+// it to one kind of tool ('client' for turns without a stored conversation).
+const toProviderTools = (kind) => TOOLS
+  .filter(tool => !kind || tool.kind === kind)
+  .map(({ name, description, parameters }) => ({ name, description, parameters }));
+
+const checkValue = (schema, value) => {
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)
+        || (schema.type === 'integer' && !Number.isInteger(number))
+        || (schema.minimum !== undefined && number < schema.minimum)
+        || (schema.maximum !== undefined && number > schema.maximum)) {
+        return { error: true };
+      }
+      return { value: number };
+    }
+    case 'string':
+      if (typeof value !== 'string' || (schema.maxLength && value.length > schema.maxLength)
+        || (schema.enum && !schema.enum.includes(value))) {
+        return { error: true };
+      }
+      return { value };
+    default:
+      return { error: true };
+  }
+};
+
+// Keeps the declared arguments, or null when one is missing or out of range.
+// Providers are asked to follow the schema but do not always manage it.
+const parseArguments = (tool, args) => {
+  const input = args && typeof args === 'object' ? args : {};
+  const { properties, required = [] } = tool.parameters;
+  const parsed = {};
+  for (const [key, schema] of Object.entries(properties)) {
+    if (input[key] === undefined || input[key] === null) {
+      if (required.includes(key)) {
+        return null;
+      }
+    } else {
+      const { value, error } = checkValue(schema, input[key]);
+      if (error) {
+        return null;
+      }
+      parsed[key] = value;
+    }
+  }
+  return parsed;
+};
+
+// Turns the calls a provider made into invocations to store on the reply.
+// Unknown tools, tools of another kind than offered and invalid arguments are
+// dropped; restore swaps redacted placeholders in string arguments back.
+const prepareToolCalls = (calls = [], { restore = text => text, kind } = {}) => calls
+  .slice(0, MAX_TOOL_CALLS)
+  .map(call => {
+    const tool = getTool(call.name);
+    const args = tool && (!kind || tool.kind === kind) && parseArguments(tool, call.arguments);
+    if (!args) {
+      logger.warn('Dropped invalid tool call', { tool: call.name });
+      return null;
+    }
+    Object.keys(args).forEach(key => {
+      if (typeof args[key] === 'string') {
+        args[key] = restore(args[key]);
+      }
+    });
+    return tool.kind === 'client'
+      ? { name: tool.name, arguments: args, status: 'delivered', result: tool.prepare(args) }
+      : { name: tool.name, arguments: args, status: 'pending' };
+  })
+  .filter(Boolean);
+
+// Reply text for a provider that answered with tool calls only
+const describeToolCalls = (toolCalls) => toolCalls
+  .map(call => getTool(call.name).describe(call.arguments))
+  .join(' ');
+
+const toToolCallResponse = (call) => ({
+  id: call._id,
+  name: call.name,
+  arguments: call.arguments,
+  status: call.status,
+  result: call.result || null,
+  error: call.error || null,
+  resolvedAt: call.resolvedAt || null
+});
+
+// Confirms (runs) or declines a pending tool call on the active path.
+// The status is claimed atomically first, so a double click cannot log twice.
+const resolveToolCall = async ({ userId, conversationId, toolCallId, confirm }) => {
+  const conversation = await Conversation.findOne({ _id: conversationId, userId })
+    .select('messages._id messages.toolCalls')
+    .lean();
+  if (!conversation) {
+    throw new ToolError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+  }
+  const message = conversation.messages
+    .find(msg => (msg.toolCalls || []).some(call => String(call._id) === String(toolCallId)));
+  if (!message) {
+    throw new ToolError('Tool call not found', 404, 'TOOL_CALL_NOT_FOUND');
+  }
+  const call = message.toolCalls.find(entry => String(entry._id) === String(toolCallId));
+
+  const path = 'messages.$[msg].toolCalls.$[call]';
+  const update = (fields, status) => Conversation.updateOne(
+    { _id: conversationId, userId },
+    { $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`${path}.${key}`, value])) },
+    { arrayFilters: [{ 'msg._id': message._id }, { 'call._id': call._id, 'call.status': status }] }
+  );
+
+  const claimed = await update({ status: confirm ? 'confirmed' : 'declined', resolvedAt: new Date() }, 'pending');
+  if (!claimed.modifiedCount) {
+    throw new ToolError('This action has already been answered', 409, 'TOOL_CALL_RESOLVED');
+  }
+  invalidateConversationCache(userId);
+  if (!confirm) {
+    return { ...call, status: 'declined', resolvedAt: new Date() };
+  }
+
+  const tool = getTool(call.name);
+  try {
+    const result = await tool.execute({ userId, conversationId, args: call.arguments });
+    await update({ status: 'completed', result }, 'confirmed');
+    return { ...call, status: 'completed', result, resolvedAt: new Date() };
+  } catch (error) {
+    await update({ status: 'failed', error: error.message }, 'confirmed');
+    if (error instanceof MeditationError) {
+      throw new ToolError(error.message, error.status, error.code, error.details);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  TOOLS,
+  BREATHING_PATTERNS,
+  ToolError,
+  getTool,
+  toProviderTools,
+  parseArguments,
+  prepareToolCalls,
+  describeToolCalls,
+  toToolCallResponse,
+  resolveToolCall
+};
@@ -0,0 +1,146 @@
+// Per-user token and cost accounting for AI replies, and the quotas built on it
+const UsageRecord = require('../models/UsageRecord');
+const { aiTokensTotal, aiCostUsdTotal, usageQuotaExceededTotal } = require('../middleware/metrics');
+const { logger } = require('../config/db');
+
+// USD per million tokens. Models match by prefix, so dated snapshots such as
+// gpt-4o-mini-2024-07-18 are priced too. AI_PRICING (JSON) adds or overrides entries.
+const DEFAULT_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 }
+};
+
+const getPricing = () => {
+  if (!process.env.AI_PRICING) {
+    return DEFAULT_PRICING;
+  }
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.AI_PRICING) };
+  } catch (error) {
+    logger.warn('Ignoring invalid AI_PRICING', { error: error.message });
+    return DEFAULT_PRICING;
+  }
+};
+
+// Zero for the local provider and for models without a price
+const estimateCost = (model, { inputTokens = 0, outputTokens = 0 }) => {
+  const pricing = getPricing();
+  const key = Object.keys(pricing)
+    .filter(prefix => model && model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key) {
+    return 0;
+  }
+  return (inputTokens * pricing[key].input + outputTokens * pricing[key].output) / 1e6;
+};
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+// Token limits per user; unset or 0 means unlimited
+const getLimits = () => ({
+  dailyTokens: parseInt(process.env.USAGE_DAILY_TOKEN_LIMIT, 10) || 0,
+  monthlyTokens: parseInt(process.env.USAGE_MONTHLY_TOKEN_LIMIT, 10) || 0
+});
+
+const emptyTotals = () => ({ requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 });
+
+const addRecord = (totals, record) => ({
+  requests: totals.requests + record.requests,
+  inputTokens: totals.inputTokens + record.inputTokens,
+  outputTokens: totals.outputTokens + record.outputTokens,
+  totalTokens: totals.totalTokens + record.inputTokens + record.outputTokens,
+  costUsd: totals.costUsd + record.costUsd
+});
+
+// Today's and this month's totals, plus the month broken down by provider and model
+const getUsageSummary = async (userId, now = new Date()) => {
+  const today = utcDay(now);
+  const records = await UsageRecord.find({ userId, month: today.slice(0, 7) }).lean();
+
+  const byModel = new Map();
+  records.forEach(record => {
+    const key = `${record.provider}/${record.model}`;
+    const current = byModel.get(key) || { provider: record.provider, model: record.model, ...emptyTotals() };
+    byModel.set(key, { ...current, ...addRecord(current, record) });
+  });
+
+  return {
+    today: records.filter(record => record.day === today).reduce(addRecord, emptyTotals()),
+    month: records.reduce(addRecord, emptyTotals()),
+    byModel: Array.from(byModel.values()).sort((a, b) => b.totalTokens - a.totalTokens),
+    limits: getLimits()
+  };
+};
+
+// Resolves to { exceeded: null | 'daily' | 'monthly', usage }. Checked before
+// calling a provider; a reply already under way is never cut off.
+const checkQuota = async (userId, now = new Date()) => {
+  const limits = getLimits();
+  if (!limits.dailyTokens && !limits.monthlyTokens) {
+    return { exceeded: null, usage: null };
+  }
+
+  const usage = await getUsageSummary(userId, now);
+  let exceeded = null;
+  if (limits.dailyTokens && usage.today.totalTokens >= limits.dailyTokens) {
+    exceeded = 'daily';
+  } else if (limits.monthlyTokens && usage.month.totalTokens >= limits.monthlyTokens) {
+    exceeded = 'monthly';
+  }
+
+  if (exceeded) {
+    usageQuotaExceededTotal.inc({ period: exceeded });
+    logger.warn('Usage quota exceeded', { userId, period: exceeded });
+  }
+  return { exceeded, usage };
+};
+
+// Records one provider call. Never throws - accounting must not fail a reply.
+const recordUsage = async ({ userId, provider, model, usage, now = new Date() }) => {
+  if (!usage) {
+    return null;
+  }
+  const modelName = model || 'unknown';
+  const inputTokens = usage.inputTokens || 0;
+  const outputTokens = usage.outputTokens || 0;
+  const costUsd = estimateCost(modelName, { inputTokens, outputTokens });
+
+  aiTokensTotal.inc({ provider, model: modelName, type: 'input' }, inputTokens);
+  aiTokensTotal.inc({ provider, model: modelName, type: 'output' }, outputTokens);
+  aiCostUsdTotal.inc({ provider, model: modelName }, costUsd);
+
+  const day = utcDay(now);
+  try {
+    await UsageRecord.updateOne(
+      { userId, day, provider, model: modelName },
+      {
+        $setOnInsert: { month: day.slice(0, 7) },
+        $inc: {
+          requests: 1,
+          inputTokens,
+          outputTokens,
+          estimatedRequests: usage.estimated ? 1 : 0,
+          costUsd
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error('Failed to record AI usage', { error: error.message, userId, provider });
+  }
+  return { inputTokens, outputTokens, costUsd };
+};
+
+module.exports = {
+  DEFAULT_PRICING,
+  utcDay,
+  estimateCost,
+  getLimits,
+  getUsageSummary,
+  checkQuota,
+  recordUsage
+};
@@ -0,0 +1,122 @@
+// Socket.IO chat namespace - streams AI replies token by token
+const { verifyToken } = require('../middleware/auth');
+const {
+  ChatError, validateChatInput, runChatTurn, runIncognitoTurn, toChatResponse, toIncognitoResponse
+} = require('../services/chat');
+const { regionFromAcceptLanguage } = require('../services/safety/resources');
+const { CHAT_LIMITS, consumeRateLimit } = require('../middleware/rateLimit');
+const { logger } = require('../config/db');
+
+const registerChatSocket = (io) => {
+  const chat = io.of('/chat');
+
+  // Authenticate with the same JWT used for the REST API
+  chat.use((socket, next) => {
+    try {
+      const { token } = socket.handshake.auth || {};
+      socket.user = verifyToken(token);
+      next();
+    } catch (err) {
+      logger.warn('Chat socket authentication failed', {
+        socketId: socket.id,
+        error: err.message
+      });
+      next(new Error('Authentication failed'));
+    }
+  });
+
+  chat.on('connection', (socket) => {
+    const userId = socket.user.id;
+    const activeStreams = new Map();
+
+    logger.info('Chat client connected', { socketId: socket.id, userId });
+
+    // Payload: { requestId, message, goal, conversationId } or, for an
+    // incognito turn, { requestId, message, goal, incognito: true, history }
+    socket.on('chat:message', async (payload = {}) => {
+      const { requestId, goal, conversationId, incognito, history } = payload;
+      const message = typeof payload.message === 'string' ? payload.message.trim() : payload.message;
+
+      const validationError = validateChatInput({ message, goal, conversationId, incognito, history });
+      if (validationError) {
+        socket.emit('chat:error', { requestId, error: validationError, code: 'VALIDATION_ERROR' });
+        return;
+      }
+      // Same per-user chat limits as POST /api/chat
+      const limited = await consumeRateLimit(CHAT_LIMITS, userId);
+      if (limited) {
+        socket.emit('chat:error', { requestId, ...limited, code: 'RATE_LIMITED' });
+        return;
+      }
+      if (activeStreams.has(requestId)) {
+        socket.emit('chat:error', { requestId, error: 'Request already in progress', code: 'DUPLICATE_REQUEST' });
+        return;
+      }
+
+      const controller = new AbortController();
+      activeStreams.set(requestId, controller);
+
+      try {
+        const turnInput = {
+          userId,
+          message,
+          goal,
+          region: regionFromAcceptLanguage(socket.handshake.headers['accept-language']),
+          signal: controller.signal,
+          onToken: token => socket.emit('chat:token', { requestId, token })
+        };
+        // Incognito turns are answered from the sent history and never saved
+        const turn = incognito
+          ? await runIncognitoTurn({ ...turnInput, history })
+          : await runChatTurn({ ...turnInput, conversationId });
+
+        logger.info('Chat socket stream completed successfully', {
+          userId,
+          ...(incognito ? { incognito: true } : { conversationId: turn.conversation._id }),
+          messageLength: message.length,
+          goal,
+          provider: turn.aiResult.provider
+        });
+
+        socket.emit('chat:done', { requestId, ...(incognito ? toIncognitoResponse(turn) : toChatResponse(turn)) });
+      } catch (err) {
+        if (controller.signal.aborted) {
+          logger.info('Chat socket stream cancelled', { userId, conversationId, requestId });
+          socket.emit('chat:cancelled', { requestId });
+        } else if (err instanceof ChatError) {
+          socket.emit('chat:error', { requestId, error: err.message, code: err.code });
+        } else {
+          logger.error('Chat socket error', {
+            error: err.message,
+            stack: err.stack,
+            userId
+          });
+          socket.emit('chat:error', {
+            requestId,
+            error: 'Server error during chat processing',
+            code: 'SERVER_ERROR'
+          });
+        }
+      } finally {
+        activeStreams.delete(requestId);
+      }
+    });
+
+    socket.on('chat:cancel', ({ requestId } = {}) => {
+      const controller = activeStreams.get(requestId);
+      if (controller) {
+        controller.abort();
+      }
+    });
+
+    socket.on('disconnect', () => {
+      activeStreams.forEach(controller => controller.abort());
+      activeStreams.clear();
+      logger.info('Chat client disconnected', { socketId: socket.id, userId });
+    });
+  });
+
+  return chat;
+};
+
+module.exports = { registerChatSocket };
@@ -92,6 +92,7 @@ describe('API Integration Tests', () => {
       expect(chatResponse.body).toHaveProperty('response');
       expect(chatResponse.body).toHaveProperty('conversationId');
       expect(chatResponse.body).toHaveProperty('messageId');
+      expect(chatResponse.body).toHaveProperty('provider', 'local');
       expect(chatResponse.body).toHaveProperty('timestamp');
 
       const conversationId = chatResponse.body.conversationId;
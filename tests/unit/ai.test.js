@@ -0,0 +1,337 @@
+const ai = require('../../services/ai');
+const localProvider = require('../../services/ai/providers/local');
+const { register, healthCheckWithMetrics } = require('../../middleware/metrics');
+
+// Mock the database connection
+jest.mock('../../config/db', () => ({
+  connectDB: jest.fn(),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('AI Provider Registry', () => {
+  const originalOrder = process.env.AI_PROVIDER_ORDER;
+
+  afterEach(() => {
+    ai.unregisterProvider('failing');
+    ai.unregisterProvider('stub');
+    if (originalOrder === undefined) {
+      delete process.env.AI_PROVIDER_ORDER;
+    } else {
+      process.env.AI_PROVIDER_ORDER = originalOrder;
+    }
+  });
+
+  it('should register the built-in providers', () => {
+    const names = ai.listProviders().map(provider => provider.name);
+
+    expect(names).toEqual(expect.arrayContaining(['openai', 'anthropic', 'gemini', 'local']));
+  });
+
+  it('should only use the local provider in the test environment', () => {
+    const order = ai.getProviderOrder().map(provider => provider.name);
+
+    expect(order).toEqual(['local']);
+  });
+
+  it('should answer deterministically with the local provider', async () => {
+    const first = await ai.generateResponse({ message: 'I feel tense', goal: 'stress-relief' });
+    const second = await ai.generateResponse({ message: 'I feel tense', goal: 'stress-relief' });
+
+    expect(first.provider).toBe('local');
+    expect(first.response).toBe(localProvider.GOAL_RESPONSES['stress-relief']);
+    expect(second.response).toBe(first.response);
+  });
+
+  it('should put the preferred provider first', () => {
+    ai.registerProvider({ name: 'stub', generate: () => Promise.resolve({ text: 'stub' }) });
+    process.env.AI_PROVIDER_ORDER = 'local,stub';
+
+    const order = ai.getProviderOrder('stub').map(provider => provider.name);
+
+    expect(order).toEqual(['stub', 'local']);
+  });
+
+  it('should fall back to the next provider when one fails', async () => {
+    ai.registerProvider({ name: 'failing', generate: () => Promise.reject(new Error('boom')) });
+    process.env.AI_PROVIDER_ORDER = 'failing,local';
+
+    const result = await ai.generateResponse({ message: 'Hello there', goal: 'polite-greetings' });
+
+    expect(result.provider).toBe('local');
+  });
+
+  it('should skip providers that are not available', () => {
+    process.env.AI_PROVIDER_ORDER = 'openai,local';
+    const originalKey = process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+
+    const order = ai.getProviderOrder().map(provider => provider.name);
+
+    expect(order).toEqual(['local']);
+    if (originalKey !== undefined) {
+      process.env.OPENAI_API_KEY = originalKey;
+    }
+  });
+
+  it('should reply offline when every provider fails', async () => {
+    ai.registerProvider({ name: 'failing', generate: () => Promise.reject(new Error('boom')) });
+    process.env.AI_PROVIDER_ORDER = 'failing';
+
+    const result = await ai.generateResponse({ message: 'Hi', goal: 'emotional-support' });
+
+    expect(result).toMatchObject({ provider: 'offline', offline: true, intent: 'greeting' });
+    expect(result.response).toMatch(/^Hello! .*\n\n\(Offline reply:/s);
+  });
+
+  it('should pass prior turns and the system prompt to the provider', async () => {
+    const generate = jest.fn().mockResolvedValue({ text: 'ok' });
+    ai.registerProvider({ name: 'stub', generate });
+    process.env.AI_PROVIDER_ORDER = 'stub';
+
+    await ai.generateResponse({
+      message: 'And now?',
+      goal: 'emotional-support',
+      history: [
+        { role: 'user', content: 'Earlier message' },
+        { role: 'assistant', content: 'Earlier reply' }
+      ]
+    });
+
+    const prompt = generate.mock.calls[0][0];
+    expect(prompt.system).toContain('emotional-support');
+    expect(prompt.messages).toEqual([
+      { role: 'user', content: 'Earlier message' },
+      { role: 'assistant', content: 'Earlier reply' },
+      { role: 'user', content: 'And now?' }
+    ]);
+  });
+
+  it('should trim history to the provider token budget and include the summary', async () => {
+    const generate = jest.fn().mockResolvedValue({ text: 'ok' });
+    ai.registerProvider({ name: 'stub', generate, promptTokenBudget: 300 });
+    process.env.AI_PROVIDER_ORDER = 'stub';
+
+    await ai.generateResponse({
+      message: 'And now?',
+      goal: 'emotional-support',
+      summary: 'The user is preparing for an exam.',
+      history: [
+        { role: 'user', content: 'x'.repeat(1000) },
+        { role: 'assistant', content: 'Recent reply' }
+      ]
+    });
+
+    const prompt = generate.mock.calls[0][0];
+    expect(prompt.system).toContain('<summary>\nThe user is preparing for an exam.\n</summary>');
+    expect(prompt.messages).toEqual([
+      { role: 'assistant', content: 'Recent reply' },
+      { role: 'user', content: 'And now?' }
+    ]);
+  });
+
+  it('should let the environment override provider token budgets', () => {
+    const { getPromptTokenBudget } = require('../../services/ai/tokens');
+    process.env.STUB_PROMPT_TOKEN_BUDGET = '1234';
+
+    expect(getPromptTokenBudget({ name: 'stub', promptTokenBudget: 300 })).toBe(1234);
+    expect(getPromptTokenBudget({ name: 'other', promptTokenBudget: 300 })).toBe(300);
+    delete process.env.STUB_PROMPT_TOKEN_BUDGET;
+  });
+
+  describe('streamResponse', () => {
+    it('should stream the local reply token by token', async () => {
+      const tokens = [];
+
+      const result = await ai.streamResponse(
+        { message: 'I feel tense', goal: 'stress-relief' },
+        { onToken: token => tokens.push(token) }
+      );
+
+      expect(tokens.length).toBeGreaterThan(1);
+      expect(tokens.join('')).toBe(result.response);
+      expect(result.provider).toBe('local');
+    });
+
+    it('should stop and report an aborted stream', async () => {
+      const controller = new AbortController();
+      const tokens = [];
+
+      const result = await ai.streamResponse(
+        { message: 'I feel tense', goal: 'stress-relief' },
+        {
+          signal: controller.signal,
+          onToken: token => {
+            tokens.push(token);
+            controller.abort();
+          }
+        }
+      );
+
+      expect(result.aborted).toBe(true);
+      expect(tokens).toHaveLength(1);
+    });
+
+    it('should fall back when a provider fails before streaming anything', async () => {
+      ai.registerProvider({
+        name: 'failing',
+        generate: () => Promise.reject(new Error('boom')),
+        stream() {
+          throw new Error('boom');
+        }
+      });
+      process.env.AI_PROVIDER_ORDER = 'failing,local';
+
+      const result = await ai.streamResponse({ message: 'Hi', goal: 'emotional-support' });
+
+      expect(result.provider).toBe('local');
+    });
+
+    it('should stream the offline reply when no provider is reachable', async () => {
+      process.env.AI_PROVIDER_ORDER = 'openai';
+      const originalKey = process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+      const tokens = [];
+
+      const result = await ai.streamResponse(
+        { message: 'I feel so stressed about work', goal: 'stress-relief' },
+        { onToken: token => tokens.push(token) }
+      );
+
+      expect(result).toMatchObject({ provider: 'offline', offline: true, intent: 'feeling' });
+      expect(tokens.join('')).toBe(result.response);
+      if (originalKey !== undefined) {
+        process.env.OPENAI_API_KEY = originalKey;
+      }
+    });
+
+    it('should not switch providers once tokens have been sent', async () => {
+      ai.registerProvider({
+        name: 'failing',
+        generate: () => Promise.reject(new Error('boom')),
+        async *stream() {
+          yield 'Partial';
+          throw new Error('connection reset');
+        }
+      });
+      process.env.AI_PROVIDER_ORDER = 'failing,local';
+
+      await expect(ai.streamResponse({ message: 'Hi', goal: 'emotional-support' }))
+        .rejects.toThrow('connection reset');
+    });
+
+    it('should accept a stream that only calls tools', async () => {
+      const call = { name: 'start_meditation_timer', arguments: { minutes: 5 } };
+      ai.registerProvider({
+        name: 'stub',
+        generate: () => Promise.reject(new Error('unused')),
+        stream({ onToolCalls }) {
+          onToolCalls([call]);
+          return [];
+        }
+      });
+      process.env.AI_PROVIDER_ORDER = 'stub,local';
+
+      const result = await ai.streamResponse({ message: 'Timer please', goal: 'stress-relief', tools: [] });
+
+      expect(result).toMatchObject({ provider: 'stub', response: '', toolCalls: [call] });
+    });
+  });
+
+  it('should keep internal tasks for a local-provider user on the local provider', async () => {
+    const generate = jest.fn().mockResolvedValue({ text: 'remote' });
+    ai.registerProvider({ name: 'stub', generate });
+    process.env.AI_PROVIDER_ORDER = 'stub,local';
+
+    const result = await ai.generateText({ system: 'Classify', prompt: 'Hello', preferredProvider: 'local', exclude: ['local'] });
+
+    expect(result).toBeNull();
+    expect(generate).not.toHaveBeenCalled();
+  });
+
+  it('should pass tools to the provider and return its tool calls', async () => {
+    const tools = [{ name: 'start_meditation_timer', description: 'Timer', parameters: { type: 'object', properties: {} } }];
+    const generate = jest.fn().mockResolvedValue({ text: '', toolCalls: [{ name: 'start_meditation_timer', arguments: {} }] });
+    ai.registerProvider({ name: 'stub', generate });
+    process.env.AI_PROVIDER_ORDER = 'stub,local';
+
+    const result = await ai.generateResponse({ message: 'Timer please', goal: 'stress-relief', tools });
+
+    expect(generate.mock.calls[0][0].tools).toBe(tools);
+    expect(result).toMatchObject({ provider: 'stub', response: '', toolCalls: [{ name: 'start_meditation_timer' }] });
+  });
+
+  describe('circuit breakers', () => {
+    afterEach(() => {
+      delete process.env.AI_PROVIDER_TIMEOUT_MS;
+    });
+
+    it('should skip a provider after repeated failures', async () => {
+      const generate = jest.fn(() => Promise.reject(new Error('boom')));
+      ai.registerProvider({ name: 'failing', generate });
+      process.env.AI_PROVIDER_ORDER = 'failing,local';
+
+      // One after another, so each call sees the failures before it
+      await [1, 2, 3, 4].reduce(
+        previous => previous.then(() => ai.generateResponse({ message: 'Hello there', goal: 'polite-greetings' })),
+        Promise.resolve()
+      );
+
+      expect(generate).toHaveBeenCalledTimes(3);
+      expect(ai.getProviderOrder().map(provider => provider.name)).toEqual(['local']);
+      const failing = ai.getProviderHealth().find(provider => provider.name === 'failing');
+      expect(failing.circuit).toMatchObject({ state: 'open', consecutiveFailures: 3, lastError: 'boom' });
+    });
+
+    it('should time out a stalled provider and fall back', async () => {
+      process.env.AI_PROVIDER_TIMEOUT_MS = '20';
+      ai.registerProvider({
+        name: 'failing',
+        generate: () => new Promise(() => {})
+      });
+      process.env.AI_PROVIDER_ORDER = 'failing,local';
+
+      const result = await ai.streamResponse({ message: 'Hi', goal: 'emotional-support' });
+
+      expect(result.provider).toBe('local');
+      const metrics = await register.getSingleMetricAsString('ai_provider_request_duration_seconds');
+      expect(metrics).toContain('provider="failing",outcome="timeout"');
+    });
+  });
+
+  describe('health check', () => {
+    const keys = ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'GOOGLE_API_KEY'];
+    const originalKeys = keys.map(key => process.env[key]);
+
+    afterEach(() => {
+      keys.forEach((key, i) => {
+        if (originalKeys[i] !== undefined) {
+          process.env[key] = originalKeys[i];
+        }
+      });
+    });
+
+    const checkHealth = async () => {
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+      await healthCheckWithMetrics({}, res);
+      return res.json.mock.calls[0][0];
+    };
+
+    it('should be healthy while a configured provider can answer', async () => {
+      expect((await checkHealth()).status).toBe('healthy');
+    });
+
+    it('should be degraded when no API keys are configured', async () => {
+      process.env.AI_PROVIDER_ORDER = 'openai,anthropic,gemini';
+      keys.forEach(key => delete process.env[key]);
+
+      const health = await checkHealth();
+
+      expect(health.status).toBe('degraded');
+      expect(health.aiProviders.find(provider => provider.name === 'local').available).toBe(true);
+    });
+  });
+});
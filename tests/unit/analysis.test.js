@@ -0,0 +1,86 @@
+const { detectTone } = require('../../services/analysis/tone');
+const { detectLanguage, languageName } = require('../../services/analysis/language');
+const ai = require('../../services/ai');
+const { analyzeMessage } = require('../../services/analysis');
+
+jest.mock('../../config/db', () => ({
+  connectDB: jest.fn(),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('Message Analysis', () => {
+  describe('local tone detector', () => {
+    it.each([
+      ['I am so stressed about my deadlines', 'stressed'],
+      ['I feel lonely and sad tonight', 'sad'],
+      ['I am furious, this is so unfair', 'angry'],
+      ['I am grateful for such a wonderful day', 'joyful'],
+      ['I got the job!! So happy!!', 'excited'],
+      ['Hello, nice to meet you', 'friendly'],
+      ['The meeting is at 3pm', 'neutral'],
+    ])('should read "%s" as %s', (message, tone) => {
+      expect(detectTone(message)).toBe(tone);
+    });
+  });
+
+  describe('local language detector', () => {
+    it.each([
+      ['I feel like nothing is going right with my week', 'en'],
+      ['Estoy muy cansado y no sé qué hacer', 'es'],
+      ['Je suis très fatigué et je ne sais pas quoi faire', 'fr'],
+      ['Ich bin sehr müde und ich weiß nicht, was ich tun soll', 'de'],
+      ['今日はとても疲れました', 'ja'],
+      ['Мне очень грустно', 'ru'],
+    ])('should detect "%s" as %s', (message, language) => {
+      expect(detectLanguage(message)).toBe(language);
+    });
+
+    it('should default to English without any signal', () => {
+      expect(detectLanguage('ok')).toBe('en');
+    });
+
+    it('should name languages for the prompt', () => {
+      expect(languageName('es')).toBe('Spanish');
+      expect(languageName(undefined)).toBe('English');
+    });
+  });
+
+  it('should use the local detectors when no provider is configured', async () => {
+    const analysis = await analyzeMessage('Estoy muy estresado por el trabajo');
+
+    expect(analysis.source).toBe('local');
+    expect(analysis.language).toBe('es');
+  });
+
+  describe('with a remote provider', () => {
+    const generate = jest.fn(() => Promise.resolve({ text: '{"tone": "stressed", "language": "es"}' }));
+
+    beforeEach(() => {
+      ai.registerProvider({ name: 'stub', generate });
+      process.env.AI_PROVIDER_ORDER = 'stub,local';
+    });
+
+    afterEach(() => {
+      ai.unregisterProvider('stub');
+      delete process.env.AI_PROVIDER_ORDER;
+      generate.mockClear();
+    });
+
+    it('should ask the provider', async () => {
+      const analysis = await analyzeMessage('Estoy muy estresado por el trabajo');
+
+      expect(analysis).toEqual({ tone: 'stressed', language: 'es', source: 'stub' });
+    });
+
+    it('should keep messages local for users who chose the local provider', async () => {
+      const analysis = await analyzeMessage('Estoy muy estresado por el trabajo', { preferredProvider: 'local' });
+
+      expect(analysis.source).toBe('local');
+      expect(generate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { forkConversation, switchBranch, listBranches } = require('../../services/branches');
+
+const message = (id, role, content) => ({ _id: id, role, content });
+
+const makeConversation = () => ({
+  messages: [
+    message('u1', 'user', 'Hello'),
+    message('a1', 'assistant', 'Hi there'),
+    message('u2', 'user', 'I feel tense'),
+    message('a2', 'assistant', 'Try a slow breath'),
+  ],
+  branches: [],
+});
+
+describe('Conversation Branches', () => {
+  it('should move the replaced tail into a branch after its parent', () => {
+    const conversation = makeConversation();
+
+    forkConversation(conversation, 2, 'edit');
+
+    expect(conversation.messages.map(msg => msg._id)).toEqual(['u1', 'a1']);
+    expect(conversation.branches[0]).toMatchObject({ parentMessageId: 'a1', reason: 'edit' });
+    expect(conversation.branches[0].messages.map(msg => msg._id)).toEqual(['u2', 'a2']);
+  });
+
+  it('should drop a summary that covered forked messages', () => {
+    const conversation = { ...makeConversation(), summary: { content: 'Earlier', messageCount: 3 } };
+
+    forkConversation(conversation, 2, 'edit');
+
+    expect(conversation.summary).toBeUndefined();
+  });
+
+  it('should drop memory extraction progress that covered forked messages', () => {
+    const kept = { ...makeConversation(), memoryExtraction: { messageCount: 2 } };
+    const dropped = { ...makeConversation(), memoryExtraction: { messageCount: 4 } };
+
+    forkConversation(kept, 2, 'edit');
+    forkConversation(dropped, 2, 'edit');
+
+    expect(kept.memoryExtraction).toEqual({ messageCount: 2 });
+    expect(dropped.memoryExtraction).toBeUndefined();
+  });
+
+  it('should swap the active tail with a branch', () => {
+    const conversation = makeConversation();
+    forkConversation(conversation, 3, 'regenerate');
+    conversation.messages.push(message('a3', 'assistant', 'Let us ground ourselves'));
+    conversation.branches[0]._id = 'b1';
+
+    expect(switchBranch(conversation, 'b1')).toBe(true);
+
+    expect(conversation.messages.map(msg => msg._id)).toEqual(['u1', 'a1', 'u2', 'a2']);
+    expect(conversation.branches).toHaveLength(1);
+    expect(conversation.branches[0]).toMatchObject({ parentMessageId: 'u2', reason: 'switch' });
+    expect(conversation.branches[0].messages.map(msg => msg._id)).toEqual(['a3']);
+  });
+
+  it('should only list and switch to branches reachable from the active path', () => {
+    const conversation = makeConversation();
+    conversation.branches.push(
+      { _id: 'b1', parentMessageId: 'u2', messages: [message('a3', 'assistant', 'Another reply')] },
+      { _id: 'b2', parentMessageId: 'gone', messages: [message('a4', 'assistant', 'Hidden')] },
+    );
+
+    expect(listBranches(conversation)).toEqual([expect.objectContaining({
+      id: 'b1',
+      forkIndex: 3,
+      messageCount: 1,
+      preview: 'Another reply',
+    })]);
+    expect(switchBranch(conversation, 'b2')).toBe(false);
+    expect(switchBranch(conversation, 'missing')).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+const { CircuitBreaker, ProviderTimeoutError } = require('../../services/ai/breaker');
+
+describe('Circuit Breaker', () => {
+  let clock;
+  const now = () => clock;
+  const createBreaker = (options = {}) => new CircuitBreaker('stub', {
+    failureThreshold: 2, cooldownMs: 1000, timeoutMs: 50, now, ...options,
+  });
+
+  beforeEach(() => {
+    clock = 0;
+  });
+
+  it('should open after consecutive failures', () => {
+    const breaker = createBreaker();
+
+    breaker.recordFailure(new Error('boom'), 10);
+    expect(breaker.getState()).toBe('closed');
+    breaker.recordFailure(new Error('boom'), 10);
+
+    expect(breaker.getState()).toBe('open');
+    expect(breaker.tryAcquire()).toBe(false);
+  });
+
+  it('should reset the failure count on success', () => {
+    const breaker = createBreaker();
+
+    breaker.recordFailure(new Error('boom'), 10);
+    breaker.recordSuccess(10);
+    breaker.recordFailure(new Error('boom'), 10);
+
+    expect(breaker.getState()).toBe('closed');
+  });
+
+  it('should allow a single half-open probe after the cooldown', () => {
+    const onStateChange = jest.fn();
+    const breaker = createBreaker({ onStateChange });
+    breaker.recordFailure(new Error('boom'), 10);
+    breaker.recordFailure(new Error('boom'), 10);
+
+    clock = 1000;
+
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.tryAcquire()).toBe(false);
+    breaker.recordSuccess(10);
+    expect(breaker.getState()).toBe('closed');
+    expect(onStateChange.mock.calls.map(call => call[0])).toEqual(['open', 'half-open', 'closed']);
+  });
+
+  it('should reopen when the probe fails', () => {
+    const breaker = createBreaker();
+    breaker.recordFailure(new Error('boom'), 10);
+    breaker.recordFailure(new Error('boom'), 10);
+    clock = 1000;
+
+    breaker.tryAcquire();
+    breaker.recordFailure(new Error('still down'), 10);
+
+    expect(breaker.getState()).toBe('open');
+    expect(breaker.toJSON()).toMatchObject({ lastError: 'still down', retryAt: new Date(2000) });
+  });
+
+  it('should free the probe when an attempt is abandoned', () => {
+    const breaker = createBreaker();
+    breaker.recordFailure(new Error('boom'), 10);
+    breaker.recordFailure(new Error('boom'), 10);
+    clock = 1000;
+
+    breaker.tryAcquire();
+    breaker.release();
+
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  it('should time out slow calls and abort their signal', async () => {
+    const onResult = jest.fn();
+    const breaker = new CircuitBreaker('stub', { timeoutMs: 20, onResult });
+    let signal;
+
+    await expect(breaker.exec((attemptSignal) => {
+      signal = attemptSignal;
+      return new Promise(() => {});
+    })).rejects.toBeInstanceOf(ProviderTimeoutError);
+
+    expect(signal.aborted).toBe(true);
+    expect(onResult).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'timeout' }));
+  });
+});
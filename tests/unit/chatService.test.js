@@ -0,0 +1,637 @@
+const mockConversations = [];
+
+jest.mock('../../config/db', () => ({
+  connectDB: jest.fn(),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+jest.mock('../../models/Settings', () => ({
+  findOne: jest.fn(() => ({
+    select: () => ({ lean: () => Promise.resolve(null) }),
+  })),
+}));
+
+jest.mock('../../models/SafetyEvent', () => ({
+  create: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../../models/User', () => ({
+  findById: jest.fn(() => ({
+    select: () => ({ lean: () => Promise.resolve({ firstName: 'Alice', lastName: 'Smith' }) }),
+  })),
+}));
+
+jest.mock('../../models/Goal', () => ({
+  findOne: jest.fn(() => ({ lean: () => Promise.resolve(null) })),
+}));
+
+jest.mock('../../models/UsageRecord', () => ({
+  find: jest.fn(() => ({ lean: () => Promise.resolve([]) })),
+  updateOne: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../../models/MemoryFact', () => ({
+  find: jest.fn(() => ({
+    sort: () => ({ limit: () => ({ lean: () => Promise.resolve([]) }) }),
+  })),
+}));
+
+jest.mock('../../models/IncognitoStat', () => ({
+  updateOne: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../../models/ExerciseSession', () => ({
+  findOne: jest.fn(() => Promise.resolve(null)),
+}));
+
+jest.mock('../../models/RoleplaySession', () => ({
+  findOne: jest.fn(() => Promise.resolve(null)),
+}));
+
+jest.mock('../../models/Conversation', () => {
+  class MockConversation {
+    constructor(fields) {
+      Object.assign(this, fields);
+      this._id = '507f1f77bcf86cd799439012';
+      this.save = jest.fn(() => {
+        this.messages = this.messages.map((msg, index) => ({ _id: `msg${index}`, ...msg }));
+        mockConversations.push(this);
+        return Promise.resolve(this);
+      });
+    }
+  }
+  MockConversation.findOne = jest.fn(() => Promise.resolve(null));
+  MockConversation.updateOne = jest.fn(() => Promise.resolve({ modifiedCount: 1 }));
+  return MockConversation;
+});
+
+const SafetyEvent = require('../../models/SafetyEvent');
+const Goal = require('../../models/Goal');
+const Conversation = require('../../models/Conversation');
+const UsageRecord = require('../../models/UsageRecord');
+const ExerciseSession = require('../../models/ExerciseSession');
+const RoleplaySession = require('../../models/RoleplaySession');
+const IncognitoStat = require('../../models/IncognitoStat');
+const MemoryFact = require('../../models/MemoryFact');
+const Settings = require('../../models/Settings');
+const ai = require('../../services/ai');
+const { MAX_HISTORY_CONTENT, toPromptHistory } = require('../../services/incognito');
+const {
+  ChatError,
+  validateChatInput,
+  runChatTurn,
+  runIncognitoTurn,
+  regenerateReply,
+  editMessage,
+  startExercise,
+  toChatResponse,
+  toIncognitoResponse,
+} = require('../../services/chat');
+
+describe('Chat Service', () => {
+  const userId = '507f1f77bcf86cd799439011';
+
+  beforeEach(() => {
+    mockConversations.length = 0;
+  });
+
+  it('should save the user message and reply together', async () => {
+    const turn = await runChatTurn({ userId, message: 'I feel tense', goal: 'stress-relief' });
+
+    expect(turn.conversation.save).toHaveBeenCalledTimes(1);
+    expect(turn.conversation.messages.map(msg => msg.role)).toEqual(['user', 'assistant']);
+    expect(turn.aiMessage.promptVersion).toBe('companion@3');
+    expect(toChatResponse(turn)).toMatchObject({
+      conversationId: turn.conversation._id,
+      messageId: 'msg1',
+      provider: 'local',
+    });
+  });
+
+  it('should annotate the user message with tone and language', async () => {
+    const turn = await runChatTurn({ userId, message: 'I am so stressed about work', goal: 'stress-relief' });
+
+    expect(turn.conversation.messages[0]).toMatchObject({ tone: 'stressed', language: 'en' });
+    expect(toChatResponse(turn)).toMatchObject({ tone: 'stressed', language: 'en' });
+  });
+
+  it('should stream tokens before saving', async () => {
+    const tokens = [];
+
+    const turn = await runChatTurn({
+      userId,
+      message: 'I feel tense',
+      goal: 'stress-relief',
+      onToken: token => tokens.push(token),
+    });
+
+    expect(tokens.join('')).toBe(turn.aiResult.response);
+    expect(mockConversations).toHaveLength(1);
+  });
+
+  it('should not persist anything when the stream is cancelled', async () => {
+    const controller = new AbortController();
+
+    await expect(runChatTurn({
+      userId,
+      message: 'I feel tense',
+      goal: 'stress-relief',
+      signal: controller.signal,
+      onToken: () => controller.abort(),
+    })).rejects.toMatchObject({ code: 'CHAT_CANCELLED' });
+
+    expect(mockConversations).toHaveLength(0);
+  });
+
+  it('should reject unknown conversations', async () => {
+    await expect(runChatTurn({
+      userId,
+      message: 'Hello',
+      goal: 'polite-greetings',
+      conversationId: '507f1f77bcf86cd799439099',
+    })).rejects.toBeInstanceOf(ChatError);
+  });
+
+  it('should reject goals the user does not have', async () => {
+    await expect(runChatTurn({ userId, message: 'Hello', goal: 'someone-elses-goal' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_GOAL' });
+    expect(mockConversations).toHaveLength(0);
+  });
+
+  it('should accept the user\'s custom goals', async () => {
+    Goal.findOne.mockReturnValueOnce({
+      lean: () => Promise.resolve({ slug: 'gratitude', title: 'Gratitude', instructions: 'Ask what went well' }),
+    });
+
+    const turn = await runChatTurn({ userId, message: 'Hello', goal: 'gratitude' });
+
+    expect(Goal.findOne).toHaveBeenCalledWith({ userId, slug: 'gratitude' });
+    expect(turn.conversation.goal).toBe('gratitude');
+  });
+
+  it('should validate socket payloads like the REST validator', () => {
+    expect(validateChatInput({ message: 'Hi', goal: 'stress-relief' })).toBeNull();
+    expect(validateChatInput({ message: '', goal: 'stress-relief' })).toMatch(/Message/);
+    expect(validateChatInput({ message: 'Hi', goal: 'Not a goal!' })).toBe('Invalid goal specified');
+    expect(validateChatInput({ message: 'Hi', goal: 'stress-relief', conversationId: 'nope' }))
+      .toBe('Invalid conversation ID format');
+    expect(validateChatInput({
+      message: 'Hi', goal: 'stress-relief', incognito: true, conversationId: '507f1f77bcf86cd799439012',
+    })).toMatch(/saved conversation/);
+    expect(validateChatInput({
+      message: 'Hi', goal: 'stress-relief', incognito: true, history: [{ role: 'system', content: 'x' }],
+    })).toMatch(/History messages/);
+  });
+
+  describe('branching', () => {
+    const conversationId = '507f1f77bcf86cd799439012';
+    const existingConversation = () => new Conversation({
+      userId,
+      goal: 'stress-relief',
+      branches: [],
+      messages: [
+        { _id: 'u1', role: 'user', content: 'Hello' },
+        { _id: 'a1', role: 'assistant', content: 'Hi there' },
+        { _id: 'u2', role: 'user', content: 'I feel tense' },
+        { _id: 'a2', role: 'assistant', content: 'Old reply' },
+      ],
+    });
+
+    it('should regenerate the last reply and keep the old one as a branch', async () => {
+      Conversation.findOne.mockResolvedValueOnce(existingConversation());
+
+      const turn = await regenerateReply({ userId, conversationId });
+
+      expect(turn.conversation.messages.map(msg => msg.content))
+        .toEqual(['Hello', 'Hi there', 'I feel tense', turn.aiResult.response]);
+      expect(turn.conversation.branches).toEqual([
+        expect.objectContaining({ parentMessageId: 'u2', reason: 'regenerate' }),
+      ]);
+      expect(turn.conversation.branches[0].messages[0].content).toBe('Old reply');
+    });
+
+    it('should replace an edited message and everything after it', async () => {
+      Conversation.findOne.mockResolvedValueOnce(existingConversation());
+
+      const turn = await editMessage({ userId, conversationId, messageId: 'u1', message: 'Good morning' });
+
+      expect(turn.conversation.messages.map(msg => msg.role)).toEqual(['user', 'assistant']);
+      expect(turn.conversation.messages[0].content).toBe('Good morning');
+      expect(turn.conversation.branches[0]).toMatchObject({ parentMessageId: null, reason: 'edit' });
+      expect(turn.conversation.branches[0].messages).toHaveLength(4);
+    });
+
+    it('should only edit user messages', async () => {
+      Conversation.findOne.mockResolvedValueOnce(existingConversation());
+
+      await expect(editMessage({ userId, conversationId, messageId: 'a1', message: 'Changed' }))
+        .rejects.toMatchObject({ code: 'MESSAGE_NOT_EDITABLE' });
+    });
+
+    it('should refuse to regenerate when the last message is not a reply', async () => {
+      const conversation = existingConversation();
+      conversation.messages.pop();
+      Conversation.findOne.mockResolvedValueOnce(conversation);
+
+      await expect(regenerateReply({ userId, conversationId }))
+        .rejects.toMatchObject({ status: 409, code: 'NOTHING_TO_REGENERATE' });
+    });
+  });
+
+  describe('safety screening', () => {
+    it('should replace the AI reply with crisis resources for risky messages', async () => {
+      const turn = await runChatTurn({
+        userId,
+        message: 'I want to kill myself',
+        goal: 'emotional-support',
+        region: 'GB',
+      });
+
+      expect(turn.aiResult.provider).toBe('safety');
+      expect(turn.aiResult.response).toContain('116 123');
+      expect(turn.conversation.safety).toMatchObject({ flagged: true, highestRisk: 'high', reviewStatus: 'pending' });
+      expect(turn.conversation.messages[0].safety.categories).toContain('suicide');
+      expect(toChatResponse(turn).safety).toEqual({ riskLevel: 'high', crisisResources: true });
+    });
+
+    it('should record a safety event without the message content', async () => {
+      await runChatTurn({ userId, message: 'I have been cutting myself', goal: 'emotional-support' });
+
+      expect(SafetyEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId,
+        riskLevel: 'high',
+        categories: ['self-harm'],
+        classifier: 'keyword',
+      }));
+      expect(JSON.stringify(SafetyEvent.create.mock.calls[0][0])).not.toContain('cutting');
+    });
+
+    it('should leave ordinary messages to the AI provider', async () => {
+      const turn = await runChatTurn({ userId, message: 'I had a long day at work', goal: 'stress-relief' });
+
+      expect(turn.aiResult.provider).toBe('local');
+      expect(turn.conversation.safety).toBeUndefined();
+      expect(SafetyEvent.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('usage quotas', () => {
+    afterEach(() => {
+      delete process.env.USAGE_DAILY_TOKEN_LIMIT;
+    });
+
+    it('should record token usage for each reply', async () => {
+      await runChatTurn({ userId, message: 'I had a long day at work', goal: 'stress-relief' });
+
+      expect(UsageRecord.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ userId, provider: 'local' }),
+        expect.objectContaining({ $inc: expect.objectContaining({ requests: 1, estimatedRequests: 1 }) }),
+        { upsert: true }
+      );
+    });
+
+    it('should refuse new replies once the daily limit is reached', async () => {
+      process.env.USAGE_DAILY_TOKEN_LIMIT = '100';
+      const day = new Date().toISOString().slice(0, 10);
+      UsageRecord.find.mockReturnValueOnce({
+        lean: () => Promise.resolve([
+          { day, provider: 'openai', model: 'gpt-4o-mini', requests: 1, inputTokens: 80, outputTokens: 40, costUsd: 0 },
+        ]),
+      });
+
+      await expect(runChatTurn({ userId, message: 'Hello', goal: 'stress-relief' }))
+        .rejects.toMatchObject({ status: 429, code: 'USAGE_QUOTA_EXCEEDED' });
+      expect(mockConversations).toHaveLength(0);
+    });
+
+    it('should still send crisis resources over the limit', async () => {
+      process.env.USAGE_DAILY_TOKEN_LIMIT = '1';
+      UsageRecord.find.mockClear();
+
+      const turn = await runChatTurn({ userId, message: 'I want to kill myself', goal: 'emotional-support' });
+
+      expect(turn.aiResult.provider).toBe('safety');
+      expect(UsageRecord.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('guided exercises', () => {
+    const conversationId = '507f1f77bcf86cd799439012';
+    const exerciseConversation = () => new Conversation({
+      userId,
+      goal: 'stress-relief',
+      activeExercise: 's1',
+      branches: [],
+      messages: [{ _id: 'a1', role: 'assistant', content: 'Step 1 of 5: Name 5 things you can see.' }],
+    });
+    const session = () => ({
+      _id: 's1',
+      exerciseId: 'grounding-54321',
+      stepIndex: 0,
+      answers: [],
+      status: 'in-progress',
+      save: jest.fn(() => Promise.resolve()),
+    });
+
+    it('should answer exercise steps without calling a provider', async () => {
+      const active = session();
+      Conversation.findOne.mockResolvedValueOnce(exerciseConversation());
+      ExerciseSession.findOne.mockResolvedValueOnce(active);
+      UsageRecord.updateOne.mockClear();
+
+      const turn = await runChatTurn({ userId, message: 'lamp, desk, mug, window, plant', goal: 'stress-relief', conversationId });
+
+      expect(turn.aiResult.provider).toBe('exercise');
+      expect(turn.aiResult.response).toMatch(/^Step 2 of 5/);
+      expect(turn.conversation.messages[1].exercise).toMatchObject({ exerciseId: 'grounding-54321', stepId: 'see' });
+      expect(active.stepIndex).toBe(1);
+      expect(active.save).toHaveBeenCalled();
+      expect(UsageRecord.updateOne).not.toHaveBeenCalled();
+      expect(toChatResponse(turn).exercise).toMatchObject({ exerciseId: 'grounding-54321', stepIndex: 1, stepCount: 5 });
+    });
+
+    it('should set the exercise aside for crisis messages', async () => {
+      Conversation.findOne.mockResolvedValueOnce(exerciseConversation());
+      ExerciseSession.findOne.mockResolvedValueOnce(session());
+
+      const turn = await runChatTurn({ userId, message: 'I want to kill myself', goal: 'stress-relief', conversationId });
+
+      expect(turn.aiResult.provider).toBe('safety');
+      expect(turn.conversation.activeExercise).toBeNull();
+    });
+
+    it('should not regenerate replies during an exercise', async () => {
+      Conversation.findOne.mockResolvedValueOnce(exerciseConversation());
+
+      await expect(regenerateReply({ userId, conversationId }))
+        .rejects.toMatchObject({ status: 409, code: 'EXERCISE_ACTIVE' });
+    });
+  });
+
+  describe('role-play', () => {
+    const conversationId = '507f1f77bcf86cd799439012';
+    const roleplayConversation = () => new Conversation({
+      userId,
+      goal: 'polite-greetings',
+      activeRoleplay: 'r1',
+      branches: [],
+      messages: [{ _id: 'a1', role: 'assistant', content: 'Maya: *sets a heavy box down and looks up* Oh - hi there.' }],
+    });
+
+    it('should score the reply and let the character answer', async () => {
+      const session = {
+        _id: 'r1',
+        scenarioId: 'new-neighbour',
+        turns: [],
+        status: 'in-progress',
+        save: jest.fn(() => Promise.resolve()),
+      };
+      Conversation.findOne.mockResolvedValueOnce(roleplayConversation());
+      RoleplaySession.findOne.mockResolvedValueOnce(session);
+
+      const turn = await runChatTurn({
+        userId, message: 'Hi! I\'m Sam from next door - welcome to the street.', goal: 'polite-greetings', conversationId,
+      });
+
+      expect(turn.aiResult.response).toMatch(/^Maya: Nice to meet you!/);
+      expect(turn.conversation.messages[1].roleplay).toEqual({ sessionId: 'r1', scenarioId: 'new-neighbour', turn: 0 });
+      expect(turn.conversation.messages[2].roleplay).toEqual({ sessionId: 'r1', scenarioId: 'new-neighbour', turn: 1 });
+      expect(session.turns[0]).toMatchObject({ reply: expect.stringMatching(/^Hi!/), scores: { politeness: expect.any(Number) } });
+      expect(session.save).toHaveBeenCalled();
+      expect(toChatResponse(turn).roleplay).toMatchObject({ scenarioId: 'new-neighbour', turnIndex: 1, turnCount: 3 });
+    });
+
+    it('should not save the role-play turn when the conversation save fails', async () => {
+      const session = {
+        _id: 'r1',
+        scenarioId: 'new-neighbour',
+        turns: [],
+        status: 'in-progress',
+        save: jest.fn(() => Promise.resolve()),
+      };
+      const conversation = roleplayConversation();
+      conversation.save.mockRejectedValueOnce(new Error('write conflict'));
+      Conversation.findOne.mockResolvedValueOnce(conversation);
+      RoleplaySession.findOne.mockResolvedValueOnce(session);
+
+      await expect(runChatTurn({ userId, message: 'Hi, I\'m Sam.', goal: 'polite-greetings', conversationId }))
+        .rejects.toThrow('write conflict');
+      expect(session.save).not.toHaveBeenCalled();
+    });
+
+    it('should not start an exercise during a role-play', async () => {
+      Conversation.findOne.mockResolvedValueOnce(roleplayConversation());
+
+      await expect(startExercise({ userId, conversationId, exerciseId: 'thought-record' }))
+        .rejects.toMatchObject({ status: 409, code: 'ROLEPLAY_ACTIVE' });
+    });
+  });
+
+  describe('meditation tools', () => {
+    afterEach(() => {
+      ai.unregisterProvider('stub');
+      delete process.env.AI_PROVIDER_ORDER;
+    });
+
+    it('should store a proposed meditation log on the reply until the user confirms', async () => {
+      const turn = await runChatTurn({
+        userId,
+        message: 'I just did a 10 minute body scan meditation before bed',
+        goal: 'stress-relief',
+      });
+
+      expect(turn.aiMessage.toolCalls).toEqual([
+        { name: 'log_meditation_session', arguments: { type: 'body-scan', duration: 10 }, status: 'pending' },
+      ]);
+      expect(toChatResponse(turn).toolCalls).toMatchObject([{ name: 'log_meditation_session', status: 'pending' }]);
+    });
+
+    it('should hand client tools to the app with what it needs to run them', async () => {
+      const turn = await runChatTurn({ userId, message: 'I feel so anxious right now', goal: 'stress-relief' });
+
+      expect(turn.aiMessage.toolCalls[0]).toMatchObject({
+        name: 'suggest_breathing_exercise',
+        status: 'delivered',
+        result: { pattern: 'calm', rounds: 4, phases: expect.any(Array) },
+      });
+    });
+
+    it('should describe tool calls made without any reply text', async () => {
+      ai.registerProvider({
+        name: 'stub',
+        generate: () => Promise.resolve({
+          text: '',
+          toolCalls: [
+            { name: 'start_meditation_timer', arguments: { minutes: '10' } },
+            { name: 'delete_account', arguments: {} },
+          ],
+        }),
+      });
+      process.env.AI_PROVIDER_ORDER = 'stub';
+      const tokens = [];
+
+      const turn = await runChatTurn({
+        userId, message: 'Can you time me?', goal: 'stress-relief', onToken: token => tokens.push(token),
+      });
+
+      expect(turn.aiResult.response).toBe('I\'ve started a 10-minute timer for you.');
+      expect(tokens.join('')).toBe(turn.aiResult.response);
+      expect(turn.aiMessage.toolCalls).toHaveLength(1);
+      expect(turn.aiMessage.toolCalls[0].result).toEqual({ minutes: 10, type: 'timed' });
+    });
+
+    it('should not offer tools during crisis replies', async () => {
+      const turn = await runChatTurn({ userId, message: 'I want to kill myself', goal: 'stress-relief' });
+
+      expect(turn.aiMessage.toolCalls).toBeUndefined();
+    });
+  });
+
+  describe('incognito', () => {
+    afterEach(() => {
+      ai.unregisterProvider('stub');
+      delete process.env.AI_PROVIDER_ORDER;
+    });
+
+    it('should answer from the sent history without saving anything', async () => {
+      const generate = jest.fn().mockResolvedValue({ text: 'I remember.' });
+      ai.registerProvider({ name: 'stub', generate });
+      process.env.AI_PROVIDER_ORDER = 'stub';
+
+      const turn = await runIncognitoTurn({
+        userId,
+        message: 'What did I just say?',
+        goal: 'emotional-support',
+        history: [
+          { role: 'user', content: 'I moved to a new city' },
+          { role: 'assistant', content: 'That is a big change.' },
+        ],
+      });
+
+      // The first call is the tone analysis
+      const [[reply]] = generate.mock.calls.filter(([request]) => request.goal);
+      expect(reply.messages).toEqual([
+        { role: 'user', content: 'I moved to a new city' },
+        { role: 'assistant', content: 'That is a big change.' },
+        { role: 'user', content: 'What did I just say?' },
+      ]);
+      expect(reply.tools.map(tool => tool.name)).not.toContain('log_meditation_session');
+      expect(mockConversations).toHaveLength(0);
+      expect(toIncognitoResponse(turn)).toMatchObject({ response: 'I remember.', conversationId: null, incognito: true });
+    });
+
+    it('should cut long history messages instead of rejecting them', () => {
+      const history = [
+        { role: 'user', content: 'Tell me a long story' },
+        { role: 'assistant', content: 'x'.repeat(MAX_HISTORY_CONTENT + 500) },
+      ];
+
+      expect(validateChatInput({ message: 'Go on', goal: 'stress-relief', incognito: true, history })).toBeNull();
+      expect(toPromptHistory(history)[1].content).toHaveLength(MAX_HISTORY_CONTENT);
+    });
+
+    it('should count the turn anonymously', async () => {
+      await runIncognitoTurn({ userId, message: 'I had a long day at work', goal: 'stress-relief' });
+
+      const [filter, update] = IncognitoStat.updateOne.mock.calls[0];
+      expect(filter).toEqual({ day: expect.any(String), goal: 'stress-relief', provider: 'local' });
+      expect(update).toEqual({ $inc: { turns: 1, crisisTurns: 0 } });
+      expect(JSON.stringify(IncognitoStat.updateOne.mock.calls[0])).not.toContain(userId);
+    });
+
+    it('should only offer tools that need no stored reply', async () => {
+      const turn = await runIncognitoTurn({
+        userId,
+        message: 'I just did a 10 minute body scan meditation before bed',
+        goal: 'stress-relief',
+      });
+
+      expect(turn.assistantMessage.toolCalls).toBeUndefined();
+    });
+
+    it('should flag crisis turns without linking them to a conversation', async () => {
+      const turn = await runIncognitoTurn({ userId, message: 'I want to kill myself', goal: 'emotional-support' });
+
+      expect(turn.aiResult.provider).toBe('safety');
+      expect(IncognitoStat.updateOne.mock.calls[0][1]).toEqual({ $inc: { turns: 1, crisisTurns: 1 } });
+      expect(SafetyEvent.create).toHaveBeenCalledWith(expect.objectContaining({ incognito: true }));
+      expect(SafetyEvent.create.mock.calls[0][0]).not.toHaveProperty('userId');
+      expect(SafetyEvent.create.mock.calls[0][0]).not.toHaveProperty('conversationId');
+    });
+  });
+
+  describe('long-term memory', () => {
+    const facts = [
+      { content: 'The user prefers short answers', category: 'preference' },
+      { content: 'The user\'s sister is called Anna', category: 'person' },
+    ];
+
+    afterEach(() => {
+      ai.unregisterProvider('stub');
+      delete process.env.AI_PROVIDER_ORDER;
+    });
+
+    it('should quote the confirmed facts relevant to the message in the prompt', async () => {
+      const generate = jest.fn().mockResolvedValue({ text: 'ok' });
+      ai.registerProvider({ name: 'stub', generate });
+      process.env.AI_PROVIDER_ORDER = 'stub';
+      MemoryFact.find.mockReturnValueOnce({
+        sort: () => ({ limit: () => ({ lean: () => Promise.resolve(facts) }) }),
+      });
+
+      await runChatTurn({ userId, message: 'I had a long day at work', goal: 'stress-relief' });
+
+      const [[reply]] = generate.mock.calls.filter(([request]) => request.goal);
+      expect(MemoryFact.find).toHaveBeenCalledWith({ userId, status: 'confirmed' });
+      expect(reply.system).toContain('<memory>\n- The user prefers short answers\n</memory>');
+      expect(reply.system).not.toContain('Anna');
+    });
+
+    it('should leave memory out when the user turned it off', async () => {
+      Settings.findOne.mockReturnValueOnce({
+        select: () => ({ lean: () => Promise.resolve({ memory: false }) }),
+      });
+
+      const turn = await runChatTurn({ userId, message: 'I had a long day at work', goal: 'stress-relief' });
+
+      expect(MemoryFact.find).not.toHaveBeenCalled();
+      expect(turn.aiResult.provider).toBe('local');
+    });
+  });
+
+  describe('PII redaction', () => {
+    const originalOrder = process.env.AI_PROVIDER_ORDER;
+
+    afterEach(() => {
+      ai.unregisterProvider('stub');
+      if (originalOrder === undefined) {
+        delete process.env.AI_PROVIDER_ORDER;
+      } else {
+        process.env.AI_PROVIDER_ORDER = originalOrder;
+      }
+    });
+
+    it('should send placeholders to the provider and restore them in the reply', async () => {
+      const generate = jest.fn().mockResolvedValue({ text: 'Nice to meet you, [NAME_1].' });
+      ai.registerProvider({ name: 'stub', generate });
+      process.env.AI_PROVIDER_ORDER = 'stub';
+
+      const turn = await runChatTurn({
+        userId,
+        message: 'Hi, I am Alice - reach me at alice@example.com',
+        goal: 'polite-greetings',
+      });
+
+      const sent = JSON.stringify(generate.mock.calls[0][0].messages);
+      expect(sent).toContain('[NAME_1]');
+      expect(sent).toContain('[EMAIL_1]');
+      expect(sent).not.toContain('alice@example.com');
+      expect(turn.aiResult.response).toBe('Nice to meet you, Alice.');
+      expect(turn.conversation.messages[0].content).toContain('alice@example.com');
+    });
+  });
+});
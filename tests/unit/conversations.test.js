@@ -0,0 +1,66 @@
+jest.mock('../../config/db', () => ({
+  connectDB: jest.fn(),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+jest.mock('../../models/Conversation', () => ({
+  findOneAndUpdate: jest.fn(() => Promise.resolve({ _id: 'c1' })),
+}));
+
+const Conversation = require('../../models/Conversation');
+const {
+  normalizeTags,
+  buildListQuery,
+  buildListSort,
+  toConversationSummary,
+  updateConversation,
+} = require('../../services/conversations');
+
+describe('Conversation List', () => {
+  const userId = '507f1f77bcf86cd799439011';
+
+  it('should normalise tags', () => {
+    expect(normalizeTags([' Work ', 'work', 'Sleep  Issues', ''])).toEqual(['work', 'sleep issues']);
+  });
+
+  it('should hide archived conversations by default', () => {
+    expect(buildListQuery({ userId })).toEqual({ userId, archived: { $ne: true } });
+    expect(buildListQuery({ userId, archived: 'all' })).toEqual({ userId });
+  });
+
+  it('should filter by archive state, pin, tag and goal', () => {
+    expect(buildListQuery({ userId, archived: 'archived', pinned: true, tag: 'Work', goal: 'stress-relief' }))
+      .toEqual({ userId, archived: true, pinned: true, tags: 'work', goal: 'stress-relief' });
+    expect(buildListQuery({ userId, pinned: false }).pinned).toEqual({ $ne: true });
+  });
+
+  it('should keep pinned conversations first for every sort', () => {
+    expect(Object.keys(buildListSort('title'))).toEqual(['pinned', 'title', 'createdAt']);
+    expect(buildListSort('unknown')).toEqual({ pinned: -1, lastMessageAt: -1, createdAt: -1 });
+  });
+
+  it('should fall back to the last message time for older conversations', () => {
+    const timestamp = new Date('2026-01-02T10:00:00Z');
+    const summary = toConversationSummary({
+      _id: 'c1',
+      goal: 'stress-relief',
+      messages: [{ role: 'user', content: 'Hi', timestamp }],
+    });
+
+    expect(summary).toMatchObject({ title: null, tags: [], pinned: false, archived: false, messageCount: 1, lastMessageAt: timestamp });
+  });
+
+  it('should mark user titles and timestamp pinning', async () => {
+    await updateConversation({ userId, conversationId: 'c1', changes: { title: ' Exams ', pinned: true, archived: false } });
+
+    const [filter, update] = Conversation.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: 'c1', userId });
+    expect(update.$set).toMatchObject({ title: 'Exams', titleSource: 'user', pinned: true, archived: false });
+    expect(update.$set.pinnedAt).toBeInstanceOf(Date);
+    expect(update.$unset).toEqual({ archivedAt: '' });
+  });
+});
@@ -0,0 +1,161 @@
+jest.mock('../../models/ExerciseSession', () => {
+  class MockExerciseSession {
+    constructor(fields) {
+      Object.assign(this, { _id: 's1', stepIndex: 0, answers: [], status: 'in-progress' }, fields);
+      this.save = jest.fn(() => Promise.resolve(this));
+    }
+  }
+  MockExerciseSession.findOne = jest.fn(() => Promise.resolve(null));
+  return MockExerciseSession;
+});
+
+const ExerciseSession = require('../../models/ExerciseSession');
+const { EXERCISES } = require('../../services/exercises/definitions');
+const {
+  getExercise,
+  listExercises,
+  isPauseCommand,
+  parseAnswer,
+  advance,
+  answerExercise,
+  applyExerciseTurn,
+  enterExercise,
+} = require('../../services/exercises');
+
+const makeConversation = (fields = {}) => ({
+  _id: 'c1',
+  activeExercise: null,
+  messages: [],
+  ...fields,
+});
+
+describe('Guided Exercises', () => {
+  it('should define unique steps with a known answer type', () => {
+    EXERCISES.forEach(exercise => {
+      const ids = exercise.steps.map(step => step.id);
+      expect(new Set(ids).size).toBe(ids.length);
+      exercise.steps.forEach(step => {
+        expect(['text', 'number', 'list', 'choice']).toContain(step.answer.type);
+      });
+      // Every placeholder in the completion message names a step
+      (exercise.completion.match(/\{\{([\w-]+)\}\}/g) || []).forEach(placeholder => {
+        expect(ids).toContain(placeholder.slice(2, -2));
+      });
+    });
+  });
+
+  it('should list exercises suggested for a goal', () => {
+    expect(listExercises('stress-relief').map(exercise => exercise.id))
+      .toEqual(['thought-record', 'grounding-54321', 'cognitive-reframing']);
+    expect(listExercises('polite-greetings')).toEqual([]);
+  });
+
+  describe('parseAnswer', () => {
+    const grounding = getExercise('grounding-54321');
+    const reframing = getExercise('cognitive-reframing');
+
+    it('should read numbers within range', () => {
+      const step = getExercise('thought-record').steps[2];
+      expect(parseAnswer(step, 'About 70 I think')).toEqual({ value: 70 });
+      expect(parseAnswer(step, 'very strong').error).toContain('0 to 100');
+      expect(parseAnswer(step, '150').error).toBeDefined();
+    });
+
+    it('should split lists and count the items', () => {
+      expect(parseAnswer(grounding.steps[0], 'a lamp, my desk, a mug; the window and a plant'))
+        .toEqual({ value: ['a lamp', 'my desk', 'a mug', 'the window', 'a plant'] });
+      expect(parseAnswer(grounding.steps[0], 'a lamp, my desk').error).toContain('listed 2');
+    });
+
+    it('should match choices by number or label', () => {
+      const step = reframing.steps[2];
+      expect(parseAnswer(step, '2')).toEqual({ value: 'catastrophising' });
+      expect(parseAnswer(step, 'Probably mind reading')).toEqual({ value: 'mind-reading' });
+      expect(parseAnswer(step, 'no idea').error).toContain('1. All-or-nothing thinking');
+    });
+  });
+
+  describe('advance', () => {
+    const exercise = getExercise('grounding-54321');
+    const start = { stepIndex: 0, answers: [] };
+
+    it('should move to the next step on a valid answer', () => {
+      const result = advance(exercise, start, 'lamp, desk, mug, window, plant');
+
+      expect(result.outcome).toBe('answered');
+      expect(result.state).toMatchObject({ stepIndex: 1, answers: [{ stepId: 'see' }] });
+      expect(result.reply).toMatch(/^Step 2 of 5/);
+    });
+
+    it('should repeat the step on an invalid answer', () => {
+      const result = advance(exercise, start, 'lamp');
+
+      expect(result.outcome).toBe('invalid');
+      expect(result.state).toBe(start);
+      expect(result.reply).toContain('Step 1 of 5');
+    });
+
+    it('should pause on request without recording an answer', () => {
+      expect(isPauseCommand(' Pause! ')).toBe(true);
+      expect(isPauseCommand('I need to pause and think')).toBe(false);
+      expect(advance(exercise, start, 'stop').outcome).toBe('paused');
+    });
+
+    it('should fill the completion message from the answers', () => {
+      const state = {
+        stepIndex: 4,
+        answers: [{ stepId: 'see', value: ['lamp', 'desk', 'mug', 'window', 'plant'] }],
+      };
+
+      const result = advance(exercise, state, 'mint');
+
+      expect(result.outcome).toBe('completed');
+      expect(result.reply).toContain('You noticed lamp, desk, mug, window, plant');
+    });
+  });
+
+  describe('sessions', () => {
+    it('should start a session and ask the first step', async () => {
+      const conversation = makeConversation();
+
+      const session = await enterExercise({ userId: 'u1', conversation, exerciseId: 'thought-record' });
+
+      expect(session.save).toHaveBeenCalled();
+      expect(conversation.activeExercise).toBe('s1');
+      expect(conversation.messages[0]).toMatchObject({
+        role: 'assistant',
+        provider: 'exercise',
+        exercise: { sessionId: 's1', exerciseId: 'thought-record', stepId: 'situation' },
+      });
+    });
+
+    it('should resume an unfinished session at its current step', async () => {
+      ExerciseSession.findOne.mockResolvedValueOnce(new ExerciseSession({ exerciseId: 'grounding-54321', stepIndex: 2 }));
+      const conversation = makeConversation();
+
+      await enterExercise({ userId: 'u1', conversation, sessionId: 's1' });
+
+      expect(conversation.messages[0].content).toContain('Step 3 of 5');
+    });
+
+    it('should refuse to start a second exercise in a conversation', async () => {
+      await expect(enterExercise({ userId: 'u1', conversation: makeConversation({ activeExercise: 's0' }), exerciseId: 'thought-record' }))
+        .rejects.toMatchObject({ status: 409, code: 'EXERCISE_ACTIVE' });
+    });
+
+    it('should store answers against the user message and finish the session', async () => {
+      const session = new ExerciseSession({ exerciseId: 'grounding-54321', stepIndex: 4 });
+      const conversation = makeConversation({
+        activeExercise: 's1',
+        messages: [{ _id: 'm1', role: 'user', content: 'mint' }, { _id: 'm2', role: 'assistant' }],
+      });
+
+      const reply = answerExercise(session, 'mint');
+      await applyExerciseTurn(conversation, reply.exercise);
+
+      expect(session.answers).toEqual([{ stepId: 'taste', value: ['mint'], messageId: 'm1' }]);
+      expect(session.status).toBe('completed');
+      expect(conversation.activeExercise).toBeNull();
+    });
+  });
+});
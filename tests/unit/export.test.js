@@ -0,0 +1,134 @@
+const { Writable } = require('stream');
+const {
+  toExportData,
+  toMarkdown,
+  toJson,
+  toPdf,
+  exportFilename,
+  writeZip,
+} = require('../../services/export');
+
+const conversation = {
+  _id: '507f1f77bcf86cd799439012',
+  goal: 'stress-relief',
+  createdAt: new Date('2026-03-01T09:00:00Z'),
+  messages: [
+    {
+      role: 'user',
+      content: 'I am so stressed about work',
+      tone: 'stressed',
+      language: 'en',
+      timestamp: new Date('2026-03-01T09:00:05Z'),
+    },
+    {
+      role: 'assistant',
+      content: 'Let us try a slow breath together.',
+      provider: 'local',
+      timestamp: new Date('2026-03-01T09:00:06Z'),
+    },
+  ],
+};
+
+const options = {
+  exportedAt: new Date('2026-03-02T10:00:00Z'),
+  goalTitles: { 'stress-relief': 'Stress Relief' },
+};
+
+describe('Conversation Export', () => {
+  it('should include the goal, timestamps and tone annotations', () => {
+    const data = toExportData(conversation, options);
+
+    expect(data).toMatchObject({
+      exportedAt: '2026-03-02T10:00:00.000Z',
+      conversation: {
+        id: '507f1f77bcf86cd799439012',
+        goal: 'stress-relief',
+        goalTitle: 'Stress Relief',
+        lastMessageAt: '2026-03-01T09:00:06.000Z',
+      },
+    });
+    expect(data.conversation.messages[0]).toEqual({
+      role: 'user',
+      content: 'I am so stressed about work',
+      timestamp: '2026-03-01T09:00:05.000Z',
+      tone: 'stressed',
+      language: 'en',
+    });
+    expect(data.conversation.messages[1]).not.toHaveProperty('provider');
+  });
+
+  it('should render Markdown with an export header', () => {
+    const markdown = toMarkdown(toExportData(conversation, options));
+
+    expect(markdown).toContain('# Calm Companion conversation: Stress Relief');
+    expect(markdown).toContain('- Exported: 2026-03-02T10:00:00.000Z');
+    expect(markdown).toContain('## You — 2026-03-01T09:00:05.000Z\n_tone: stressed, language: en_');
+    expect(markdown).toContain('## Calm Companion — 2026-03-01T09:00:06.000Z\n\nLet us try a slow breath together.');
+  });
+
+  it('should render JSON that round-trips', () => {
+    const data = toExportData(conversation, options);
+
+    expect(JSON.parse(toJson(data))).toEqual(JSON.parse(JSON.stringify(data)));
+  });
+
+  it('should render a PDF', async () => {
+    const pdf = await toPdf(toExportData(conversation, options));
+
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('should embed Unicode fonts for non-Latin scripts and emoji', async () => {
+    const multilingual = {
+      ...conversation,
+      messages: [{ role: 'user', content: 'Привет! مرحبا 你好 こんにちは 안녕 😊', timestamp: new Date('2026-03-01T09:00:05Z') }],
+    };
+
+    const pdf = (await toPdf(toExportData(multilingual, options))).toString('latin1');
+
+    ['DejaVuSans', 'NotoSansSC', 'NotoSansKR', 'NotoEmoji'].forEach(font => {
+      expect(pdf).toMatch(new RegExp(`/BaseFont /[A-Z]{6}\\+${font}`));
+    });
+    expect(pdf).not.toContain('/Helvetica');
+  });
+
+  it('should name files after the goal and start date', () => {
+    expect(exportFilename(toExportData(conversation, options), 'md'))
+      .toBe('calm-companion-stress-relief-2026-03-01-507f1f77bcf86cd799439012.md');
+  });
+
+  it('should zip every conversation', async () => {
+    const chunks = [];
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+    });
+
+    const count = await writeZip([conversation, { ...conversation, _id: '507f1f77bcf86cd799439013' }], 'json', output, options);
+
+    expect(count).toBe(2);
+    const zip = Buffer.concat(chunks);
+    expect(zip.slice(0, 2).toString()).toBe('PK');
+    expect(zip.toString('latin1')).toContain('507f1f77bcf86cd799439013.json');
+  });
+
+  it('should zip conversations read from a cursor', async () => {
+    const read = [];
+    async function* cursor() {
+      for (const id of ['507f1f77bcf86cd799439013', '507f1f77bcf86cd799439014']) {
+        read.push(id);
+        yield { ...conversation, _id: id };
+      }
+    }
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        callback();
+      },
+    });
+
+    expect(await writeZip(cursor(), 'pdf', output, options)).toBe(2);
+    expect(read).toEqual(['507f1f77bcf86cd799439013', '507f1f77bcf86cd799439014']);
+  });
+});
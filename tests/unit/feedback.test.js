@@ -0,0 +1,124 @@
+jest.mock('../../config/db', () => ({
+  connectDB: jest.fn(),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+jest.mock('../../models/Conversation', () => ({
+  findOne: jest.fn(),
+}));
+
+jest.mock('../../models/Feedback', () => ({
+  findOneAndUpdate: jest.fn((filter, update) => Promise.resolve({ _id: 'f1', ...filter, ...update.$set })),
+  aggregate: jest.fn(),
+}));
+
+const Conversation = require('../../models/Conversation');
+const Feedback = require('../../models/Feedback');
+const { register } = require('../../middleware/metrics');
+const { rateMessage, formatGroups, goalLabel } = require('../../services/feedback');
+
+const mockConversation = (conversation) => {
+  Conversation.findOne.mockReturnValueOnce({
+    select: () => ({ lean: () => Promise.resolve(conversation) }),
+  });
+};
+
+describe('Feedback Service', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const conversationId = '507f1f77bcf86cd799439012';
+  const conversation = {
+    goal: 'stress-relief',
+    messages: [
+      { _id: 'u1', role: 'user', content: 'I feel tense' },
+      { _id: 'a1', role: 'assistant', content: 'Breathe', provider: 'openai', model: 'gpt-4o-mini', promptVersion: 'companion@1' },
+    ],
+    branches: [
+      { messages: [{ _id: 'a0', role: 'assistant', content: 'Older reply', provider: 'local' }] },
+    ],
+  };
+
+  it('should store the rating against the provider and prompt version', async () => {
+    mockConversation(conversation);
+
+    const feedback = await rateMessage({
+      userId,
+      conversationId,
+      messageId: 'a1',
+      rating: 'down',
+      reasons: ['too-long', 'too-long'],
+    });
+
+    expect(Feedback.findOneAndUpdate).toHaveBeenCalledWith(
+      { userId, messageId: 'a1' },
+      expect.anything(),
+      expect.objectContaining({ upsert: true })
+    );
+    expect(feedback).toMatchObject({
+      rating: 'down',
+      reasons: ['too-long'],
+      goal: 'stress-relief',
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      promptVersion: 'companion@1',
+    });
+    expect(await register.getSingleMetricAsString('chat_feedback_total'))
+      .toContain('chat_feedback_total{rating="down",goal="stress-relief",provider="openai"} 1');
+  });
+
+  it('should accept replies kept in earlier branches', async () => {
+    mockConversation(conversation);
+
+    const feedback = await rateMessage({ userId, conversationId, messageId: 'a0', rating: 'up' });
+
+    expect(feedback.provider).toBe('local');
+  });
+
+  it('should reject user messages and unknown conversations', async () => {
+    mockConversation(conversation);
+    await expect(rateMessage({ userId, conversationId, messageId: 'u1', rating: 'up' }))
+      .rejects.toMatchObject({ code: 'MESSAGE_NOT_RATEABLE' });
+
+    mockConversation(null);
+    await expect(rateMessage({ userId, conversationId, messageId: 'a1', rating: 'up' }))
+      .rejects.toMatchObject({ status: 404, code: 'CONVERSATION_NOT_FOUND' });
+  });
+
+  it('should group custom goals together', () => {
+    expect(goalLabel('emotional-support')).toBe('emotional-support');
+    expect(goalLabel('my-exam-nerves')).toBe('custom');
+  });
+
+  it('should compute satisfaction and top reasons per group', () => {
+    const groups = formatGroups(
+      [{ _id: 'openai', total: 4, up: 3 }, { _id: 'local', total: 1, up: 0 }],
+      [
+        { _id: { key: 'openai', reason: 'clear' }, count: 1 },
+        { _id: { key: 'openai', reason: 'helpful' }, count: 3 },
+        { _id: { key: 'local', reason: 'repetitive' }, count: 1 },
+      ]
+    );
+
+    expect(groups).toEqual([
+      {
+        key: 'openai',
+        total: 4,
+        up: 3,
+        down: 1,
+        satisfaction: 0.75,
+        topReasons: [{ reason: 'helpful', count: 3 }, { reason: 'clear', count: 1 }],
+      },
+      {
+        key: 'local',
+        total: 1,
+        up: 0,
+        down: 1,
+        satisfaction: 0,
+        topReasons: [{ reason: 'repetitive', count: 1 }],
+      },
+    ]);
+  });
+});
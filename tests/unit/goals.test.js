@@ -0,0 +1,68 @@
+jest.mock('../../models/Goal', () => ({
+  distinct: jest.fn(() => Promise.resolve([])),
+  findOne: jest.fn(() => ({ lean: () => Promise.resolve(null) })),
+}));
+
+const Goal = require('../../models/Goal');
+const { generateSlug, resolveGoal, toGoalResponse } = require('../../services/goals');
+const { buildSystemPrompt } = require('../../services/ai/prompt');
+
+describe('Goals Service', () => {
+  const userId = '507f1f77bcf86cd799439011';
+
+  describe('generateSlug', () => {
+    it('should slugify the title', async () => {
+      expect(await generateSlug(userId, '  Practice Gratitude! ')).toBe('practice-gratitude');
+    });
+
+    it('should never shadow a built-in goal', async () => {
+      expect(await generateSlug(userId, 'Stress Relief')).toBe('stress-relief-2');
+    });
+
+    it('should add a suffix when the user already has the slug', async () => {
+      Goal.distinct.mockResolvedValueOnce(['gratitude']);
+
+      expect(await generateSlug(userId, 'Gratitude')).toBe('gratitude-2');
+    });
+
+    it('should fall back to a generic slug for titles without letters', async () => {
+      expect(await generateSlug(userId, '💙💙')).toBe('goal');
+    });
+  });
+
+  describe('resolveGoal', () => {
+    it('should resolve built-in goals without a database lookup', async () => {
+      const goal = await resolveGoal(userId, 'emotional-support');
+
+      expect(goal).toMatchObject({ title: 'Emotional Support', builtIn: true });
+      expect(Goal.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should only look up custom goals owned by the user', async () => {
+      await resolveGoal(userId, 'gratitude');
+
+      expect(Goal.findOne).toHaveBeenCalledWith({ userId, slug: 'gratitude' });
+    });
+
+    it('should reject malformed slugs', async () => {
+      expect(await resolveGoal(userId, '$where')).toBeNull();
+    });
+  });
+
+  it('should mark built-in goals in responses', async () => {
+    expect(toGoalResponse(await resolveGoal(userId, 'stress-relief'))).toMatchObject({
+      id: null,
+      slug: 'stress-relief',
+      builtIn: true,
+    });
+  });
+
+  it('should add goal instructions to the system prompt', () => {
+    const system = buildSystemPrompt({
+      goal: 'gratitude',
+      goalDefinition: { title: 'Gratitude', tone: 'gentle', instructions: 'Ask what went well today.' },
+    });
+
+    expect(system).toContain('<goal>\ntitle: Gratitude\ntone to use: gentle\ninstructions: Ask what went well today.\n</goal>');
+  });
+});
@@ -0,0 +1,48 @@
+const { OFFLINE_NOTICE, respondOffline } = require('../../services/ai/offline');
+const localProvider = require('../../services/ai/providers/local');
+
+describe('Offline Responder', () => {
+  it('should give breathing instructions when asked', () => {
+    const { text, intent } = respondOffline({ message: 'I think I\'m having a panic attack', goal: 'emotional-support' });
+
+    expect(intent).toBe('breathing');
+    expect(text).toContain('Breathe in through your nose for 4 counts');
+  });
+
+  it('should name the feeling and follow up for the goal', () => {
+    const { text, intent } = respondOffline({ message: 'Work has left me exhausted', goal: 'emotional-support' });
+
+    expect(intent).toBe('feeling');
+    expect(text).toMatch(/^It sounds like you're feeling tired, .* Would you like to tell me a bit more/);
+  });
+
+  it('should only use practice intents for their goal', () => {
+    const message = 'How do I ask my boss a question about my pay?';
+
+    expect(respondOffline({ message, goal: 'respectful-questions' }).intent).toBe('asking');
+    expect(respondOffline({ message, goal: 'emotional-support' }).intent).toBe('default');
+  });
+
+  it('should send crisis resources for the region', () => {
+    const { text, intent } = respondOffline({ message: 'I want to end my life', goal: 'stress-relief', region: 'GB' });
+
+    expect(intent).toBe('crisis');
+    expect(text).toContain('Samaritans');
+  });
+
+  it('should answer shared keyword rules like the local provider', () => {
+    [
+      ['I feel anxious, help me breathe', 'stress-relief'],
+      ['Thanks, that helped', 'emotional-support'],
+      ['Hi there!', 'polite-greetings']
+    ].forEach(([message, goal]) => {
+      expect(respondOffline({ message, goal }).text).toBe(`${localProvider.respond({ message, goal })}\n\n${OFFLINE_NOTICE}`);
+    });
+  });
+
+  it('should mark every reply as offline', () => {
+    ['Hello', 'Something else entirely', 'I want to end my life'].forEach(message => {
+      expect(respondOffline({ message, goal: 'custom-goal' }).text.endsWith(OFFLINE_NOTICE)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../config/db', () => ({
+  connectDB: jest.fn(),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+jest.mock('../../config/redis', () => ({
+  getRedisClient: jest.fn(() => null),
+}));
+
+const { getRedisClient } = require('../../config/redis');
+const { RateLimitStore, apiLimiter, chatLimiter, consumeRateLimit } = require('../../middleware/rateLimit');
+
+const tokenFor = id => jwt.sign({ user: { id } }, process.env.JWT_SECRET);
+
+describe('Rate Limits', () => {
+  const app = express();
+  app.use('/api/', apiLimiter);
+  app.post('/api/chat', chatLimiter, (req, res) => res.json({ ok: true }));
+  app.get('/api/goals', (req, res) => res.json({ ok: true }));
+
+  beforeAll(() => {
+    process.env.RATE_LIMIT_CHAT_MAX = '2';
+  });
+
+  afterAll(() => {
+    delete process.env.RATE_LIMIT_CHAT_MAX;
+  });
+
+  it('should limit chat per user rather than per address', async () => {
+    const alice = tokenFor('507f1f77bcf86cd799439001');
+    const bob = tokenFor('507f1f77bcf86cd799439002');
+    const send = token => request(app).post('/api/chat').set('Authorization', `Bearer ${token}`);
+
+    await send(alice).expect(200);
+    await send(alice).expect(200);
+    const limited = await send(alice).expect(429);
+
+    expect(limited.body).toMatchObject({ code: 'RATE_LIMITED', retryAfter: expect.any(Number) });
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(limited.headers['retry-after'])).toBeLessThanOrEqual(60);
+    await send(bob).expect(200);
+  });
+
+  it('should keep the chat limit separate from other routes', async () => {
+    const token = tokenFor('507f1f77bcf86cd799439003');
+
+    await Promise.all([1, 2, 3].map(() => request(app).post('/api/chat').set('Authorization', `Bearer ${token}`)));
+
+    const response = await request(app).get('/api/goals').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(response.headers['ratelimit-remaining']).toBeDefined();
+  });
+
+  it('should apply the same limits to socket messages', async () => {
+    const userId = '507f1f77bcf86cd799439004';
+
+    expect(await consumeRateLimit(['chat'], userId)).toBeNull();
+    expect(await consumeRateLimit(['chat'], userId)).toBeNull();
+    expect(await consumeRateLimit(['chat'], userId)).toMatchObject({ retryAfter: expect.any(Number) });
+  });
+
+  describe('store', () => {
+    afterEach(() => {
+      getRedisClient.mockReturnValue(null);
+    });
+
+    it('should count in Redis and start the window on the first hit', async () => {
+      const exec = jest.fn().mockResolvedValueOnce([1, -1]).mockResolvedValueOnce([2, 59000]);
+      const redis = {
+        multi: () => ({ incr: () => ({ pTTL: () => ({ exec }) }) }),
+        pExpire: jest.fn(() => Promise.resolve()),
+      };
+      getRedisClient.mockReturnValue(redis);
+      const store = new RateLimitStore(60000);
+
+      expect((await store.increment('chat:user:1')).totalHits).toBe(1);
+      expect(redis.pExpire).toHaveBeenCalledWith('ratelimit:chat:user:1', 60000);
+      const second = await store.increment('chat:user:1');
+      expect(second.totalHits).toBe(2);
+      expect(second.resetTime.getTime()).toBeLessThanOrEqual(Date.now() + 59000);
+      expect(redis.pExpire).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to memory when Redis fails', async () => {
+      getRedisClient.mockReturnValue({
+        multi: () => ({ incr: () => ({ pTTL: () => ({ exec: () => Promise.reject(new Error('down')) }) }) }),
+      });
+      const store = new RateLimitStore(60000);
+
+      await store.increment('chat:user:2');
+      expect((await store.increment('chat:user:2')).totalHits).toBe(2);
+    });
+  });
+});
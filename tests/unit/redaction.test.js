@@ -0,0 +1,69 @@
+jest.mock('../../models/User', () => ({
+  findById: jest.fn(() => ({
+    select: () => ({ lean: () => Promise.resolve({ firstName: 'Alice', lastName: null }) }),
+  })),
+}));
+
+const { createRedactor, loadRedactor } = require('../../services/redaction');
+
+describe('PII Redaction', () => {
+  it('should replace contact details with numbered placeholders', () => {
+    const redactor = createRedactor();
+
+    expect(redactor.redact('Email me at sam@example.com or call +44 7700 900123 or (555) 123-4567'))
+      .toBe('Email me at [EMAIL_1] or call [PHONE_1] or [PHONE_2]');
+  });
+
+  it('should find addresses, postcodes and card numbers', () => {
+    const redactor = createRedactor();
+
+    expect(redactor.redact('I live at 12 Baker Street, NW1 6XE. Card 4111 1111 1111 1111'))
+      .toBe('I live at [ADDRESS_1], [POSTCODE_1]. Card [CARD_1]');
+  });
+
+  it('should leave ratings, dates and durations alone', () => {
+    const text = 'I rated it 70 out of 100 on 2024-01-15 after sleeping 8 hours. Order 1234 5678 9012 3456';
+
+    expect(createRedactor().redact(text)).toBe(text);
+  });
+
+  it('should redact names after cues and the user\'s own name', () => {
+    const redactor = createRedactor({ names: ['Alice'] });
+
+    expect(redactor.redact('My name is alice. My sister Jane called me Alice again'))
+      .toBe('My name is [NAME_1]. My sister [NAME_2] called me [NAME_1] again');
+    expect(redactor.redact('i was called lazy')).toBe('i was called lazy');
+  });
+
+  it('should reuse placeholders for repeated values and restore them', () => {
+    const redactor = createRedactor();
+    const text = 'Write to sam@example.com. Yes, sam@example.com';
+
+    const redacted = redactor.redact(text);
+
+    expect(redacted).toBe('Write to [EMAIL_1]. Yes, [EMAIL_1]');
+    expect(redactor.restore(redacted)).toBe(text);
+    expect(redactor.restore('Unknown [EMAIL_9] stays')).toBe('Unknown [EMAIL_9] stays');
+    expect(redactor.summary()).toEqual({ EMAIL: 1 });
+  });
+
+  it('should restore placeholders split across streamed tokens', () => {
+    const redactor = createRedactor();
+    redactor.redact('My friend Tom');
+    const output = [];
+    const restorer = redactor.createStreamRestorer(text => output.push(text));
+
+    ['Say hi to [NA', 'ME_', '1] for me [', 'soon'].forEach(token => restorer.write(token));
+    restorer.end();
+
+    expect(output.join('')).toBe('Say hi to Tom for me [soon');
+    expect(output[0]).toBe('Say hi to ');
+  });
+
+  it('should respect the user\'s setting', async () => {
+    expect(await loadRedactor('u1', { piiRedaction: false })).toBeNull();
+
+    const redactor = await loadRedactor('u1', null);
+    expect(redactor.redact('Alice here')).toBe('[NAME_1] here');
+  });
+});
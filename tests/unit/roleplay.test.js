@@ -0,0 +1,215 @@
+jest.mock('../../config/db', () => ({
+  connectDB: jest.fn(),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+jest.mock('../../models/ExerciseSession', () => ({}));
+
+jest.mock('../../models/RoleplaySession', () => {
+  class MockRoleplaySession {
+    constructor(fields) {
+      Object.assign(this, { _id: 'r1', turns: [], status: 'in-progress' }, fields);
+      this.save = jest.fn(() => Promise.resolve(this));
+    }
+  }
+  MockRoleplaySession.findOne = jest.fn(() => Promise.resolve(null));
+  MockRoleplaySession.find = jest.fn();
+  return MockRoleplaySession;
+});
+
+const RoleplaySession = require('../../models/RoleplaySession');
+const ai = require('../../services/ai');
+const { SCENARIOS } = require('../../services/roleplay/definitions');
+const { scoreReply, averageScores } = require('../../services/roleplay/scoring');
+const {
+  listScenarios,
+  answerRoleplay,
+  applyRoleplayTurn,
+  enterRoleplay,
+  skillProgress,
+} = require('../../services/roleplay');
+
+const makeConversation = (fields = {}) => ({
+  _id: 'c1',
+  activeRoleplay: null,
+  messages: [],
+  ...fields,
+});
+
+const scores = (politeness, clarity, empathy) => ({ politeness, clarity, empathy });
+
+describe('Role-play Scenarios', () => {
+  afterEach(() => {
+    ai.unregisterProvider('stub');
+    delete process.env.AI_PROVIDER_ORDER;
+  });
+
+  it('should define unique scenarios for built-in practice goals', () => {
+    const ids = SCENARIOS.map(scenario => scenario.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(listScenarios('kind-disagreement').map(scenario => scenario.id))
+      .toEqual(['project-disagreement', 'feedback-questions']);
+    expect(listScenarios('stress-relief')).toEqual([]);
+  });
+
+  describe('scoring', () => {
+    it('should reward a warm, clear reply', () => {
+      const { scores: result, feedback } = scoreReply(
+        'Hi, sorry to interrupt - I\'m Sam from next door. I can imagine it must be a tiring day, would you like a hand with those boxes?'
+      );
+
+      expect(result.politeness).toBeGreaterThanOrEqual(80);
+      expect(result.clarity).toBeGreaterThanOrEqual(80);
+      expect(result.empathy).toBeGreaterThanOrEqual(80);
+      expect(feedback.empathy.tip).toBeNull();
+    });
+
+    it('should mark down dismissive replies and say what to try', () => {
+      const { scores: result, feedback } = scoreReply('Whatever, you\'re wrong.');
+
+      expect(result.politeness).toBeLessThan(30);
+      expect(result.empathy).toBeLessThan(30);
+      expect(feedback.empathy.tip).toContain('I see it differently');
+      expect(feedback.clarity.tip).toContain('what you think or need');
+    });
+
+    it('should average scores per skill', () => {
+      expect(averageScores([scores(80, 60, 40), scores(70, 50, null)])).toEqual(scores(75, 55, 40));
+    });
+  });
+
+  describe('sessions', () => {
+    it('should open the scene in character', async () => {
+      const conversation = makeConversation();
+
+      const session = await enterRoleplay({ userId: 'u1', conversation, scenarioId: 'new-neighbour' });
+
+      expect(session.save).toHaveBeenCalled();
+      expect(conversation.activeRoleplay).toBe('r1');
+      expect(conversation.messages[0]).toMatchObject({
+        role: 'assistant',
+        provider: 'roleplay',
+        roleplay: { sessionId: 'r1', scenarioId: 'new-neighbour', turn: 0 },
+      });
+      expect(conversation.messages[0].content).toMatch(/Maya: \*sets a heavy box down/);
+    });
+
+    it('should reject unknown scenarios', async () => {
+      await expect(enterRoleplay({ userId: 'u1', conversation: makeConversation(), scenarioId: 'job-interview' }))
+        .rejects.toMatchObject({ status: 400, code: 'INVALID_SCENARIO' });
+    });
+
+    it('should answer with the scripted line and score the reply without a remote provider', async () => {
+      const session = new RoleplaySession({ scenarioId: 'new-neighbour' });
+
+      const reply = await answerRoleplay(session, 'Hello! I\'m Sam from next door - welcome to the street.');
+
+      expect(reply.provider).toBe('roleplay');
+      expect(reply.response).toMatch(/^Maya: Nice to meet you!/);
+      expect(reply.response).toMatch(/Feedback - Politeness \d+ · Clarity \d+ · Empathy \d+/);
+      expect(reply.roleplay.result.outcome).toBe('answered');
+      expect(reply.roleplay.asked).toEqual({ sessionId: 'r1', scenarioId: 'new-neighbour', turn: 1 });
+    });
+
+    it('should let a provider play the character from the scene so far', async () => {
+      const generate = jest.fn(() => Promise.resolve({ text: 'Jordan: Fair enough - what would you test first?' }));
+      ai.registerProvider({ name: 'stub', generate });
+      process.env.AI_PROVIDER_ORDER = 'stub';
+      const afterProviderCall = jest.fn();
+      const session = new RoleplaySession({
+        scenarioId: 'project-disagreement',
+        turns: [{ reply: 'I like it, but I worry about testing.', line: 'Why do you think that won\'t work?' }],
+      });
+
+      const reply = await answerRoleplay(session, 'Because we found bugs last time.', { afterProviderCall });
+
+      expect(reply.response).toMatch(/^Jordan: Fair enough - what would you test first\?\n/);
+      expect(reply.provider).toBe('stub');
+      const { system, messages } = generate.mock.calls[0][0];
+      expect(system).toContain('You are playing Jordan');
+      expect(messages[0].content).toContain('User: I like it, but I worry about testing.\nJordan: Why do you think that won\'t work?');
+      expect(afterProviderCall).toHaveBeenCalledWith(expect.objectContaining({ provider: 'stub', usage: expect.any(Object) }));
+    });
+
+    it('should use the scripted line for a local-provider user even with a remote provider', async () => {
+      const generate = jest.fn(() => Promise.resolve({ text: 'Maya: Lovely to meet you!' }));
+      ai.registerProvider({ name: 'stub', generate });
+      process.env.AI_PROVIDER_ORDER = 'stub,local';
+      const session = new RoleplaySession({ scenarioId: 'new-neighbour' });
+
+      const reply = await answerRoleplay(session, 'Hello! I\'m Sam from next door.', { preferredProvider: 'local' });
+
+      expect(generate).not.toHaveBeenCalled();
+      expect(reply.provider).toBe('roleplay');
+      expect(reply.response).toMatch(/^Maya: Nice to meet you!/);
+    });
+
+    it('should store scored turns and finish the session with averages', async () => {
+      const session = new RoleplaySession({
+        scenarioId: 'new-neighbour',
+        turns: [
+          { reply: 'Hi!', line: 'Nice to meet you!', scores: scores(60, 20, 50) },
+          { reply: 'Hi again', line: 'That\'s kind of you.', scores: scores(60, 20, 50) },
+        ],
+      });
+      const conversation = makeConversation({
+        activeRoleplay: 'r1',
+        messages: [{ _id: 'm1', role: 'user', content: 'Thank you, see you soon!' }, { _id: 'm2', role: 'assistant' }],
+      });
+
+      const reply = await answerRoleplay(session, 'Thank you, see you soon!');
+      applyRoleplayTurn(conversation, reply.roleplay);
+
+      expect(reply.response).toContain('That\'s the end of the scene');
+      expect(session.turns[2]).toMatchObject({ reply: 'Thank you, see you soon!', messageId: 'm1' });
+      expect(session.status).toBe('completed');
+      expect(session.scores).toEqual(averageScores(session.turns.map(turn => turn.scores)));
+      expect(conversation.activeRoleplay).toBeNull();
+    });
+
+    it('should pause without scoring', async () => {
+      const session = new RoleplaySession({ scenarioId: 'new-neighbour' });
+      const conversation = makeConversation({ activeRoleplay: 'r1', messages: [{}, {}] });
+
+      const reply = await answerRoleplay(session, 'pause');
+      applyRoleplayTurn(conversation, reply.roleplay);
+
+      expect(reply.response).toContain('saved your place');
+      expect(session.turns).toEqual([]);
+      expect(conversation.activeRoleplay).toBeNull();
+    });
+  });
+
+  it('should track each skill over completed sessions', async () => {
+    const completed = (values, day) => ({
+      _id: `s${day}`,
+      scenarioId: 'new-neighbour',
+      status: 'completed',
+      completedAt: new Date(`2026-03-0${day}T10:00:00Z`),
+      turns: [{ scores: values }],
+      scores: values,
+    });
+    RoleplaySession.find.mockReturnValue({
+      sort: () => ({
+        limit: () => ({
+          lean: () => Promise.resolve([
+            completed(scores(40, 50, 30), 1),
+            completed(scores(60, 70, 50), 2),
+            { _id: 's3', scenarioId: 'project-disagreement', status: 'in-progress', turns: [{ scores: scores(80, 90, 70) }] },
+          ]),
+        }),
+      }),
+    });
+
+    const progress = await skillProgress('u1');
+
+    expect(progress.skills.empathy).toEqual({ average: 50, best: 50, latest: 50, trend: 20 });
+    expect(progress.sessionCount).toBe(2);
+    expect(progress.replyCount).toBe(3);
+    expect(progress.history.map(entry => entry.title)).toEqual(['Meeting a New Neighbour', 'Meeting a New Neighbour']);
+  });
+});
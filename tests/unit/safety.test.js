@@ -0,0 +1,62 @@
+const { classify } = require('../../services/safety/keywordClassifier');
+const {
+  buildCrisisResponse,
+  getCrisisResources,
+  regionFromAcceptLanguage,
+} = require('../../services/safety/resources');
+
+describe('Safety Screening', () => {
+  describe('keyword classifier', () => {
+    it.each([
+      ['I want to kill myself', 'high', 'suicide'],
+      ['sometimes I feel suicidal', 'high', 'suicide'],
+      ['I don\'t want to live anymore', 'high', 'suicide'],
+      ['everyone would be better off dead without me', 'high', 'suicide'],
+      ['I started cutting myself again', 'high', 'self-harm'],
+      ['I feel completely hopeless', 'moderate', 'hopelessness'],
+      ['my partner hits me when he is angry', 'moderate', 'abuse'],
+    ])('should flag "%s" as %s risk', (message, riskLevel, category) => {
+      const result = classify(message);
+
+      expect(result.riskLevel).toBe(riskLevel);
+      expect(result.categories).toContain(category);
+      expect(result.classifier).toBe('keyword');
+    });
+
+    it.each([
+      'I am killing it at work this week',
+      'This traffic is killing me',
+      'I had a stressful day but I am okay',
+      'How do I disagree politely with my boss?',
+    ])('should not flag "%s"', (message) => {
+      expect(classify(message)).toEqual({ riskLevel: 'none', categories: [], classifier: 'keyword' });
+    });
+
+    it('should report the highest risk across matches', () => {
+      const result = classify('I feel hopeless and want to die');
+
+      expect(result.riskLevel).toBe('high');
+      expect(result.categories).toEqual(expect.arrayContaining(['suicide', 'hopelessness']));
+    });
+  });
+
+  describe('crisis resources', () => {
+    it('should pick resources for the user region', () => {
+      expect(buildCrisisResponse('US')).toContain('988');
+      expect(buildCrisisResponse('au')).toContain('13 11 14');
+    });
+
+    it('should fall back to an international directory for unknown regions', () => {
+      const resources = getCrisisResources('ZZ');
+
+      expect(resources.region).toBeNull();
+      expect(buildCrisisResponse(null)).toContain('findahelpline.com');
+    });
+
+    it('should read the region from Accept-Language', () => {
+      expect(regionFromAcceptLanguage('en-GB,en;q=0.9')).toBe('GB');
+      expect(regionFromAcceptLanguage('en')).toBeNull();
+      expect(regionFromAcceptLanguage(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,60 @@
+jest.mock('../../models/Conversation', () => ({}));
+
+const { parseTerms, buildSnippet, findMatches, buildSearchQuery } = require('../../services/search');
+
+describe('Conversation Search', () => {
+  const conversation = {
+    messages: [
+      { _id: 'm0', role: 'user', content: 'I feel stressed about my exam', timestamp: new Date('2026-01-05') },
+      { _id: 'm1', role: 'assistant', content: 'Exams can be a lot. Let us breathe.', timestamp: new Date('2026-01-05') },
+      { _id: 'm2', role: 'user', content: 'The exam went well!', timestamp: new Date('2026-02-10') },
+    ],
+  };
+
+  it('should keep quoted phrases and drop negated terms', () => {
+    expect(parseTerms('exam "deep breath" -work')).toEqual(['exam', 'deep breath']);
+  });
+
+  it('should match stemmed terms and report message positions', () => {
+    const matches = findMatches(conversation, parseTerms('exams'));
+
+    expect(matches.map(match => [match.messageId, match.messageIndex])).toEqual([['m0', 0], ['m1', 1], ['m2', 2]]);
+  });
+
+  it('should only return messages inside the date range', () => {
+    const matches = findMatches(conversation, ['exam'], { from: new Date('2026-02-01') });
+
+    expect(matches.map(match => match.messageId)).toEqual(['m2']);
+  });
+
+  it('should highlight every match inside the snippet', () => {
+    const snippet = buildSnippet('Stress, stress and more STRESS', /(?<![\p{L}\p{N}])stress[\p{L}\p{N}]*/giu);
+
+    expect(snippet.highlights).toEqual([
+      { start: 0, end: 6 },
+      { start: 8, end: 14 },
+      { start: 24, end: 30 },
+    ]);
+  });
+
+  it('should trim long messages around the first match', () => {
+    const content = `${'a '.repeat(100)}panic ${'b '.repeat(100)}`;
+    const [match] = findMatches({ messages: [{ content }] }, ['panic']);
+
+    expect(match.snippet.startsWith('…')).toBe(true);
+    expect(match.snippet.endsWith('…')).toBe(true);
+    const [highlight] = match.highlights;
+    expect(match.snippet.slice(highlight.start, highlight.end)).toBe('panic');
+  });
+
+  it('should scope the query to the user, goal and date range', () => {
+    const from = new Date('2026-01-01');
+
+    expect(buildSearchQuery({ userId: 'u1', q: 'exam', goal: 'stress-relief', from })).toEqual({
+      userId: 'u1',
+      $text: { $search: 'exam' },
+      goal: 'stress-relief',
+      'messages.timestamp': { $gte: from },
+    });
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('../../config/db', () => ({
+  connectDB: jest.fn(),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+jest.mock('../../models/ShareLink', () => ({
+  create: jest.fn(doc => Promise.resolve({ _id: 's1', ...doc })),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+}));
+
+jest.mock('../../models/Conversation', () => ({
+  findOne: jest.fn(),
+}));
+
+const ShareLink = require('../../models/ShareLink');
+const Conversation = require('../../models/Conversation');
+const {
+  MAX_PASSCODE_ATTEMPTS, hashToken, shareStatus, toShareResponse, createShare, openShare
+} = require('../../services/shares');
+
+const query = value => ({
+  select: () => ({ lean: () => Promise.resolve(value) }),
+  lean: () => Promise.resolve(value),
+});
+
+describe('Conversation Shares', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const conversationId = '507f1f77bcf86cd799439012';
+  const messages = [
+    { _id: 'm1', role: 'user', content: 'I felt anxious at work', tone: 'anxious', safety: { riskLevel: 'none' }, timestamp: new Date('2026-03-01T09:00:00Z') },
+    { _id: 'm2', role: 'assistant', content: 'Let us breathe together', provider: 'openai', model: 'gpt-4o-mini', timestamp: new Date('2026-03-01T09:00:05Z') },
+  ];
+  const future = new Date(Date.now() + 60 * 60 * 1000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ShareLink.findOneAndUpdate.mockImplementation((filter, update) => query({
+      failedAttempts: update.$inc ? MAX_PASSCODE_ATTEMPTS : 0,
+      expiresAt: future,
+    }));
+    Conversation.findOne.mockReturnValue(query({ goal: 'stress-relief', title: 'Work worries', messages }));
+  });
+
+  it('should store only a hash of the token and reject messages outside the conversation', async () => {
+    const { share, token } = await createShare({ userId, conversationId, messageIds: ['m2'], expiresInHours: 2 });
+
+    expect(share.tokenHash).toBe(hashToken(token));
+    expect(JSON.stringify(toShareResponse(share))).not.toContain(token);
+    expect(toShareResponse(share)).toMatchObject({ scope: 'messages', hasPasscode: false, status: 'active' });
+    expect(share.expiresAt.getTime()).toBeGreaterThan(Date.now() + 119 * 60 * 1000);
+
+    await expect(createShare({ userId, conversationId, messageIds: ['other'] }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_MESSAGE_SCOPE' });
+  });
+
+  it('should report revoked, expired and locked links', () => {
+    expect(shareStatus({ revokedAt: new Date(), expiresAt: future })).toBe('revoked');
+    expect(shareStatus({ expiresAt: new Date(Date.now() - 1000) })).toBe('expired');
+    expect(shareStatus({ expiresAt: future, failedAttempts: MAX_PASSCODE_ATTEMPTS })).toBe('locked');
+  });
+
+  it('should show only the shared messages without metadata or account details', async () => {
+    ShareLink.findOne.mockReturnValue(query({ _id: 's1', userId, conversationId, messageIds: ['m2'], expiresAt: future }));
+
+    const view = await openShare({ token: 'token', userAgent: 'Browser' });
+
+    expect(view).toEqual({
+      title: 'Work worries',
+      goal: 'Stress Relief',
+      scope: 'messages',
+      messages: [{ role: 'assistant', content: 'Let us breathe together', timestamp: messages[1].timestamp }],
+      expiresAt: future,
+    });
+    expect(Conversation.findOne).toHaveBeenCalledWith({ _id: conversationId, userId });
+    expect(ShareLink.findOneAndUpdate.mock.calls[0][1].$push.accessLog.$each[0]).toMatchObject({ outcome: 'viewed', userAgent: 'Browser' });
+  });
+
+  it('should refuse closed links and log the attempt', async () => {
+    ShareLink.findOne.mockReturnValue(query({ _id: 's1', userId, conversationId, expiresAt: new Date(Date.now() - 1000) }));
+
+    await expect(openShare({ token: 'token' })).rejects.toMatchObject({ status: 410, code: 'SHARE_EXPIRED' });
+    expect(ShareLink.findOneAndUpdate.mock.calls[0][1].$push.accessLog.$each[0].outcome).toBe('expired');
+    expect(Conversation.findOne).not.toHaveBeenCalled();
+  });
+
+  it('should require the passcode and lock after too many wrong ones', async () => {
+    const { share } = await createShare({ userId, conversationId, passcode: 'secret-1' });
+    ShareLink.findOne.mockReturnValue(query({ ...share, userId, conversationId, failedAttempts: 0 }));
+
+    await expect(openShare({ token: 'token' })).rejects.toMatchObject({ status: 401, code: 'PASSCODE_REQUIRED' });
+    await expect(openShare({ token: 'token', passcode: 'wrong' })).rejects.toMatchObject({ status: 423, code: 'SHARE_LOCKED' });
+    await expect(openShare({ token: 'token', passcode: 'secret-1' })).resolves.toMatchObject({ scope: 'conversation' });
+  });
+});
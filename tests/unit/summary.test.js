@@ -0,0 +1,103 @@
+jest.mock('../../config/db', () => ({
+  connectDB: jest.fn(),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+jest.mock('../../models/Conversation', () => ({
+  updateOne: jest.fn(() => Promise.resolve()),
+}));
+
+const Conversation = require('../../models/Conversation');
+const ai = require('../../services/ai');
+const {
+  RECENT_MESSAGES,
+  unsummarizedMessages,
+  needsSummary,
+  summarizeConversation,
+} = require('../../services/summary');
+
+const makeConversation = (count, summary) => ({
+  _id: '507f1f77bcf86cd799439012',
+  summary,
+  messages: Array.from({ length: count }, (_, index) => ({
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: `Message ${index}. More detail here.`,
+  })),
+});
+
+describe('Conversation Summaries', () => {
+  const originalOrder = process.env.AI_PROVIDER_ORDER;
+
+  afterEach(() => {
+    ai.unregisterProvider('stub');
+    if (originalOrder === undefined) {
+      delete process.env.AI_PROVIDER_ORDER;
+    } else {
+      process.env.AI_PROVIDER_ORDER = originalOrder;
+    }
+  });
+
+  it('should only summarise once enough messages are outside the summary', () => {
+    expect(needsSummary(makeConversation(19))).toBe(false);
+    expect(needsSummary(makeConversation(20))).toBe(true);
+    expect(needsSummary(makeConversation(30, { content: 'Earlier', messageCount: 20 }))).toBe(false);
+  });
+
+  it('should leave summarised messages out of the history', () => {
+    const conversation = makeConversation(24, { content: 'Earlier', messageCount: 20 });
+
+    expect(unsummarizedMessages(conversation).map(msg => msg.content)[0]).toBe('Message 20. More detail here.');
+  });
+
+  it('should fold older turns into the summary with a remote provider', async () => {
+    const generate = jest.fn().mockResolvedValue({ text: ' The user is anxious about an exam. ' });
+    ai.registerProvider({ name: 'stub', generate });
+    process.env.AI_PROVIDER_ORDER = 'stub';
+    const conversation = makeConversation(22, { content: 'The user has exams.', messageCount: 4 });
+
+    const summary = await summarizeConversation(conversation);
+
+    expect(generate.mock.calls[0][0].messages[0].content).toContain('The user has exams.');
+    expect(generate.mock.calls[0][0].messages[0].content).toContain('User: Message 4.');
+    expect(generate.mock.calls[0][0].messages[0].content).not.toContain('Message 12.');
+    expect(summary).toMatchObject({
+      content: 'The user is anxious about an exam.',
+      messageCount: 22 - RECENT_MESSAGES,
+      provider: 'stub',
+    });
+    expect(Conversation.updateOne).toHaveBeenCalledWith(
+      { _id: conversation._id },
+      { $set: { summary } }
+    );
+  });
+
+  it('should fall back to an extractive summary without a remote provider', async () => {
+    const summary = await summarizeConversation(makeConversation(20));
+
+    expect(summary.provider).toBe('local');
+    expect(summary.content).toBe('The user said: Message 0. / Message 2. / Message 4. / Message 6. / Message 8.');
+  });
+
+  it('should never send a local-provider user\'s turns to a remote provider', async () => {
+    const generate = jest.fn().mockResolvedValue({ text: 'Remote summary' });
+    ai.registerProvider({ name: 'stub', generate });
+    process.env.AI_PROVIDER_ORDER = 'stub,local';
+
+    const summary = await summarizeConversation(makeConversation(20), { preferredProvider: 'local' });
+
+    expect(generate).not.toHaveBeenCalled();
+    expect(summary).toMatchObject({
+      content: 'The user said: Message 0. / Message 2. / Message 4. / Message 6. / Message 8.',
+      provider: 'local',
+    });
+  });
+
+  it('should do nothing when only recent messages are unsummarised', async () => {
+    expect(await summarizeConversation(makeConversation(8))).toBeNull();
+    expect(Conversation.updateOne).not.toHaveBeenCalled();
+  });
+});
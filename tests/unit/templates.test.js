@@ -0,0 +1,102 @@
+const {
+  PromptTemplateError,
+  registerTemplate,
+  getTemplate,
+  getTemplateForGoal,
+  renderTemplate,
+  listTemplates,
+} = require('../../services/ai/templates');
+const { buildPrompt } = require('../../services/ai/prompt');
+
+describe('Prompt Templates', () => {
+  const originalPins = process.env.PROMPT_TEMPLATE_VERSIONS;
+
+  beforeAll(() => {
+    registerTemplate({
+      id: 'test-template',
+      version: 1,
+      variables: { name: { type: 'string', required: true, maxLength: 10 } },
+      system: v => `Hello ${v.name}, v1`,
+    });
+    registerTemplate({
+      id: 'test-template',
+      version: 2,
+      goals: ['test-goal'],
+      variables: { name: { type: 'string', required: true, maxLength: 10 } },
+      system: v => `Hello ${v.name}, v2`,
+    });
+  });
+
+  afterEach(() => {
+    if (originalPins === undefined) {
+      delete process.env.PROMPT_TEMPLATE_VERSIONS;
+    } else {
+      process.env.PROMPT_TEMPLATE_VERSIONS = originalPins;
+    }
+  });
+
+  it('should use the latest version unless a version is pinned', () => {
+    expect(getTemplate('test-template').version).toBe(2);
+
+    process.env.PROMPT_TEMPLATE_VERSIONS = 'test-template:1';
+
+    expect(getTemplate('test-template').version).toBe(1);
+    expect(listTemplates()).toEqual(expect.arrayContaining([
+      expect.objectContaining({ ref: 'test-template@1', active: true, pinned: true }),
+      expect.objectContaining({ ref: 'test-template@2', active: false, pinned: false }),
+    ]));
+  });
+
+  it('should refuse to overwrite a published version', () => {
+    expect(() => registerTemplate({ id: 'test-template', version: 1, system: () => '' }))
+      .toThrow(PromptTemplateError);
+  });
+
+  it('should validate variables', () => {
+    const template = getTemplate('test-template', 1);
+
+    expect(() => renderTemplate(template, {})).toThrow('Missing variable "name"');
+    expect(() => renderTemplate(template, { name: 'x'.repeat(11) })).toThrow('exceeds 10 characters');
+    expect(() => renderTemplate(template, { name: 'Sam', extra: 'x' })).toThrow('Unknown variable "extra"');
+  });
+
+  it('should render instructions as a user turn for providers without a system role', () => {
+    const rendered = renderTemplate(getTemplate('test-template', 1), { name: 'Sam' }, { systemRole: false });
+
+    expect(rendered).toEqual({
+      system: '',
+      instructions: [{ role: 'user', content: 'Hello Sam, v1' }],
+      promptVersion: 'test-template@1',
+    });
+  });
+
+  it('should pick goal-specific templates and fall back to the companion template', () => {
+    expect(getTemplateForGoal('test-goal').id).toBe('test-template');
+    expect(getTemplateForGoal('kind-disagreement').id).toBe('practice');
+    expect(getTemplateForGoal('stress-relief').id).toBe('companion');
+  });
+
+  it('should report the template version with the built prompt', () => {
+    const prompt = buildPrompt({ message: 'Hi', goal: 'polite-greetings' });
+
+    expect(prompt.promptVersion).toBe('practice@3');
+    expect(prompt.system).toContain('practising the communication skill');
+    expect(prompt.messages).toEqual([{ role: 'user', content: 'Hi' }]);
+  });
+
+  it('should quote memory facts for templates that take them and match version 2 without', () => {
+    const withMemory = buildPrompt({ message: 'Hi', goal: 'stress-relief', memory: '- The user prefers short answers' });
+    const withoutMemory = buildPrompt({ message: 'Hi', goal: 'stress-relief' });
+
+    expect(withMemory.system).toContain('<memory>\n- The user prefers short answers\n</memory>');
+    expect(withMemory.system).toContain('The <goal>, <summary> and <memory> blocks');
+    expect(withoutMemory.system).toBe(renderTemplate(getTemplate('companion', 2), {
+      goal: 'stress-relief', tone: 'neutral', language: 'English',
+    }).system);
+
+    process.env.PROMPT_TEMPLATE_VERSIONS = 'companion:2';
+    const pinned = buildPrompt({ message: 'Hi', goal: 'stress-relief', memory: '- The user prefers short answers' });
+    delete process.env.PROMPT_TEMPLATE_VERSIONS;
+    expect(pinned.system).not.toContain('<memory>');
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('../../config/db', () => ({
+  connectDB: jest.fn(),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+jest.mock('../../models/Conversation', () => ({
+  updateOne: jest.fn(() => Promise.resolve({ modifiedCount: 1 })),
+}));
+
+const Conversation = require('../../models/Conversation');
+const ai = require('../../services/ai');
+const { cleanTitle, extractTitle, needsTitle, generateTitle } = require('../../services/titles');
+
+const makeConversation = (fields = {}) => ({
+  _id: '507f1f77bcf86cd799439012',
+  messages: [
+    { role: 'user', content: 'I feel really stressed about my exam tomorrow' },
+    { role: 'assistant', content: 'That sounds hard. Let us breathe together.' },
+  ],
+  ...fields,
+});
+
+describe('Conversation Titles', () => {
+  const originalOrder = process.env.AI_PROVIDER_ORDER;
+
+  afterEach(() => {
+    ai.unregisterProvider('stub');
+    if (originalOrder === undefined) {
+      delete process.env.AI_PROVIDER_ORDER;
+    } else {
+      process.env.AI_PROVIDER_ORDER = originalOrder;
+    }
+  });
+
+  it('should build a title from the keywords of the first message', () => {
+    expect(extractTitle('I feel really stressed about my exam tomorrow')).toBe('Feel stressed exam tomorrow');
+    expect(extractTitle('Hi! How are you?')).toBe('');
+  });
+
+  it('should strip quotes and labels providers add', () => {
+    expect(cleanTitle('Title: "Exam stress."\nMore text')).toBe('Exam stress');
+    expect(cleanTitle('x'.repeat(80))).toHaveLength(60);
+  });
+
+  it('should only title conversations with a first exchange and no title', () => {
+    expect(needsTitle(makeConversation())).toBe(true);
+    expect(needsTitle(makeConversation({ title: 'Mine' }))).toBe(false);
+    expect(needsTitle(makeConversation({ messages: [{ role: 'user', content: 'Hi' }] }))).toBe(false);
+  });
+
+  it('should ask a remote provider for the title', async () => {
+    const generate = jest.fn().mockResolvedValue({ text: '"Exam nerves"' });
+    ai.registerProvider({ name: 'stub', generate });
+    process.env.AI_PROVIDER_ORDER = 'stub';
+    const conversation = makeConversation();
+
+    const title = await generateTitle(conversation);
+
+    expect(title).toBe('Exam nerves');
+    expect(generate.mock.calls[0][0].messages[0].content).toContain('User: I feel really stressed');
+    expect(Conversation.updateOne).toHaveBeenCalledWith(
+      { _id: conversation._id, titleSource: { $ne: 'user' } },
+      { $set: { title: 'Exam nerves', titleSource: 'generated' } }
+    );
+    expect(conversation.title).toBe('Exam nerves');
+  });
+
+  it('should fall back to keywords without a remote provider', async () => {
+    expect(await generateTitle(makeConversation())).toBe('Feel stressed exam tomorrow');
+  });
+
+  it('should use keywords for a local-provider user even with a remote provider', async () => {
+    const generate = jest.fn().mockResolvedValue({ text: 'Exam nerves' });
+    ai.registerProvider({ name: 'stub', generate });
+    process.env.AI_PROVIDER_ORDER = 'stub,local';
+
+    expect(await generateTitle(makeConversation(), { preferredProvider: 'local' })).toBe('Feel stressed exam tomorrow');
+    expect(generate).not.toHaveBeenCalled();
+  });
+
+  it('should not replace a title the user set meanwhile', async () => {
+    Conversation.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+    const conversation = makeConversation();
+
+    expect(await generateTitle(conversation)).toBeNull();
+    expect(conversation.title).toBeUndefined();
+  });
+});
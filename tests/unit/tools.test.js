@@ -0,0 +1,130 @@
+jest.mock('../../config/db', () => ({
+  connectDB: jest.fn(),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+jest.mock('../../models/MeditationSession', () => ({
+  create: jest.fn(doc => Promise.resolve({ _id: 'session1', ...doc })),
+}));
+
+jest.mock('../../models/Conversation', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+}));
+
+const MeditationSession = require('../../models/MeditationSession');
+const Conversation = require('../../models/Conversation');
+const localProvider = require('../../services/ai/providers/local');
+const { validateSession } = require('../../services/meditation');
+const { toProviderTools, prepareToolCalls, resolveToolCall } = require('../../services/tools');
+
+const query = value => ({
+  select: () => ({ lean: () => Promise.resolve(value) }),
+});
+
+describe('Companion Tools', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const conversationId = '507f1f77bcf86cd799439012';
+  const pendingLog = (args = { type: 'guided', duration: 15 }) => ({
+    messages: [
+      { _id: 'm1', toolCalls: [] },
+      { _id: 'm2', toolCalls: [{ _id: 'call1', name: 'log_meditation_session', arguments: args, status: 'pending' }] },
+    ],
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Conversation.findOne.mockReturnValue(query(pendingLog()));
+    Conversation.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it('should apply the POST /api/meditation rules', () => {
+    expect(validateSession({ type: 'guided', duration: '12.5', notes: 'calm' }))
+      .toEqual({ value: { type: 'guided', duration: 12.5, notes: 'calm' } });
+    expect(validateSession({ type: 'napping', duration: 300 }).value).toMatchObject({ type: 'napping', duration: 300 });
+    expect(validateSession({ type: ' ', duration: 'long' }).errors.map(error => error.path))
+      .toEqual(['type', 'duration']);
+  });
+
+  it('should keep valid calls and drop unknown tools and bad arguments', () => {
+    const calls = prepareToolCalls([
+      { name: 'suggest_breathing_exercise', arguments: { pattern: 'box', rounds: 2, extra: true } },
+      { name: 'log_meditation_session', arguments: { type: 'sleep', duration: 20, notes: 'With [NAME_1]' } },
+      { name: 'log_meditation_session', arguments: { type: 'sleep', duration: 9999 } },
+      { name: 'log_meditation_session', arguments: { type: 'napping', duration: 20 } },
+      { name: 'start_meditation_timer', arguments: null },
+      { name: 'send_email', arguments: {} },
+    ], { restore: text => text.replace('[NAME_1]', 'Sam') });
+
+    expect(calls).toHaveLength(2);
+    expect(calls[0]).toMatchObject({ status: 'delivered', arguments: { pattern: 'box', rounds: 2 } });
+    expect(calls[0].arguments).not.toHaveProperty('extra');
+    expect(calls[0].result.phases).toHaveLength(4);
+    expect(calls[1]).toEqual({
+      name: 'log_meditation_session',
+      arguments: { type: 'sleep', duration: 20, notes: 'With Sam' },
+      status: 'pending',
+    });
+  });
+
+  it('should drop calls to tools of a kind that was not offered', () => {
+    const calls = prepareToolCalls([
+      { name: 'start_meditation_timer', arguments: { minutes: 5 } },
+      { name: 'log_meditation_session', arguments: { type: 'sleep', duration: 20 } },
+    ], { kind: 'client' });
+
+    expect(toProviderTools('client').map(tool => tool.name))
+      .toEqual(['suggest_breathing_exercise', 'start_meditation_timer']);
+    expect(calls.map(call => call.name)).toEqual(['start_meditation_timer']);
+  });
+
+  it('should log a confirmed session through the meditation service', async () => {
+    const toolCall = await resolveToolCall({ userId, conversationId, toolCallId: 'call1', confirm: true });
+
+    expect(MeditationSession.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId, type: 'guided', duration: 15, source: 'chat', conversationId,
+    }));
+    expect(toolCall).toMatchObject({ status: 'completed', result: { sessionId: 'session1', duration: 15 } });
+    const [, claim, { arrayFilters }] = Conversation.updateOne.mock.calls[0];
+    expect(claim.$set['messages.$[msg].toolCalls.$[call].status']).toBe('confirmed');
+    expect(arrayFilters).toEqual([{ 'msg._id': 'm2' }, { 'call._id': 'call1', 'call.status': 'pending' }]);
+  });
+
+  it('should not log a declined or already answered call', async () => {
+    const declined = await resolveToolCall({ userId, conversationId, toolCallId: 'call1', confirm: false });
+    expect(declined.status).toBe('declined');
+
+    Conversation.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+    await expect(resolveToolCall({ userId, conversationId, toolCallId: 'call1', confirm: true }))
+      .rejects.toMatchObject({ status: 409, code: 'TOOL_CALL_RESOLVED' });
+
+    await expect(resolveToolCall({ userId, conversationId, toolCallId: 'missing', confirm: true }))
+      .rejects.toMatchObject({ status: 404, code: 'TOOL_CALL_NOT_FOUND' });
+    expect(MeditationSession.create).not.toHaveBeenCalled();
+  });
+
+  it('should mark the call failed when the session does not validate', async () => {
+    Conversation.findOne.mockReturnValue(query(pendingLog({ type: 'guided', duration: 'long' })));
+
+    await expect(resolveToolCall({ userId, conversationId, toolCallId: 'call1', confirm: true }))
+      .rejects.toMatchObject({ status: 400, code: 'VALIDATION_ERROR', details: [expect.objectContaining({ path: 'duration' })] });
+
+    expect(MeditationSession.create).not.toHaveBeenCalled();
+    expect(Conversation.updateOne.mock.calls[1][1].$set['messages.$[msg].toolCalls.$[call].status']).toBe('failed');
+  });
+
+  it('should only call the tools it is offered from the local provider', () => {
+    const message = 'I\'ve meditated for 20 minutes, a guided one';
+
+    expect(localProvider.respondWithTools({ message, goal: 'stress-relief' }).toolCalls).toEqual([]);
+    expect(localProvider.respondWithTools({ message, goal: 'stress-relief', tools: toProviderTools() }).toolCalls)
+      .toEqual([{ name: 'log_meditation_session', arguments: { type: 'guided', duration: 20 } }]);
+    expect(localProvider.respondWithTools({
+      message: 'Please start a timer, 15 minutes', goal: 'stress-relief', tools: toProviderTools(),
+    }).toolCalls).toEqual([{ name: 'start_meditation_timer', arguments: { minutes: 15 } }]);
+  });
+});
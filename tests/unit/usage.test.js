@@ -0,0 +1,171 @@
+jest.mock('../../config/db', () => ({
+  connectDB: jest.fn(),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+jest.mock('../../models/UsageRecord', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn(() => Promise.resolve()),
+}));
+
+const UsageRecord = require('../../models/UsageRecord');
+const { register } = require('../../middleware/metrics');
+const ai = require('../../services/ai');
+const { estimateCost, getUsageSummary, checkQuota, recordUsage } = require('../../services/usage');
+
+const mockRecords = (records) => {
+  UsageRecord.find.mockReturnValueOnce({ lean: () => Promise.resolve(records) });
+};
+
+describe('Usage Service', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const now = new Date('2026-03-15T12:00:00Z');
+  const records = [
+    { day: '2026-03-15', provider: 'openai', model: 'gpt-4o-mini', requests: 2, inputTokens: 300, outputTokens: 100, costUsd: 0.0001 },
+    { day: '2026-03-02', provider: 'openai', model: 'gpt-4o-mini', requests: 1, inputTokens: 500, outputTokens: 200, costUsd: 0.0002 },
+    { day: '2026-03-02', provider: 'local', model: 'local-rules', requests: 4, inputTokens: 100, outputTokens: 100, costUsd: 0 },
+  ];
+
+  afterEach(() => {
+    delete process.env.USAGE_DAILY_TOKEN_LIMIT;
+    delete process.env.USAGE_MONTHLY_TOKEN_LIMIT;
+    delete process.env.AI_PRICING;
+  });
+
+  describe('estimateCost', () => {
+    it('should price dated model snapshots by prefix', () => {
+      expect(estimateCost('gpt-4o-mini-2024-07-18', { inputTokens: 1e6, outputTokens: 1e6 })).toBeCloseTo(0.75);
+      expect(estimateCost('gpt-4o-2024-08-06', { inputTokens: 1e6, outputTokens: 0 })).toBeCloseTo(2.5);
+    });
+
+    it('should treat unknown models as free', () => {
+      expect(estimateCost('local-rules', { inputTokens: 1000, outputTokens: 1000 })).toBe(0);
+    });
+
+    it('should accept pricing overrides', () => {
+      process.env.AI_PRICING = '{"local-rules":{"input":1,"output":2}}';
+      expect(estimateCost('local-rules', { inputTokens: 1e6, outputTokens: 1e6 })).toBeCloseTo(3);
+    });
+  });
+
+  it('should summarise today, the month and each model', async () => {
+    mockRecords(records);
+
+    const summary = await getUsageSummary(userId, now);
+
+    expect(UsageRecord.find).toHaveBeenCalledWith({ userId, month: '2026-03' });
+    expect(summary.today).toMatchObject({ requests: 2, totalTokens: 400 });
+    expect(summary.month).toMatchObject({ requests: 7, inputTokens: 900, outputTokens: 400, totalTokens: 1300 });
+    expect(summary.byModel[0]).toMatchObject({ provider: 'openai', model: 'gpt-4o-mini', requests: 3, totalTokens: 1100 });
+  });
+
+  describe('checkQuota', () => {
+    it('should not query usage when no limits are set', async () => {
+      UsageRecord.find.mockClear();
+      expect(await checkQuota(userId, now)).toEqual({ exceeded: null, usage: null });
+      expect(UsageRecord.find).not.toHaveBeenCalled();
+    });
+
+    it('should report the period whose limit was reached', async () => {
+      process.env.USAGE_DAILY_TOKEN_LIMIT = '1000';
+      process.env.USAGE_MONTHLY_TOKEN_LIMIT = '1200';
+      mockRecords(records);
+
+      const quota = await checkQuota(userId, now);
+
+      expect(quota.exceeded).toBe('monthly');
+      const metrics = await register.getSingleMetricAsString('usage_quota_exceeded_total');
+      expect(metrics).toContain('period="monthly"} 1');
+    });
+
+    it('should allow requests under the limits', async () => {
+      process.env.USAGE_DAILY_TOKEN_LIMIT = '1000';
+      mockRecords(records);
+
+      expect((await checkQuota(userId, now)).exceeded).toBeNull();
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should increment the daily record for the model', async () => {
+      await recordUsage({
+        userId,
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        usage: { inputTokens: 1000, outputTokens: 500, estimated: false },
+        now,
+      });
+
+      expect(UsageRecord.updateOne).toHaveBeenCalledWith(
+        { userId, day: '2026-03-15', provider: 'openai', model: 'gpt-4o-mini' },
+        {
+          $setOnInsert: { month: '2026-03' },
+          $inc: { requests: 1, inputTokens: 1000, outputTokens: 500, estimatedRequests: 0, costUsd: expect.closeTo(0.00045) },
+        },
+        { upsert: true }
+      );
+      const metrics = await register.getSingleMetricAsString('ai_tokens_total');
+      expect(metrics).toContain('ai_tokens_total{provider="openai",model="gpt-4o-mini",type="input"} 1000');
+    });
+
+    it('should not fail the reply when the write fails', async () => {
+      UsageRecord.updateOne.mockReturnValueOnce(Promise.reject(new Error('down')));
+
+      await expect(recordUsage({
+        userId, provider: 'local', model: 'local-rules', usage: { inputTokens: 1, outputTokens: 1 }, now,
+      })).resolves.toMatchObject({ costUsd: 0 });
+    });
+
+    it('should skip results without usage', async () => {
+      expect(await recordUsage({ userId, provider: 'none', model: null })).toBeNull();
+    });
+  });
+
+  describe('internal provider calls', () => {
+    const generate = jest.fn(() => Promise.resolve({
+      text: 'A short title', model: 'gpt-4o-mini', usage: { inputTokens: 40, outputTokens: 5 },
+    }));
+
+    beforeEach(() => {
+      ai.registerProvider({ name: 'stub', generate });
+      process.env.AI_PROVIDER_ORDER = 'stub';
+      UsageRecord.updateOne.mockClear();
+      generate.mockClear();
+    });
+
+    afterEach(() => {
+      ai.unregisterProvider('stub');
+      delete process.env.AI_PROVIDER_ORDER;
+    });
+
+    it('should record generateText usage against the user', async () => {
+      await ai.generateText({ system: 'Title this', prompt: 'Hello', userId });
+
+      expect(UsageRecord.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ userId, provider: 'stub', model: 'gpt-4o-mini' }),
+        expect.objectContaining({ $inc: expect.objectContaining({ requests: 1, inputTokens: 40, outputTokens: 5 }) }),
+        { upsert: true }
+      );
+    });
+
+    it('should skip generateText once the user is over quota', async () => {
+      process.env.USAGE_MONTHLY_TOKEN_LIMIT = '1200';
+      UsageRecord.find.mockReturnValueOnce({ lean: () => Promise.resolve(records) });
+
+      expect(await ai.generateText({ system: 'Title this', prompt: 'Hello', userId })).toBeNull();
+      expect(generate).not.toHaveBeenCalled();
+      expect(UsageRecord.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should leave calls without a user unaccounted', async () => {
+      await ai.generateText({ system: 'Title this', prompt: 'Hello' });
+
+      expect(generate).toHaveBeenCalled();
+      expect(UsageRecord.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});